@@ -0,0 +1,67 @@
+/**
+ * Helpers shared by the file storage providers
+ */
+
+import crypto from 'crypto';
+
+export const STORAGE_ERROR_CODES = {
+  NOT_FOUND: 'NotFound',
+  NOT_MODIFIED: 'NotModified', // If-None-Match matched the current ETag
+  INVALID_RANGE: 'InvalidRange', // error.size holds the file size for Content-Range
+  INVALID_KEY: 'InvalidKey',
+} as const;
+
+export type StorageErrorCode = typeof STORAGE_ERROR_CODES[keyof typeof STORAGE_ERROR_CODES];
+
+export type StorageError = Error & { code: StorageErrorCode; size?: number };
+
+export const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Create an error the caller can act on, with one of STORAGE_ERROR_CODES
+ */
+export function storageError(code: StorageErrorCode, message: string, details: { size?: number } = {}): StorageError {
+  return Object.assign(new Error(message), { code }, details);
+}
+
+/**
+ * Check whether an error has one of STORAGE_ERROR_CODES
+ */
+export function isStorageError(error: unknown, code: StorageErrorCode): error is StorageError {
+  return error instanceof Error && (error as StorageError).code === code;
+}
+
+/**
+ * Turn a single 'bytes=start-end' range into inclusive offsets
+ * Without a range the whole file is returned; a range past the end is an InvalidRange error
+ */
+export function resolveRange(range: string | undefined, size: number): { start: number; end: number; contentRange?: string } {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range || '');
+  if (!match) {
+    return { start: 0, end: Math.max(0, size - 1) };
+  }
+
+  const start = match[1] === '' ? Math.max(0, size - Number(match[2])) : Number(match[1]);
+  const end = match[1] !== '' && match[2] !== '' ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (start >= size || end < start) {
+    throw storageError(STORAGE_ERROR_CODES.INVALID_RANGE, 'Requested range not satisfiable', { size });
+  }
+  return { start, end, contentRange: `bytes ${start}-${end}/${size}` };
+}
+
+/**
+ * Compute a strong ETag from the content, as S3 does for single-part objects
+ */
+export function contentEtag(body: Buffer): string {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+/**
+ * Keep keys to a single path segment (no traversal out of a directory)
+ */
+export function checkKey(key: string): string {
+  if (typeof key !== 'string' || !/^[\w][\w.-]*$/.test(key)) {
+    throw storageError(STORAGE_ERROR_CODES.INVALID_KEY, `Invalid storage key: ${key}`);
+  }
+  return key;
+}
@@ -0,0 +1,91 @@
+/**
+ * File storage in a directory on this machine, for development and self-hosting
+ * LOCAL_STORAGE_DIR (default ./files); content type and ETag are kept next to each file in .meta/<key>.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { StorageProvider, StoredFileInfo, StoredFileListing } from '../types.js';
+import { STORAGE_ERROR_CODES, DEFAULT_CONTENT_TYPE, storageError, resolveRange, contentEtag, checkKey } from './common.js';
+
+export function createLocalProvider(
+  directory = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'files')
+): StorageProvider {
+  const metaDirectory = path.join(directory, '.meta');
+  fs.mkdirSync(metaDirectory, { recursive: true });
+
+  const filePath = (key: string) => path.join(directory, checkKey(key));
+  const metaPath = (key: string) => path.join(metaDirectory, `${checkKey(key)}.json`);
+
+  const head = async (key: string): Promise<StoredFileInfo | null> => {
+    try {
+      const [stats, meta] = await Promise.all([
+        fs.promises.stat(filePath(key)),
+        fs.promises.readFile(metaPath(key), 'utf-8').then(JSON.parse),
+      ]);
+      return { size: stats.size, contentType: meta.contentType, etag: meta.etag, lastModified: stats.mtime };
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const etag = contentEtag(body);
+      // Write to a temporary file first, so a reader never sees half a file
+      const temporary = `${filePath(key)}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temporary, body);
+      await fs.promises.writeFile(metaPath(key), JSON.stringify({
+        contentType: contentType || DEFAULT_CONTENT_TYPE,
+        etag,
+        metadata: metadata || {},
+      }));
+      await fs.promises.rename(temporary, filePath(key));
+      return { key, size: body.length, etag };
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      const info = await head(key);
+      if (!info) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${key}`);
+      }
+      if (ifNoneMatch && ifNoneMatch === info.etag) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+      }
+
+      const { start, end, contentRange } = resolveRange(range, info.size);
+      return {
+        body: fs.createReadStream(filePath(key), { start, end }),
+        ...info,
+        contentLength: end - start + 1,
+        contentRange,
+      };
+    },
+
+    head,
+
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+      await fs.promises.rm(metaPath(key), { force: true });
+    },
+
+    async list({ prefix } = {}) {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      const files: StoredFileListing[] = [];
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.endsWith('.tmp') || (prefix && !entry.name.startsWith(prefix))) {
+          continue;
+        }
+        const stats = await fs.promises.stat(path.join(directory, entry.name));
+        files.push({ key: entry.name, size: stats.size, lastModified: stats.mtime });
+      }
+      return files;
+    },
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * File storage abstraction layer
+ * Switches between R2, IPFS (Lighthouse), a local directory and memory based on STORAGE_PROVIDER env var
+ * Independent of STORAGE_MODE, which picks where document metadata is kept
+ */
+
+import { StorageProvider, StorageProviderName } from '../types.js';
+import { createR2Provider } from './r2Storage.js';
+import { createIpfsProvider } from './ipfsStorage.js';
+import { createLocalProvider } from './diskStorage.js';
+import { createMemoryProvider } from './memoryStorage.js';
+
+export { STORAGE_ERROR_CODES, isStorageError } from './common.js';
+
+export const PROVIDERS: StorageProviderName[] = ['r2', 'ipfs', 'local', 'memory'];
+
+/**
+ * Create the provider with the given name
+ */
+export function createStorageProvider(name: string): StorageProvider {
+  switch (name) {
+    case 'r2':
+      return createR2Provider();
+    case 'ipfs':
+      return createIpfsProvider();
+    case 'local':
+      return createLocalProvider();
+    case 'memory':
+      return createMemoryProvider();
+    default:
+      throw new Error(`Unknown STORAGE_PROVIDER "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+let fileStorage: StorageProvider | null = null;
+
+/**
+ * Get the configured provider, created on first use (after dotenv has loaded the environment)
+ * IPFS by default, where uploads went before providers were configurable
+ */
+export function getFileStorage(): StorageProvider {
+  if (!fileStorage) {
+    fileStorage = createStorageProvider(process.env.STORAGE_PROVIDER || 'ipfs');
+    console.log(`🗄️  Using ${fileStorage.name} file storage`);
+  }
+  return fileStorage;
+}
@@ -0,0 +1,150 @@
+/**
+ * File storage on IPFS through Lighthouse (LIGHTHOUSE_API_KEY)
+ * Files are read back through a public gateway (IPFS_GATEWAY_URL). Content addressing: the key is
+ * the CID, so a file can't be replaced, and Lighthouse only unpins it on delete
+ */
+
+import { Readable } from 'stream';
+// @ts-ignore
+import lighthouse from '@lighthouse-web3/sdk';
+import { StorageProvider, StoredFileInfo } from '../types.js';
+import { STORAGE_ERROR_CODES, DEFAULT_CONTENT_TYPE, storageError, isStorageError } from './common.js';
+
+const LIGHTHOUSE_API_URL = 'https://api.lighthouse.storage/api';
+const IPFS_GATEWAY_URL = process.env.IPFS_GATEWAY_URL || 'https://gateway.lighthouse.storage/ipfs';
+
+interface LighthouseUpload {
+  cid: string;
+  id: string;
+  fileSizeInBytes: string;
+  createdAt: number;
+}
+
+export function createIpfsProvider(): StorageProvider {
+  const apiKey = process.env.LIGHTHOUSE_API_KEY;
+
+  const requireApiKey = (): string => {
+    if (!apiKey) {
+      throw new Error('Lighthouse API key not configured on server');
+    }
+    return apiKey;
+  };
+
+  /**
+   * Request a file from the gateway, mapping its statuses to storage errors
+   */
+  const gatewayRequest = async (
+    cid: string,
+    { method = 'GET', range, ifNoneMatch }: { method?: string; range?: string; ifNoneMatch?: string } = {}
+  ) => {
+    const headers: Record<string, string> = {};
+    if (range) headers.Range = range;
+    if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+
+    const response = await fetch(`${IPFS_GATEWAY_URL}/${encodeURIComponent(cid)}`, { method, headers });
+    if (response.status === 304) {
+      throw storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+    }
+    if (response.status === 404 || response.status === 400) {
+      throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${cid}`);
+    }
+    if (response.status === 416) {
+      const size = Number((response.headers.get('Content-Range') || '').split('/')[1]) || undefined;
+      throw storageError(STORAGE_ERROR_CODES.INVALID_RANGE, 'Requested range not satisfiable', { size });
+    }
+    if (!response.ok) {
+      throw new Error(`IPFS gateway responded with status ${response.status}`);
+    }
+    return response;
+  };
+
+  /**
+   * File info from gateway response headers; the CID names the content when there is no ETag
+   */
+  const fileInfo = (cid: string, response: Response): StoredFileInfo => {
+    const lastModified = response.headers.get('Last-Modified');
+    return {
+      size: Number(response.headers.get('Content-Length')),
+      contentType: response.headers.get('Content-Type') || DEFAULT_CONTENT_TYPE,
+      etag: response.headers.get('ETag') || `"${cid}"`,
+      lastModified: lastModified ? new Date(lastModified) : undefined,
+    };
+  };
+
+  /**
+   * Lighthouse lists uploads newest first, a page at a time
+   */
+  const listUploads = async (): Promise<LighthouseUpload[]> => {
+    const uploads: LighthouseUpload[] = [];
+    let lastKey: string | null = null;
+    do {
+      const { data } = await lighthouse.getUploads(requireApiKey(), lastKey);
+      const page: LighthouseUpload[] = data.fileList || [];
+      uploads.push(...page);
+      lastKey = page.length > 0 && uploads.length < data.totalFiles ? page[page.length - 1].id : null;
+    } while (lastKey);
+    return uploads;
+  };
+
+  return {
+    name: 'ipfs',
+
+    async put(_key, body) {
+      const response = await lighthouse.uploadBuffer(body, requireApiKey());
+      const cid = response?.data?.Hash;
+      if (!cid) {
+        throw new Error('Invalid response from Lighthouse');
+      }
+      return { key: cid, size: body.length, etag: `"${cid}"`, url: `${IPFS_GATEWAY_URL}/${cid}` };
+    },
+
+    async get(cid, { range, ifNoneMatch } = {}) {
+      const response = await gatewayRequest(cid, { range, ifNoneMatch });
+      const contentRange = response.status === 206 ? response.headers.get('Content-Range') || undefined : undefined;
+      const info = fileInfo(cid, response);
+      return {
+        body: Readable.fromWeb(response.body as any),
+        ...info,
+        size: contentRange ? Number(contentRange.split('/')[1]) : info.size,
+        contentLength: info.size,
+        contentRange,
+      };
+    },
+
+    async head(cid) {
+      try {
+        return fileInfo(cid, await gatewayRequest(cid, { method: 'HEAD' }));
+      } catch (error) {
+        if (isStorageError(error, STORAGE_ERROR_CODES.NOT_FOUND)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(cid) {
+      const upload = (await listUploads()).find(file => file.cid === cid);
+      if (!upload) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${cid}`);
+      }
+      // The SDK has no delete; this is the endpoint the Lighthouse dashboard uses
+      const response = await fetch(`${LIGHTHOUSE_API_URL}/user/delete_file?id=${encodeURIComponent(upload.id)}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${requireApiKey()}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Lighthouse delete failed with status ${response.status}`);
+      }
+    },
+
+    async list({ prefix } = {}) {
+      return (await listUploads())
+        .filter(file => !prefix || file.cid.startsWith(prefix))
+        .map(file => ({
+          key: file.cid,
+          size: Number(file.fileSizeInBytes),
+          lastModified: new Date(file.createdAt),
+        }));
+    },
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * In-memory file storage, for tests and demos
+ * Files are gone when the process restarts
+ */
+
+import { Readable } from 'stream';
+import { StorageProvider, StoredFileInfo } from '../types.js';
+import { STORAGE_ERROR_CODES, DEFAULT_CONTENT_TYPE, storageError, resolveRange, contentEtag } from './common.js';
+
+interface MemoryFile {
+  body: Buffer;
+  contentType: string;
+  metadata: Record<string, string>;
+  etag: string;
+  lastModified: Date;
+}
+
+export function createMemoryProvider(): StorageProvider {
+  const files = new Map<string, MemoryFile>();
+
+  const head = async (key: string): Promise<StoredFileInfo | null> => {
+    const file = files.get(key);
+    return file
+      ? { size: file.body.length, contentType: file.contentType, etag: file.etag, lastModified: file.lastModified }
+      : null;
+  };
+
+  return {
+    name: 'memory',
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const stored = Buffer.from(body);
+      const etag = contentEtag(stored);
+      files.set(key, {
+        body: stored,
+        contentType: contentType || DEFAULT_CONTENT_TYPE,
+        metadata: metadata || {},
+        etag,
+        lastModified: new Date(),
+      });
+      return { key, size: stored.length, etag };
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      const file = files.get(key);
+      if (!file) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${key}`);
+      }
+      if (ifNoneMatch && ifNoneMatch === file.etag) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+      }
+
+      const { start, end, contentRange } = resolveRange(range, file.body.length);
+      return {
+        body: Readable.from([file.body.subarray(start, end + 1)]),
+        size: file.body.length,
+        contentLength: end - start + 1,
+        contentType: file.contentType,
+        etag: file.etag,
+        lastModified: file.lastModified,
+        contentRange,
+      };
+    },
+
+    head,
+
+    async delete(key) {
+      files.delete(key);
+    },
+
+    async list({ prefix } = {}) {
+      return [...files.entries()]
+        .filter(([key]) => !prefix || key.startsWith(prefix))
+        .map(([key, file]) => ({ key, size: file.body.length, lastModified: file.lastModified }));
+    },
+  };
+}
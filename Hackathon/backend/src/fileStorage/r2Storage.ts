@@ -0,0 +1,124 @@
+/**
+ * File storage in Cloudflare R2 (or any S3-compatible store)
+ * Configured by R2_ENDPOINT, R2_BUCKET_NAME, R2_ACCESS_KEY_ID and R2_SECRET_ACCESS_KEY
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { StorageProvider, StoredFileInfo, StoredFileListing } from '../types.js';
+import { STORAGE_ERROR_CODES, DEFAULT_CONTENT_TYPE, storageError } from './common.js';
+
+export function createR2Provider(): StorageProvider {
+  const bucket = process.env.R2_BUCKET_NAME;
+  const client = new S3Client({
+    region: 'auto',
+    endpoint: process.env.R2_ENDPOINT,
+    // Bucket in the path works with R2 and local S3-compatible servers (MinIO) alike
+    forcePathStyle: true,
+    credentials: {
+      accessKeyId: process.env.R2_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || '',
+    },
+  });
+
+  /**
+   * S3 reports conditions and missing keys as exceptions
+   */
+  const toStorageError = (error: any, key: string) => {
+    const status = error.$metadata?.httpStatusCode;
+    if (status === 304) {
+      return storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+    }
+    if (error.name === 'NoSuchKey' || error.name === 'NotFound' || status === 404) {
+      return storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${key}`);
+    }
+    return error;
+  };
+
+  const head = async (key: string): Promise<StoredFileInfo | null> => {
+    try {
+      const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        size: result.ContentLength ?? 0,
+        contentType: result.ContentType || DEFAULT_CONTENT_TYPE,
+        etag: result.ETag ?? '',
+        lastModified: result.LastModified,
+      };
+    } catch (error: any) {
+      if (toStorageError(error, key).code === STORAGE_ERROR_CODES.NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'r2',
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const result = await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType || DEFAULT_CONTENT_TYPE,
+        Metadata: metadata,
+      }));
+      return { key, size: body.length, etag: result.ETag ?? '' };
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      try {
+        const result = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: range,
+          IfNoneMatch: ifNoneMatch,
+        }));
+        return {
+          body: result.Body as NodeJS.ReadableStream,
+          size: result.ContentRange ? Number(result.ContentRange.split('/')[1]) : result.ContentLength ?? 0,
+          contentLength: result.ContentLength ?? 0,
+          contentType: result.ContentType || DEFAULT_CONTENT_TYPE,
+          etag: result.ETag ?? '',
+          lastModified: result.LastModified,
+          contentRange: result.ContentRange,
+        };
+      } catch (error: any) {
+        if (error.name === 'InvalidRange' || error.$metadata?.httpStatusCode === 416) {
+          const info = await head(key);
+          throw storageError(STORAGE_ERROR_CODES.INVALID_RANGE, 'Requested range not satisfiable', { size: info?.size });
+        }
+        throw toStorageError(error, key);
+      }
+    },
+
+    head,
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list({ prefix } = {}) {
+      const files: StoredFileListing[] = [];
+      let continuationToken: string | undefined;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+        for (const object of page.Contents || []) {
+          files.push({ key: object.Key ?? '', size: object.Size ?? 0, lastModified: object.LastModified });
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return files;
+    },
+  };
+}
@@ -8,6 +8,7 @@ import helmet from 'helmet';
 import dotenv from 'dotenv';
 import metadataRoutes from './routes/metadata.js';
 import uploadRoutes from './routes/upload.js';
+import fileRoutes from './routes/files.js';
 
 dotenv.config();
 
@@ -60,6 +61,7 @@ if (process.env.STORAGE_MODE === 'firestore') {
 // Routes
 app.use('/api/metadata', metadataRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -85,5 +87,6 @@ if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
     console.log(`🚀 Backend server running on http://localhost:${PORT}`);
     console.log(`📝 Storage mode: ${process.env.STORAGE_MODE || 'json'}`);
+    console.log(`🗄️  File storage: ${process.env.STORAGE_PROVIDER || 'ipfs'}`);
   });
 }
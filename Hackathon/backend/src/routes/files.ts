@@ -0,0 +1,153 @@
+/**
+ * File API routes
+ * Serves what POST /api/upload stored, from whichever storage provider is configured
+ * Files are encrypted on the client, so reads are public like an IPFS gateway; listing and
+ * deleting need the API key (X-API-Key header)
+ */
+
+import { Router, Request, Response, NextFunction } from 'express';
+import { pipeline } from 'stream';
+import { getFileStorage, STORAGE_ERROR_CODES, isStorageError } from '../fileStorage/index.js';
+
+const router = Router();
+
+/**
+ * Require the server's API_KEY for administrative requests
+ */
+function requireApiKey(req: Request, res: Response, next: NextFunction) {
+  const apiKey = process.env.API_KEY;
+  if (!apiKey) {
+    return res.status(503).json({ success: false, error: 'API key not configured on server' });
+  }
+  if (req.get('X-API-Key') !== apiKey) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing API key' });
+  }
+  next();
+}
+
+/**
+ * Validate a Range header
+ * Only a single byte range is passed on to storage; anything else is ignored and the whole file is sent
+ */
+function parseRange(header: string | undefined): string | undefined {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return undefined;
+  }
+  if (match[1] !== '' && match[2] !== '' && Number(match[2]) < Number(match[1])) {
+    return undefined;
+  }
+  return header;
+}
+
+/**
+ * Answer storage errors without exposing internal details
+ */
+function sendStorageError(res: Response, error: unknown, failure: string) {
+  if (isStorageError(error, STORAGE_ERROR_CODES.NOT_FOUND)) {
+    return res.status(404).json({ success: false, error: 'File not found' });
+  }
+  if (isStorageError(error, STORAGE_ERROR_CODES.INVALID_KEY)) {
+    return res.status(400).json({ success: false, error: 'Invalid storage key' });
+  }
+  res.status(500).json({ success: false, error: failure });
+}
+
+/**
+ * GET /api/files
+ * List stored files (optionally filter by key prefix)
+ */
+router.get('/', requireApiKey, async (req: Request, res: Response) => {
+  try {
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : undefined;
+    const files = await getFileStorage().list({ prefix });
+    res.json({ success: true, provider: getFileStorage().name, data: files });
+  } catch (error: any) {
+    console.error('Error listing files:', error);
+    sendStorageError(res, error, 'Failed to list files');
+  }
+});
+
+/**
+ * GET /api/files/:key (and HEAD)
+ * Download a stored file; supports a single byte range, If-Range and If-None-Match
+ */
+router.get('/:key', async (req: Request, res: Response) => {
+  const fileStorage = getFileStorage();
+  const key = req.params.key;
+
+  // Browsers only let the client read response headers that CORS exposes
+  res.set({
+    'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Length, Content-Range, ETag, Last-Modified',
+    'Accept-Ranges': 'bytes',
+  });
+
+  try {
+    let range = parseRange(req.get('Range'));
+
+    // If-Range: the range only applies if the client's partial copy is of the current file
+    const ifRange = req.get('If-Range');
+    if (range && ifRange) {
+      const head = await fileStorage.head(key);
+      const current = /^(W\/)?"/.test(ifRange)
+        ? ifRange === head?.etag
+        // HTTP dates have whole seconds; a file's modification time may not
+        : Date.parse(ifRange) === Math.floor((head?.lastModified?.getTime() ?? NaN) / 1000) * 1000;
+      if (!current) {
+        range = undefined;
+      }
+    }
+
+    const file = await fileStorage.get(key, { range, ifNoneMatch: req.get('If-None-Match') });
+
+    res.status(file.contentRange ? 206 : 200);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': String(file.contentLength),
+      ETag: file.etag,
+      ...(file.contentRange && { 'Content-Range': file.contentRange }),
+      ...(file.lastModified && { 'Last-Modified': file.lastModified.toUTCString() }),
+    });
+
+    if (req.method === 'HEAD') {
+      (file.body as any).destroy?.();
+      return res.end();
+    }
+
+    // Bytes pass through without being buffered; a failure mid-stream aborts the response
+    pipeline(file.body, res, (error: NodeJS.ErrnoException | null) => {
+      if (error) {
+        console.error('File stream error:', error.message);
+      }
+    });
+  } catch (error: any) {
+    if (isStorageError(error, STORAGE_ERROR_CODES.NOT_MODIFIED)) {
+      return res.status(304).end();
+    }
+    if (isStorageError(error, STORAGE_ERROR_CODES.INVALID_RANGE)) {
+      if (error.size !== undefined) {
+        res.set('Content-Range', `bytes */${error.size}`);
+      }
+      return res.status(416).json({ success: false, error: 'Requested range not satisfiable' });
+    }
+
+    console.error('Error retrieving file:', error);
+    sendStorageError(res, error, 'Failed to retrieve file');
+  }
+});
+
+/**
+ * DELETE /api/files/:key
+ * Delete a stored file (IPFS: unpin it)
+ */
+router.delete('/:key', requireApiKey, async (req: Request, res: Response) => {
+  try {
+    await getFileStorage().delete(req.params.key);
+    res.json({ success: true, message: 'File deleted successfully' });
+  } catch (error: any) {
+    console.error('Error deleting file:', error);
+    sendStorageError(res, error, 'Failed to delete file');
+  }
+});
+
+export default router;
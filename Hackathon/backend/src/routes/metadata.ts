@@ -19,11 +19,16 @@ router.post(
   [
     body('filename').isString().trim().notEmpty().withMessage('Filename is required'),
     body('cid').isString().trim().notEmpty().withMessage('CID is required'),
+    body('storageProvider').optional().isIn(['backend', 'lighthouse', 'mock']).withMessage('Unknown storage provider'),
     body('sha256').isString().isLength({ min: 64, max: 64 }).withMessage('SHA-256 must be 64 hex characters'),
     body('encryptedSize').isInt({ min: 1 }).withMessage('Encrypted size must be positive integer'),
     body('ownerAddress').isString().matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid Ethereum address'),
-    body('iv').isArray({ min: 12, max: 12 }).withMessage('IV must be array of 12 bytes'),
+    body('encryption').optional().isIn(['aes-256-gcm-stream', 'aes-256-gcm-container']).withMessage('Unsupported encryption format'),
+    // Chunk-encrypted files carry their nonces in the file header
+    body('iv').if(body('encryption').not().exists()).isArray({ min: 12, max: 12 }).withMessage('IV must be array of 12 bytes'),
     body('salt').isArray({ min: 16, max: 16 }).withMessage('Salt must be array of 16 bytes'),
+    body('kdf').optional().isObject().withMessage('KDF parameters must be an object'),
+    body('kdf.name').if(body('kdf').exists()).isIn(['argon2id', 'pbkdf2']).withMessage('Unsupported KDF'),
   ],
   async (req: Request, res: Response) => {
     const errors = validationResult(req);
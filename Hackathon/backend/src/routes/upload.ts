@@ -1,12 +1,12 @@
 /**
- * Upload route for server-side Lighthouse integration (production)
- * Keeps API key secure on server
+ * Upload route for server-side file storage (production)
+ * Keeps storage credentials secure on server; STORAGE_PROVIDER picks where files go
  */
 
 import { Router, Request, Response } from 'express';
 import multer from 'multer';
-// @ts-ignore
-import lighthouse from '@lighthouse-web3/sdk';
+import { v4 as uuidv4 } from 'uuid';
+import { getFileStorage } from '../fileStorage/index.js';
 
 const router = Router();
 
@@ -18,22 +18,14 @@ const upload = multer({
   },
 });
 
-const LIGHTHOUSE_API_KEY = process.env.LIGHTHOUSE_API_KEY;
-
 /**
  * POST /api/upload
- * Upload file to Lighthouse (server-side)
- * This keeps the API key secure and not exposed in client bundle
+ * Upload file to the configured storage provider (server-side)
+ * This keeps credentials secure and not exposed in client bundle
+ * The returned key is what GET /api/files/:key serves; cid repeats it for older clients
  */
 router.post('/', upload.single('file'), async (req: Request, res: Response) => {
   try {
-    if (!LIGHTHOUSE_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: 'Lighthouse API key not configured on server',
-      });
-    }
-
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -41,26 +33,19 @@ router.post('/', upload.single('file'), async (req: Request, res: Response) => {
       });
     }
 
-    // Convert buffer to File-like object for Lighthouse SDK
-    const fileBuffer = req.file.buffer;
-    const fileName = req.file.originalname;
-
-    // Upload to Lighthouse
-    // Note: Lighthouse SDK expects File objects, may need adjustment
-    const response = await lighthouse.upload([req.file], LIGHTHOUSE_API_KEY);
-
-    if (!response || !response.data || !response.data.Hash) {
-      throw new Error('Invalid response from Lighthouse');
-    }
-
-    const cid = response.data.Hash;
-    const gatewayUrl = `https://gateway.lighthouse.storage/ipfs/${cid}`;
+    const fileStorage = getFileStorage();
+    const stored = await fileStorage.put(`${uuidv4()}.enc`, req.file.buffer, {
+      contentType: req.file.mimetype,
+      metadata: { originalName: encodeURIComponent(req.file.originalname) },
+    });
 
     res.json({
       success: true,
-      cid,
-      gatewayUrl,
-      size: req.file.size,
+      key: stored.key,
+      cid: stored.key,
+      provider: fileStorage.name,
+      url: stored.url,
+      size: stored.size,
     });
   } catch (error: any) {
     console.error('Upload error:', error);
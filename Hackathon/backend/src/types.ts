@@ -5,26 +5,37 @@
 export interface DocumentMetadata {
   id: string;
   filename: string;
-  cid: string; // Lighthouse IPFS CID
+  cid: string; // Storage key of the encrypted file (an IPFS CID on Lighthouse)
+  storageProvider?: ClientStorageProvider; // Where the client stored the encrypted file (absent: lighthouse)
   sha256: string; // SHA-256 hash of original file (hex)
   encryptedSize: number; // Size in bytes
   timestamp: string; // ISO 8601 timestamp
   ownerAddress: string; // Ethereum address
-  iv: number[]; // Initialization vector for AES-GCM (12 bytes)
-  salt: number[]; // Salt for PBKDF2 (16 bytes)
+  encryption?: 'aes-256-gcm-stream' | 'aes-256-gcm-container'; // Chunked encryption (optionally in a self-describing container), nonces in the file (absent: one AES-GCM operation)
+  iv?: number[]; // Initialization vector for AES-GCM (12 bytes), only without chunked encryption
+  salt: number[]; // Salt for the password KDF (16 bytes)
+  kdf?: KdfParams; // Password KDF parameters (absent: PBKDF2-SHA256, 200k iterations)
   txHash?: string; // Blockchain transaction hash (optional, added after on-chain anchoring)
 }
 
 export interface CreateMetadataRequest {
   filename: string;
   cid: string;
+  storageProvider?: ClientStorageProvider;
   sha256: string;
   encryptedSize: number;
   ownerAddress: string;
-  iv: number[];
+  encryption?: 'aes-256-gcm-stream' | 'aes-256-gcm-container';
+  iv?: number[];
   salt: number[];
+  kdf?: KdfParams;
 }
 
+// Password key derivation, chosen by the client when it encrypts the file
+export type KdfParams =
+  | { name: 'argon2id'; memorySize: number; iterations: number; parallelism: number }
+  | { name: 'pbkdf2'; hash: 'SHA-256'; iterations: number };
+
 export interface UpdateTxRequest {
   id: string;
   txHash: string;
@@ -36,3 +47,55 @@ export interface MetadataResponse {
   message?: string;
   error?: string;
 }
+
+// Client-side storage providers (VITE_STORAGE_PROVIDER): this backend's /api/upload, Lighthouse
+// directly, or the browser's localStorage
+export type ClientStorageProvider = 'backend' | 'lighthouse' | 'mock';
+
+// File storage providers, selected by STORAGE_PROVIDER (see fileStorage/index.ts)
+export type StorageProviderName = 'r2' | 'ipfs' | 'local' | 'memory';
+
+export interface StoredFile {
+  key: string; // Content-addressed providers (ipfs) return the CID instead of the suggested key
+  size: number;
+  etag: string;
+  url?: string; // Public URL, for providers that have one
+}
+
+export interface StoredFileInfo {
+  size: number;
+  contentType: string;
+  etag: string;
+  lastModified?: Date;
+}
+
+export interface StoredFileContent extends StoredFileInfo {
+  body: NodeJS.ReadableStream;
+  contentLength: number; // Bytes in body: the range length for partial content
+  contentRange?: string; // Only set for partial content
+}
+
+export interface StoredFileListing {
+  key: string;
+  size: number;
+  lastModified?: Date;
+}
+
+export interface PutOptions {
+  contentType?: string;
+  metadata?: Record<string, string>;
+}
+
+export interface GetOptions {
+  range?: string; // A single 'bytes=start-end' range
+  ifNoneMatch?: string;
+}
+
+export interface StorageProvider {
+  name: StorageProviderName;
+  put(key: string, body: Buffer, options?: PutOptions): Promise<StoredFile>;
+  get(key: string, options?: GetOptions): Promise<StoredFileContent>;
+  head(key: string): Promise<StoredFileInfo | null>; // null if there is no such file
+  delete(key: string): Promise<void>;
+  list(options?: { prefix?: string }): Promise<StoredFileListing[]>;
+}
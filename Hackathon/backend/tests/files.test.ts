@@ -0,0 +1,152 @@
+/**
+ * File API Tests
+ * Uploads through POST /api/upload to the local-directory provider, then reads the file back from
+ * GET /api/files/:key: byte ranges, If-Range, ETag revalidation, and the API key on listing and deleting
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { AddressInfo } from 'net';
+import uploadRoutes from '../src/routes/upload.js';
+import fileRoutes from '../src/routes/files.js';
+
+const API_KEY = 'test-api-key';
+
+describe('File API', () => {
+  const body = Buffer.from('0123456789abcdefghij');
+  let localDir: string;
+  let server: http.Server;
+  let baseUrl: string;
+  let key: string;
+
+  const files = (pathname: string, init: RequestInit = {}) => fetch(`${baseUrl}/api/files${pathname}`, init);
+
+  beforeAll(async () => {
+    // The provider is created on first use, from the environment
+    localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-files-'));
+    process.env.STORAGE_PROVIDER = 'local';
+    process.env.LOCAL_STORAGE_DIR = localDir;
+    process.env.API_KEY = API_KEY;
+
+    // The routes as src/index.ts mounts them, without starting its server
+    const app = express();
+    app.use('/api/upload', uploadRoutes);
+    app.use('/api/files', fileRoutes);
+    server = http.createServer(app);
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+    const formData = new FormData();
+    formData.append('file', new Blob([body], { type: 'application/octet-stream' }), 'transcript.pdf.enc');
+    const uploaded = await (await fetch(`${baseUrl}/api/upload`, { method: 'POST', body: formData })).json();
+    expect(uploaded).toMatchObject({ success: true, provider: 'local', size: body.length });
+    key = uploaded.key;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(localDir, { recursive: true, force: true });
+    delete process.env.API_KEY;
+  });
+
+  it('should serve an uploaded file with its ETag', async () => {
+    const response = await files(`/${key}`);
+
+    expect(response.status).toBe(200);
+    expect(Buffer.from(await response.arrayBuffer())).toEqual(body);
+    expect(response.headers.get('Content-Length')).toBe(String(body.length));
+    expect(response.headers.get('Accept-Ranges')).toBe('bytes');
+    expect(response.headers.get('ETag')).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(response.headers.get('Last-Modified')).toBeTruthy();
+  });
+
+  it('should answer HEAD without a body', async () => {
+    const response = await files(`/${key}`, { method: 'HEAD' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Length')).toBe(String(body.length));
+    expect(await response.text()).toBe('');
+  });
+
+  it('should serve a single byte range', async () => {
+    const response = await files(`/${key}`, { headers: { Range: 'bytes=5-9' } });
+
+    expect(response.status).toBe(206);
+    expect(response.headers.get('Content-Range')).toBe('bytes 5-9/20');
+    expect(await response.text()).toBe('56789');
+
+    // Several ranges are not supported: the whole file is sent
+    const multiple = await files(`/${key}`, { headers: { Range: 'bytes=0-1,5-6' } });
+    expect(multiple.status).toBe(200);
+    expect(Buffer.from(await multiple.arrayBuffer())).toEqual(body);
+  });
+
+  it('should only apply a range to the current version of the file (If-Range)', async () => {
+    const { headers } = await files(`/${key}`, { method: 'HEAD' });
+
+    const current = await files(`/${key}`, { headers: { Range: 'bytes=15-', 'If-Range': headers.get('ETag')! } });
+    expect(current.status).toBe(206);
+    expect(await current.text()).toBe('fghij');
+
+    const byDate = await files(`/${key}`, { headers: { Range: 'bytes=15-', 'If-Range': headers.get('Last-Modified')! } });
+    expect(byDate.status).toBe(206);
+    await byDate.arrayBuffer();
+
+    const stale = await files(`/${key}`, { headers: { Range: 'bytes=15-', 'If-Range': '"stale"' } });
+    expect(stale.status).toBe(200);
+    expect(Buffer.from(await stale.arrayBuffer())).toEqual(body);
+  });
+
+  it('should revalidate by ETag and reject unsatisfiable ranges', async () => {
+    const { headers } = await files(`/${key}`, { method: 'HEAD' });
+
+    expect((await files(`/${key}`, { headers: { 'If-None-Match': headers.get('ETag')! } })).status).toBe(304);
+
+    const unsatisfiable = await files(`/${key}`, { headers: { Range: 'bytes=20-' } });
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers.get('Content-Range')).toBe('bytes */20');
+  });
+
+  it('should answer missing files and invalid keys without internal details', async () => {
+    const missing = await files('/missing.enc');
+    expect(missing.status).toBe(404);
+    expect(await missing.json()).toEqual({ success: false, error: 'File not found' });
+
+    const invalid = await files('/..%2Fescape.enc');
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({ success: false, error: 'Invalid storage key' });
+  });
+
+  it('should require the API key to list files', async () => {
+    expect((await files('/')).status).toBe(401);
+    expect((await files('/', { headers: { 'X-API-Key': 'wrong' } })).status).toBe(401);
+
+    const response = await files(`/?prefix=${key.slice(0, 8)}`, { headers: { 'X-API-Key': API_KEY } });
+    expect(response.status).toBe(200);
+    const listed = await response.json();
+    expect(listed).toMatchObject({ success: true, provider: 'local' });
+    expect(listed.data).toEqual([expect.objectContaining({ key, size: body.length })]);
+  });
+
+  it('should require the API key to delete a file', async () => {
+    expect((await files(`/${key}`, { method: 'DELETE' })).status).toBe(401);
+    expect((await files(`/${key}`, { method: 'HEAD' })).status).toBe(200);
+
+    const response = await files(`/${key}`, { method: 'DELETE', headers: { 'X-API-Key': API_KEY } });
+    expect(response.status).toBe(200);
+    expect((await files(`/${key}`)).status).toBe(404);
+  });
+
+  it('should refuse administrative requests when no API key is configured', async () => {
+    delete process.env.API_KEY;
+    try {
+      expect((await files('/', { headers: { 'X-API-Key': API_KEY } })).status).toBe(503);
+    } finally {
+      process.env.API_KEY = API_KEY;
+    }
+  });
+});
@@ -0,0 +1,252 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title EthereumDIDRegistry
+ * @dev ERC-1056 lightweight identity registry backing did:ethr
+ * Every Ethereum address is an identity owned by itself until ownership is
+ * transferred. Keys (delegates) and service endpoints (attributes) are stored
+ * as events, which resolvers replay to build the DID document.
+ */
+contract EthereumDIDRegistry {
+    // Current owner of each identity (zero means the identity owns itself)
+    mapping(address => address) public owners;
+
+    // identity => keccak256(delegateType) => delegate => validity timestamp
+    mapping(address => mapping(bytes32 => mapping(address => uint256))) public delegates;
+
+    // Block number of the last change per identity, used to walk the event log
+    mapping(address => uint256) public changed;
+
+    // Replay protection for signed (meta-transaction) updates
+    mapping(address => uint256) public nonce;
+
+    event DIDOwnerChanged(address indexed identity, address owner, uint256 previousChange);
+
+    event DIDDelegateChanged(
+        address indexed identity,
+        bytes32 delegateType,
+        address delegate,
+        uint256 validTo,
+        uint256 previousChange
+    );
+
+    event DIDAttributeChanged(
+        address indexed identity,
+        bytes32 name,
+        bytes value,
+        uint256 validTo,
+        uint256 previousChange
+    );
+
+    modifier onlyOwner(address identity, address actor) {
+        require(actor == identityOwner(identity), "bad_actor");
+        _;
+    }
+
+    /**
+     * @dev Returns the current owner of an identity
+     * @param identity The identity address
+     * @return The owner address
+     */
+    function identityOwner(address identity) public view returns (address) {
+        address owner = owners[identity];
+        if (owner != address(0)) {
+            return owner;
+        }
+        return identity;
+    }
+
+    /**
+     * @dev Checks whether a delegate is currently valid for an identity
+     * @param identity The identity address
+     * @param delegateType Delegate type, e.g. "veriKey" or "sigAuth"
+     * @param delegate The delegate address
+     * @return Boolean indicating if the delegate has not expired
+     */
+    function validDelegate(address identity, bytes32 delegateType, address delegate) public view returns (bool) {
+        uint256 validity = delegates[identity][keccak256(abi.encode(delegateType))][delegate];
+        return validity > block.timestamp;
+    }
+
+    function changeOwner(address identity, address newOwner) public {
+        _changeOwner(identity, msg.sender, newOwner);
+    }
+
+    function changeOwnerSigned(address identity, uint8 sigV, bytes32 sigR, bytes32 sigS, address newOwner) public {
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0x19), bytes1(0), address(this), nonce[identityOwner(identity)], identity, "changeOwner", newOwner
+            )
+        );
+        _changeOwner(identity, _checkSignature(identity, sigV, sigR, sigS, hash), newOwner);
+    }
+
+    function addDelegate(address identity, bytes32 delegateType, address delegate, uint256 validity) public {
+        _addDelegate(identity, msg.sender, delegateType, delegate, validity);
+    }
+
+    function addDelegateSigned(
+        address identity,
+        uint8 sigV,
+        bytes32 sigR,
+        bytes32 sigS,
+        bytes32 delegateType,
+        address delegate,
+        uint256 validity
+    ) public {
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0),
+                address(this),
+                nonce[identityOwner(identity)],
+                identity,
+                "addDelegate",
+                delegateType,
+                delegate,
+                validity
+            )
+        );
+        _addDelegate(identity, _checkSignature(identity, sigV, sigR, sigS, hash), delegateType, delegate, validity);
+    }
+
+    function revokeDelegate(address identity, bytes32 delegateType, address delegate) public {
+        _revokeDelegate(identity, msg.sender, delegateType, delegate);
+    }
+
+    function revokeDelegateSigned(
+        address identity,
+        uint8 sigV,
+        bytes32 sigR,
+        bytes32 sigS,
+        bytes32 delegateType,
+        address delegate
+    ) public {
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0),
+                address(this),
+                nonce[identityOwner(identity)],
+                identity,
+                "revokeDelegate",
+                delegateType,
+                delegate
+            )
+        );
+        _revokeDelegate(identity, _checkSignature(identity, sigV, sigR, sigS, hash), delegateType, delegate);
+    }
+
+    function setAttribute(address identity, bytes32 name, bytes memory value, uint256 validity) public {
+        _setAttribute(identity, msg.sender, name, value, validity);
+    }
+
+    function setAttributeSigned(
+        address identity,
+        uint8 sigV,
+        bytes32 sigR,
+        bytes32 sigS,
+        bytes32 name,
+        bytes memory value,
+        uint256 validity
+    ) public {
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0x19),
+                bytes1(0),
+                address(this),
+                nonce[identityOwner(identity)],
+                identity,
+                "setAttribute",
+                name,
+                value,
+                validity
+            )
+        );
+        _setAttribute(identity, _checkSignature(identity, sigV, sigR, sigS, hash), name, value, validity);
+    }
+
+    function revokeAttribute(address identity, bytes32 name, bytes memory value) public {
+        _revokeAttribute(identity, msg.sender, name, value);
+    }
+
+    function revokeAttributeSigned(
+        address identity,
+        uint8 sigV,
+        bytes32 sigR,
+        bytes32 sigS,
+        bytes32 name,
+        bytes memory value
+    ) public {
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0x19), bytes1(0), address(this), nonce[identityOwner(identity)], identity, "revokeAttribute", name, value
+            )
+        );
+        _revokeAttribute(identity, _checkSignature(identity, sigV, sigR, sigS, hash), name, value);
+    }
+
+    function _checkSignature(
+        address identity,
+        uint8 sigV,
+        bytes32 sigR,
+        bytes32 sigS,
+        bytes32 hash
+    ) internal returns (address) {
+        address signer = ecrecover(hash, sigV, sigR, sigS);
+        require(signer == identityOwner(identity), "bad_signature");
+        nonce[signer]++;
+        return signer;
+    }
+
+    function _changeOwner(address identity, address actor, address newOwner) internal onlyOwner(identity, actor) {
+        owners[identity] = newOwner;
+        emit DIDOwnerChanged(identity, newOwner, changed[identity]);
+        changed[identity] = block.number;
+    }
+
+    function _addDelegate(
+        address identity,
+        address actor,
+        bytes32 delegateType,
+        address delegate,
+        uint256 validity
+    ) internal onlyOwner(identity, actor) {
+        delegates[identity][keccak256(abi.encode(delegateType))][delegate] = block.timestamp + validity;
+        emit DIDDelegateChanged(identity, delegateType, delegate, block.timestamp + validity, changed[identity]);
+        changed[identity] = block.number;
+    }
+
+    function _revokeDelegate(
+        address identity,
+        address actor,
+        bytes32 delegateType,
+        address delegate
+    ) internal onlyOwner(identity, actor) {
+        delegates[identity][keccak256(abi.encode(delegateType))][delegate] = block.timestamp;
+        emit DIDDelegateChanged(identity, delegateType, delegate, block.timestamp, changed[identity]);
+        changed[identity] = block.number;
+    }
+
+    function _setAttribute(
+        address identity,
+        address actor,
+        bytes32 name,
+        bytes memory value,
+        uint256 validity
+    ) internal onlyOwner(identity, actor) {
+        emit DIDAttributeChanged(identity, name, value, block.timestamp + validity, changed[identity]);
+        changed[identity] = block.number;
+    }
+
+    function _revokeAttribute(
+        address identity,
+        address actor,
+        bytes32 name,
+        bytes memory value
+    ) internal onlyOwner(identity, actor) {
+        emit DIDAttributeChanged(identity, name, value, 0, changed[identity]);
+        changed[identity] = block.number;
+    }
+}
@@ -1,5 +1,5 @@
 /**
- * Deployment script for DocumentHash contract
+ * Deployment script for DocumentHash and EthereumDIDRegistry contracts
  * Deploys to localhost and saves deployment info
  */
 
@@ -28,17 +28,6 @@ async function main() {
   // Get contract artifact for ABI
   const artifact = await hre.artifacts.readArtifact("DocumentHash");
 
-  // Prepare deployment info
-  const deploymentInfo = {
-    address: address,
-    abi: artifact.abi,
-    network: hre.network.name,
-    chainId: hre.network.config.chainId,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-    blockNumber: await hre.ethers.provider.getBlockNumber(),
-  };
-
   // Create deployments directory
   const deploymentsDir = path.join(__dirname, "..", "deployments", hre.network.name);
   if (!fs.existsSync(deploymentsDir)) {
@@ -46,17 +35,50 @@ async function main() {
   }
 
   // Save deployment info
-  const deploymentPath = path.join(deploymentsDir, "DocumentHash.json");
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-  
+  const deploymentPath = await saveDeployment(deploymentsDir, "DocumentHash", address, artifact, deployer);
   console.log("📄 Deployment info saved to:", deploymentPath);
+
+  // Deploy ERC-1056 registry used by the issuer's did:ethr provider and resolver
+  console.log("\n🚀 Deploying EthereumDIDRegistry contract...");
+  const EthereumDIDRegistry = await hre.ethers.getContractFactory("EthereumDIDRegistry");
+  const registry = await EthereumDIDRegistry.deploy();
+  await registry.waitForDeployment();
+
+  const registryAddress = await registry.getAddress();
+  console.log("✅ EthereumDIDRegistry deployed to:", registryAddress);
+
+  const registryArtifact = await hre.artifacts.readArtifact("EthereumDIDRegistry");
+  const registryPath = await saveDeployment(deploymentsDir, "EthereumDIDRegistry", registryAddress, registryArtifact, deployer);
+  console.log("📄 Deployment info saved to:", registryPath);
+
   console.log("\n📋 Add this to your client .env file:");
   console.log(`VITE_DOCUMENT_HASH_CONTRACT=${address}`);
   console.log(`VITE_CHAIN_ID=${hre.network.config.chainId}`);
+  console.log("\n📋 Add this to your issuer .env file:");
+  console.log(`ETHR_DID_REGISTRY=${registryAddress}`);
   
   return address;
 }
 
+/**
+ * Write deployment info for a contract to deployments/<network>/<name>.json
+ */
+async function saveDeployment(deploymentsDir, name, address, artifact, deployer) {
+  const deploymentInfo = {
+    address: address,
+    abi: artifact.abi,
+    network: hre.network.name,
+    chainId: hre.network.config.chainId,
+    deployer: deployer.address,
+    timestamp: new Date().toISOString(),
+    blockNumber: await hre.ethers.provider.getBlockNumber(),
+  };
+
+  const deploymentPath = path.join(deploymentsDir, `${name}.json`);
+  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  return deploymentPath;
+}
+
 main()
   .then(() => process.exit(0))
   .catch((error) => {
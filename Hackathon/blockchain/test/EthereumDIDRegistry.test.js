@@ -0,0 +1,188 @@
+/**
+ * EthereumDIDRegistry Tests
+ * ERC-1056 identities: owners, delegates and attributes, changed directly by the owner
+ * or relayed as signed (meta-transaction) updates
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const VERI_KEY = ethers.encodeBytes32String("veriKey");
+const SERVICE_ATTRIBUTE = ethers.encodeBytes32String("did/svc/LinkedDomains");
+const SERVICE_ENDPOINT = ethers.toUtf8Bytes("https://issuer.example");
+const DAY = 24 * 60 * 60;
+
+describe("EthereumDIDRegistry", function () {
+  async function deployRegistryFixture() {
+    const [identity, newOwner, delegate, relayer] = await ethers.getSigners();
+    const EthereumDIDRegistry = await ethers.getContractFactory("EthereumDIDRegistry");
+    const registry = await EthereumDIDRegistry.deploy();
+    await registry.waitForDeployment();
+    return { registry, identity, newOwner, delegate, relayer };
+  }
+
+  // Timestamp of the block that mined a transaction
+  async function minedAt(tx) {
+    const receipt = await tx.wait();
+    return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+  }
+
+  // Signature of a signed update, as the registry hashes it (no eth_sign prefix)
+  async function signUpdate(registry, wallet, types, values) {
+    const hash = ethers.solidityPackedKeccak256(
+      ["bytes1", "bytes1", "address", "uint256", ...types],
+      ["0x19", "0x00", await registry.getAddress(), await registry.nonce(wallet.address), ...values]
+    );
+    return wallet.signingKey.sign(hash);
+  }
+
+  describe("Ownership", function () {
+    it("Should let every identity own itself", async function () {
+      const { registry, identity } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.identityOwner(identity.address)).to.equal(identity.address);
+      expect(await registry.changed(identity.address)).to.equal(0);
+    });
+
+    it("Should transfer ownership and record the change", async function () {
+      const { registry, identity, newOwner } = await loadFixture(deployRegistryFixture);
+
+      const tx = await registry.changeOwner(identity.address, newOwner.address);
+
+      await expect(tx).to.emit(registry, "DIDOwnerChanged").withArgs(identity.address, newOwner.address, 0);
+      expect(await registry.identityOwner(identity.address)).to.equal(newOwner.address);
+      expect(await registry.changed(identity.address)).to.equal((await tx.wait()).blockNumber);
+    });
+
+    it("Should only let the current owner change an identity", async function () {
+      const { registry, identity, newOwner, delegate } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(delegate).changeOwner(identity.address, delegate.address)
+      ).to.be.revertedWith("bad_actor");
+
+      await registry.changeOwner(identity.address, newOwner.address);
+      await expect(
+        registry.addDelegate(identity.address, VERI_KEY, delegate.address, DAY)
+      ).to.be.revertedWith("bad_actor");
+    });
+  });
+
+  describe("Delegates", function () {
+    it("Should add a delegate valid for the given time", async function () {
+      const { registry, identity, delegate } = await loadFixture(deployRegistryFixture);
+
+      const tx = await registry.addDelegate(identity.address, VERI_KEY, delegate.address, DAY);
+      const validTo = (await minedAt(tx)) + DAY;
+
+      await expect(tx)
+        .to.emit(registry, "DIDDelegateChanged")
+        .withArgs(identity.address, VERI_KEY, delegate.address, validTo, 0);
+      expect(await registry.validDelegate(identity.address, VERI_KEY, delegate.address)).to.equal(true);
+
+      await time.increaseTo(validTo);
+      expect(await registry.validDelegate(identity.address, VERI_KEY, delegate.address)).to.equal(false);
+    });
+
+    it("Should revoke a delegate at once", async function () {
+      const { registry, identity, delegate } = await loadFixture(deployRegistryFixture);
+      const added = await registry.addDelegate(identity.address, VERI_KEY, delegate.address, DAY);
+
+      const tx = await registry.revokeDelegate(identity.address, VERI_KEY, delegate.address);
+
+      await expect(tx)
+        .to.emit(registry, "DIDDelegateChanged")
+        .withArgs(identity.address, VERI_KEY, delegate.address, await minedAt(tx), (await added.wait()).blockNumber);
+      expect(await registry.validDelegate(identity.address, VERI_KEY, delegate.address)).to.equal(false);
+    });
+  });
+
+  describe("Attributes", function () {
+    it("Should publish an attribute and link it to the previous change", async function () {
+      const { registry, identity, delegate } = await loadFixture(deployRegistryFixture);
+      const added = await registry.addDelegate(identity.address, VERI_KEY, delegate.address, DAY);
+
+      const tx = await registry.setAttribute(identity.address, SERVICE_ATTRIBUTE, SERVICE_ENDPOINT, DAY);
+
+      await expect(tx)
+        .to.emit(registry, "DIDAttributeChanged")
+        .withArgs(
+          identity.address,
+          SERVICE_ATTRIBUTE,
+          ethers.hexlify(SERVICE_ENDPOINT),
+          (await minedAt(tx)) + DAY,
+          (await added.wait()).blockNumber
+        );
+      expect(await registry.changed(identity.address)).to.equal((await tx.wait()).blockNumber);
+    });
+
+    it("Should revoke an attribute with a validity of zero", async function () {
+      const { registry, identity } = await loadFixture(deployRegistryFixture);
+      const set = await registry.setAttribute(identity.address, SERVICE_ATTRIBUTE, SERVICE_ENDPOINT, DAY);
+
+      await expect(registry.revokeAttribute(identity.address, SERVICE_ATTRIBUTE, SERVICE_ENDPOINT))
+        .to.emit(registry, "DIDAttributeChanged")
+        .withArgs(identity.address, SERVICE_ATTRIBUTE, ethers.hexlify(SERVICE_ENDPOINT), 0, (await set.wait()).blockNumber);
+    });
+
+    it("Should only let the owner publish attributes", async function () {
+      const { registry, identity, delegate } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(delegate).setAttribute(identity.address, SERVICE_ATTRIBUTE, SERVICE_ENDPOINT, DAY)
+      ).to.be.revertedWith("bad_actor");
+    });
+  });
+
+  describe("Signed updates", function () {
+    it("Should apply an update signed by the owner and sent by a relayer", async function () {
+      const { registry, newOwner, relayer } = await loadFixture(deployRegistryFixture);
+      const wallet = ethers.Wallet.createRandom();
+
+      const { v, r, s } = await signUpdate(
+        registry, wallet, ["address", "string", "address"], [wallet.address, "changeOwner", newOwner.address]
+      );
+      await expect(registry.connect(relayer).changeOwnerSigned(wallet.address, v, r, s, newOwner.address))
+        .to.emit(registry, "DIDOwnerChanged")
+        .withArgs(wallet.address, newOwner.address, 0);
+
+      expect(await registry.identityOwner(wallet.address)).to.equal(newOwner.address);
+      expect(await registry.nonce(wallet.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { registry, delegate, relayer } = await loadFixture(deployRegistryFixture);
+      const wallet = ethers.Wallet.createRandom();
+      const { v, r, s } = await signUpdate(
+        registry,
+        wallet,
+        ["address", "string", "bytes32", "address", "uint256"],
+        [wallet.address, "addDelegate", VERI_KEY, delegate.address, DAY]
+      );
+
+      await registry.connect(relayer).addDelegateSigned(wallet.address, v, r, s, VERI_KEY, delegate.address, DAY);
+
+      await expect(
+        registry.connect(relayer).addDelegateSigned(wallet.address, v, r, s, VERI_KEY, delegate.address, DAY)
+      ).to.be.revertedWith("bad_signature");
+    });
+
+    it("Should reject an update signed by anyone but the owner", async function () {
+      const { registry, relayer } = await loadFixture(deployRegistryFixture);
+      const identity = ethers.Wallet.createRandom();
+      const intruder = ethers.Wallet.createRandom();
+
+      const { v, r, s } = await signUpdate(
+        registry,
+        intruder,
+        ["address", "string", "bytes32", "bytes", "uint256"],
+        [identity.address, "setAttribute", SERVICE_ATTRIBUTE, SERVICE_ENDPOINT, DAY]
+      );
+
+      await expect(
+        registry.connect(relayer).setAttributeSigned(identity.address, v, r, s, SERVICE_ATTRIBUTE, SERVICE_ENDPOINT, DAY)
+      ).to.be.revertedWith("bad_signature");
+    });
+  });
+});
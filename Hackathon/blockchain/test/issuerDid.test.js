@@ -0,0 +1,201 @@
+/**
+ * Issuer did:ethr Tests
+ * The issuer's Veramo agent (issuer/veramo-agent.js) against an EthereumDIDRegistry on the Hardhat
+ * network: creating and resolving the issuer DID, key rotation and service endpoints
+ */
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const AGENT_PATH = path.join(__dirname, "..", "..", "issuer", "veramo-agent.js");
+
+// Load the agent afresh, as a restarted issuer service would
+function loadIssuerAgent() {
+  delete require.cache[require.resolve(AGENT_PATH)];
+  return require(AGENT_PATH);
+}
+
+describe("Issuer did:ethr", function () {
+  this.timeout(60000);
+
+  let server;
+  let dataDir;
+  let savedEnv;
+  let issuer;
+  let did;
+
+  // JWT credential signed with the issuer's active key
+  async function issueCredential(subject) {
+    return issuer.createIssuerCredential({
+      "@context": ["https://www.w3.org/2018/credentials/v1"],
+      type: ["VerifiableCredential"],
+      issuer: { id: did },
+      issuanceDate: new Date().toISOString(),
+      credentialSubject: subject,
+    });
+  }
+
+  // Key of the verification method that signed a JWT credential
+  async function signingKeyOf(credential) {
+    const { verificationMethod } = await resolveIssuerDid();
+    const { signer } = await issuer.agent.verifyCredential({ credential });
+    return verificationMethod.find((method) => method.id === signer.id);
+  }
+
+  async function resolveIssuerDid() {
+    const { didDocument } = await issuer.agent.resolveDid({ didUrl: did });
+    return didDocument;
+  }
+
+  async function verify(credential) {
+    return (await issuer.agent.verifyCredential({ credential })).verified;
+  }
+
+  before(async function () {
+    const EthereumDIDRegistry = await hre.ethers.getContractFactory("EthereumDIDRegistry");
+    const registry = await EthereumDIDRegistry.deploy();
+    await registry.waitForDeployment();
+
+    // The agent's did:ethr provider and resolver reach the chain over JSON-RPC, like a Hardhat node
+    server = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: 0,
+      provider: hre.network.provider,
+    });
+    const { port } = await server.listen();
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "issuer-did-"));
+    savedEnv = { ...process.env };
+    Object.assign(process.env, {
+      HARDHAT_NETWORK_URL: `http://127.0.0.1:${port}`,
+      ETHR_DID_REGISTRY: await registry.getAddress(),
+      ETHR_NETWORK_NAME: "hardhat",
+      ETHR_CHAIN_ID: String(hre.network.config.chainId),
+      ISSUER_DID_PROVIDER: "did:ethr",
+      KMS_SECRET_KEY: crypto.randomBytes(32).toString("hex"),
+      VERAMO_STORE_PATH: path.join(dataDir, "veramo-store.json"),
+    });
+
+    issuer = loadIssuerAgent();
+    did = await issuer.initializeIssuerDid();
+  });
+
+  after(async function () {
+    process.env = savedEnv;
+    await server?.close();
+    if (dataDir) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  describe("Create and resolve", function () {
+    it("Should create the issuer DID on the Hardhat network", async function () {
+      expect(did).to.match(/^did:ethr:hardhat:0x0[23][0-9a-f]{64}$/);
+    });
+
+    it("Should resolve the issuer DID from the registry", async function () {
+      const didDocument = await resolveIssuerDid();
+
+      expect(didDocument.id).to.equal(did);
+      expect(didDocument.verificationMethod.map((method) => method.id)).to.include(`${did}#controller`);
+    });
+
+    it("Should sign with the controller key until the first rotation", async function () {
+      const identifier = await issuer.agent.didManagerGet({ did });
+
+      expect(await issuer.getIssuerKeyRef()).to.equal(identifier.controllerKeyId);
+      expect(await verify(await issueCredential({ docType: "passport" }))).to.equal(true);
+    });
+  });
+
+  describe("Key rotation", function () {
+    let signedBeforeRotation;
+    let signedWithFirstKey;
+    let firstRotatedKey;
+
+    it("Should publish a rotated key and sign new credentials with it", async function () {
+      signedBeforeRotation = await issueCredential({ docType: "passport" });
+
+      firstRotatedKey = await issuer.rotateIssuerKey();
+
+      expect(await issuer.getIssuerKeyRef()).to.equal(firstRotatedKey.kid);
+      const didDocument = await resolveIssuerDid();
+      expect(didDocument.verificationMethod.map((method) => method.publicKeyHex)).to.include(firstRotatedKey.publicKeyHex);
+
+      signedWithFirstKey = await issueCredential({ docType: "license" });
+      expect((await signingKeyOf(signedWithFirstKey)).publicKeyHex).to.equal(firstRotatedKey.publicKeyHex);
+    });
+
+    it("Should still verify a credential signed before the rotation", async function () {
+      expect(await verify(signedBeforeRotation)).to.equal(true);
+    });
+
+    it("Should keep verifying credentials of a rotated key after the next rotation", async function () {
+      const secondRotatedKey = await issuer.rotateIssuerKey();
+
+      expect(await issuer.getIssuerKeyRef()).to.equal(secondRotatedKey.kid);
+      expect(await verify(signedWithFirstKey)).to.equal(true);
+      expect(await verify(await issueCredential({ docType: "license" }))).to.equal(true);
+    });
+
+    it("Should keep the signing and controller keys however the store lists the keys", async function () {
+      const activeKid = await issuer.getIssuerKeyRef();
+      const { controllerKeyId } = await issuer.agent.didManagerGet({ did });
+
+      const store = JSON.parse(fs.readFileSync(process.env.VERAMO_STORE_PATH, "utf8"));
+      store.dids[did].keys.reverse();
+      fs.writeFileSync(process.env.VERAMO_STORE_PATH, JSON.stringify(store));
+      issuer = loadIssuerAgent();
+      await issuer.initializeIssuerDid();
+
+      expect(await issuer.getIssuerKeyRef()).to.equal(activeKid);
+      const { publicKeyHex } = await issuer.agent.keyManagerGet({ kid: activeKid });
+      expect((await signingKeyOf(await issueCredential({ docType: "passport" }))).publicKeyHex).to.equal(publicKeyHex);
+      await expect(issuer.revokeIssuerKey(controllerKeyId)).to.be.rejectedWith("Cannot revoke the controller key");
+    });
+
+    it("Should refuse to revoke the key that signs new credentials", async function () {
+      await expect(issuer.revokeIssuerKey(await issuer.getIssuerKeyRef())).to.be.rejectedWith("rotate to a new key first");
+    });
+
+    it("Should stop verifying credentials of a revoked key", async function () {
+      await issuer.revokeIssuerKey(firstRotatedKey.kid);
+
+      const didDocument = await resolveIssuerDid();
+      expect(didDocument.verificationMethod.map((method) => method.publicKeyHex)).not.to.include(firstRotatedKey.publicKeyHex);
+      expect(await verify(signedWithFirstKey)).to.equal(false);
+      expect(await verify(signedBeforeRotation)).to.equal(true);
+    });
+  });
+
+  describe("Service endpoints", function () {
+    const service = () => ({
+      id: `${did}#status`,
+      type: "StatusList2021Service",
+      serviceEndpoint: "https://issuer.example/status",
+    });
+
+    it("Should publish a service endpoint on the issuer DID", async function () {
+      await issuer.addIssuerService(service());
+
+      const didDocument = await resolveIssuerDid();
+      expect(didDocument.service).to.have.lengthOf(1);
+      expect(didDocument.service[0]).to.include({
+        type: "StatusList2021Service",
+        serviceEndpoint: "https://issuer.example/status",
+      });
+    });
+
+    it("Should remove a service endpoint from the issuer DID", async function () {
+      await issuer.removeIssuerService(service().id);
+
+      const didDocument = await resolveIssuerDid();
+      expect(didDocument.service || []).to.have.lengthOf(0);
+    });
+  });
+});
@@ -12,6 +12,7 @@ import Upload from './pages/Upload';
 import Retrieve from './pages/Retrieve';
 import Verify from './pages/Verify';
 import Profile from './pages/Profile';
+import Recover from './pages/Recover';
 import NotFound from './pages/NotFound';
 
 // Secure Document Pages
@@ -73,6 +74,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="recover"
+              element={
+                <ProtectedRoute>
+                  <Recover />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="profile"
               element={
@@ -0,0 +1,42 @@
+import { checkPassphraseStrength, MIN_PASSPHRASE_LENGTH } from '../lib/passphraseStrength';
+
+const BAR_COLORS = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-600'];
+
+interface PassphraseStrengthMeterProps {
+  passphrase: string;
+}
+
+export default function PassphraseStrengthMeter({ passphrase }: PassphraseStrengthMeterProps) {
+  if (!passphrase) {
+    return (
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+        At least {MIN_PASSPHRASE_LENGTH} characters. Several unrelated words are easiest to remember.
+      </p>
+    );
+  }
+
+  const { score, label, acceptable, feedback } = checkPassphraseStrength(passphrase);
+
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="flex gap-1">
+        {[0, 1, 2, 3].map((segment) => (
+          <div
+            key={segment}
+            className={`h-1.5 flex-1 rounded ${segment < Math.max(score, 1) ? BAR_COLORS[score] : 'bg-gray-200 dark:bg-gray-700'}`}
+          />
+        ))}
+      </div>
+      <p className={`text-xs mt-1 ${acceptable ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+        {label}{!acceptable && ' — not accepted'}
+      </p>
+      {!acceptable && feedback.length > 0 && (
+        <ul className="text-xs text-gray-500 dark:text-gray-400 mt-1 space-y-0.5">
+          {feedback.map((hint) => (
+            <li key={hint}>• {hint}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ import {
 } from 'firebase/auth';
 import { auth } from '../firebase/firebaseConfig';
 import { generateDidKey, storeDid, retrieveDid } from '../utils/didManager';
+import { lockVault } from '../utils/cryptoVault';
 
 const AuthContext = createContext({});
 
@@ -56,7 +57,7 @@ export function AuthProvider({ children }) {
     // Generate DID for new user (client-side only)
     // TODO: SECURITY - Private keys never leave the client
     const { did, privateKey } = await generateDidKey();
-    storeDid(did, privateKey);
+    await storeDid(did, privateKey);
     setUserDid(did);
     
     return userCredential.user;
@@ -79,12 +80,11 @@ export function AuthProvider({ children }) {
     const userCredential = await signInWithPopup(auth, provider);
     
     // Check if user has a DID, if not create one
-    let { did, privateKey } = retrieveDid();
+    let { did } = retrieveDid();
     if (!did) {
       const didData = await generateDidKey();
       did = didData.did;
-      privateKey = didData.privateKey;
-      storeDid(did, privateKey);
+      await storeDid(did, didData.privateKey);
     }
     setUserDid(did);
     
@@ -103,9 +103,16 @@ export function AuthProvider({ children }) {
     throw new Error('MetaMask sign-in not yet implemented. Coming soon!');
   };
 
+  // Reload the DID after it changed outside of sign-up (e.g. vault recovery)
+  const refreshDid = () => {
+    const { did } = retrieveDid();
+    setUserDid(did);
+  };
+
   // Logout
   const logout = async () => {
     await signOut(auth);
+    lockVault();
     setUserDid(null);
   };
 
@@ -118,6 +125,7 @@ export function AuthProvider({ children }) {
     signInWithGoogle,
     signInWithMetaMask,
     logout,
+    refreshDid,
   };
 
   return (
@@ -0,0 +1,205 @@
+/**
+ * Self-describing encrypted file container
+ * Everything needed to decrypt a file except the password travels with it, so a downloaded
+ * file can be decrypted on its own, without its metadata record:
+ *   'DVCF' | version (1 byte) | header length (uint32 BE) | header (JSON, UTF-8) | STREAM body
+ * The header holds the algorithm, KDF parameters, salt, original MIME type, and the filename
+ * encrypted under the file key; the chunk layout is in the STREAM header (see crypto.ts).
+ * Every byte before the body is additional data of every chunk, so a modified header fails
+ * to decrypt.
+ */
+
+import { deriveKey, generateSalt, encryptInWorker, decryptInWorker, ProgressCallback, STREAM_ENCRYPTION } from './crypto';
+import { DEFAULT_KDF, KdfParams } from './kdf';
+
+// Name stored in document metadata for files uploaded as containers
+export const CONTAINER_ENCRYPTION = 'aes-256-gcm-container';
+
+const CONTAINER_MAGIC = [0x44, 0x56, 0x43, 0x46]; // 'DVCF'
+const CONTAINER_VERSION = 1;
+const PREFIX_LENGTH = 9; // magic, version and header length
+const MAX_HEADER_LENGTH = 64 * 1024; // bytes
+const IV_LENGTH = 12; // bytes for AES-GCM
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+export interface ContainerHeader {
+  algorithm: typeof STREAM_ENCRYPTION;
+  kdf: KdfParams;
+  salt: string; // base64
+  mimeType: string;
+  filename: { iv: string; ciphertext: string }; // base64, AES-GCM under the file key
+}
+
+export interface DecryptedContainer {
+  blob: Blob; // typed with the original MIME type
+  filename: string;
+  mimeType: string;
+}
+
+/**
+ * Encrypt a file into a container
+ * The body is encrypted in chunks on a Web Worker (see encryptInWorker in crypto.ts)
+ * @param file - File to encrypt; its name and type go into the header
+ * @param password - User password
+ * @param onProgress - Called after every chunk
+ * @returns Promise with the container, and the salt and KDF parameters for the metadata record
+ */
+export async function encryptToContainer(
+  file: File,
+  password: string,
+  onProgress?: ProgressCallback
+): Promise<{ blob: Blob; salt: Uint8Array; kdf: KdfParams }> {
+  const salt = generateSalt();
+  const kdf = DEFAULT_KDF;
+  const key = await deriveKey(password, salt, kdf);
+
+  const filenameIv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const filenameCiphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: filenameIv },
+    key,
+    new TextEncoder().encode(file.name)
+  );
+
+  const header: ContainerHeader = {
+    algorithm: STREAM_ENCRYPTION,
+    kdf,
+    salt: bytesToBase64(salt),
+    mimeType: file.type || DEFAULT_MIME_TYPE,
+    filename: { iv: bytesToBase64(filenameIv), ciphertext: bytesToBase64(filenameCiphertext) },
+  };
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const prefix = new Uint8Array(PREFIX_LENGTH + headerBytes.length);
+  prefix.set(CONTAINER_MAGIC, 0);
+  prefix[4] = CONTAINER_VERSION;
+  new DataView(prefix.buffer).setUint32(5, headerBytes.length);
+  prefix.set(headerBytes, PREFIX_LENGTH);
+
+  const body = await encryptInWorker(file, key, { onProgress, additionalData: prefix });
+  return { blob: new Blob([prefix, body]), salt, kdf };
+}
+
+/**
+ * Check whether a Blob starts with a container header
+ * @param blob - Downloaded or locally chosen file
+ * @returns Promise<boolean> - True if the magic bytes match
+ */
+export async function isContainer(blob: Blob): Promise<boolean> {
+  const magic = new Uint8Array(await blob.slice(0, CONTAINER_MAGIC.length).arrayBuffer());
+  return magic.length === CONTAINER_MAGIC.length && CONTAINER_MAGIC.every((byte, i) => magic[i] === byte);
+}
+
+/**
+ * Read the header of a container, without the password
+ * @param blob - Container
+ * @returns Promise<ContainerHeader> - Parsed header (the filename stays encrypted)
+ * @throws Error if the Blob is not a container, or its version or header is not supported
+ */
+export async function readContainerHeader(blob: Blob): Promise<ContainerHeader> {
+  return (await readContainer(blob)).header;
+}
+
+/**
+ * Decrypt a container with the password alone
+ * @param blob - Container
+ * @param password - Password the file was encrypted with
+ * @param onProgress - Called after every chunk
+ * @returns Promise<DecryptedContainer> - Decrypted file, original filename and MIME type
+ * @throws Error if the Blob is not a container, the password is wrong, or the file was modified
+ */
+export async function decryptContainer(
+  blob: Blob,
+  password: string,
+  onProgress?: ProgressCallback
+): Promise<DecryptedContainer> {
+  const { header, prefix } = await readContainer(blob);
+  const key = await deriveKey(password, base64ToBytes(header.salt), header.kdf);
+
+  let filename: string;
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(header.filename.iv) },
+      key,
+      base64ToBytes(header.filename.ciphertext)
+    );
+    filename = new TextDecoder().decode(plaintext);
+  } catch {
+    // AES-GCM will throw if the password is wrong or the filename was changed
+    throw new Error('Failed to decrypt: wrong password, or the file was modified');
+  }
+
+  const decrypted = await decryptInWorker(blob.slice(prefix.length), key, { onProgress, additionalData: prefix });
+  return {
+    blob: new Blob([decrypted], { type: header.mimeType }),
+    filename,
+    mimeType: header.mimeType,
+  };
+}
+
+/**
+ * Helper function to read and validate the container prefix and header
+ */
+async function readContainer(blob: Blob): Promise<{ header: ContainerHeader; prefix: Uint8Array }> {
+  if (!(await isContainer(blob))) {
+    throw new Error('Not an encrypted file container');
+  }
+
+  const fixed = new Uint8Array(await blob.slice(0, PREFIX_LENGTH).arrayBuffer());
+  if (fixed.length < PREFIX_LENGTH) {
+    throw new Error('Failed to decrypt: the file is truncated');
+  }
+  if (fixed[4] !== CONTAINER_VERSION) {
+    throw new Error(`Unsupported container version ${fixed[4]}. Please update the app to open this file.`);
+  }
+
+  const headerLength = new DataView(fixed.buffer).getUint32(5);
+  if (headerLength > MAX_HEADER_LENGTH) {
+    throw new Error('Invalid container header');
+  }
+
+  const prefix = new Uint8Array(await blob.slice(0, PREFIX_LENGTH + headerLength).arrayBuffer());
+  if (prefix.length < PREFIX_LENGTH + headerLength) {
+    throw new Error('Failed to decrypt: the file is truncated');
+  }
+
+  let header: ContainerHeader;
+  try {
+    header = JSON.parse(new TextDecoder().decode(prefix.subarray(PREFIX_LENGTH)));
+  } catch {
+    throw new Error('Invalid container header');
+  }
+  if (
+    header?.algorithm !== STREAM_ENCRYPTION ||
+    typeof header.salt !== 'string' ||
+    typeof header.mimeType !== 'string' ||
+    typeof header.filename?.iv !== 'string' ||
+    typeof header.filename?.ciphertext !== 'string'
+  ) {
+    throw new Error(`Unsupported container algorithm: ${header?.algorithm}`);
+  }
+
+  return { header, prefix };
+}
+
+/**
+ * Helper function to convert bytes to base64
+ */
+function bytesToBase64(buffer: ArrayBuffer | Uint8Array): string {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Helper function to convert base64 to bytes
+ */
+function base64ToBytes(value: string): Uint8Array<ArrayBuffer> {
+  try {
+    return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+  } catch {
+    throw new Error('Invalid container header');
+  }
+}
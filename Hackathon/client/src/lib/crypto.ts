@@ -1,97 +1,207 @@
 /**
  * Client-side encryption utilities using Web Crypto API
- * AES-256-GCM with PBKDF2 key derivation
+ * AES-256-GCM with versioned passphrase key derivation (see kdf.ts)
+ *
+ * Files are encrypted in chunks (STREAM construction, Hoang et al. 2015), so they never have
+ * to fit in memory at once:
+ *   header: 'DVST' | version (1 byte) | chunk size (uint32 BE) | nonce prefix (7 bytes)
+ *   chunks: AES-GCM(chunk) with its 16-byte tag, every chunk but the last chunk size bytes long
+ * Chunk i uses the nonce prefix | i (uint32 BE) | 1 if it is the last chunk else 0, and the
+ * header, followed by the caller's additional data (e.g. a container header, see container.ts),
+ * as additional data. Reordered, dropped or appended chunks, and a file cut at a chunk
+ * boundary, fail to decrypt. Files encrypted before chunking are one AES-GCM ciphertext with
+ * the IV stored in their metadata (see decryptBlob).
  */
 
-// PBKDF2 configuration for key derivation
-const PBKDF2_ITERATIONS = 200000; // ≥200k iterations for security
+import { createSHA256 } from 'hash-wasm';
+import { derivePassphraseKey, KdfParams } from './kdf';
+
 const KEY_LENGTH = 256; // bits
 const SALT_LENGTH = 16; // bytes
 const IV_LENGTH = 12; // bytes for AES-GCM
 
+// Name stored in document metadata (and credential claims) for chunked files
+export const STREAM_ENCRYPTION = 'aes-256-gcm-stream';
+export const STREAM_CHUNK_SIZE = 1024 * 1024; // bytes of plaintext per chunk
+
+const STREAM_MAGIC = [0x44, 0x56, 0x53, 0x54]; // 'DVST'
+const STREAM_VERSION = 1;
+const STREAM_HEADER_LENGTH = 16; // bytes
+const NONCE_PREFIX_LENGTH = 7; // bytes
+const TAG_LENGTH = 16; // bytes
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const MAX_CHUNKS = 0xffffffff;
+
+export type ProgressCallback = (processedBytes: number, totalBytes: number) => void;
+
+export interface StreamOptions {
+  onProgress?: ProgressCallback;
+  additionalData?: Uint8Array; // authenticated with every chunk, not stored
+}
+
 /**
  * Compute SHA-256 hash of a Blob
  * @param blob - File or Blob to hash
  * @returns Promise<string> - 64-character hex string
  */
 export async function sha256Hex(blob: Blob): Promise<string> {
-  const arrayBuffer = await blob.arrayBuffer();
-  const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  return hashHex;
+  // WebCrypto can only digest a whole buffer; hash large files chunk by chunk instead
+  const hasher = await createSHA256();
+  for (let offset = 0; offset < blob.size; offset += STREAM_CHUNK_SIZE) {
+    hasher.update(new Uint8Array(await blob.slice(offset, offset + STREAM_CHUNK_SIZE).arrayBuffer()));
+  }
+  return hasher.digest('hex');
 }
 
 /**
- * Derive AES-256-GCM key from password using PBKDF2
+ * Derive AES-256-GCM key from password
  * @param password - User password
  * @param salt - 16-byte salt (Uint8Array)
+ * @param kdf - KDF parameters: DEFAULT_KDF for new files, the stored ones (or LEGACY_FILE_KDF) to decrypt
  * @returns Promise<CryptoKey> - Derived encryption key
  */
-export async function deriveKey(password: string, salt: Uint8Array): Promise<CryptoKey> {
+export async function deriveKey(password: string, salt: Uint8Array, kdf: KdfParams): Promise<CryptoKey> {
   if (salt.length !== SALT_LENGTH) {
     throw new Error(`Salt must be ${SALT_LENGTH} bytes`);
   }
 
-  const encoder = new TextEncoder();
-  const passwordKey = await crypto.subtle.importKey(
-    'raw',
-    encoder.encode(password),
-    'PBKDF2',
-    false,
-    ['deriveBits', 'deriveKey']
-  );
-
-  const key = await crypto.subtle.deriveKey(
-    {
-      name: 'PBKDF2',
-      salt: salt,
-      iterations: PBKDF2_ITERATIONS,
-      hash: 'SHA-256',
-    },
-    passwordKey,
-    {
-      name: 'AES-GCM',
-      length: KEY_LENGTH,
-    },
-    false, // not extractable
-    ['encrypt', 'decrypt']
-  );
-
-  return key;
+  return derivePassphraseKey(password, salt, kdf, { name: 'AES-GCM', length: KEY_LENGTH }, ['encrypt', 'decrypt']);
 }
 
 /**
- * Encrypt a Blob using AES-256-GCM
+ * Encrypt a Blob in chunks (see the format above)
+ * Runs on the calling thread; use encryptInWorker to keep the UI responsive
  * @param blob - File or Blob to encrypt
- * @param key - CryptoKey from deriveKey()
- * @returns Promise with encrypted Blob and IV
+ * @param key - AES-GCM key (e.g. from deriveKey())
+ * @param options - Plaintext bytes per chunk, a callback after every chunk, extra additional data
+ * @returns Promise<Blob> - Header and encrypted chunks
  */
-export async function encryptBlob(
+export async function encryptStream(
   blob: Blob,
-  key: CryptoKey
-): Promise<{ cipherBlob: Blob; iv: number[] }> {
-  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
-  const arrayBuffer = await blob.arrayBuffer();
+  key: CryptoKey,
+  { chunkSize = STREAM_CHUNK_SIZE, onProgress, additionalData }: StreamOptions & { chunkSize?: number } = {}
+): Promise<Blob> {
+  assertChunkSize(chunkSize);
+  const chunkCount = Math.max(1, Math.ceil(blob.size / chunkSize));
+  if (chunkCount > MAX_CHUNKS) {
+    throw new Error('File is too large to encrypt');
+  }
 
-  const encrypted = await crypto.subtle.encrypt(
-    {
-      name: 'AES-GCM',
-      iv: iv,
-    },
-    key,
-    arrayBuffer
-  );
+  const header = new Uint8Array(STREAM_HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  header.set(STREAM_MAGIC, 0);
+  header[4] = STREAM_VERSION;
+  view.setUint32(5, chunkSize);
+  crypto.getRandomValues(header.subarray(9, 9 + NONCE_PREFIX_LENGTH));
+  const chunkAdditionalData = concatBytes(header, additionalData);
+
+  // Chunks are kept as Blobs, which browsers can page out to disk
+  const parts: BlobPart[] = [header];
+  for (let index = 0; index < chunkCount; index++) {
+    const start = index * chunkSize;
+    const end = Math.min(blob.size, start + chunkSize);
+    const plaintext = await blob.slice(start, end).arrayBuffer();
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkNonce(header, index, index === chunkCount - 1), additionalData: chunkAdditionalData },
+      key,
+      plaintext
+    );
+    parts.push(new Blob([encrypted]));
+    onProgress?.(end, blob.size);
+  }
+
+  return new Blob(parts, { type: 'application/octet-stream' });
+}
+
+/**
+ * Decrypt a Blob encrypted with encryptStream
+ * Runs on the calling thread; use decryptInWorker to keep the UI responsive
+ * @param cipherBlob - Encrypted Blob
+ * @param key - AES-GCM key the Blob was encrypted with
+ * @param options - Callback after every chunk, and the additional data it was encrypted with
+ * @returns Promise<Blob> - Decrypted Blob
+ * @throws Error if the Blob is not chunk-encrypted, the key is wrong, or it was modified or truncated
+ */
+export async function decryptStream(
+  cipherBlob: Blob,
+  key: CryptoKey,
+  { onProgress, additionalData }: StreamOptions = {}
+): Promise<Blob> {
+  const header = new Uint8Array(await cipherBlob.slice(0, STREAM_HEADER_LENGTH).arrayBuffer());
+  if (!isStreamHeader(header)) {
+    throw new Error('Not a chunk-encrypted file');
+  }
+  if (header[4] !== STREAM_VERSION) {
+    throw new Error(`Unsupported encrypted file version ${header[4]}`);
+  }
+  const chunkSize = new DataView(header.buffer).getUint32(5);
+  assertChunkSize(chunkSize);
+  const chunkAdditionalData = concatBytes(header, additionalData);
+
+  const bodySize = cipherBlob.size - STREAM_HEADER_LENGTH;
+  const encryptedChunkSize = chunkSize + TAG_LENGTH;
+  const chunkCount = Math.ceil(bodySize / encryptedChunkSize);
+  if (bodySize < TAG_LENGTH || bodySize - (chunkCount - 1) * encryptedChunkSize < TAG_LENGTH) {
+    throw new Error('Failed to decrypt: the file is truncated');
+  }
+
+  const parts: BlobPart[] = [];
+  for (let index = 0; index < chunkCount; index++) {
+    const start = STREAM_HEADER_LENGTH + index * encryptedChunkSize;
+    const end = Math.min(cipherBlob.size, start + encryptedChunkSize);
+    let plaintext: ArrayBuffer;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: chunkNonce(header, index, index === chunkCount - 1), additionalData: chunkAdditionalData },
+        key,
+        await cipherBlob.slice(start, end).arrayBuffer()
+      );
+    } catch {
+      throw new Error(`Failed to decrypt chunk ${index + 1} of ${chunkCount}: wrong key, or the file was modified or truncated`);
+    }
+    parts.push(new Blob([plaintext]));
+    onProgress?.(end - STREAM_HEADER_LENGTH, bodySize);
+  }
 
-  const cipherBlob = new Blob([encrypted], { type: 'application/octet-stream' });
-  return {
-    cipherBlob,
-    iv: Array.from(iv), // Convert to array for serialization
-  };
+  return new Blob(parts);
 }
 
 /**
- * Decrypt a Blob using AES-256-GCM
+ * Check whether a Blob starts with the chunked encryption header
+ * @param blob - Encrypted Blob
+ * @returns Promise<boolean> - True for files written by encryptStream
+ */
+export async function isStreamEncrypted(blob: Blob): Promise<boolean> {
+  return isStreamHeader(new Uint8Array(await blob.slice(0, STREAM_HEADER_LENGTH).arrayBuffer()));
+}
+
+/**
+ * Encrypt a Blob in chunks on a Web Worker
+ * Falls back to the calling thread where workers are unavailable
+ * @param blob - File or Blob to encrypt
+ * @param key - AES-GCM key (structured-cloned to the worker, so it may be non-extractable)
+ * @param options - Callback after every chunk, extra additional data
+ * @returns Promise<Blob> - Encrypted Blob
+ */
+export function encryptInWorker(blob: Blob, key: CryptoKey, options: StreamOptions = {}): Promise<Blob> {
+  return runInWorker('encrypt', blob, key, options);
+}
+
+/**
+ * Decrypt a chunk-encrypted Blob on a Web Worker
+ * Falls back to the calling thread where workers are unavailable
+ * @param cipherBlob - Encrypted Blob
+ * @param key - AES-GCM key
+ * @param options - Callback after every chunk, and the additional data it was encrypted with
+ * @returns Promise<Blob> - Decrypted Blob
+ */
+export function decryptInWorker(cipherBlob: Blob, key: CryptoKey, options: StreamOptions = {}): Promise<Blob> {
+  return runInWorker('decrypt', cipherBlob, key, options);
+}
+
+/**
+ * Decrypt a Blob encrypted in one AES-256-GCM operation (files uploaded before chunking)
  * @param cipherBlob - Encrypted Blob
  * @param key - CryptoKey from deriveKey()
  * @param iv - Initialization vector (12-byte array)
@@ -122,7 +232,7 @@ export async function decryptBlob(
 }
 
 /**
- * Generate random salt for PBKDF2
+ * Generate random salt for key derivation
  * @returns Uint8Array - 16-byte salt
  */
 export function generateSalt(): Uint8Array {
@@ -142,3 +252,80 @@ export function uint8ArrayToNumbers(arr: Uint8Array): number[] {
 export function numbersToUint8Array(arr: number[]): Uint8Array {
   return new Uint8Array(arr);
 }
+
+/**
+ * Helper function to run a chunked operation on a Web Worker (see cryptoWorker.ts)
+ */
+function runInWorker(
+  operation: 'encrypt' | 'decrypt',
+  blob: Blob,
+  key: CryptoKey,
+  { onProgress, additionalData }: StreamOptions
+): Promise<Blob> {
+  if (typeof Worker === 'undefined') {
+    const options = { onProgress, additionalData };
+    return operation === 'encrypt' ? encryptStream(blob, key, options) : decryptStream(blob, key, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./cryptoWorker.ts', import.meta.url), { type: 'module' });
+    worker.onmessage = (event: MessageEvent) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        onProgress?.(message.processedBytes, message.totalBytes);
+        return;
+      }
+
+      worker.terminate();
+      if (message.type === 'done') {
+        resolve(message.blob);
+      } else {
+        reject(new Error(message.error));
+      }
+    };
+    worker.onerror = (event: ErrorEvent) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Encryption worker failed'));
+    };
+    worker.postMessage({ operation, blob, key, additionalData });
+  });
+}
+
+/**
+ * Helper function to build the nonce of a chunk
+ */
+function chunkNonce(header: Uint8Array, index: number, last: boolean): BufferSource {
+  const nonce = new Uint8Array(IV_LENGTH);
+  nonce.set(header.subarray(9, 9 + NONCE_PREFIX_LENGTH), 0);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, index);
+  nonce[IV_LENGTH - 1] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Helper function to append optional bytes to a header
+ */
+function concatBytes(header: Uint8Array, extra?: Uint8Array): BufferSource {
+  const bytes = new Uint8Array(header.length + (extra?.length ?? 0));
+  bytes.set(header, 0);
+  if (extra) {
+    bytes.set(extra, header.length);
+  }
+  return bytes;
+}
+
+/**
+ * Helper function to check the magic bytes of a header
+ */
+function isStreamHeader(header: Uint8Array): boolean {
+  return header.length === STREAM_HEADER_LENGTH && STREAM_MAGIC.every((byte, i) => header[i] === byte);
+}
+
+/**
+ * Helper function to check a chunk size (it comes from the file when decrypting)
+ */
+function assertChunkSize(chunkSize: number): void {
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    throw new Error(`Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+  }
+}
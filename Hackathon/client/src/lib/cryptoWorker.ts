@@ -0,0 +1,30 @@
+/**
+ * Web Worker running chunked file encryption off the UI thread (see encryptInWorker in crypto.ts)
+ * Receives { operation, blob, key, additionalData }; posts { type: 'progress' } after every chunk, then
+ * { type: 'done', blob } or { type: 'error', error }
+ */
+
+import { encryptStream, decryptStream } from './crypto';
+
+// The DOM lib types `self` as a window; in a worker it has the Worker messaging surface
+const worker = self as unknown as Worker;
+
+worker.onmessage = async (event: MessageEvent) => {
+  const { operation, blob, key, additionalData } = event.data as {
+    operation: 'encrypt' | 'decrypt';
+    blob: Blob;
+    key: CryptoKey;
+    additionalData?: Uint8Array;
+  };
+  const onProgress = (processedBytes: number, totalBytes: number) =>
+    worker.postMessage({ type: 'progress', processedBytes, totalBytes });
+
+  try {
+    const result = operation === 'encrypt'
+      ? await encryptStream(blob, key, { onProgress, additionalData })
+      : await decryptStream(blob, key, { onProgress, additionalData });
+    worker.postMessage({ type: 'done', blob: result });
+  } catch (error: any) {
+    worker.postMessage({ type: 'error', error: error.message });
+  }
+};
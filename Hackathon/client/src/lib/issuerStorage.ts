@@ -0,0 +1,39 @@
+/**
+ * Issuer storage: files go to the issuer service, which stores them with its own STORAGE_PROVIDER
+ * (R2 straight from the browser through pre-signed multipart URLs, resumable after a reload)
+ * The issuer only hands a file out to the holder of a credential naming it (utils/r2Retrieve),
+ * so there is no reading a file back by key alone
+ */
+
+import { uploadToR2 } from '../utils/r2Upload';
+import type { StorageProvider } from './storage';
+
+/**
+ * Storage provider of the credential pages (Upload, Retrieve)
+ * put uploads as the vault DID (the only one the issuer will later grant access to the file), so
+ * it needs the vault unlocked
+ */
+export const issuerStorage: StorageProvider = {
+  name: 'issuer',
+  label: 'Issuer storage',
+
+  async put(file, filename, options = {}) {
+    const { storageKey } = await uploadToR2(file, filename, {
+      onProgress: options.onProgress,
+      resumeData: options.resumeData,
+    });
+    return { key: storageKey, provider: 'issuer', url: null, size: file.size };
+  },
+
+  async get(key) {
+    throw new Error(`${key} is only handed out to the holder of its credential. Retrieve it with the credential`);
+  },
+
+  async head(key) {
+    throw new Error(`${key} is only handed out to the holder of its credential. Retrieve it with the credential`);
+  },
+
+  fileUrl() {
+    return null;
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * Versioned passphrase key derivation
+ * Every record encrypted under a passphrase stores the KdfParams it was derived with, so the
+ * default can be strengthened without breaking older records:
+ * - Argon2id (WASM, memory-hard) for everything encrypted from now on
+ * - PBKDF2-SHA256 for records written before KDF parameters were stored
+ */
+
+import { argon2id } from 'hash-wasm';
+
+export type KdfParams =
+  | { name: 'argon2id'; memorySize: number; iterations: number; parallelism: number }
+  | { name: 'pbkdf2'; hash: 'SHA-256'; iterations: number };
+
+// RFC 9106 recommendation for memory-constrained environments: 64 MiB, 3 passes
+export const DEFAULT_KDF: KdfParams = {
+  name: 'argon2id',
+  memorySize: 65536, // KiB
+  iterations: 3,
+  parallelism: 1,
+};
+
+// Records without KDF parameters: the old credential vault and the secure upload pages
+export const LEGACY_VAULT_KDF: KdfParams = { name: 'pbkdf2', hash: 'SHA-256', iterations: 100000 };
+export const LEGACY_FILE_KDF: KdfParams = { name: 'pbkdf2', hash: 'SHA-256', iterations: 200000 };
+
+// Parameters come from stored records: reject values that would hang the browser or weaken the key
+const MAX_ARGON2_MEMORY = 1048576; // KiB (1 GiB)
+const MAX_ITERATIONS = 10000000;
+
+const KEY_LENGTH = 32; // bytes
+
+/**
+ * Derive a key from a passphrase
+ * @param passphrase - User passphrase
+ * @param salt - Random salt stored with the record
+ * @param kdf - KDF parameters stored with the record (DEFAULT_KDF for new records)
+ * @param algorithm - Algorithm of the derived 256-bit key (e.g. AES-GCM, AES-KW)
+ * @param usages - Usages of the derived key
+ * @param extractable - Only when the key itself must be wrapped (passkey unlock); false otherwise
+ * @returns Promise<CryptoKey> - Derived key
+ */
+export async function derivePassphraseKey(
+  passphrase: string,
+  salt: Uint8Array,
+  kdf: KdfParams,
+  algorithm: AesKeyAlgorithm,
+  usages: KeyUsage[],
+  extractable = false
+): Promise<CryptoKey> {
+  assertSupportedKdf(kdf);
+
+  const encoder = new TextEncoder();
+
+  if (kdf.name === 'pbkdf2') {
+    const passphraseKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: new Uint8Array(salt),
+        iterations: kdf.iterations,
+        hash: kdf.hash,
+      },
+      passphraseKey,
+      { name: algorithm.name, length: KEY_LENGTH * 8 },
+      extractable,
+      usages
+    );
+  }
+
+  const keyBytes = await argon2id({
+    password: encoder.encode(passphrase),
+    salt,
+    memorySize: kdf.memorySize,
+    iterations: kdf.iterations,
+    parallelism: kdf.parallelism,
+    hashLength: KEY_LENGTH,
+    outputType: 'binary',
+  });
+
+  try {
+    return await crypto.subtle.importKey('raw', keyBytes as BufferSource, { name: algorithm.name }, extractable, usages);
+  } finally {
+    // The raw key only needs to live until WebCrypto holds it
+    keyBytes.fill(0);
+  }
+}
+
+/**
+ * Check that stored KDF parameters are ones this client can derive with
+ * @param kdf - KDF parameters read from a record
+ * @throws Error if the KDF is unknown or its parameters are out of range
+ */
+export function assertSupportedKdf(kdf: KdfParams): void {
+  const inRange = (value: unknown, min: number, max: number) =>
+    Number.isInteger(value) && (value as number) >= min && (value as number) <= max;
+
+  if (kdf?.name === 'argon2id') {
+    if (
+      !inRange(kdf.memorySize, 8 * kdf.parallelism, MAX_ARGON2_MEMORY) ||
+      !inRange(kdf.iterations, 1, 100) ||
+      !inRange(kdf.parallelism, 1, 16)
+    ) {
+      throw new Error('Unsupported Argon2id parameters');
+    }
+    return;
+  }
+
+  if (kdf?.name === 'pbkdf2') {
+    if (kdf.hash !== 'SHA-256' || !inRange(kdf.iterations, 100000, MAX_ITERATIONS)) {
+      throw new Error('Unsupported PBKDF2 parameters');
+    }
+    return;
+  }
+
+  throw new Error(`Unsupported key derivation function: ${(kdf as { name?: string })?.name}`);
+}
@@ -1,135 +1,135 @@
 /**
  * Lighthouse.Storage integration for decentralized file storage
- * Handles both client-side (dev) and server-side (production) uploads
- * Falls back to mock storage if Lighthouse is unavailable
+ * Storage provider for uploads from the browser (dev only); production goes through the backend
+ * (see storage.ts), which keeps the API key on the server
  */
 
 import lighthouse from '@lighthouse-web3/sdk';
-import { mockUploadToStorage, mockFetchFromStorage } from './mockStorage';
+import type { StorageProvider } from './storage';
 
 const LIGHTHOUSE_API_KEY = import.meta.env.VITE_LIGHTHOUSE_API_KEY;
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
-const USE_MOCK_STORAGE = import.meta.env.VITE_USE_MOCK_STORAGE === 'true';
+const LIGHTHOUSE_API_URL = 'https://api.lighthouse.storage/api';
+const GATEWAY_URL = 'https://gateway.lighthouse.storage/ipfs';
 
 /**
- * Upload encrypted file to Lighthouse (client-side - dev only)
- * WARNING: This exposes API key in client bundle. Use server-side upload for production.
- * Falls back to mock storage if Lighthouse is unavailable.
- * @param file - Encrypted file Blob
- * @param filename - Original filename
- * @returns Promise with CID and gateway URL
+ * IPFS storage through Lighthouse
+ * WARNING: This exposes API key in client bundle. Use the backend provider for production.
+ * Keys are CIDs: a file can't be replaced, and deleting only unpins it from Lighthouse
  */
-export async function uploadToLighthouse(
-  file: Blob,
-  filename: string
-): Promise<{ cid: string; gatewayUrl: string }> {
-  // Use mock storage if enabled
-  if (USE_MOCK_STORAGE) {
-    console.warn('🧪 Using MOCK storage (localStorage) - not real IPFS!');
-    return await mockUploadToStorage(file, filename);
-  }
-
-  if (!LIGHTHOUSE_API_KEY) {
-    throw new Error('VITE_LIGHTHOUSE_API_KEY not configured. Add it to .env file or enable mock storage with VITE_USE_MOCK_STORAGE=true');
-  }
+export const lighthouseStorage: StorageProvider = {
+  name: 'lighthouse',
+  label: 'IPFS (Lighthouse)',
 
-  try {
-    // Convert Blob to File object
-    const fileObj = new File([file], filename, { type: file.type });
+  async put(file, filename) {
+    const apiKey = requireApiKey();
 
-    // Upload using Lighthouse SDK with timeout
-    const response = await Promise.race([
-      lighthouse.upload([fileObj], LIGHTHOUSE_API_KEY),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Upload timeout after 30 seconds')), 30000)
-      )
-    ]) as any;
+    try {
+      // Convert Blob to File object
+      const fileObj = new File([file], filename, { type: file.type });
+
+      // Upload using Lighthouse SDK with timeout
+      const response = await Promise.race([
+        lighthouse.upload([fileObj], apiKey),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Upload timeout after 30 seconds')), 30000)
+        )
+      ]) as any;
+
+      if (!response || !response.data || !response.data.Hash) {
+        throw new Error('Invalid response from Lighthouse');
+      }
+
+      const cid = response.data.Hash;
+      return { key: cid, provider: 'lighthouse', url: lighthouseStorage.fileUrl(cid), size: file.size };
+    } catch (error: any) {
+      console.error('Lighthouse upload error:', error);
+
+      // Suggest mock storage when Lighthouse can't be reached
+      if (error.message.includes('timeout') || error.message.includes('Failed to fetch')) {
+        console.warn('⚠️ Lighthouse unavailable. Consider using mock storage with VITE_STORAGE_PROVIDER=mock in .env');
+      }
+
+      throw new Error(`Failed to upload to Lighthouse: ${error.message}`);
+    }
+  },
 
-    if (!response || !response.data || !response.data.Hash) {
-      throw new Error('Invalid response from Lighthouse');
+  async get(cid) {
+    const response = await fetch(lighthouseStorage.fileUrl(cid)!);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch from Lighthouse: HTTP ${response.status}: ${response.statusText}`);
     }
+    return response.blob();
+  },
 
-    const cid = response.data.Hash;
-    const gatewayUrl = `https://gateway.lighthouse.storage/ipfs/${cid}`;
+  async head(cid) {
+    const response = await fetch(lighthouseStorage.fileUrl(cid)!, { method: 'HEAD' });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Lighthouse gateway responded with HTTP ${response.status}`);
+    }
+    return {
+      key: cid,
+      size: Number(response.headers.get('Content-Length')),
+      contentType: response.headers.get('Content-Type') || undefined,
+      lastModified: response.headers.get('Last-Modified') || undefined,
+    };
+  },
 
-    return { cid, gatewayUrl };
-  } catch (error: any) {
-    console.error('Lighthouse upload error:', error);
-    
-    // Offer to use mock storage as fallback
-    if (error.message.includes('timeout') || error.message.includes('Failed to fetch')) {
-      console.warn('⚠️ Lighthouse unavailable. Consider enabling mock storage with VITE_USE_MOCK_STORAGE=true in .env');
+  async delete(cid) {
+    const upload = (await listUploads()).find(file => file.cid === cid);
+    if (!upload) {
+      throw new Error(`File not found: ${cid}`);
     }
-    
-    throw new Error(`Failed to upload to Lighthouse: ${error.message}`);
-  }
-}
 
-/**
- * Upload encrypted file via backend (production-ready)
- * Keeps API key secure on server
- * @param file - Encrypted file Blob
- * @param filename - Original filename
- * @returns Promise with CID and gateway URL
- */
-export async function uploadViaBackend(
-  file: Blob,
-  filename: string
-): Promise<{ cid: string; gatewayUrl: string }> {
-  try {
-    const formData = new FormData();
-    formData.append('file', file, filename);
-
-    const response = await fetch(`${BACKEND_URL}/api/upload`, {
-      method: 'POST',
-      body: formData,
+    // The SDK has no delete; this is the endpoint the Lighthouse dashboard uses
+    const response = await fetch(`${LIGHTHOUSE_API_URL}/user/delete_file?id=${encodeURIComponent(upload.id)}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${requireApiKey()}` },
     });
-
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Upload failed');
+      throw new Error(`Lighthouse delete failed with HTTP ${response.status}`);
     }
+  },
+
+  async list() {
+    return (await listUploads()).map(file => ({
+      key: file.cid,
+      size: Number(file.fileSizeInBytes),
+      contentType: file.mimeType,
+      lastModified: new Date(file.createdAt).toISOString(),
+    }));
+  },
+
+  fileUrl(cid) {
+    return `${GATEWAY_URL}/${cid}`;
+  },
+};
 
-    const data = await response.json();
-    return {
-      cid: data.cid,
-      gatewayUrl: data.gatewayUrl,
-    };
-  } catch (error: any) {
-    console.error('Backend upload error:', error);
-    throw new Error(`Failed to upload via backend: ${error.message}`);
+/**
+ * Helper: The API key, which uploads, listing and deleting need
+ */
+function requireApiKey(): string {
+  if (!LIGHTHOUSE_API_KEY) {
+    throw new Error('VITE_LIGHTHOUSE_API_KEY not configured. Add it to .env file or use mock storage with VITE_STORAGE_PROVIDER=mock');
   }
+  return LIGHTHOUSE_API_KEY;
 }
 
 /**
- * Fetch file from Lighthouse gateway or mock storage
- * @param cid - IPFS CID
- * @returns Promise<Blob> - Downloaded file
+ * Helper: All uploads of the account (Lighthouse lists them a page at a time)
  */
-export async function fetchFromLighthouse(cid: string): Promise<Blob> {
-  // Check if it's a mock CID
-  if (cid.startsWith('Qm') && USE_MOCK_STORAGE) {
-    return await mockFetchFromStorage(cid);
-  }
-
-  try {
-    const url = `https://gateway.lighthouse.storage/ipfs/${cid}`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return await response.blob();
-  } catch (error: any) {
-    console.error('Lighthouse fetch error:', error);
-    
-    // Try mock storage as fallback
-    try {
-      console.warn('⚠️ Trying mock storage as fallback...');
-      return await mockFetchFromStorage(cid);
-    } catch {
-      throw new Error(`Failed to fetch from Lighthouse: ${error.message}`);
-    }
-  }
+async function listUploads() {
+  const apiKey = requireApiKey();
+  const uploads = [];
+  let lastKey: string | null = null;
+  do {
+    const { data } = await lighthouse.getUploads(apiKey, lastKey);
+    uploads.push(...data.fileList);
+    lastKey = data.fileList.length > 0 && uploads.length < data.totalFiles
+      ? data.fileList[data.fileList.length - 1].id
+      : null;
+  } while (lastKey);
+  return uploads;
 }
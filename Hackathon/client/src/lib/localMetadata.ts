@@ -3,18 +3,26 @@
  * Stores document metadata in localStorage
  */
 
+import type { KdfParams } from './kdf';
+import type { StorageProviderName } from './storage';
+import type { STREAM_ENCRYPTION } from './crypto';
+import type { CONTAINER_ENCRYPTION } from './container';
+
 const LOCAL_METADATA_KEY = 'local_document_metadata';
 
 export interface LocalDocumentMetadata {
   id: string;
   filename: string;
-  cid: string;
+  cid: string; // storage key of the encrypted file (an IPFS CID on Lighthouse)
+  storageProvider?: StorageProviderName; // absent on files uploaded before providers were recorded (Lighthouse)
   sha256: string;
   encryptedSize: number;
   timestamp: string;
   ownerAddress: string;
-  iv: number[];
+  encryption?: typeof STREAM_ENCRYPTION | typeof CONTAINER_ENCRYPTION; // absent on files encrypted in one AES-GCM operation
+  iv?: number[]; // only on files encrypted in one AES-GCM operation (chunked files and containers carry their nonces)
   salt: number[];
+  kdf?: KdfParams;
   txHash?: string;
 }
 
@@ -78,6 +86,20 @@ export function updateLocalTxHash(id: string, txHash: string): void {
   }
 }
 
+/**
+ * Save metadata locally, replacing the entry with the same ID if there is one
+ */
+export function putLocalMetadata(metadata: LocalDocumentMetadata): void {
+  const all = getLocalMetadata();
+  const index = all.findIndex(m => m.id === metadata.id);
+  if (index === -1) {
+    all.push(metadata);
+  } else {
+    all[index] = metadata;
+  }
+  localStorage.setItem(LOCAL_METADATA_KEY, JSON.stringify(all));
+}
+
 /**
  * Clear all local metadata
  */
@@ -2,29 +2,40 @@
  * Backend API client for metadata management
  */
 
+import type { KdfParams } from './kdf';
+import type { StorageProviderName } from './storage';
+import type { STREAM_ENCRYPTION } from './crypto';
+import type { CONTAINER_ENCRYPTION } from './container';
+
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
 
 export interface DocumentMetadata {
   id: string;
   filename: string;
-  cid: string;
+  cid: string; // storage key of the encrypted file (an IPFS CID on Lighthouse)
+  storageProvider?: StorageProviderName; // absent on files uploaded before providers were recorded (Lighthouse)
   sha256: string;
   encryptedSize: number;
   timestamp: string;
   ownerAddress: string;
-  iv: number[];
+  encryption?: typeof STREAM_ENCRYPTION | typeof CONTAINER_ENCRYPTION; // absent on files encrypted in one AES-GCM operation
+  iv?: number[]; // only on files encrypted in one AES-GCM operation (chunked files and containers carry their nonces)
   salt: number[];
+  kdf?: KdfParams; // absent on files encrypted before KDF parameters were stored (LEGACY_FILE_KDF)
   txHash?: string;
 }
 
 export interface CreateMetadataRequest {
   filename: string;
-  cid: string;
+  cid: string; // storage key of the encrypted file (an IPFS CID on Lighthouse)
+  storageProvider?: StorageProviderName; // absent on files uploaded before providers were recorded (Lighthouse)
   sha256: string;
   encryptedSize: number;
   ownerAddress: string;
-  iv: number[];
+  encryption?: typeof STREAM_ENCRYPTION | typeof CONTAINER_ENCRYPTION; // absent on files encrypted in one AES-GCM operation
+  iv?: number[]; // only on files encrypted in one AES-GCM operation (chunked files and containers carry their nonces)
   salt: number[];
+  kdf?: KdfParams; // absent on files encrypted before KDF parameters were stored (LEGACY_FILE_KDF)
 }
 
 /**
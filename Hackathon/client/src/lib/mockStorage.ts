@@ -4,6 +4,8 @@
  * FOR DEVELOPMENT/TESTING ONLY - NOT FOR PRODUCTION
  */
 
+import type { StorageProvider } from './storage';
+
 const MOCK_STORAGE_PREFIX = 'mock_ipfs_';
 
 /**
@@ -64,6 +66,39 @@ export async function mockFetchFromStorage(cid: string): Promise<Blob> {
   return base64ToBlob(data, type);
 }
 
+/**
+ * Mock storage provider (VITE_STORAGE_PROVIDER=mock)
+ * Files stay in this browser; keys look like IPFS CIDs
+ */
+export const mockStorage: StorageProvider = {
+  name: 'mock',
+  label: 'Mock storage (localStorage)',
+
+  async put(file, filename) {
+    const { cid } = await mockUploadToStorage(file, filename);
+    return { key: cid, provider: 'mock', url: null, size: file.size };
+  },
+
+  get: mockFetchFromStorage,
+
+  async head(cid) {
+    const file = listMockFiles().find(file => file.cid === cid);
+    return file ? { key: cid, size: file.size, lastModified: file.timestamp } : null;
+  },
+
+  async delete(cid) {
+    localStorage.removeItem(`${MOCK_STORAGE_PREFIX}${cid}`);
+  },
+
+  async list() {
+    return listMockFiles().map(file => ({ key: file.cid, size: file.size, lastModified: file.timestamp }));
+  },
+
+  fileUrl() {
+    return null;
+  },
+};
+
 /**
  * Helper: Convert Blob to base64
  */
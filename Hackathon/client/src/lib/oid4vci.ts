@@ -0,0 +1,74 @@
+/**
+ * OID4VCI Credential Offer Library
+ * Authenticates the holder's did:pkh with the issuer (DID-Auth) and requests
+ * pre-authorized credential offers that any OID4VCI wallet can redeem
+ */
+
+import { signChallenge } from './did';
+
+const ISSUER_API_URL = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
+
+export interface CredentialOffer {
+  credentialOfferUri: string;
+  txCode: string;
+  expiresIn: number;
+}
+
+/**
+ * Run the DID-Auth challenge/response with MetaMask
+ * @param did - did:pkh of the connected account
+ * @returns Promise<string> - Session token for issuer endpoints
+ */
+export async function authenticateDid(did: string): Promise<string> {
+  const challengeResponse = await fetch(
+    `${ISSUER_API_URL}/issuer/challenge?did=${encodeURIComponent(did)}`
+  );
+  const challengeData = await challengeResponse.json();
+  if (!challengeResponse.ok || !challengeData.success) {
+    throw new Error(challengeData.error || 'Failed to get challenge');
+  }
+
+  const { signature } = await signChallenge(challengeData.challenge);
+
+  const verifyResponse = await fetch(`${ISSUER_API_URL}/issuer/verify-challenge`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ did, challenge: challengeData.challenge, signature })
+  });
+  const verifyData = await verifyResponse.json();
+  if (!verifyResponse.ok || !verifyData.success) {
+    throw new Error(verifyData.error || 'DID-Auth failed');
+  }
+
+  return verifyData.sessionToken;
+}
+
+/**
+ * Create a pre-authorized credential offer for a DocumentCredential
+ * @param sessionToken - DID-Auth session token
+ * @param credentialSubject - Credential claims (the wallet's DID becomes the subject id)
+ * @returns Promise<CredentialOffer> - Offer URI to render as a QR code, plus the transaction code
+ */
+export async function createCredentialOffer(
+  sessionToken: string,
+  credentialSubject: Record<string, string>
+): Promise<CredentialOffer> {
+  const response = await fetch(`${ISSUER_API_URL}/issuer/oid4vci/offer`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${sessionToken}`
+    },
+    body: JSON.stringify({ credentialSubject })
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Failed to create credential offer');
+  }
+
+  return {
+    credentialOfferUri: data.credentialOfferUri,
+    txCode: data.txCode,
+    expiresIn: data.expiresIn
+  };
+}
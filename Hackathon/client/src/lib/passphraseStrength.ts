@@ -0,0 +1,69 @@
+/**
+ * Passphrase strength policy
+ * zxcvbn estimates how many guesses a passphrase takes (dictionary words, keyboard
+ * patterns, dates, l33t substitutions...) and rates it from 0 (too guessable) to 4.
+ * New passphrases must reach both minimums below.
+ */
+
+import { zxcvbn, zxcvbnOptions } from '@zxcvbn-ts/core';
+import * as zxcvbnCommonPackage from '@zxcvbn-ts/language-common';
+import * as zxcvbnEnPackage from '@zxcvbn-ts/language-en';
+
+export const MIN_PASSPHRASE_LENGTH = 12;
+export const MIN_PASSPHRASE_SCORE = 3; // "safely unguessable"
+
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+zxcvbnOptions.setOptions({
+  translations: zxcvbnEnPackage.translations,
+  graphs: zxcvbnCommonPackage.adjacencyGraphs,
+  dictionary: {
+    ...zxcvbnCommonPackage.dictionary,
+    ...zxcvbnEnPackage.dictionary,
+  },
+});
+
+export interface PassphraseStrength {
+  score: number; // 0-4
+  label: string;
+  acceptable: boolean;
+  feedback: string[];
+}
+
+/**
+ * Rate a passphrase against the policy
+ * @param passphrase - Passphrase to rate
+ * @param userInputs - Words the passphrase should not be built from (email, name...)
+ * @returns PassphraseStrength - Score, label, whether it meets the policy, and hints
+ */
+export function checkPassphraseStrength(passphrase: string, userInputs: string[] = []): PassphraseStrength {
+  const result = zxcvbn(passphrase, userInputs);
+
+  const feedback: string[] = [];
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    feedback.push(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  if (result.feedback.warning) {
+    feedback.push(result.feedback.warning);
+  }
+  feedback.push(...result.feedback.suggestions);
+
+  return {
+    score: result.score,
+    label: STRENGTH_LABELS[result.score],
+    acceptable: passphrase.length >= MIN_PASSPHRASE_LENGTH && result.score >= MIN_PASSPHRASE_SCORE,
+    feedback,
+  };
+}
+
+/**
+ * Reject a new passphrase that does not meet the policy
+ * @param passphrase - Passphrase about to protect new data
+ * @throws Error explaining how to strengthen it
+ */
+export function assertPassphraseStrength(passphrase: string): void {
+  const strength = checkPassphraseStrength(passphrase);
+  if (!strength.acceptable) {
+    throw new Error(`Passphrase is too weak. ${strength.feedback.join(' ')}`.trim());
+  }
+}
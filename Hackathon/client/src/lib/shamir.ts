@@ -0,0 +1,105 @@
+/**
+ * Shamir secret sharing over GF(256)
+ * Every byte of the secret is the constant term of its own random polynomial of degree
+ * threshold - 1; a share is the polynomial values at one non-zero x. Any threshold shares
+ * give the secret back by Lagrange interpolation at x = 0, fewer reveal nothing about it.
+ * A share is encoded as one byte of x followed by one byte of y per secret byte.
+ */
+
+export const MAX_SHARES = 255;
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0); // x * 3
+}
+
+function mul(a: number, b: number): number {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a: number, b: number): number {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares
+ * @param secret - Secret bytes (e.g. a raw key)
+ * @param shareCount - Number of shares to create (2-255)
+ * @param threshold - Number of shares needed to recover the secret (2-shareCount)
+ * @returns Shares, x = 1..shareCount
+ * @throws Error if the counts are out of range or the secret is empty
+ */
+export function splitSecret(secret: Uint8Array, shareCount: number, threshold: number): Uint8Array[] {
+  if (!Number.isInteger(shareCount) || shareCount < 2 || shareCount > MAX_SHARES) {
+    throw new Error(`The number of shares must be between 2 and ${MAX_SHARES}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > shareCount) {
+    throw new Error('The number of shares needed must be at least 2 and at most the number of shares');
+  }
+  if (secret.length === 0) {
+    throw new Error('Nothing to split');
+  }
+
+  const shares = Array.from({ length: shareCount }, (_, i) => {
+    const share = new Uint8Array(secret.length + 1);
+    share[0] = i + 1;
+    return share;
+  });
+
+  const coefficients = new Uint8Array(threshold);
+  for (let byte = 0; byte < secret.length; byte++) {
+    coefficients[0] = secret[byte];
+    crypto.getRandomValues(coefficients.subarray(1));
+
+    for (const share of shares) {
+      // Horner's rule, highest coefficient first
+      let y = 0;
+      for (let k = threshold - 1; k >= 0; k--) {
+        y = mul(y, share[0]) ^ coefficients[k];
+      }
+      share[byte + 1] = y;
+    }
+  }
+  coefficients.fill(0);
+
+  return shares;
+}
+
+/**
+ * Recover a secret from shares
+ * Shares from another split, or fewer than its threshold, give a wrong secret rather than
+ * an error: callers must check the result (e.g. against a key check value)
+ * @param shares - At least threshold shares from one splitSecret call
+ * @returns Secret bytes
+ * @throws Error if there are fewer than two shares, or they are malformed or repeated
+ */
+export function combineShares(shares: Uint8Array[]): Uint8Array {
+  if (shares.length < 2) {
+    throw new Error('At least two shares are needed');
+  }
+
+  const length = shares[0].length;
+  const xs = shares.map(share => share[0]);
+  if (length < 2 || shares.some(share => share.length !== length) || xs.includes(0)) {
+    throw new Error('The shares are malformed or come from different secrets');
+  }
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('The same share was given twice');
+  }
+
+  // Lagrange basis polynomials evaluated at x = 0
+  const basis = xs.map((xi, i) =>
+    xs.reduce((product, xj, j) => (i === j ? product : mul(product, div(xj, xj ^ xi))), 1)
+  );
+
+  const secret = new Uint8Array(length - 1);
+  for (let byte = 0; byte < secret.length; byte++) {
+    secret[byte] = shares.reduce((sum, share, i) => sum ^ mul(share[byte + 1], basis[i]), 0);
+  }
+  return secret;
+}
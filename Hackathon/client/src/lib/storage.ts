@@ -0,0 +1,144 @@
+/**
+ * Storage providers for encrypted documents
+ * VITE_STORAGE_PROVIDER picks where uploads go:
+ * - backend: the backend's /api/upload, which stores with its own STORAGE_PROVIDER (IPFS, R2, disk, memory)
+ * - lighthouse: IPFS straight from the browser (dev only, exposes the API key)
+ * - mock: browser localStorage (testing only)
+ * Documents record the provider they were stored with, so they are read back from the same one
+ * Credential-backed documents always go to the issuer provider, which hands them out against the credential
+ */
+
+import { issuerStorage } from './issuerStorage';
+import { lighthouseStorage } from './lighthouse';
+import { mockStorage } from './mockStorage';
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+
+export type StorageProviderName = 'backend' | 'issuer' | 'lighthouse' | 'mock';
+
+export interface StoredFile {
+  key: string; // Storage key (CID for IPFS); saved as the document's cid
+  provider: StorageProviderName;
+  url: string | null; // Where the encrypted file can be viewed, if anywhere
+  size: number;
+}
+
+export interface PutOptions {
+  onProgress?: (uploadedBytes: number, totalBytes: number) => void;
+  resumeData?: object; // Kept, sealed with the vault, with an upload that can be resumed (issuer provider)
+}
+
+export interface StoredFileInfo {
+  key: string;
+  size: number;
+  contentType?: string;
+  lastModified?: string;
+}
+
+export interface StorageProvider {
+  name: StorageProviderName;
+  label: string; // For display, e.g. "IPFS (Lighthouse)"
+  put(file: Blob, filename: string, options?: PutOptions): Promise<StoredFile>;
+  get(key: string): Promise<Blob>;
+  head(key: string): Promise<StoredFileInfo | null>; // null if there is no such file
+  // Only providers whose files belong to this browser can delete and list them
+  delete?(key: string): Promise<void>;
+  list?(): Promise<StoredFileInfo[]>;
+  fileUrl(key: string): string | null;
+}
+
+/**
+ * Backend storage: files go through the backend, so no storage credentials reach the browser
+ * Listing and deleting take the backend's API key, which stays with admin tools: not in this bundle
+ */
+export const backendStorage: StorageProvider = {
+  name: 'backend',
+  label: 'Backend storage',
+
+  async put(file, filename) {
+    const formData = new FormData();
+    formData.append('file', file, filename);
+
+    const result = await backendRequest('/api/upload', { method: 'POST', body: formData }, 'Upload failed');
+    return { key: result.key, provider: 'backend', url: backendStorage.fileUrl(result.key), size: result.size };
+  },
+
+  async get(key) {
+    const response = await fetch(backendStorage.fileUrl(key)!);
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? `File not found: ${key}` : `Download failed with status ${response.status}`);
+    }
+    return response.blob();
+  },
+
+  async head(key) {
+    const response = await fetch(backendStorage.fileUrl(key)!, { method: 'HEAD' });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+    return {
+      key,
+      size: Number(response.headers.get('Content-Length')),
+      contentType: response.headers.get('Content-Type') || undefined,
+      lastModified: response.headers.get('Last-Modified') || undefined,
+    };
+  },
+
+  fileUrl(key) {
+    return `${BACKEND_URL}/api/files/${encodeURIComponent(key)}`;
+  },
+};
+
+const PROVIDERS: Record<StorageProviderName, StorageProvider> = {
+  backend: backendStorage,
+  issuer: issuerStorage,
+  lighthouse: lighthouseStorage,
+  mock: mockStorage,
+};
+
+/**
+ * The provider uploads go to
+ * VITE_USE_MOCK_STORAGE=true still selects mock storage when no provider is configured
+ */
+export const ACTIVE_STORAGE_PROVIDER: StorageProviderName =
+  import.meta.env.VITE_STORAGE_PROVIDER ||
+  (import.meta.env.VITE_USE_MOCK_STORAGE === 'true' ? 'mock' : 'lighthouse');
+
+/**
+ * Get a storage provider
+ * @param name - Provider name; defaults to the configured one
+ * @throws Error if there is no such provider
+ */
+export function getStorageProvider(name: StorageProviderName = ACTIVE_STORAGE_PROVIDER): StorageProvider {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown storage provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Get the provider a document was stored with
+ * Documents from before providers were recorded went to Lighthouse, or mock storage (Qm... keys) when it was enabled
+ */
+export function getDocumentStorage(document: { cid: string; storageProvider?: StorageProviderName }): StorageProvider {
+  if (document.storageProvider) {
+    return getStorageProvider(document.storageProvider);
+  }
+  return ACTIVE_STORAGE_PROVIDER === 'mock' && document.cid.startsWith('Qm') ? mockStorage : lighthouseStorage;
+}
+
+/**
+ * Helper function to call the backend's JSON endpoints
+ */
+async function backendRequest(path: string, init: RequestInit, failure: string): Promise<any> {
+  const response = await fetch(`${BACKEND_URL}${path}`, init);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || failure);
+  }
+  return result;
+}
@@ -4,12 +4,14 @@
  */
 
 import { useState } from 'react';
+import QRCode from 'qrcode';
 import { 
   getConnectedAddress, 
   createDidPkh, 
   formatDidDocument, 
   getChainId 
 } from '../lib/did';
+import { authenticateDid, createCredentialOffer, CredentialOffer } from '../lib/oid4vci';
 import toast from 'react-hot-toast';
 
 export default function DidPanel() {
@@ -19,6 +21,10 @@ export default function DidPanel() {
   const [chainId, setChainId] = useState<number>(0);
   const [loading, setLoading] = useState(false);
   const [showDocument, setShowDocument] = useState(false);
+  const [offerClaims, setOfferClaims] = useState({ name: '', documentCid: '', documentSha256: '' });
+  const [offer, setOffer] = useState<CredentialOffer | null>(null);
+  const [offerQrCode, setOfferQrCode] = useState<string>('');
+  const [creatingOffer, setCreatingOffer] = useState(false);
 
   /**
    * Connect wallet and generate DID
@@ -80,6 +86,31 @@ export default function DidPanel() {
     });
   };
 
+  /**
+   * Authenticate with DID-Auth and create an OID4VCI credential offer for a wallet
+   */
+  const handleCreateOffer = async () => {
+    if (!offerClaims.name || !offerClaims.documentCid) {
+      toast.error('Document name and CID are required');
+      return;
+    }
+
+    setCreatingOffer(true);
+    try {
+      const sessionToken = await authenticateDid(did);
+      const credentialOffer = await createCredentialOffer(sessionToken, offerClaims);
+
+      setOffer(credentialOffer);
+      setOfferQrCode(await QRCode.toDataURL(credentialOffer.credentialOfferUri));
+      toast.success('Credential offer created');
+    } catch (error: any) {
+      console.error('Failed to create credential offer:', error);
+      toast.error(error.message || 'Failed to create credential offer');
+    } finally {
+      setCreatingOffer(false);
+    }
+  };
+
   return (
     <div className="max-w-4xl mx-auto px-4 py-12">
       <h1 className="text-3xl font-bold mb-2">DID Management</h1>
@@ -189,6 +220,68 @@ export default function DidPanel() {
             )}
           </div>
 
+          {/* OID4VCI Credential Offer */}
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-2">Send a Credential to a Wallet</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Create an OpenID4VCI credential offer and scan it with any compatible wallet.
+              The wallet proves its own DID and receives a DocumentCredential.
+            </p>
+
+            {!offer ? (
+              <div className="space-y-3">
+                <input
+                  type="text"
+                  value={offerClaims.name}
+                  onChange={(e) => setOfferClaims({ ...offerClaims, name: e.target.value })}
+                  className="input-field"
+                  placeholder="Document name"
+                />
+                <input
+                  type="text"
+                  value={offerClaims.documentCid}
+                  onChange={(e) => setOfferClaims({ ...offerClaims, documentCid: e.target.value })}
+                  className="input-field font-mono text-sm"
+                  placeholder="Document CID"
+                />
+                <input
+                  type="text"
+                  value={offerClaims.documentSha256}
+                  onChange={(e) => setOfferClaims({ ...offerClaims, documentSha256: e.target.value })}
+                  className="input-field font-mono text-sm"
+                  placeholder="Document SHA-256 (optional)"
+                />
+                <button
+                  onClick={handleCreateOffer}
+                  disabled={creatingOffer}
+                  className="btn-primary w-full"
+                >
+                  {creatingOffer ? 'Waiting for signature...' : 'Sign In & Create Offer'}
+                </button>
+              </div>
+            ) : (
+              <div className="space-y-4 text-center">
+                {offerQrCode && (
+                  <img src={offerQrCode} alt="Credential offer QR code" className="w-56 h-56 mx-auto" />
+                )}
+                <div>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Transaction code</p>
+                  <p className="font-mono text-2xl tracking-widest">{offer.txCode}</p>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Enter the code in your wallet when asked. The offer expires in {Math.round(offer.expiresIn / 60)} minutes
+                  and can be redeemed once.
+                </p>
+                <button
+                  onClick={() => { setOffer(null); setOfferQrCode(''); }}
+                  className="btn-secondary"
+                >
+                  New Offer
+                </button>
+              </div>
+            )}
+          </div>
+
           {/* Actions */}
           <div className="card">
             <h2 className="text-xl font-semibold mb-4">Next Steps</h2>
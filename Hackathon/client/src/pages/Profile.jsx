@@ -1,14 +1,55 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { retrieveDid } from '../utils/didManager';
+import {
+  changeVaultPassphrase,
+  isVaultUnlocked,
+  unlockVault,
+  listVaultPasskeys,
+  registerVaultPasskey,
+  removeVaultPasskey,
+  getRecoverySetup
+} from '../utils/cryptoVault';
+import { isPasskeySupported } from '../utils/passkey';
+import { setUpVaultRecovery, encryptShareFile, exportRecoveryKitFile } from '../utils/vaultRecovery';
+import { exportVaultBackup, readVaultBackup, planVaultImport, importVaultBackup } from '../utils/vaultBackup';
+import Loader from '../components/Loader';
+import Modal from '../components/Modal';
+import PassphraseStrengthMeter from '../components/PassphraseStrengthMeter';
 import toast from 'react-hot-toast';
+import QRCode from 'qrcode';
 import { UserCircleIcon, KeyIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
 
 export default function Profile() {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [did, setDid] = useState('');
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [changingPassphrase, setChangingPassphrase] = useState(false);
+  // Backup export/import modal: null, 'export' or 'import'
+  const [backupModal, setBackupModal] = useState(null);
+  const [vaultPassphrase, setVaultPassphrase] = useState('');
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [confirmBackupPassphrase, setConfirmBackupPassphrase] = useState('');
+  const [backupFile, setBackupFile] = useState(null);
+  const [importedBackup, setImportedBackup] = useState(null);
+  const [importPlan, setImportPlan] = useState(null);
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeyPassphrase, setPasskeyPassphrase] = useState('');
+  const [passkeyBusy, setPasskeyBusy] = useState(false);
+  const [recoverySetup, setRecoverySetup] = useState(null);
+  const [recoveryPassphrase, setRecoveryPassphrase] = useState('');
+  const [shareCount, setShareCount] = useState(3);
+  const [shareThreshold, setShareThreshold] = useState(2);
+  // Shares of the setup just created ({text, qrCode}); only shown once
+  const [recoveryShares, setRecoveryShares] = useState(null);
+  const [sharePassphrases, setSharePassphrases] = useState({});
+  const [recoveryBusy, setRecoveryBusy] = useState(false);
+  const importInputRef = useRef(null);
 
   useEffect(() => {
     if (!user) {
@@ -20,6 +61,9 @@ export default function Profile() {
     if (userDid) {
       setDid(userDid);
     }
+
+    listVaultPasskeys().then(setPasskeys).catch(() => setPasskeys([]));
+    getRecoverySetup().then(setRecoverySetup).catch(() => setRecoverySetup(null));
   }, [user, navigate]);
 
   const copyToClipboard = (text) => {
@@ -27,16 +71,243 @@ export default function Profile() {
     toast.success('Copied to clipboard');
   };
 
-  const handleExportVault = () => {
-    // TODO: Implement vault export
-    toast.error('Export feature coming soon');
+  const handleChangePassphrase = async (e) => {
+    e.preventDefault();
+
+    if (newPassphrase !== confirmPassphrase) {
+      toast.error('New passphrases do not match');
+      return;
+    }
+    if (newPassphrase === currentPassphrase) {
+      toast.error('The new passphrase must be different from the current one');
+      return;
+    }
+
+    setChangingPassphrase(true);
+    try {
+      await changeVaultPassphrase(currentPassphrase, newPassphrase);
+      setCurrentPassphrase('');
+      setNewPassphrase('');
+      setConfirmPassphrase('');
+      if (passkeys.length > 0 || recoverySetup) {
+        setPasskeys([]);
+        setRecoverySetup(null);
+        toast.success('Vault passphrase changed. Set up your passkeys and recovery shares again');
+      } else {
+        toast.success('Vault passphrase changed');
+      }
+    } catch (error) {
+      console.error('Passphrase change error:', error);
+      toast.error(error.message);
+    } finally {
+      setChangingPassphrase(false);
+    }
+  };
+
+  const handleAddPasskey = async (e) => {
+    e.preventDefault();
+
+    setPasskeyBusy(true);
+    try {
+      await registerVaultPasskey(passkeyPassphrase, user.email || user.displayName || 'DID Vault');
+      setPasskeyPassphrase('');
+      setPasskeys(await listVaultPasskeys());
+      toast.success('Passkey added. You can now unlock your vault with it');
+    } catch (error) {
+      console.error('Passkey registration error:', error);
+      toast.error(error.message || 'Failed to add passkey');
+    } finally {
+      setPasskeyBusy(false);
+    }
+  };
+
+  const handleRemovePasskey = async (credentialId) => {
+    try {
+      await removeVaultPasskey(credentialId);
+      setPasskeys(await listVaultPasskeys());
+      toast.success('Passkey removed');
+    } catch (error) {
+      console.error('Passkey removal error:', error);
+      toast.error(error.message || 'Failed to remove passkey');
+    }
+  };
+
+  const downloadFile = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleSetUpRecovery = async (e) => {
+    e.preventDefault();
+
+    if (recoverySetup && !confirm('Set up new recovery shares? The shares you handed out before will no longer work.')) {
+      return;
+    }
+
+    setRecoveryBusy(true);
+    try {
+      const { shares } = await setUpVaultRecovery(recoveryPassphrase, Number(shareCount), Number(shareThreshold));
+      setRecoveryShares(await Promise.all(
+        shares.map(async text => ({ text, qrCode: await QRCode.toDataURL(text) }))
+      ));
+      setRecoveryPassphrase('');
+      setRecoverySetup(await getRecoverySetup());
+    } catch (error) {
+      console.error('Recovery setup error:', error);
+      toast.error(error.message || 'Failed to set up recovery');
+    } finally {
+      setRecoveryBusy(false);
+    }
+  };
+
+  const handleDownloadShareFile = async (index) => {
+    try {
+      const file = await encryptShareFile(recoveryShares[index].text, sharePassphrases[index]);
+      downloadFile(file, `did-vault-recovery-share-${index + 1}.json`);
+      toast.success(`Share ${index + 1} downloaded`);
+    } catch (error) {
+      console.error('Share file error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDownloadRecoveryKit = async () => {
+    try {
+      downloadFile(await exportRecoveryKitFile(), `did-vault-recovery-kit-${new Date().toISOString().slice(0, 10)}.json`);
+      toast.success('Recovery kit downloaded');
+    } catch (error) {
+      console.error('Recovery kit error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const closeRecoveryModal = () => {
+    setRecoveryShares(null);
+    setSharePassphrases({});
+  };
+
+  const closeBackupModal = () => {
+    setBackupModal(null);
+    setVaultPassphrase('');
+    setBackupPassphrase('');
+    setConfirmBackupPassphrase('');
+    setBackupFile(null);
+    setImportedBackup(null);
+    setImportPlan(null);
+  };
+
+  // Backups read and write the vault's credentials
+  const ensureVaultUnlocked = async () => {
+    if (isVaultUnlocked()) return;
+    if (!vaultPassphrase) {
+      throw new Error('Your vault is locked. Please enter your vault passphrase');
+    }
+    await unlockVault(vaultPassphrase);
   };
 
-  const handleImportVault = () => {
-    // TODO: Implement vault import
-    toast.error('Import feature coming soon');
+  const handleExportVault = async (e) => {
+    e.preventDefault();
+
+    if (backupPassphrase !== confirmBackupPassphrase) {
+      toast.error('Backup passphrases do not match');
+      return;
+    }
+
+    setBackupBusy(true);
+    try {
+      await ensureVaultUnlocked();
+      const backup = await exportVaultBackup(backupPassphrase);
+
+      const url = URL.createObjectURL(backup);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `did-vault-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+
+      toast.success('Vault backup downloaded');
+      closeBackupModal();
+    } catch (error) {
+      console.error('Vault export error:', error);
+      toast.error(error.message);
+    } finally {
+      setBackupBusy(false);
+    }
   };
 
+  const handleSelectBackup = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBackupFile(file);
+    setBackupModal('import');
+  };
+
+  const handleReadBackup = async (e) => {
+    e.preventDefault();
+
+    setBackupBusy(true);
+    try {
+      await ensureVaultUnlocked();
+      const backup = await readVaultBackup(await backupFile.text(), backupPassphrase);
+      setImportPlan(await planVaultImport(backup));
+      setImportedBackup(backup);
+    } catch (error) {
+      console.error('Vault import error:', error);
+      toast.error(error.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleImportVault = async (mode) => {
+    if (mode === 'replace' && importPlan.did === 'conflict' &&
+        !confirm('Replace your DID with the one from the backup? Credentials issued to your current DID can no longer be presented.')) {
+      return;
+    }
+
+    setBackupBusy(true);
+    try {
+      const result = await importVaultBackup(importedBackup, mode);
+      if (result.did) {
+        setDid(importedBackup.did.did);
+      }
+      toast.success(
+        `Imported ${result.credentials} credential(s), ${result.documents} document record(s)${result.did ? ' and your DID' : ''}`
+      );
+      closeBackupModal();
+    } catch (error) {
+      console.error('Vault import error:', error);
+      toast.error(error.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const conflictCount = importPlan
+    ? importPlan.credentials.conflicts.length + importPlan.documents.conflicts.length + (importPlan.did === 'conflict' ? 1 : 0)
+    : 0;
+
+  const vaultPassphraseField = !isVaultUnlocked() && (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        Vault passphrase
+      </label>
+      <input
+        type="password"
+        value={vaultPassphrase}
+        onChange={(e) => setVaultPassphrase(e.target.value)}
+        className="input-field"
+        autoComplete="current-password"
+      />
+    </div>
+  );
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-8">
@@ -90,23 +361,370 @@ export default function Profile() {
           </h3>
           <div className="space-y-3">
             <button
-              onClick={handleExportVault}
+              onClick={() => setBackupModal('export')}
               className="w-full btn-secondary py-3"
             >
               Export Vault
             </button>
             <button
-              onClick={handleImportVault}
+              onClick={() => importInputRef.current?.click()}
               className="w-full btn-secondary py-3"
             >
               Import Vault
             </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleSelectBackup}
+              className="hidden"
+            />
           </div>
           <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
-            Export your encrypted vault to backup your credentials. Import to restore from a backup.
+            A backup holds your credentials, your DID and its private key, and your document records, encrypted with a backup passphrase. Import to restore from a backup.
           </p>
+
+          <form onSubmit={handleChangePassphrase} className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700 space-y-4">
+            <h4 className="font-medium text-gray-900 dark:text-white">
+              Change Vault Passphrase
+            </h4>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Current passphrase
+              </label>
+              <input
+                type="password"
+                value={currentPassphrase}
+                onChange={(e) => setCurrentPassphrase(e.target.value)}
+                className="input-field"
+                autoComplete="current-password"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                New passphrase
+              </label>
+              <input
+                type="password"
+                value={newPassphrase}
+                onChange={(e) => setNewPassphrase(e.target.value)}
+                className="input-field"
+                autoComplete="new-password"
+              />
+              <PassphraseStrengthMeter passphrase={newPassphrase} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Confirm new passphrase
+              </label>
+              <input
+                type="password"
+                value={confirmPassphrase}
+                onChange={(e) => setConfirmPassphrase(e.target.value)}
+                className="input-field"
+                autoComplete="new-password"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={!currentPassphrase || !newPassphrase || !confirmPassphrase || changingPassphrase}
+              className="w-full btn-primary py-3 flex items-center justify-center"
+            >
+              {changingPassphrase ? <Loader size="sm" /> : 'Change Passphrase'}
+            </button>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Every stored credential is re-protected with the new passphrase. If anything fails, nothing changes and your current passphrase keeps working.
+            </p>
+          </form>
+
+          {isPasskeySupported() && (
+            <form onSubmit={handleAddPasskey} className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700 space-y-4">
+              <h4 className="font-medium text-gray-900 dark:text-white">
+                Passkeys
+              </h4>
+              {passkeys.length > 0 && (
+                <ul className="space-y-2">
+                  {passkeys.map(passkey => (
+                    <li key={passkey.credentialId} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-700 dark:text-gray-300">
+                        {passkey.label} · added {new Date(passkey.createdAt).toLocaleDateString()}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleRemovePasskey(passkey.credentialId)}
+                        className="text-red-600 dark:text-red-400 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Vault passphrase
+                </label>
+                <input
+                  type="password"
+                  value={passkeyPassphrase}
+                  onChange={(e) => setPasskeyPassphrase(e.target.value)}
+                  className="input-field"
+                  autoComplete="current-password"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!passkeyPassphrase || passkeyBusy}
+                className="w-full btn-secondary py-3 flex items-center justify-center"
+              >
+                {passkeyBusy ? <Loader size="sm" /> : 'Add Passkey'}
+              </button>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Unlock your vault with a passkey instead of typing your passphrase. The passkey must support the PRF extension. Your passphrase keeps working, and changing it removes your passkeys.
+              </p>
+            </form>
+          )}
         </div>
 
+        {/* Recovery */}
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+            Vault Recovery
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+            Split your vault key into shares for trusted contacts or your other devices. If you forget your passphrase or lose this browser, enough of them together restore your vault.
+          </p>
+          {recoverySetup && (
+            <div className="flex items-center justify-between mb-4 text-sm">
+              <span className="text-gray-700 dark:text-gray-300">
+                {recoverySetup.threshold} of {recoverySetup.shareCount} shares, set up {new Date(recoverySetup.createdAt).toLocaleDateString()}
+              </span>
+              <button onClick={handleDownloadRecoveryKit} className="btn-secondary text-sm">
+                Download Recovery Kit
+              </button>
+            </div>
+          )}
+          <form onSubmit={handleSetUpRecovery} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Shares
+                </label>
+                <input
+                  type="number"
+                  min={2}
+                  max={10}
+                  value={shareCount}
+                  onChange={(e) => setShareCount(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Needed to recover
+                </label>
+                <input
+                  type="number"
+                  min={2}
+                  max={shareCount}
+                  value={shareThreshold}
+                  onChange={(e) => setShareThreshold(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Vault passphrase
+              </label>
+              <input
+                type="password"
+                value={recoveryPassphrase}
+                onChange={(e) => setRecoveryPassphrase(e.target.value)}
+                className="input-field"
+                autoComplete="current-password"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={!recoveryPassphrase || recoveryBusy}
+              className="w-full btn-secondary py-3 flex items-center justify-center"
+            >
+              {recoveryBusy ? <Loader size="sm" /> : recoverySetup ? 'Create New Shares' : 'Set Up Recovery'}
+            </button>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              The recovery kit holds your credentials as stored now, still encrypted; download a new one after adding credentials. Changing your passphrase cancels the shares.
+            </p>
+          </form>
+        </div>
+
+        <Modal
+          isOpen={recoveryShares !== null}
+          onClose={closeRecoveryModal}
+          title="Hand Out Your Recovery Shares"
+          size="lg"
+        >
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Give each share to a different person or device, as a QR code or as a file protected with a passphrase you agree on. They are shown only once. Keep the recovery kit somewhere you can reach from a new browser.
+            </p>
+            {recoveryShares?.map((share, index) => (
+              <div key={share.text} className="flex gap-4 p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+                <img src={share.qrCode} alt={`Recovery share ${index + 1}`} className="w-32 h-32" />
+                <div className="flex-1 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900 dark:text-white">Share {index + 1}</span>
+                    <button onClick={() => copyToClipboard(share.text)} className="text-sm text-primary-600 dark:text-primary-400 hover:underline">
+                      Copy
+                    </button>
+                  </div>
+                  <input
+                    type="password"
+                    value={sharePassphrases[index] || ''}
+                    onChange={(e) => setSharePassphrases(prev => ({ ...prev, [index]: e.target.value }))}
+                    className="input-field text-sm"
+                    placeholder="Passphrase for this share file"
+                    autoComplete="new-password"
+                  />
+                  <button
+                    onClick={() => handleDownloadShareFile(index)}
+                    disabled={!sharePassphrases[index]}
+                    className="btn-secondary text-sm"
+                  >
+                    Download Encrypted File
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button onClick={handleDownloadRecoveryKit} className="w-full btn-primary py-3">
+              Download Recovery Kit
+            </button>
+          </div>
+        </Modal>
+
+        <Modal
+          isOpen={backupModal === 'export'}
+          onClose={closeBackupModal}
+          title="Export Vault"
+        >
+          <form onSubmit={handleExportVault} className="space-y-4">
+            {vaultPassphraseField}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Backup passphrase
+              </label>
+              <input
+                type="password"
+                value={backupPassphrase}
+                onChange={(e) => setBackupPassphrase(e.target.value)}
+                className="input-field"
+                autoComplete="new-password"
+              />
+              <PassphraseStrengthMeter passphrase={backupPassphrase} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Confirm backup passphrase
+              </label>
+              <input
+                type="password"
+                value={confirmBackupPassphrase}
+                onChange={(e) => setConfirmBackupPassphrase(e.target.value)}
+                className="input-field"
+                autoComplete="new-password"
+              />
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              The backup contains your DID private key. Without the backup passphrase it can't be restored.
+            </p>
+            <button
+              type="submit"
+              disabled={!backupPassphrase || !confirmBackupPassphrase || backupBusy}
+              className="w-full btn-primary py-3 flex items-center justify-center"
+            >
+              {backupBusy ? <Loader size="sm" /> : 'Download Backup'}
+            </button>
+          </form>
+        </Modal>
+
+        <Modal
+          isOpen={backupModal === 'import'}
+          onClose={closeBackupModal}
+          title="Import Vault"
+        >
+          {!importPlan ? (
+            <form onSubmit={handleReadBackup} className="space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400 break-all">
+                {backupFile?.name}
+              </p>
+              {vaultPassphraseField}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Backup passphrase
+                </label>
+                <input
+                  type="password"
+                  value={backupPassphrase}
+                  onChange={(e) => setBackupPassphrase(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!backupPassphrase || backupBusy}
+                className="w-full btn-primary py-3 flex items-center justify-center"
+              >
+                {backupBusy ? <Loader size="sm" /> : 'Open Backup'}
+              </button>
+            </form>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Backup from {new Date(importedBackup.createdAt).toLocaleString()}
+              </p>
+              <ul className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                <li>
+                  • Credentials: {importPlan.credentials.added.length} new, {importPlan.credentials.unchanged.length} already here, {importPlan.credentials.conflicts.length} different here
+                </li>
+                <li>
+                  • Document records: {importPlan.documents.added.length} new, {importPlan.documents.unchanged.length} already here, {importPlan.documents.conflicts.length} different here
+                </li>
+                <li>
+                  • DID: {{
+                    none: 'not in backup',
+                    added: 'new',
+                    unchanged: 'already here',
+                    conflict: 'a different DID is set up here',
+                  }[importPlan.did]}
+                </li>
+              </ul>
+              {conflictCount > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Merge adds new entries and keeps your current version of conflicting ones. Replace overwrites them with the backup. Nothing is deleted either way.
+                </p>
+              )}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleImportVault('merge')}
+                  disabled={backupBusy}
+                  className="flex-1 btn-primary py-3 flex items-center justify-center"
+                >
+                  {backupBusy ? <Loader size="sm" /> : 'Merge'}
+                </button>
+                {conflictCount > 0 && (
+                  <button
+                    onClick={() => handleImportVault('replace')}
+                    disabled={backupBusy}
+                    className="flex-1 btn-secondary py-3"
+                  >
+                    Replace {conflictCount} conflicting
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </Modal>
+
         {/* Security Warning */}
         <div className="card bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
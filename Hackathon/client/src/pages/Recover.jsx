@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useNavigate } from 'react-router-dom';
+import { vaultExists } from '../utils/cryptoVault';
+import { parseShare, decryptShareFile, parseRecoveryKit, recoverVaultFromShares } from '../utils/vaultRecovery';
+import Loader from '../components/Loader';
+import PassphraseStrengthMeter from '../components/PassphraseStrengthMeter';
+import toast from 'react-hot-toast';
+import { CheckCircleIcon } from '@heroicons/react/24/outline';
+
+export default function Recover() {
+  const { user, refreshDid } = useAuth();
+  const navigate = useNavigate();
+  // A vault in this browser is recovered in place; otherwise the recovery kit provisions one
+  const [hasLocalVault, setHasLocalVault] = useState(false);
+  const [shares, setShares] = useState([]);
+  const [shareText, setShareText] = useState('');
+  const [shareFile, setShareFile] = useState(null);
+  const [shareFilePassphrase, setShareFilePassphrase] = useState('');
+  const [kit, setKit] = useState(null);
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+    }
+  }, [user, navigate]);
+
+  useEffect(() => {
+    vaultExists().then(setHasLocalVault).catch(() => setHasLocalVault(false));
+  }, []);
+
+  const addShares = (texts) => {
+    const parsed = texts.map(text => text.trim()).filter(Boolean);
+    parsed.forEach(parseShare); // throws on anything that isn't a share
+    setShares(prev => [...new Set([...prev, ...parsed])]);
+    return parsed.length;
+  };
+
+  const handleAddShareText = () => {
+    try {
+      const added = addShares(shareText.split('\n'));
+      setShareText('');
+      toast.success(`Added ${added} share(s)`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Read a share from a photo of its QR code
+  const handleScanShare = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      if (!('BarcodeDetector' in window)) {
+        throw new Error('QR scanning is not supported in this browser. Paste the share instead');
+      }
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      const [code] = await detector.detect(await createImageBitmap(file));
+      if (!code) {
+        throw new Error('No QR code found in the image');
+      }
+      addShares([code.rawValue]);
+      toast.success('Share added');
+    } catch (error) {
+      console.error('Failed to scan recovery share:', error);
+      toast.error(error.message || 'Failed to scan recovery share');
+    }
+  };
+
+  const handleSelectShareFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      setShareFile(file);
+    }
+  };
+
+  const handleDecryptShareFile = async () => {
+    setBusy(true);
+    try {
+      addShares([await decryptShareFile(await shareFile.text(), shareFilePassphrase)]);
+      setShareFile(null);
+      setShareFilePassphrase('');
+      toast.success('Share added');
+    } catch (error) {
+      console.error('Failed to read share file:', error);
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSelectKit = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setKit(parseRecoveryKit(await file.text()));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRecover = async (e) => {
+    e.preventDefault();
+
+    if (newPassphrase !== confirmPassphrase) {
+      toast.error('New passphrases do not match');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const result = await recoverVaultFromShares(shares, kit, newPassphrase);
+      refreshDid();
+      toast.success(`Vault recovered with ${result.credentials} credential(s)${result.did ? ' and your DID' : ''}`);
+      navigate('/vault');
+    } catch (error) {
+      console.error('Vault recovery error:', error);
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const threshold = shares.length > 0 ? parseShare(shares[0]).threshold : null;
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+        Recover Your Vault
+      </h1>
+      <p className="text-gray-600 dark:text-gray-400 mb-8">
+        Bring together enough of your recovery shares and choose a new passphrase.
+        {hasLocalVault
+          ? ' The vault in this browser will be unlocked with it.'
+          : ' This browser has no vault, so you also need your recovery kit.'}
+      </p>
+
+      <form onSubmit={handleRecover} className="space-y-6">
+        <div className="card space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Recovery Shares
+            {threshold && (
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                {shares.length} of {threshold} needed
+              </span>
+            )}
+          </h3>
+          {shares.length > 0 && (
+            <ul className="space-y-1">
+              {shares.map((share, index) => (
+                <li key={share} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <CheckCircleIcon className="w-4 h-4 text-green-600 mr-2" />
+                  Share {index + 1}
+                </li>
+              ))}
+            </ul>
+          )}
+          <textarea
+            value={shareText}
+            onChange={(e) => setShareText(e.target.value)}
+            className="input-field font-mono text-xs h-24"
+            placeholder="didvault-share:1:... (one per line)"
+          />
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="button"
+              onClick={handleAddShareText}
+              disabled={!shareText.trim()}
+              className="btn-secondary text-sm"
+            >
+              Add Pasted Shares
+            </button>
+            <label className="btn-secondary text-sm cursor-pointer">
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={handleScanShare}
+                className="hidden"
+              />
+              Scan QR Code
+            </label>
+            <label className="btn-secondary text-sm cursor-pointer">
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleSelectShareFile}
+                className="hidden"
+              />
+              Open Share File
+            </label>
+          </div>
+          {shareFile && (
+            <div className="flex gap-3">
+              <input
+                type="password"
+                value={shareFilePassphrase}
+                onChange={(e) => setShareFilePassphrase(e.target.value)}
+                className="input-field flex-1"
+                placeholder={`Passphrase for ${shareFile.name}`}
+              />
+              <button
+                type="button"
+                onClick={handleDecryptShareFile}
+                disabled={!shareFilePassphrase || busy}
+                className="btn-secondary text-sm"
+              >
+                Decrypt
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="card space-y-3">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Recovery Kit {hasLocalVault && <span className="text-sm font-normal text-gray-500 dark:text-gray-400">(not needed here)</span>}
+          </h3>
+          <label className="btn-secondary text-sm cursor-pointer inline-block">
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleSelectKit}
+              className="hidden"
+            />
+            Open Recovery Kit
+          </label>
+          {kit && (
+            <p className="text-sm text-gray-700 dark:text-gray-300">
+              {kit.credentials.length} credential(s){kit.signingKey ? ' and your DID' : ''}, saved {new Date(kit.createdAt).toLocaleDateString()}
+            </p>
+          )}
+        </div>
+
+        <div className="card space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              New passphrase
+            </label>
+            <input
+              type="password"
+              value={newPassphrase}
+              onChange={(e) => setNewPassphrase(e.target.value)}
+              className="input-field"
+              autoComplete="new-password"
+            />
+            <PassphraseStrengthMeter passphrase={newPassphrase} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Confirm new passphrase
+            </label>
+            <input
+              type="password"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              className="input-field"
+              autoComplete="new-password"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={shares.length < (threshold || 2) || (!hasLocalVault && !kit) || !newPassphrase || busy}
+            className="w-full btn-primary py-3 flex items-center justify-center"
+          >
+            {busy ? <Loader size="sm" /> : 'Recover Vault'}
+          </button>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Passkeys and recovery shares are tied to the old passphrase: set them up again on the Profile page afterwards.
+          </p>
+        </div>
+      </form>
+    </div>
+  );
+}
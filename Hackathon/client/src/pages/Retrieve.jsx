@@ -1,40 +1,100 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { unlockVault, retrieveVCs, isVaultUnlocked, onVaultLock } from '../utils/cryptoVault';
+import { getStorageKey, retrieveFromR2, decryptRetrievedFile } from '../utils/r2Retrieve';
+import { isBbsCredential } from '../utils/bbs';
 import Loader from '../components/Loader';
 import toast from 'react-hot-toast';
 
 export default function Retrieve() {
-  const [cid, setCid] = useState('');
+  const { userDid } = useAuth();
+  const [passphrase, setPassphrase] = useState('');
+  const [vaultUnlocked, setVaultUnlocked] = useState(isVaultUnlocked());
+  // Vault credentials that name a stored file
+  const [documents, setDocuments] = useState([]);
+  const [selected, setSelected] = useState('');
   const [loading, setLoading] = useState(false);
   const [fileData, setFileData] = useState(null);
 
+  useEffect(() => onVaultLock(() => {
+    setVaultUnlocked(false);
+    setDocuments([]);
+    setFileData(null);
+  }), []);
+
+  useEffect(() => {
+    if (!vaultUnlocked) return;
+    retrieveVCs()
+      .then(credentials => {
+        // BBS presentations have no holder, and only the uploader's DID is granted access
+        const stored = credentials.filter(credential => getStorageKey(credential) && !isBbsCredential(credential));
+        setDocuments(stored);
+        setSelected(stored.length > 0 ? '0' : '');
+      })
+      .catch(error => {
+        console.error('Failed to load credentials:', error);
+        toast.error(error.message || 'Failed to load credentials');
+      });
+  }, [vaultUnlocked]);
+
+  // Release the previous download when it is replaced or the page is left
+  useEffect(() => () => {
+    if (fileData?.url) URL.revokeObjectURL(fileData.url);
+  }, [fileData]);
+
+  const handleUnlock = async () => {
+    if (!passphrase) {
+      toast.error('Please enter your vault passphrase');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await unlockVault(passphrase);
+      setPassphrase('');
+      setVaultUnlocked(true);
+    } catch (error) {
+      console.error('Failed to unlock vault:', error);
+      toast.error(error.message || 'Failed to unlock vault');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleRetrieve = async () => {
-    if (!cid) {
-      toast.error('Please enter a CID or storage key');
+    const credential = documents[Number(selected)];
+    if (!credential) {
+      toast.error('Please select a document');
       return;
     }
 
     setLoading(true);
+    const toastId = toast.loading('Presenting your credential...');
     try {
-      // TODO: Implement actual retrieval from R2
-      const issuerApiUrl = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
-      
-      const response = await fetch(`${issuerApiUrl}/retrieve/${cid}`);
-      
-      if (!response.ok) {
-        throw new Error('File not found');
-      }
-
-      const blob = await response.blob();
+      const encrypted = await retrieveFromR2(credential, userDid, {
+        onProgress: (received, total) => toast.loading(
+          total
+            ? `Downloading... ${Math.floor((received / total) * 100)}%`
+            : `Downloading... ${(received / (1024 * 1024)).toFixed(1)} MB`,
+          { id: toastId }
+        ),
+      });
+
+      toast.loading('Decrypting...', { id: toastId });
+      const blob = await decryptRetrievedFile(encrypted, credential, (processed, total) =>
+        toast.loading(`Decrypting... ${Math.floor((processed / total) * 100)}%`, { id: toastId })
+      );
+
       setFileData({
-        blob,
         url: URL.createObjectURL(blob),
-        cid,
+        fileName: credential.credentialSubject.fileName || getStorageKey(credential),
+        storageKey: getStorageKey(credential),
+        size: blob.size,
       });
-
-      toast.success('File retrieved successfully');
+      toast.success('File retrieved and decrypted', { id: toastId });
     } catch (error) {
       console.error('Retrieval failed:', error);
-      toast.error(error.message || 'Failed to retrieve file');
+      toast.error(error.message || 'Failed to retrieve file', { id: toastId });
     } finally {
       setLoading(false);
     }
@@ -45,51 +105,95 @@ export default function Retrieve() {
 
     const a = document.createElement('a');
     a.href = fileData.url;
-    a.download = `retrieved-${fileData.cid}`;
+    a.download = fileData.fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     toast.success('Download started');
   };
 
+  const documentLabel = (credential) => {
+    const { fileName, docType } = credential.credentialSubject;
+    return [fileName || getStorageKey(credential), docType].filter(Boolean).join(' · ');
+  };
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
         Retrieve Document
       </h1>
       <p className="text-gray-600 dark:text-gray-400 mb-8">
-        Enter a CID or storage key to retrieve your encrypted document
+        Present the credential of a document to download and decrypt it
       </p>
 
       <div className="card space-y-6">
-        <div>
-          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-            CID or Storage Key
-          </label>
-          <input
-            type="text"
-            value={cid}
-            onChange={(e) => setCid(e.target.value)}
-            className="input-field"
-            placeholder="Enter CID or storage key"
-          />
-        </div>
-
-        <button
-          onClick={handleRetrieve}
-          disabled={loading || !cid}
-          className="w-full btn-primary py-3 flex items-center justify-center"
-        >
-          {loading ? <Loader size="sm" /> : 'Retrieve File'}
-        </button>
+        {!vaultUnlocked ? (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Vault passphrase
+            </label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
+              className="input-field"
+              placeholder="Enter your vault passphrase"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Your document credentials, and the keys that decrypt the files, are in your vault
+            </p>
+            <button
+              onClick={handleUnlock}
+              disabled={loading || !passphrase}
+              className="w-full btn-primary py-3 mt-4 flex items-center justify-center"
+            >
+              {loading ? <Loader size="sm" /> : 'Unlock Vault'}
+            </button>
+          </div>
+        ) : documents.length === 0 ? (
+          <p className="text-gray-600 dark:text-gray-400">
+            No document credentials in your vault. Upload a document and request its credential first.
+          </p>
+        ) : (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Document
+              </label>
+              <select
+                value={selected}
+                onChange={(e) => setSelected(e.target.value)}
+                className="input-field"
+              >
+                {documents.map((credential, index) => (
+                  <option key={index} value={index}>
+                    {documentLabel(credential)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <button
+              onClick={handleRetrieve}
+              disabled={loading || selected === ''}
+              className="w-full btn-primary py-3 flex items-center justify-center"
+            >
+              {loading ? <Loader size="sm" /> : 'Retrieve File'}
+            </button>
+          </>
+        )}
 
         {fileData && (
           <div className="mt-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg">
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
               File Retrieved
             </h3>
-            <p className="text-sm text-gray-700 dark:text-gray-300 mb-4">
-              CID: {fileData.cid}
+            <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">
+              {fileData.fileName} ({(fileData.size / 1024).toFixed(2)} KB)
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 font-mono break-all mb-4">
+              Storage key: {fileData.storageKey}
             </p>
             <button
               onClick={handleDownload}
@@ -106,8 +210,9 @@ export default function Retrieve() {
           💡 Tip
         </h3>
         <p className="text-sm text-gray-700 dark:text-gray-300">
-          You can find storage keys in your vault credentials. If the file is encrypted, 
-          you'll need the encryption key and IV to decrypt it.
+          Only the holder of a document's credential can download it: the issuer checks a fresh
+          presentation of the credential first. The file is decrypted in your browser with the key
+          from the same credential.
         </p>
       </div>
     </div>
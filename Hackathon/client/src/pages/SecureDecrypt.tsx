@@ -2,13 +2,17 @@
  * Secure Decrypt Page
  * Fetch encrypted file and decry
 pt with password
+ * Containers (see lib/container.ts) can also be decrypted from a local file alone, without
+ * a document ID or the metadata service
  */
 
 import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { getDocumentById, DocumentMetadata } from '../lib/metadata';
-import { fetchFromLighthouse } from '../lib/lighthouse';
-import { deriveKey, decryptBlob, numbersToUint8Array } from '../lib/crypto';
+import { getDocumentStorage } from '../lib/storage';
+import { deriveKey, decryptBlob, decryptInWorker, numbersToUint8Array, STREAM_ENCRYPTION } from '../lib/crypto';
+import { isContainer, decryptContainer } from '../lib/container';
+import { LEGACY_FILE_KDF } from '../lib/kdf';
 import toast from 'react-hot-toast';
 
 export default function SecureDecrypt() {
@@ -16,10 +20,17 @@ export default function SecureDecrypt() {
   const documentId = searchParams.get('id');
 
   const [document, setDocument] = useState<DocumentMetadata | null>(null);
+  const [metadataUnavailable, setMetadataUnavailable] = useState(false);
+  const [localFile, setLocalFile] = useState<File | null>(null);
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  const [decryptProgress, setDecryptProgress] = useState(0); // percent
   const [decrypted, setDecrypted] = useState(false);
   const [decryptedBlob, setDecryptedBlob] = useState<Blob | null>(null);
+  const [decryptedName, setDecryptedName] = useState('');
+
+  // Where the document's encrypted file is stored
+  const documentStorage = document ? getDocumentStorage(document) : null;
 
   useEffect(() => {
     if (documentId) {
@@ -34,34 +45,60 @@ export default function SecureDecrypt() {
       const doc = await getDocumentById(documentId);
       setDocument(doc);
     } catch (error: any) {
+      // Containers can still be decrypted from a downloaded copy
+      setMetadataUnavailable(true);
       toast.error(`Failed to load document: ${error.message}`);
     }
   };
 
   const handleDecrypt = async () => {
-    if (!document || !password) {
-      toast.error('Missing document or password');
+    if ((!document && !localFile) || !password) {
+      toast.error('Missing file or password');
       return;
     }
 
     setLoading(true);
 
     try {
-      // Step 1: Fetch encrypted file from Lighthouse
-      toast.loading('Fetching encrypted file...');
-      const encryptedBlob = await fetchFromLighthouse(document.cid);
-      toast.success('File fetched');
-
-      // Step 2: Derive key from password
-      toast.loading('Deriving decryption key...');
-      const salt = numbersToUint8Array(document.salt);
-      const key = await deriveKey(password, salt);
-
-      // Step 3: Decrypt
-      toast.loading('Decrypting file...');
-      const decrypted = await decryptBlob(encryptedBlob, key, document.iv);
-      
-      setDecryptedBlob(decrypted);
+      // Step 1: Fetch encrypted file from where it was stored, unless one was chosen locally
+      let encryptedBlob: Blob;
+      if (localFile) {
+        encryptedBlob = localFile;
+      } else {
+        toast.loading('Fetching encrypted file...');
+        encryptedBlob = await documentStorage!.get(document!.cid);
+        toast.success('File fetched');
+      }
+
+      const onProgress = (processed: number, total: number) =>
+        setDecryptProgress(Math.floor((processed / total) * 100));
+      setDecryptProgress(0);
+
+      if (await isContainer(encryptedBlob)) {
+        // Steps 2 and 3: the container has everything but the password
+        toast.loading('Decrypting file...');
+        const container = await decryptContainer(encryptedBlob, password, onProgress);
+        setDecryptedBlob(container.blob);
+        setDecryptedName(container.filename);
+      } else {
+        if (!document) {
+          throw new Error('This file has no container header. Open it from your files so its metadata can be used');
+        }
+
+        // Step 2: Derive key from password
+        toast.loading('Deriving decryption key...');
+        const salt = numbersToUint8Array(document.salt);
+        const key = await deriveKey(password, salt, document.kdf || LEGACY_FILE_KDF);
+
+        // Step 3: Decrypt
+        toast.loading('Decrypting file...');
+        const decrypted = document.encryption === STREAM_ENCRYPTION
+          ? await decryptInWorker(encryptedBlob, key, { onProgress })
+          : await decryptBlob(encryptedBlob, key, document.iv || []);
+        setDecryptedBlob(decrypted);
+        setDecryptedName(document.filename);
+      }
+
       setDecrypted(true);
       toast.success('File decrypted successfully!');
     } catch (error: any) {
@@ -78,31 +115,22 @@ export default function SecureDecrypt() {
   };
 
   const handleDownload = () => {
-    if (!decryptedBlob || !document) return;
+    if (!decryptedBlob) return;
 
     const url = URL.createObjectURL(decryptedBlob);
     const a = window.document.createElement('a');
     a.href = url;
-    a.download = document.filename;
+    a.download = decryptedName;
     a.click();
     URL.revokeObjectURL(url);
     toast.success('Download started');
   };
 
-  if (!documentId) {
-    return (
-      <div className="max-w-4xl mx-auto px-4 py-12">
-        <div className="card text-center">
-          <p className="text-red-600">No document ID provided</p>
-          <a href="/secure-files" className="btn-primary mt-4 inline-block">
-            Back to Files
-          </a>
-        </div>
-      </div>
-    );
-  }
+  const handleSelectLocalFile = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setLocalFile(e.target.files?.[0] || null);
+  };
 
-  if (!document) {
+  if (documentId && !document && !metadataUnavailable) {
     return (
       <div className="max-w-4xl mx-auto px-4 py-12">
         <div className="text-center">
@@ -121,27 +149,55 @@ export default function SecureDecrypt() {
       </p>
 
       <div className="space-y-6">
+        {/* Local File (no document ID, or the metadata service is unavailable) */}
+        {!document && (
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-4">Encrypted File</h2>
+            {metadataUnavailable && (
+              <p className="text-sm text-yellow-700 dark:text-yellow-300 mb-4">
+                The document record could not be loaded. Choose the downloaded encrypted file to decrypt it on its own.
+              </p>
+            )}
+            <input
+              type="file"
+              onChange={handleSelectLocalFile}
+              disabled={loading || decrypted}
+              className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+            />
+            {localFile && (
+              <p className="text-sm mt-2"><strong>Size:</strong> {(localFile.size / 1024).toFixed(2)} KB</p>
+            )}
+          </div>
+        )}
+
         {/* Document Info */}
-        <div className="card">
-          <h2 className="text-xl font-semibold mb-4">Document Information</h2>
-          <div className="space-y-2 text-sm">
-            <p><strong>Filename:</strong> {document.filename}</p>
-            <p><strong>Size:</strong> {(document.encryptedSize / 1024).toFixed(2)} KB</p>
-            <p className="break-all"><strong>SHA-256:</strong> {document.sha256}</p>
-            <p><strong>Uploaded:</strong> {new Date(document.timestamp).toLocaleString()}</p>
-            <p>
-              <strong>IPFS:</strong>{' '}
-              <a
-                href={`https://gateway.lighthouse.storage/ipfs/${document.cid}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-blue-600 hover:underline"
-              >
-                View on Gateway
-              </a>
-            </p>
+        {document && (
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-4">Document Information</h2>
+            <div className="space-y-2 text-sm">
+              <p><strong>Filename:</strong> {document.filename}</p>
+              <p><strong>Size:</strong> {(document.encryptedSize / 1024).toFixed(2)} KB</p>
+              <p className="break-all"><strong>SHA-256:</strong> {document.sha256}</p>
+              <p><strong>Uploaded:</strong> {new Date(document.timestamp).toLocaleString()}</p>
+              <p>
+                <strong>Storage:</strong> {documentStorage!.label}
+                {documentStorage!.fileUrl(document.cid) && (
+                  <>
+                    {' '}
+                    <a
+                      href={documentStorage!.fileUrl(document.cid)!}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:underline"
+                    >
+                      View Encrypted File
+                    </a>
+                  </>
+                )}
+              </p>
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Decryption */}
         {!decrypted ? (
@@ -157,17 +213,19 @@ export default function SecureDecrypt() {
             />
             <button
               onClick={handleDecrypt}
-              disabled={!password || loading}
+              disabled={!password || (!document && !localFile) || loading}
               className="btn-primary w-full"
             >
-              {loading ? 'Decrypting...' : 'Decrypt File'}
+              {loading
+                ? document && !document.encryption ? 'Decrypting...' : `Decrypting... ${decryptProgress}%`
+                : 'Decrypt File'}
             </button>
           </div>
         ) : (
           <div className="card bg-green-50 dark:bg-green-900/20">
             <h2 className="text-xl font-semibold mb-4 text-green-600">✅ Decryption Successful</h2>
             <p className="text-sm mb-4">
-              Your file has been decrypted successfully. You can now download it.
+              <strong>{decryptedName}</strong> has been decrypted successfully. You can now download it.
             </p>
             <div className="flex gap-4">
               <button onClick={handleDownload} className="btn-primary">
@@ -8,6 +8,7 @@ import { getDocuments, DocumentMetadata } from '../lib/metadata';
 import { getLocalMetadata } from '../lib/localMetadata';
 import { getCurrentAccount } from '../lib/blockchain';
 import { getStorageInfo, clearAllMockFiles } from '../lib/mockStorage';
+import { ACTIVE_STORAGE_PROVIDER, getDocumentStorage } from '../lib/storage';
 import toast from 'react-hot-toast';
 
 export default function SecureFiles() {
@@ -110,6 +111,9 @@ export default function SecureFiles() {
               />
               My files only
             </label>
+            <a href="/secure-decrypt" className="btn-secondary">
+              Decrypt Local File
+            </a>
             <button onClick={loadDocuments} className="btn-primary">
               Refresh
             </button>
@@ -117,7 +121,7 @@ export default function SecureFiles() {
         </div>
         
         {/* Storage Info - Always show if using mock storage */}
-        {import.meta.env.VITE_USE_MOCK_STORAGE === 'true' && (
+        {ACTIVE_STORAGE_PROVIDER === 'mock' && (
           <div className="card bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800">
             <div className="flex justify-between items-center">
               <div className="text-sm">
@@ -177,14 +181,16 @@ export default function SecureFiles() {
                   <p className="text-xs text-gray-500">{formatDate(doc.timestamp)}</p>
                 </div>
                 <div className="flex gap-2">
-                  <a
-                    href={`https://gateway.lighthouse.storage/ipfs/${doc.cid}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
-                  >
-                    View IPFS
-                  </a>
+                  {getDocumentStorage(doc).fileUrl(doc.cid) && (
+                    <a
+                      href={getDocumentStorage(doc).fileUrl(doc.cid)!}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                    >
+                      View Encrypted
+                    </a>
+                  )}
                   <a
                     href={`/secure-decrypt?id=${doc.id}`}
                     className="text-sm px-3 py-1 bg-green-100 text-green-700 rounded hover:bg-green-200"
@@ -196,7 +202,7 @@ export default function SecureFiles() {
 
               <div className="grid grid-cols-2 gap-4 text-sm">
                 <div>
-                  <p className="text-gray-500">CID</p>
+                  <p className="text-gray-500">Storage key ({getDocumentStorage(doc).label})</p>
                   <p className="font-mono text-xs break-all">{truncate(doc.cid, 20)}</p>
                 </div>
                 <div>
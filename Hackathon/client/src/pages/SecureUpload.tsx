@@ -4,14 +4,20 @@
  */
 
 import { useState } from 'react';
-import { sha256Hex, deriveKey, encryptBlob, generateSalt } from '../lib/crypto';
-import { uploadToLighthouse } from '../lib/lighthouse';
+import { sha256Hex } from '../lib/crypto';
+import { encryptToContainer, CONTAINER_ENCRYPTION } from '../lib/container';
+import { checkPassphraseStrength } from '../lib/passphraseStrength';
+import PassphraseStrengthMeter from '../components/PassphraseStrengthMeter';
+import { getStorageProvider } from '../lib/storage';
 import { storeHashOnChain, connectWallet, getCurrentAccount } from '../lib/blockchain';
 import { createMetadata, updateTxHash } from '../lib/metadata';
 import { saveLocalMetadata } from '../lib/localMetadata';
 import { getStorageInfo, clearOldMockFiles } from '../lib/mockStorage';
 import toast from 'react-hot-toast';
 
+// Where encrypted files go (VITE_STORAGE_PROVIDER)
+const storage = getStorageProvider();
+
 export default function SecureUpload() {
   const [file, setFile] = useState<File | null>(null);
   const [password, setPassword] = useState('');
@@ -23,6 +29,7 @@ export default function SecureUpload() {
   type UploadStep = 'select' | 'hash' | 'encrypt' | 'upload' | 'metadata' | 'blockchain' | 'complete';
   const [step, setStep] = useState<UploadStep>('select');
   const [loading, setLoading] = useState(false);
+  const [encryptProgress, setEncryptProgress] = useState(0); // percent
   
   // Results
   const [cid, setCid] = useState('');
@@ -56,6 +63,10 @@ export default function SecureUpload() {
       toast.error('Missing required data');
       return;
     }
+    if (!checkPassphraseStrength(password).acceptable) {
+      toast.error('Please choose a stronger password');
+      return;
+    }
 
     setLoading(true);
 
@@ -64,9 +75,12 @@ export default function SecureUpload() {
       setStep('encrypt');
       toast.loading('Encrypting file...');
       
-      const salt = generateSalt();
-      const key = await deriveKey(password, salt);
-      const { cipherBlob, iv } = await encryptBlob(file, key);
+      // The container carries the salt, KDF parameters and filename, so the downloaded
+      // file can be decrypted without its metadata record
+      setEncryptProgress(0);
+      const { blob: cipherBlob, salt, kdf } = await encryptToContainer(file, password, (processed, total) =>
+        setEncryptProgress(total ? Math.floor((processed / total) * 100) : 100)
+      );
       
       // Optionally compute encrypted hash
       const encHash = await sha256Hex(cipherBlob);
@@ -74,20 +88,16 @@ export default function SecureUpload() {
       
       toast.success('File encrypted');
 
-      // Step 2: Upload to Lighthouse
+      // Step 2: Upload to the configured storage provider
       setStep('upload');
-      toast.loading('Uploading to Lighthouse...');
+      toast.loading(`Uploading to ${storage.label}...`);
       
-      // Use uploadViaBackend for production (keeps API key secure)
-      // Or uploadToLighthouse for development (requires VITE_LIGHTHOUSE_API_KEY)
-      const { cid: uploadedCid, gatewayUrl: url } = await uploadToLighthouse(
-        cipherBlob,
-        `encrypted_${file.name}`
-      );
+      const stored = await storage.put(cipherBlob, `encrypted_${file.name}`);
+      const uploadedCid = stored.key;
       
       setCid(uploadedCid);
-      setGatewayUrl(url);
-      toast.success('Uploaded to IPFS');
+      setGatewayUrl(stored.url || '');
+      toast.success(`Uploaded to ${storage.label}`);
 
       // Step 3: Get wallet address (optional for now, required for blockchain step)
       let address = walletAddress;
@@ -118,11 +128,13 @@ export default function SecureUpload() {
         const metadata = await createMetadata({
           filename: file.name,
           cid: uploadedCid,
+          storageProvider: stored.provider,
           sha256: originalHash,
           encryptedSize: cipherBlob.size,
           ownerAddress: address,
-          iv: Array.from(iv),
+          encryption: CONTAINER_ENCRYPTION,
           salt: Array.from(salt),
+          kdf,
         });
         
         savedId = metadata.id;
@@ -136,12 +148,14 @@ export default function SecureUpload() {
           id: savedId,
           filename: file.name,
           cid: uploadedCid,
+          storageProvider: stored.provider,
           sha256: originalHash,
           encryptedSize: cipherBlob.size,
           timestamp: new Date().toISOString(),
           ownerAddress: address,
-          iv: Array.from(iv),
+          encryption: CONTAINER_ENCRYPTION,
           salt: Array.from(salt),
+          kdf,
         });
         
         toast.success('Metadata saved locally (backend offline)');
@@ -270,11 +284,14 @@ export default function SecureUpload() {
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 placeholder="Enter encryption password"
-                className="input-field mb-4"
+                className="input-field"
               />
+              <div className="mb-4">
+                <PassphraseStrengthMeter passphrase={password} />
+              </div>
               <button
                 onClick={handleEncryptAndUpload}
-                disabled={!password || loading}
+                disabled={!password || !checkPassphraseStrength(password).acceptable || loading}
                 className="btn-primary w-full"
               >
                 {loading ? 'Processing...' : 'Encrypt & Upload'}
@@ -288,7 +305,7 @@ export default function SecureUpload() {
               <div className="space-y-2 text-sm">
                 <p className="flex items-center">
                   <span className={step === 'encrypt' ? 'text-blue-600' : 'text-green-600'}>
-                    {step === 'encrypt' ? '⏳' : '✅'} Encrypting file
+                    {step === 'encrypt' ? `⏳ Encrypting file (${encryptProgress}%)` : '✅ Encrypting file'}
                   </span>
                 </p>
                 <p className="flex items-center">
@@ -299,7 +316,7 @@ export default function SecureUpload() {
                   }>
                     {step === 'upload' ? '⏳' : 
                      ['metadata', 'blockchain', 'complete'].includes(step) ? '✅' : 
-                     '⏸️'} Uploading to Lighthouse
+                     '⏸️'} Uploading to {storage.label}
                   </span>
                 </p>
                 <p className="flex items-center">
@@ -321,7 +338,7 @@ export default function SecureUpload() {
             <div className="card">
               <h2 className="text-xl font-semibold mb-4">3. Store on Blockchain</h2>
               <p className="text-sm mb-4">
-                <strong>CID:</strong> <a href={gatewayUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{cid}</a>
+                <strong>Storage key:</strong> <StorageLink url={gatewayUrl} storageKey={cid} />
               </p>
               <p className="text-sm mb-4 break-all">
                 <strong>Encrypted Hash:</strong> {encryptedHash}
@@ -372,7 +389,7 @@ export default function SecureUpload() {
           <div className="space-y-3 text-sm">
             <p><strong>File:</strong> {file?.name}</p>
             <p className="break-all"><strong>SHA-256:</strong> {originalHash}</p>
-            <p><strong>CID:</strong> <a href={gatewayUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{cid}</a></p>
+            <p className="break-all"><strong>Storage key:</strong> <StorageLink url={gatewayUrl} storageKey={cid} /></p>
             <p className="break-all"><strong>Transaction:</strong> <span className="text-green-600">{txHash}</span></p>
             <p><strong>Metadata ID:</strong> {metadataId}</p>
           </div>
@@ -385,3 +402,10 @@ export default function SecureUpload() {
     </div>
   );
 }
+
+// Storage key, linked to the encrypted file when the provider serves it at a URL
+function StorageLink({ url, storageKey }: { url: string; storageKey: string }) {
+  return url
+    ? <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{storageKey}</a>
+    : <span>{storageKey}</span>;
+}
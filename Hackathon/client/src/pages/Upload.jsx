@@ -3,21 +3,38 @@ import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import FileDropzone from '../components/FileDropzone';
 import Loader from '../components/Loader';
+import PassphraseStrengthMeter from '../components/PassphraseStrengthMeter';
 import toast from 'react-hot-toast';
-import { encryptFile, uploadToR2, buildClaimsFromUpload } from '../utils/r2Upload';
-import { encryptVC, storeVC } from '../utils/cryptoVault';
+import {
+  encryptFile,
+  resumeUploadToR2,
+  listPendingUploads,
+  abortPendingUpload,
+  buildClaimsFromUpload,
+  MAX_UPLOAD_SIZE
+} from '../utils/r2Upload';
+import { unlockVault, storeVC, isVaultUnlocked, onVaultLock, vaultExists } from '../utils/cryptoVault';
+import { getStorageProvider } from '../lib/storage';
 import { CheckCircleIcon } from '@heroicons/react/24/outline';
 
+// Files the issuer hands out against their credential (see lib/issuerStorage.ts)
+const storage = getStorageProvider('issuer');
+
 export default function Upload() {
   const { user, userDid } = useAuth();
   const navigate = useNavigate();
   const [file, setFile] = useState(null);
   const [passphrase, setPassphrase] = useState('');
   const [docType, setDocType] = useState('document');
+  const [proofFormat, setProofFormat] = useState('jwt');
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
+  // Upload interrupted by a reload or a network failure, resumable from IndexedDB
+  const [pendingUpload, setPendingUpload] = useState(null);
   const [requestingVC, setRequestingVC] = useState(false);
   const [vcResult, setVcResult] = useState(null);
+  const [vaultUnlocked, setVaultUnlocked] = useState(isVaultUnlocked());
+  const [vaultCreated, setVaultCreated] = useState(true);
 
   useEffect(() => {
     if (!user) {
@@ -25,43 +42,126 @@ export default function Upload() {
     }
   }, [user, navigate]);
 
+  useEffect(() => onVaultLock(() => setVaultUnlocked(false)), []);
+
+  useEffect(() => {
+    vaultExists().then(setVaultCreated).catch(() => setVaultCreated(true));
+  }, []);
+
+  useEffect(() => {
+    loadPendingUpload();
+  }, []);
+
+  const loadPendingUpload = async () => {
+    try {
+      const [latest] = await listPendingUploads();
+      setPendingUpload(latest || null);
+    } catch (error) {
+      console.error('Failed to load pending uploads:', error);
+    }
+  };
+
+  const uploadProgress = (toastId) => (uploaded, total) =>
+    toast.loading(`Uploading to storage... ${Math.floor((uploaded / total) * 100)}%`, { id: toastId });
+
+  // Unlock the vault the credential will be stored in (the first unlock sets its passphrase)
+  const ensureVaultUnlocked = async () => {
+    if (isVaultUnlocked()) return;
+    if (!passphrase) {
+      throw new Error('Your vault is locked. Please enter your vault passphrase');
+    }
+    await unlockVault(passphrase);
+    setVaultUnlocked(true);
+    setVaultCreated(true);
+  };
+
   const handleUpload = async () => {
     if (!file) {
       toast.error('Please select a file');
       return;
     }
 
-    if (!passphrase) {
-      toast.error('Please enter a passphrase for encryption');
+    if (!vaultUnlocked && !passphrase) {
+      toast.error('Please enter your vault passphrase');
       return;
     }
 
     setUploading(true);
+    let toastId;
     try {
+      // Check the passphrase before uploading anything: the upload is signed for by the vault DID
+      await ensureVaultUnlocked();
+
       // Encrypt file client-side
-      toast.loading('Encrypting file...');
-      const { encrypted, key, iv, fileName } = await encryptFile(file);
+      toastId = toast.loading('Encrypting file...');
+      const { encrypted, key, encryption, fileName } = await encryptFile(file, (processed, total) =>
+        toast.loading(`Encrypting file... ${total ? Math.floor((processed / total) * 100) : 100}%`, { id: toastId })
+      );
 
-      // Upload to R2
-      toast.loading('Uploading to storage...');
-      const uploadData = await uploadToR2(encrypted, fileName);
+      // The key stays with the pending upload, sealed with the vault, so it can be resumed after a reload
+      toast.loading('Uploading to storage...', { id: toastId });
+      const stored = await storage.put(encrypted, fileName, {
+        onProgress: uploadProgress(toastId),
+        resumeData: { encryptionKey: key, encryption }
+      });
 
       setUploadResult({
-        ...uploadData,
+        storageKey: stored.key,
         encryptionKey: key,
-        iv,
+        encryption,
         fileName,
       });
 
-      toast.success('File uploaded successfully!');
+      toast.success('File uploaded successfully!', { id: toastId });
     } catch (error) {
       console.error('Upload failed:', error);
-      toast.error(error.message || 'Upload failed');
+      toast.error(error.message || 'Upload failed', { id: toastId });
+      await loadPendingUpload();
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleResumeUpload = async () => {
+    setUploading(true);
+    let toastId;
+    try {
+      // The file key of the pending upload is sealed with the vault, and its DID started the upload
+      await ensureVaultUnlocked();
+
+      toastId = toast.loading('Resuming upload...');
+      const { resumeData, ...uploadData } = await resumeUploadToR2(pendingUpload, { onProgress: uploadProgress(toastId) });
+
+      setUploadResult({
+        ...uploadData,
+        ...resumeData,
+        fileName: pendingUpload.fileName,
+      });
+      setPendingUpload(null);
+
+      toast.success('File uploaded successfully!', { id: toastId });
+    } catch (error) {
+      console.error('Resumed upload failed:', error);
+      toast.error(error.message || 'Upload failed', { id: toastId });
+      await loadPendingUpload();
     } finally {
       setUploading(false);
     }
   };
 
+  const handleDiscardUpload = async () => {
+    try {
+      // Only the vault DID that started the upload can abort it
+      await ensureVaultUnlocked();
+      await abortPendingUpload(pendingUpload.uploadId);
+      toast.success('Upload discarded');
+    } catch (error) {
+      console.error('Failed to discard upload:', error);
+      toast.error(error.message || 'Failed to discard upload');
+    }
+    await loadPendingUpload();
+  };
+
   const handleRequestCredential = async () => {
     if (!uploadResult || !userDid) {
       toast.error('Missing required data');
@@ -74,7 +174,7 @@ export default function Upload() {
       const claims = buildClaimsFromUpload(uploadResult.storageKey, docType, {
         fileName: uploadResult.fileName,
         encryptionKey: uploadResult.encryptionKey,
-        iv: uploadResult.iv,
+        encryption: uploadResult.encryption,
       });
 
       // TODO: Replace with real API call
@@ -86,6 +186,7 @@ export default function Upload() {
         body: JSON.stringify({
           subjectDid: userDid,
           claims,
+          proofFormat,
         }),
       });
 
@@ -93,11 +194,12 @@ export default function Upload() {
         throw new Error('Failed to issue credential');
       }
 
-      const vc = await response.json();
+      // BBS credentials carry no id (it would link presentations); the issuer returns it separately
+      const { vc, credentialId } = await response.json();
 
       // Encrypt and store VC locally
-      const encryptedVC = await encryptVC(vc, passphrase);
-      storeVC(vc.id, encryptedVC);
+      await ensureVaultUnlocked();
+      await storeVC(vc.id || credentialId, vc);
 
       setVcResult(vc);
       toast.success('Credential issued and stored!');
@@ -119,12 +221,42 @@ export default function Upload() {
       </p>
 
       <div className="space-y-6">
+        {/* Interrupted Upload */}
+        {pendingUpload && !uploadResult && (
+          <div className="card bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+              Unfinished Upload
+            </h2>
+            <p className="text-sm text-gray-700 dark:text-gray-300 mb-4">
+              {pendingUpload.fileName} ({(pendingUpload.file.size / (1024 * 1024)).toFixed(1)} MB), started {new Date(pendingUpload.createdAt).toLocaleString()}.
+              Only the parts that did not arrive will be sent.
+              {!vaultUnlocked && ' Enter your vault passphrase below to resume it.'}
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={handleResumeUpload}
+                disabled={(!vaultUnlocked && !passphrase) || uploading}
+                className="btn-primary text-sm"
+              >
+                Resume Upload
+              </button>
+              <button
+                onClick={handleDiscardUpload}
+                disabled={(!vaultUnlocked && !passphrase) || uploading}
+                className="btn-secondary text-sm"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* File Upload */}
         <div className="card">
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
             1. Select File
           </h2>
-          <FileDropzone onFileSelect={setFile} />
+          <FileDropzone onFileSelect={setFile} maxSize={MAX_UPLOAD_SIZE} />
         </div>
 
         {/* Encryption Settings */}
@@ -133,21 +265,24 @@ export default function Upload() {
             2. Encryption Settings
           </h2>
           <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Passphrase (for vault encryption)
-              </label>
-              <input
-                type="password"
-                value={passphrase}
-                onChange={(e) => setPassphrase(e.target.value)}
-                className="input-field"
-                placeholder="Enter a strong passphrase"
-              />
-              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                This passphrase will be used to encrypt your credential in the vault
-              </p>
-            </div>
+            {!vaultUnlocked && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Vault passphrase
+                </label>
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  className="input-field"
+                  placeholder="Enter your vault passphrase"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Unlocks the encrypted vault your credential is stored in. The first time, it sets the vault passphrase
+                </p>
+                {!vaultCreated && <PassphraseStrengthMeter passphrase={passphrase} />}
+              </div>
+            )}
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                 Document Type
@@ -164,6 +299,24 @@ export default function Upload() {
                 <option value="diploma">Diploma</option>
               </select>
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Credential Format
+              </label>
+              <select
+                value={proofFormat}
+                onChange={(e) => setProofFormat(e.target.value)}
+                className="input-field"
+              >
+                <option value="jwt">Standard (JWT)</option>
+                <option value="sd-jwt">Selective disclosure (SD-JWT)</option>
+                <option value="bbs">Unlinkable selective disclosure (BBS)</option>
+              </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Selective disclosure lets you choose which claims to reveal each time you present this credential
+                {proofFormat === 'bbs' && '. BBS presentations can\'t show they come from you, so they can\'t retrieve the file from storage'}
+              </p>
+            </div>
           </div>
         </div>
 
@@ -171,7 +324,7 @@ export default function Upload() {
         {!uploadResult && (
           <button
             onClick={handleUpload}
-            disabled={!file || !passphrase || uploading}
+            disabled={!file || (!vaultUnlocked && !passphrase) || uploading}
             className="w-full btn-primary py-3 flex items-center justify-center"
           >
             {uploading ? <Loader size="sm" /> : 'Encrypt & Upload'}
@@ -1,26 +1,91 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
-import { retrieveVCs } from '../utils/cryptoVault';
-import { signPresentation } from '../utils/didManager';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { unlockVault, unlockVaultWithPasskey, listVaultPasskeys, retrieveVCs, isVaultUnlocked, onVaultLock, vaultExists } from '../utils/cryptoVault';
+import { getSigningKey, signPresentation } from '../utils/didManager';
+import { parseAuthorizationRequest, submitPresentation } from '../utils/oid4vp';
+import { matchCredentials, buildSubmission } from '../utils/presentationExchange';
+import { isSdJwtCredential, listDisclosures, createSdJwtPresentation } from '../utils/sdJwt';
+import { isBbsCredential, listBbsClaims, deriveBbsPresentation } from '../utils/bbs';
 import CredentialCard from '../components/CredentialCard';
 import Modal from '../components/Modal';
 import Loader from '../components/Loader';
+import PassphraseStrengthMeter from '../components/PassphraseStrengthMeter';
 import { SkeletonCard } from '../components/Skeleton';
 import toast from 'react-hot-toast';
 import QRCode from 'qrcode';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+
+// Presentation request from the verifier: an OID4VP link, or
+// { challenge, domain, presentation_definition? } JSON from the Verify page
+async function parsePresentationRequest(text) {
+  if (text.startsWith('openid4vp://')) {
+    const oid4vpRequest = await parseAuthorizationRequest(text);
+    return {
+      challenge: oid4vpRequest.nonce,
+      domain: oid4vpRequest.clientId,
+      presentationDefinition: oid4vpRequest.presentationDefinition,
+      oid4vpRequest,
+    };
+  }
+
+  let request;
+  try {
+    request = JSON.parse(text);
+  } catch {
+    throw new Error('Paste the presentation request from the verifier');
+  }
+
+  if (!request.challenge || !request.domain) {
+    throw new Error('Presentation request must include a challenge and domain');
+  }
+
+  return {
+    challenge: request.challenge,
+    domain: request.domain,
+    presentationDefinition: request.presentation_definition || null,
+    oid4vpRequest: null,
+  };
+}
+
+// Short label for a credential in the requirement pickers
+function credentialLabel(credential) {
+  const type = [].concat(credential.type || []).find(t => t !== 'VerifiableCredential') || 'Credential';
+  const name = credential.credentialSubject?.name || credential.credentialSubject?.fileName;
+  const issued = credential.issuanceDate ? new Date(credential.issuanceDate).toLocaleDateString() : null;
+  return [type, name, issued].filter(Boolean).join(' · ');
+}
+
+// Credentials presented on their own with only the claims the holder picks
+function isSelectiveCredential(credential) {
+  return isSdJwtCredential(credential) || isBbsCredential(credential);
+}
 
 export default function Vault() {
   const { user, userDid } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [credentials, setCredentials] = useState([]);
   const [loading, setLoading] = useState(false);
   const [passphrase, setPassphrase] = useState('');
-  const [showPassphraseModal, setShowPassphraseModal] = useState(true);
+  const [showPassphraseModal, setShowPassphraseModal] = useState(!isVaultUnlocked());
+  // False until the first unlock, which sets the vault passphrase
+  const [vaultCreated, setVaultCreated] = useState(true);
+  // Passphrase unlock stays available as the fallback
+  const [hasPasskey, setHasPasskey] = useState(false);
   const [selectedCredentials, setSelectedCredentials] = useState([]);
   const [showPresentationModal, setShowPresentationModal] = useState(false);
   const [presentation, setPresentation] = useState(null);
   const [qrCodeUrl, setQrCodeUrl] = useState('');
+  const [showRequestModal, setShowRequestModal] = useState(false);
+  // OID4VP links from the Verify page arrive as /vault?request=openid4vp://...
+  const [presentationRequest, setPresentationRequest] = useState(searchParams.get('request') || '');
+  const [parsedRequest, setParsedRequest] = useState(null);
+  const [requestError, setRequestError] = useState('');
+  // Credential chosen for each input descriptor of the request's presentation definition
+  const [descriptorSelection, setDescriptorSelection] = useState({});
+  // Claims revealed when presenting a selective disclosure (SD-JWT or BBS) credential
+  const [disclosedClaims, setDisclosedClaims] = useState([]);
 
   useEffect(() => {
     if (!user) {
@@ -28,6 +93,55 @@ export default function Vault() {
     }
   }, [user, navigate]);
 
+  // The vault may still be unlocked from another page; hide everything again when it locks
+  useEffect(() => {
+    if (isVaultUnlocked()) {
+      setLoading(true);
+      retrieveVCs()
+        .then(setCredentials)
+        .catch(error => {
+          console.error('Failed to load credentials:', error);
+          toast.error(error.message || 'Failed to load credentials');
+        })
+        .finally(() => setLoading(false));
+    } else {
+      vaultExists().then(setVaultCreated).catch(() => setVaultCreated(true));
+    }
+
+    return onVaultLock(() => {
+      setCredentials([]);
+      setSelectedCredentials([]);
+      setShowRequestModal(false);
+      setShowPresentationModal(false);
+      setShowPassphraseModal(true);
+      toast('Vault locked');
+    });
+  }, []);
+
+  useEffect(() => {
+    if (showPassphraseModal) {
+      listVaultPasskeys()
+        .then(passkeys => setHasPasskey(passkeys.length > 0))
+        .catch(() => setHasPasskey(false));
+    }
+  }, [showPassphraseModal]);
+
+  const handlePasskeyUnlock = async () => {
+    setLoading(true);
+    try {
+      await unlockVaultWithPasskey();
+      const vcs = await retrieveVCs();
+      setCredentials(vcs);
+      setShowPassphraseModal(false);
+      toast.success(`Loaded ${vcs.length} credential(s)`);
+    } catch (error) {
+      console.error('Failed to unlock vault with passkey:', error);
+      toast.error(error.message || 'Failed to unlock vault');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleUnlock = async () => {
     if (!passphrase) {
       toast.error('Please enter your passphrase');
@@ -36,8 +150,11 @@ export default function Vault() {
 
     setLoading(true);
     try {
-      const vcs = await retrieveVCs(passphrase);
+      await unlockVault(passphrase);
+      const vcs = await retrieveVCs();
       setCredentials(vcs);
+      setPassphrase('');
+      setVaultCreated(true);
       setShowPassphraseModal(false);
       toast.success(`Loaded ${vcs.length} credential(s)`);
     } catch (error) {
@@ -48,6 +165,87 @@ export default function Vault() {
     }
   };
 
+  // Parse the request as it is pasted or scanned (OID4VP definitions may be fetched by URI)
+  useEffect(() => {
+    const text = presentationRequest.trim();
+    setParsedRequest(null);
+    setRequestError('');
+    if (!text) return;
+
+    let cancelled = false;
+    parsePresentationRequest(text)
+      .then(request => !cancelled && setParsedRequest(request))
+      .catch(error => !cancelled && setRequestError(error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [presentationRequest]);
+
+  // Match the vault against the verifier's input descriptors
+  // SD-JWT and BBS credentials are presented on their own, so they can't go into a JWT VP
+  const descriptorMatches = useMemo(() => (
+    parsedRequest?.presentationDefinition
+      ? matchCredentials(parsedRequest.presentationDefinition, credentials.filter(c => !isSelectiveCredential(c)))
+      : null
+  ), [parsedRequest, credentials]);
+
+  // A single selected SD-JWT or BBS credential gets a disclosure picker
+  const selectiveCredential = selectedCredentials.length === 1 && isSelectiveCredential(selectedCredentials[0])
+    ? selectedCredentials[0]
+    : null;
+  const disclosableClaims = useMemo(() => {
+    if (!selectiveCredential) return [];
+    return isSdJwtCredential(selectiveCredential)
+      ? listDisclosures(selectiveCredential.proof.sdJwt)
+      : listBbsClaims(selectiveCredential);
+  }, [selectiveCredential]);
+
+  // Reveal only the document type unless the holder chooses more
+  useEffect(() => {
+    setDisclosedClaims(disclosableClaims.some(({ name }) => name === 'docType') ? ['docType'] : []);
+  }, [disclosableClaims]);
+
+  const toggleDisclosure = (name) => {
+    setDisclosedClaims(prev => (
+      prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]
+    ));
+  };
+
+  // Preselect the first matching credential for every requirement
+  useEffect(() => {
+    if (!descriptorMatches) return;
+    setDescriptorSelection(Object.fromEntries(
+      descriptorMatches
+        .filter(({ matches }) => matches.length > 0)
+        .map(({ descriptor, matches }) => [descriptor.id, matches[0]])
+    ));
+  }, [descriptorMatches]);
+
+  const allRequirementsMet = descriptorMatches?.every(({ matches }) => matches.length > 0) ?? true;
+
+  // Read a presentation request from a photo of the verifier's QR code
+  const handleScanRequest = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      if (!('BarcodeDetector' in window)) {
+        throw new Error('QR scanning is not supported in this browser. Paste the request instead');
+      }
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      const [code] = await detector.detect(await createImageBitmap(file));
+      if (!code) {
+        throw new Error('No QR code found in the image');
+      }
+      setPresentationRequest(code.rawValue);
+    } catch (error) {
+      console.error('Failed to scan presentation request:', error);
+      toast.error(error.message || 'Failed to scan presentation request');
+    }
+  };
+
   const toggleCredentialSelection = (credential) => {
     setSelectedCredentials(prev => {
       const isSelected = prev.some(c => c.id === credential.id);
@@ -60,27 +258,57 @@ export default function Vault() {
   };
 
   const handleCreatePresentation = async () => {
-    if (selectedCredentials.length === 0) {
-      toast.error('Please select at least one credential');
-      return;
-    }
-
     try {
+      if (!parsedRequest) {
+        throw new Error(requestError || 'Paste the presentation request from the verifier');
+      }
+      const { challenge, domain, presentationDefinition, oid4vpRequest } = parsedRequest;
+
+      // With a presentation definition the matched credentials are presented;
+      // otherwise whatever cards the user ticked
+      let verifiableCredential = selectedCredentials;
+      let presentationSubmission = null;
+      if (presentationDefinition) {
+        ({ verifiableCredential, presentationSubmission } = buildSubmission(presentationDefinition, descriptorSelection));
+      } else if (selectedCredentials.length === 0) {
+        throw new Error('Please select at least one credential');
+      } else if (!selectiveCredential && selectedCredentials.some(isSelectiveCredential)) {
+        throw new Error('Selective disclosure credentials must be presented on their own');
+      }
+
       // Create unsigned VP
+      // OID4VP sends the submission next to the vp_token; otherwise it travels inside the VP
       const vp = {
         '@context': ['https://www.w3.org/2018/credentials/v1'],
         type: ['VerifiablePresentation'],
         holder: userDid,
-        verifiableCredential: selectedCredentials,
+        verifiableCredential,
+        ...(presentationSubmission && !oid4vpRequest && { presentation_submission: presentationSubmission }),
       };
 
       // Sign the presentation
-      const { privateKey } = JSON.parse(localStorage.getItem('did_vault_private_key')) || {};
-      if (!privateKey) {
-        throw new Error('Private key not found');
+      const { privateKey } = await getSigningKey();
+
+      // SD-JWT: the credential itself is presented, with only the chosen disclosures and a key binding JWT
+      // BBS: a derived credential revealing only the chosen claims, with a fresh unlinkable proof
+      let signedVP;
+      if (presentationDefinition || !selectiveCredential) {
+        signedVP = await signPresentation(vp, privateKey, { challenge, domain });
+      } else if (isSdJwtCredential(selectiveCredential)) {
+        signedVP = await createSdJwtPresentation(selectiveCredential.proof.sdJwt, disclosedClaims, privateKey, { challenge, domain });
+      } else {
+        signedVP = await deriveBbsPresentation(selectiveCredential, disclosedClaims, { challenge, domain });
+      }
+      setShowRequestModal(false);
+      setPresentationRequest('');
+
+      // OID4VP: post straight to the verifier, which shows the result on its own page
+      if (oid4vpRequest) {
+        await submitPresentation(oid4vpRequest, signedVP.proof.jwt, presentationSubmission);
+        toast.success('Presentation sent to the verifier');
+        return;
       }
 
-      const signedVP = await signPresentation(vp, privateKey);
       setPresentation(signedVP);
 
       // Generate QR code
@@ -105,20 +333,25 @@ export default function Vault() {
       <div className="min-h-[calc(100vh-4rem)] flex items-center justify-center py-12 px-4 bg-gray-50 dark:bg-gray-900">
         <div className="max-w-md w-full card">
           <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-4">
-            Unlock Your Vault
+            {vaultCreated ? 'Unlock Your Vault' : 'Create Your Vault'}
           </h2>
           <p className="text-gray-600 dark:text-gray-400 mb-6">
-            Enter your passphrase to decrypt and view your credentials
+            {vaultCreated
+              ? 'Enter your passphrase to decrypt and view your credentials'
+              : 'Choose the passphrase that will encrypt your credentials'}
           </p>
           <input
             type="password"
             value={passphrase}
             onChange={(e) => setPassphrase(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && handleUnlock()}
-            className="input-field mb-4"
+            className="input-field"
             placeholder="Enter passphrase"
             autoFocus
           />
+          <div className="mb-4">
+            {!vaultCreated && <PassphraseStrengthMeter passphrase={passphrase} />}
+          </div>
           <button
             onClick={handleUnlock}
             disabled={loading}
@@ -126,6 +359,21 @@ export default function Vault() {
           >
             {loading ? <Loader size="sm" /> : 'Unlock Vault'}
           </button>
+          {hasPasskey && (
+            <button
+              onClick={handlePasskeyUnlock}
+              disabled={loading}
+              className="w-full btn-secondary mt-3"
+            >
+              Unlock with Passkey
+            </button>
+          )}
+          <button
+            onClick={() => navigate('/recover')}
+            className="w-full mt-4 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            {vaultCreated ? 'Forgot your passphrase? Recover your vault' : 'Have recovery shares? Restore your vault'}
+          </button>
         </div>
       </div>
     );
@@ -142,16 +390,23 @@ export default function Vault() {
             {credentials.length} credential(s) stored
           </p>
         </div>
-        {selectedCredentials.length > 0 && (
+        {credentials.length > 0 && (
           <button
-            onClick={handleCreatePresentation}
+            onClick={() => setShowRequestModal(true)}
             className="btn-primary"
           >
-            Create Presentation ({selectedCredentials.length})
+            Create Presentation{selectedCredentials.length > 0 && ` (${selectedCredentials.length})`}
           </button>
         )}
       </div>
 
+      {presentationRequest.startsWith('openid4vp://') && (
+        <div className="mb-6 p-4 rounded-lg bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 text-sm text-gray-700 dark:text-gray-300">
+          A verifier is requesting a presentation. Click Create Presentation to review what they
+          ask for and send the matching credentials.
+        </div>
+      )}
+
       {credentials.length === 0 ? (
         <div className="text-center py-12">
           <p className="text-gray-600 dark:text-gray-400 mb-4">
@@ -177,6 +432,145 @@ export default function Vault() {
         </div>
       )}
 
+      {/* Presentation Request Modal */}
+      <Modal
+        isOpen={showRequestModal}
+        onClose={() => setShowRequestModal(false)}
+        title="Presentation Request"
+        size="lg"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Paste or scan the request shown by the verifier: an <code>openid4vp://</code> link, which
+            sends the presentation straight to them, or a challenge to sign and hand over yourself.
+            The presentation is bound to the request, so it can only be verified once, within a few minutes.
+          </p>
+          <textarea
+            value={presentationRequest}
+            onChange={(e) => setPresentationRequest(e.target.value)}
+            className="input-field font-mono text-xs h-32"
+            placeholder='openid4vp://?... or {"challenge": "...", "domain": "..."}'
+            autoFocus
+          />
+          <div className="flex items-center gap-4">
+            <label className="btn-secondary text-sm cursor-pointer">
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={handleScanRequest}
+                className="hidden"
+              />
+              Scan QR Code
+            </label>
+            {requestError && (
+              <span className="text-sm text-red-600 dark:text-red-400">{requestError}</span>
+            )}
+          </div>
+
+          {/* Requirements from the verifier's presentation definition */}
+          {descriptorMatches && (
+            <div className="space-y-3">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+                  Requested: {parsedRequest.presentationDefinition.name || parsedRequest.presentationDefinition.id}
+                </h3>
+                {parsedRequest.presentationDefinition.purpose && (
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {parsedRequest.presentationDefinition.purpose}
+                  </p>
+                )}
+              </div>
+              {descriptorMatches.map(({ descriptor, matches }) => (
+                <div
+                  key={descriptor.id}
+                  className="p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+                >
+                  <div className="flex items-center gap-2">
+                    {matches.length > 0 ? (
+                      <CheckCircleIcon className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0" />
+                    ) : (
+                      <XCircleIcon className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0" />
+                    )}
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">
+                      {descriptor.name || descriptor.id}
+                    </span>
+                  </div>
+                  {descriptor.purpose && (
+                    <p className="text-xs text-gray-600 dark:text-gray-400 mt-1">{descriptor.purpose}</p>
+                  )}
+                  {matches.length > 0 ? (
+                    <select
+                      value={descriptorSelection[descriptor.id]?.id || ''}
+                      onChange={(e) => setDescriptorSelection(prev => ({
+                        ...prev,
+                        [descriptor.id]: matches.find(c => c.id === e.target.value),
+                      }))}
+                      className="input-field text-sm mt-2"
+                    >
+                      {matches.map(credential => (
+                        <option key={credential.id} value={credential.id}>
+                          {credentialLabel(credential)}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                      No credential in your vault satisfies this requirement
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Selective disclosure: pick the claims the verifier will see */}
+          {!descriptorMatches && selectiveCredential && (
+            <div className="space-y-2">
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+                Claims to disclose
+              </h3>
+              <p className="text-xs text-gray-600 dark:text-gray-400">
+                This credential supports selective disclosure. Unchecked claims stay hidden from the verifier.
+                {isBbsCredential(selectiveCredential) && ' Each presentation carries a fresh proof, so verifiers can\'t link them.'}
+              </p>
+              {disclosableClaims.map(({ name, value }) => (
+                <label key={name} className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={disclosedClaims.includes(name)}
+                    onChange={() => toggleDisclosure(name)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-medium">{name}</span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400 break-all">
+                      {typeof value === 'string' ? value : JSON.stringify(value)}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleCreatePresentation}
+              disabled={!parsedRequest || !allRequirementsMet}
+              className="flex-1 btn-primary"
+            >
+              Sign Presentation
+            </button>
+            <button
+              onClick={() => setShowRequestModal(false)}
+              className="flex-1 btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Presentation Modal */}
       <Modal
         isOpen={showPresentationModal}
@@ -196,7 +590,7 @@ export default function Vault() {
             </label>
             <textarea
               readOnly
-              value={JSON.stringify(presentation, null, 2)}
+              value={typeof presentation === 'string' ? presentation : JSON.stringify(presentation, null, 2)}
               className="input-field font-mono text-xs h-64"
             />
           </div>
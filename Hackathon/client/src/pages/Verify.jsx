@@ -1,12 +1,125 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Loader from '../components/Loader';
 import toast from 'react-hot-toast';
 import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import QRCode from 'qrcode';
+import { documentCredentialDefinition } from '../utils/presentationExchange';
+
+const issuerApiUrl = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
+const POLL_INTERVAL = 2000;
 
 export default function Verify() {
   const [vpJson, setVpJson] = useState('');
   const [verifying, setVerifying] = useState(false);
   const [verificationResult, setVerificationResult] = useState(null);
+  const [presentationRequest, setPresentationRequest] = useState(null);
+  // Optional DIF presentation definition the holder's submission must satisfy
+  const [definitionJson, setDefinitionJson] = useState('');
+  const [walletRequest, setWalletRequest] = useState(null);
+
+  // Every verification consumes the challenge, so start a fresh session each time
+  const requestChallenge = async (definition = definitionJson) => {
+    try {
+      let presentationDefinition;
+      if (definition.trim()) {
+        try {
+          presentationDefinition = JSON.parse(definition);
+        } catch {
+          throw new Error('Presentation definition is not valid JSON');
+        }
+      }
+
+      const response = await fetch(`${issuerApiUrl}/verify/challenge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ presentationDefinition }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create presentation request');
+      }
+
+      const { challenge, domain, presentation_definition, expiresIn } = data;
+      setPresentationRequest({
+        challenge,
+        domain,
+        presentation_definition,
+        expiresAt: Date.now() + expiresIn * 1000,
+      });
+    } catch (error) {
+      console.error('Challenge request error:', error);
+      toast.error(error.message || 'Failed to create presentation request');
+    }
+  };
+
+  // OID4VP: the holder scans or opens the request and their Vault posts the VP to the issuer service
+  const createWalletRequest = async () => {
+    try {
+      const response = await fetch(`${issuerApiUrl}/oid4vp/request`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error('Failed to create wallet request');
+      }
+
+      const { transactionId, requestUri, expiresIn } = await response.json();
+      setWalletRequest({
+        transactionId,
+        requestUri,
+        vaultLink: `${window.location.origin}/vault?request=${encodeURIComponent(requestUri)}`,
+        qrCode: await QRCode.toDataURL(requestUri),
+        status: 'pending',
+        expiresAt: Date.now() + expiresIn * 1000,
+      });
+      setVerificationResult(null);
+    } catch (error) {
+      console.error('Wallet request error:', error);
+      toast.error(error.message || 'Failed to create wallet request');
+    }
+  };
+
+  useEffect(() => {
+    requestChallenge();
+  }, []);
+
+  // Poll the OID4VP transaction until the wallet has answered or the request expires
+  useEffect(() => {
+    if (walletRequest?.status !== 'pending') return;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetch(`${issuerApiUrl}/oid4vp/transactions/${walletRequest.transactionId}`);
+        const transaction = response.ok ? await response.json() : { status: 'expired' };
+        if (transaction.status === 'pending') return;
+
+        setWalletRequest(prev => ({ ...prev, status: transaction.status }));
+        if (transaction.status === 'complete') {
+          setVerificationResult(transaction.result);
+          if (transaction.result.verified) {
+            toast.success('Presentation verified successfully!');
+          } else {
+            toast.error('Verification failed');
+          }
+        } else {
+          toast.error('Wallet request expired');
+        }
+      } catch (error) {
+        console.error('Wallet request polling error:', error);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [walletRequest?.transactionId, walletRequest?.status]);
+
+  const copyRequest = () => {
+    const { challenge, domain, presentation_definition } = presentationRequest;
+    navigator.clipboard.writeText(JSON.stringify({ challenge, domain, presentation_definition }));
+    toast.success('Presentation request copied');
+  };
+
+  const applyDocumentTemplate = () => {
+    const template = JSON.stringify(documentCredentialDefinition, null, 2);
+    setDefinitionJson(template);
+    requestChallenge(template);
+  };
 
   const handleVerify = async () => {
     if (!vpJson.trim()) {
@@ -18,16 +131,14 @@ export default function Verify() {
     setVerificationResult(null);
 
     try {
-      // Parse VP
-      const vp = JSON.parse(vpJson);
+      // Parse VP (SD-JWT presentations may also be pasted as the raw <jwt>~...~<kb-jwt> string)
+      const trimmed = vpJson.trim();
+      const vp = /^[\w-]+\.[\w-]+\.[\w-]+~/.test(trimmed) ? trimmed : JSON.parse(trimmed);
 
-      // TODO: Replace with real API call to issuer backend
-      const issuerApiUrl = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
-      
       const response = await fetch(`${issuerApiUrl}/verify`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ presentation: vp }),
+        body: JSON.stringify({ vp }),
       });
 
       if (!response.ok) {
@@ -51,6 +162,7 @@ export default function Verify() {
       });
     } finally {
       setVerifying(false);
+      requestChallenge();
     }
   };
 
@@ -71,9 +183,100 @@ export default function Verify() {
         Verify Presentation
       </h1>
       <p className="text-gray-600 dark:text-gray-400 mb-8">
-        Paste or upload a verifiable presentation to verify its authenticity
+        Request a presentation from a wallet, or paste or upload one to verify its authenticity
       </p>
 
+      <div className="card space-y-4 mb-6">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Request from a Wallet
+          </h2>
+          <button onClick={createWalletRequest} className="btn-primary text-sm">
+            {walletRequest ? 'New Request' : 'Create Request'}
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Ask for a document credential with OpenID4VP. The holder scans the QR code or opens the
+          link in their Vault, and the result appears here as soon as they respond.
+        </p>
+        {walletRequest && (
+          <div className="flex flex-col sm:flex-row items-center gap-6">
+            <img src={walletRequest.qrCode} alt="OID4VP request QR code" className="w-48 h-48" />
+            <div className="space-y-3 text-sm text-gray-700 dark:text-gray-300">
+              <p>
+                <span className="font-medium">Status:</span>{' '}
+                {walletRequest.status === 'pending' && 'Waiting for the holder...'}
+                {walletRequest.status === 'complete' && 'Response received'}
+                {walletRequest.status === 'expired' && 'Expired'}
+              </p>
+              <p className="text-gray-500 dark:text-gray-400">
+                Expires at {new Date(walletRequest.expiresAt).toLocaleTimeString()}
+              </p>
+              <a
+                href={walletRequest.vaultLink}
+                target="_blank"
+                rel="noreferrer"
+                className="btn-secondary text-sm inline-block"
+              >
+                Open in Vault
+              </a>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="card space-y-4 mb-6">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Presentation Request
+          </h2>
+          <button onClick={() => requestChallenge()} className="btn-secondary text-sm">
+            New Challenge
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Share this request with the holder. Their Vault signs it into the presentation,
+          which is accepted once and only before the challenge expires.
+        </p>
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Required Credentials (Presentation Exchange definition, optional)
+            </label>
+            <button onClick={applyDocumentTemplate} className="text-sm text-primary-600 hover:underline">
+              Require a document credential
+            </button>
+          </div>
+          <textarea
+            value={definitionJson}
+            onChange={(e) => setDefinitionJson(e.target.value)}
+            className="input-field font-mono text-xs h-24"
+            placeholder='{"id": "...", "input_descriptors": [...]} - click New Challenge to apply'
+          />
+        </div>
+        {presentationRequest ? (
+          <>
+            <pre className="input-field font-mono text-xs whitespace-pre-wrap break-all max-h-48 overflow-auto">
+              {JSON.stringify({
+                challenge: presentationRequest.challenge,
+                domain: presentationRequest.domain,
+                presentation_definition: presentationRequest.presentation_definition,
+              }, null, 2)}
+            </pre>
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                Expires at {new Date(presentationRequest.expiresAt).toLocaleTimeString()}
+              </span>
+              <button onClick={copyRequest} className="btn-primary text-sm">
+                Copy Request
+              </button>
+            </div>
+          </>
+        ) : (
+          <Loader size="sm" />
+        )}
+      </div>
+
       <div className="card space-y-6">
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -132,11 +335,24 @@ export default function Verify() {
                   <div className="space-y-2 text-sm text-gray-700 dark:text-gray-300">
                     <p><span className="font-medium">Holder:</span> {verificationResult.holder || 'N/A'}</p>
                     <p><span className="font-medium">Credentials:</span> {verificationResult.credentialCount || 0}</p>
+                    {verificationResult.satisfiedDescriptors && (
+                      <p><span className="font-medium">Requirements met:</span> {verificationResult.satisfiedDescriptors.join(', ')}</p>
+                    )}
+                    {verificationResult.disclosedClaims && (
+                      <p>
+                        <span className="font-medium">Disclosed claims:</span>{' '}
+                        {Object.keys(verificationResult.disclosedClaims).length > 0
+                          ? Object.entries(verificationResult.disclosedClaims)
+                            .map(([name, value]) => `${name}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+                            .join(', ')
+                          : 'None'}
+                      </p>
+                    )}
                     <p><span className="font-medium">Status:</span> Valid</p>
                   </div>
                 ) : (
                   <p className="text-sm text-gray-700 dark:text-gray-300">
-                    {verificationResult.error || 'The presentation could not be verified'}
+                    {verificationResult.reason || verificationResult.error || 'The presentation could not be verified'}
                   </p>
                 )}
               </div>
@@ -0,0 +1,83 @@
+/**
+ * BBS (Data Integrity bbs-2023) holder utilities
+ * Derives a presentation from a vault credential issued with proofFormat 'bbs': a fresh
+ * zero-knowledge proof that reveals only the chosen claims, so two presentations of the
+ * same credential can't be linked by their proofs.
+ * The verifier's challenge and domain go into the proof's presentation header.
+ * Works offline: the JSON-LD contexts are bundled with the app
+ */
+
+import jsigs from 'jsonld-signatures';
+import { createDiscloseCryptosuite } from '@digitalbazaar/bbs-2023-cryptosuite';
+import { DataIntegrityProof } from '@digitalbazaar/data-integrity';
+import { contexts as credentialsContexts } from '@digitalbazaar/credentials-context';
+import statusListContext from '@digitalbazaar/vc-status-list-context';
+
+const CONTEXTS = new Map([...credentialsContexts, ...statusListContext.contexts]);
+
+/**
+ * Check whether a vault credential carries a bbs-2023 base proof
+ * @param {object} credential - Credential as returned by retrieveVCs
+ * @returns {boolean} True if presentations can be derived from the credential
+ */
+export function isBbsCredential(credential) {
+  return credential?.proof?.type === 'DataIntegrityProof' && credential.proof.cryptosuite === 'bbs-2023';
+}
+
+/**
+ * List the claims a BBS presentation can reveal
+ * @param {object} credential - BBS credential from the vault
+ * @returns {Array<{name: string, value: *}>} Credential subject claims
+ */
+export function listBbsClaims(credential) {
+  return Object.entries(credential.credentialSubject || {}).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Derive a presentation revealing only the selected claims
+ * The issuer and credential status are always revealed
+ * @param {object} credential - BBS credential from the vault
+ * @param {Array<string>} claimNames - Names of the credential subject claims to reveal
+ * @param {{challenge: string, domain: string}} request - The verifier's presentation request
+ * @returns {Promise<object>} Derived credential with a bbs-2023 disclosure proof
+ * @throws {Error} If the request is incomplete or the proof can't be derived
+ */
+export async function deriveBbsPresentation(credential, claimNames, { challenge, domain } = {}) {
+  // Verifiers only accept presentations bound to one of their sessions
+  if (!challenge || !domain) {
+    throw new Error('A verifier challenge and domain are required');
+  }
+
+  // Vault metadata is not part of the signed credential
+  const { _metadata, ...signed } = credential;
+
+  // JSON Pointer escaping (RFC 6901)
+  const selectivePointers = claimNames.map(
+    name => `/credentialSubject/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`
+  );
+
+  return jsigs.derive(signed, {
+    suite: new DataIntegrityProof({
+      cryptosuite: createDiscloseCryptosuite({
+        selectivePointers,
+        presentationHeader: new TextEncoder().encode(JSON.stringify({ challenge, domain }))
+      })
+    }),
+    purpose: new jsigs.purposes.AssertionProofPurpose(),
+    documentLoader
+  });
+}
+
+/**
+ * Helper function to load JSON-LD contexts from the bundled copies only
+ * @param {string} url - Context URL
+ * @returns {Promise<{contextUrl: null, documentUrl: string, document: object}>} Context document
+ * @throws {Error} If the context is not bundled
+ */
+async function documentLoader(url) {
+  const document = CONTEXTS.get(url);
+  if (!document) {
+    throw new Error(`Document not available offline: ${url}`);
+  }
+  return { contextUrl: null, documentUrl: url, document };
+}
@@ -1,63 +1,98 @@
-// Storage key prefix for encrypted VCs in localStorage
+/**
+ * Encrypted credential vault
+ * Credentials live in IndexedDB, each encrypted with its own AES-GCM data key.
+ * Data keys are wrapped (AES-KW) with a master key derived from the passphrase once per
+ * unlock, so opening the vault costs one key derivation however many credentials it holds.
+ * The master key's KDF parameters are stored with its salt (see lib/kdf): Argon2id for new
+ * vaults, PBKDF2 for vaults created before parameters were stored.
+ * The master key stays in memory until lockVault() or VAULT_LOCK_TIMEOUT_MS of inactivity.
+ * Credentials from the old localStorage vault are migrated on the first unlock.
+ * The holder's DID private key is kept in the vault too, wrapped with the master key; signing
+ * code gets it as a non-extractable CryptoKey (see getSigningKey in didManager.js).
+ * Registered passkeys can unlock the vault too: each keeps a copy of the master key wrapped
+ * with its WebAuthn PRF output (see passkey.js). The passphrase always works as a fallback.
+ * For recovery, the master key can be split into Shamir shares; with enough of them and a
+ * recovery kit (the vault records, still wrapped) the vault is restored under a new passphrase.
+ */
+import { derivePassphraseKey, DEFAULT_KDF, LEGACY_VAULT_KDF } from '../lib/kdf';
+import { assertPassphraseStrength } from '../lib/passphraseStrength';
+import { splitSecret, combineShares } from '../lib/shamir';
+import { createPrfPasskey, getPrfOutput, derivePasskeyWrappingKey } from './passkey';
+
+// IndexedDB layout
+const DB_NAME = 'did-vault';
+const DB_VERSION = 1;
+const CREDENTIALS_STORE = 'credentials';
+const META_STORE = 'meta';
+const MASTER_KEY_META = 'masterKey';
+const SIGNING_KEY_META = 'signingKey';
+const PASSKEYS_META = 'passkeys';
+const RECOVERY_META = 'recovery';
+
+// Legacy localStorage layout (one PBKDF2 salt per credential)
 const VC_STORAGE_PREFIX = 'encrypted_vc_';
 const VC_INDEX_KEY = 'vc_index';
 
-// PBKDF2 configuration
-const PBKDF2_ITERATIONS = 100000;
+// DID private key as plaintext PKCS8 hex, as storeDid (didManager.js) wrote it before it moved into the vault
+const LEGACY_DID_KEY = 'did_vault_did';
+const LEGACY_PRIVATE_KEY_KEY = 'did_vault_private_key';
+
+// AES key size
 const KEY_LENGTH = 256; // bits
 
+// Lock the vault after this long without vault activity
+export const VAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Master key of the unlocked vault (null while locked)
+let masterKey = null;
+let lockTimer = null;
+const lockListeners = new Set();
+let dbPromise = null;
+
 /**
- * Derive an AES-GCM encryption key from a passphrase using PBKDF2
+ * Derive an AES-GCM encryption key from a passphrase
+ * Key of the old localStorage vault format (PBKDF2, see encryptVC)
  * @param {string} passphrase - User-provided passphrase
  * @param {Uint8Array} salt - Salt for key derivation (16 bytes)
  * @returns {Promise<CryptoKey>} Derived encryption key
  * @throws {Error} If crypto API is unavailable or key derivation fails
  */
 export async function deriveKey(passphrase, salt) {
+  return deriveVaultKey(passphrase, salt, LEGACY_VAULT_KDF, { name: 'AES-GCM', length: KEY_LENGTH }, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Helper function to derive the vault master key (AES-KW, wraps the per-credential data keys)
+ * @param {string} passphrase - User-provided passphrase
+ * @param {Uint8Array} salt - Salt for key derivation (16 bytes)
+ * @param {import('../lib/kdf').KdfParams} kdf - KDF parameters stored with the salt
+ * @param {boolean} [extractable=false] - Only to wrap it for passkey unlock
+ * @returns {Promise<CryptoKey>} Derived key-wrapping key
+ * @throws {Error} If crypto API is unavailable or key derivation fails
+ */
+async function deriveMasterKey(passphrase, salt, kdf, extractable = false) {
+  return deriveVaultKey(passphrase, salt, kdf, { name: 'AES-KW', length: KEY_LENGTH }, ['wrapKey', 'unwrapKey'], extractable);
+}
+
+/**
+ * Helper function to derive a non-extractable key from a passphrase
+ * @param {string} passphrase - User-provided passphrase
+ * @param {Uint8Array} salt - Salt for key derivation (16 bytes)
+ * @param {import('../lib/kdf').KdfParams} kdf - KDF parameters
+ * @param {object} algorithm - Algorithm of the derived key
+ * @param {Array<string>} usages - Usages of the derived key
+ * @param {boolean} [extractable=false] - Whether the key can be exported or wrapped
+ * @returns {Promise<CryptoKey>} Derived key
+ * @throws {Error} If crypto API is unavailable or key derivation fails
+ */
+async function deriveVaultKey(passphrase, salt, kdf, algorithm, usages, extractable = false) {
   try {
     // Check if crypto API is available
     if (!window.crypto || !window.crypto.subtle) {
       throw new Error('WebCrypto API is not available in this browser. Please use a modern browser with crypto support.');
     }
 
-    // Import passphrase as key material
-    const encoder = new TextEncoder();
-    const passphraseKey = await window.crypto.subtle.importKey(
-      'raw',
-      encoder.encode(passphrase),
-      'PBKDF2',
-      false,
-      ['deriveBits', 'deriveKey']
-    );
-
-    // Derive AES-GCM key using PBKDF2
-    const key = await window.crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: 'SHA-256'
-      },
-      passphraseKey,
-      {
-        name: 'AES-GCM',
-        length: KEY_LENGTH
-      },
-      false, // not extractable
-      ['encrypt', 'decrypt']
-    );
-
-    // TODO: PRODUCTION IMPROVEMENT - Passphrase Strength Requirements
-    // Current implementation accepts any passphrase without validation
-    // For production, enforce:
-    // - Minimum length (e.g., 12 characters)
-    // - Complexity requirements (uppercase, lowercase, numbers, symbols)
-    // - Check against common password lists
-    // - Implement passphrase strength meter in UI
-    // - Consider using zxcvbn library for strength estimation
-    // - Provide user feedback on passphrase quality
-
-    return key;
+    return await derivePassphraseKey(passphrase, salt, kdf, algorithm, usages, extractable);
   } catch (error) {
     throw new Error(`Failed to derive encryption key: ${error.message}`);
   }
@@ -65,6 +100,7 @@ export async function deriveKey(passphrase, salt) {
 
 /**
  * Encrypt a Verifiable Credential using AES-GCM
+ * Format of the old localStorage vault: one PBKDF2 run per credential
  * @param {object} vc - The Verifiable Credential object to encrypt
  * @param {string} passphrase - User-provided passphrase for encryption
  * @returns {Promise<{encrypted: string, salt: string, iv: string}>} Encrypted data with salt and IV
@@ -111,6 +147,7 @@ export async function encryptVC(vc, passphrase) {
 
 /**
  * Decrypt a Verifiable Credential using AES-GCM
+ * Format of the old localStorage vault (see encryptVC)
  * @param {string} encrypted - Base64 encoded encrypted data
  * @param {string} passphrase - User-provided passphrase for decryption
  * @param {string} saltBase64 - Base64 encoded salt
@@ -154,143 +191,828 @@ export async function decryptVC(encrypted, passphrase, saltBase64, ivBase64) {
 }
 
 /**
- * Store an encrypted Verifiable Credential in localStorage
- * @param {string} vcId - Unique identifier for the VC (e.g., VC's id or credentialSubject.id)
- * @param {object} encryptedData - Object containing encrypted, salt, and iv
- * @param {string} encryptedData.encrypted - Base64 encoded encrypted data
- * @param {string} encryptedData.salt - Base64 encoded salt
- * @param {string} encryptedData.iv - Base64 encoded IV
- * @throws {Error} If localStorage is not available or storage fails
+ * Unlock the vault with the user's passphrase
+ * The first unlock creates the vault (the passphrase becomes the vault passphrase and must
+ * meet the strength policy) and moves credentials from the old localStorage vault into it
+ * @param {string} passphrase - User-provided passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong or too weak, or the vault cannot be opened
  */
-export function storeVC(vcId, encryptedData) {
-  try {
-    if (!window.localStorage) {
-      throw new Error('localStorage is not available. Please enable storage in your browser settings.');
+export async function unlockVault(passphrase) {
+  const db = await openVaultDb();
+  const meta = await getMasterKeyMeta(db);
+  const legacyEntries = getLegacyEntries();
+
+  let key;
+  if (meta) {
+    key = await deriveMasterKey(passphrase, meta.salt, meta.kdf || LEGACY_VAULT_KDF);
+
+    // AES-KW unwrapping fails unless the key is the one that wrapped the check key
+    try {
+      await unwrapDataKey(key, meta.keyCheck);
+    } catch {
+      throw new Error('Wrong passphrase or corrupted data. Please check your passphrase and try again.');
+    }
+  } else {
+    // A mistyped passphrase must not become the passphrase of a vault that takes over old credentials
+    // Old credentials keep the passphrase they were stored with (it can be changed afterwards)
+    if (legacyEntries.length > 0) {
+      if (!(await decryptsAnyLegacyEntry(legacyEntries, passphrase))) {
+        throw new Error('Wrong passphrase or corrupted data. Please check your passphrase and try again.');
+      }
+    } else {
+      assertPassphraseStrength(passphrase);
     }
 
-    // Create storage entry with metadata
-    const entry = {
-      vcId,
-      encrypted: encryptedData.encrypted,
-      salt: encryptedData.salt,
-      iv: encryptedData.iv,
-      timestamp: new Date().toISOString()
-    };
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    key = await deriveMasterKey(passphrase, salt, DEFAULT_KDF);
+    const keyCheck = await wrapDataKey(key, await generateDataKey());
+
+    const tx = db.transaction(META_STORE, 'readwrite');
+    tx.objectStore(META_STORE).put({ salt, kdf: DEFAULT_KDF, keyCheck }, MASTER_KEY_META);
+    await transactionDone(tx);
+  }
 
-    // Store the encrypted VC
-    const storageKey = `${VC_STORAGE_PREFIX}${vcId}`;
-    localStorage.setItem(storageKey, JSON.stringify(entry));
+  masterKey = key;
+  touchVault();
 
-    // Update the index of stored VCs
-    updateVCIndex(vcId);
+  if (legacyEntries.length > 0) {
+    await migrateLegacyEntries(legacyEntries, passphrase);
+  }
+  await migrateLegacySigningKey();
+}
 
-    // TODO: PRODUCTION IMPROVEMENT - Secure Storage
-    // localStorage is not encrypted at rest and can be accessed by any script
-    // For production, consider:
-    // - IndexedDB with encryption layer
-    // - Encrypted database with proper key management
-    // - Server-side encrypted storage with client-side decryption
-    // - Hardware-backed secure storage on mobile devices
+/**
+ * Change the vault passphrase
+ * Verifies the old passphrase, then re-wraps every data key (and the DID private key) under a
+ * master key derived from the new one with the current default KDF; credentials themselves are
+ * not re-encrypted. All records and the new salt are written in one IndexedDB transaction, so
+ * on any failure the old passphrase still opens the vault.
+ * Passkeys and recovery shares hold the old master key, so they are removed and have to be set up again
+ * @param {string} oldPassphrase - Current vault passphrase
+ * @param {string} newPassphrase - New vault passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If the old passphrase is wrong, the new one is too weak, or the vault could not be updated
+ */
+export async function changeVaultPassphrase(oldPassphrase, newPassphrase) {
+  if (!newPassphrase) {
+    throw new Error('Please enter a new passphrase');
+  }
+  assertPassphraseStrength(newPassphrase);
+
+  const db = await openVaultDb();
+  const meta = await getMasterKeyMeta(db);
+  if (!meta) {
+    throw new Error('Your vault has no passphrase yet. Unlock it once to set one.');
+  }
 
+  // Checks the old passphrase, and moves credentials still in localStorage into the vault so none
+  // are left behind under the old passphrase
+  await unlockVault(oldPassphrase);
+  const oldKey = masterKey;
+
+  let newKey;
+  try {
+    const records = await requestToPromise(db.transaction(CREDENTIALS_STORE).objectStore(CREDENTIALS_STORE).getAll());
+    const signingKey = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(SIGNING_KEY_META));
+
+    // No credential or DID key may have been stored while re-wrapping: it would still be wrapped with the old key
+    newKey = await rewrapVault(db, oldKey, records, signingKey, newPassphrase, current =>
+      sameIds(current.vcIds, records) && sameBytes(current.signingKey?.wrappedKey, signingKey?.wrappedKey)
+    );
   } catch (error) {
-    throw new Error(`Failed to store credential: ${error.message}`);
+    throw new Error(`Failed to change passphrase, your old passphrase still unlocks the vault: ${error.message}`);
   }
+  if (!newKey) {
+    throw new Error('The vault changed while the passphrase was being changed. Nothing was changed; please try again.');
+  }
+
+  masterKey = newKey;
+  touchVault();
 }
 
 /**
- * Retrieve and decrypt all stored Verifiable Credentials
- * @param {string} passphrase - User-provided passphrase for decryption
- * @returns {Promise<Array<object>>} Array of decrypted Verifiable Credential objects
- * @throws {Error} If passphrase is wrong or decryption fails
+ * Register a passkey that can unlock the vault
+ * The passkey's PRF output wraps the master key, so the passphrase is needed to derive it once
+ * @param {string} passphrase - Vault passphrase
+ * @param {string} label - Name shown by the authenticator (e.g. the user's email)
+ * @returns {Promise<void>}
+ * @throws {Error} If the passphrase is wrong, or the passkey can't be created or lacks PRF support
  */
-export async function retrieveVCs(passphrase) {
+export async function registerVaultPasskey(passphrase, label) {
+  const db = await openVaultDb();
+  const meta = await getMasterKeyMeta(db);
+  if (!meta) {
+    throw new Error('Your vault has no passphrase yet. Unlock it once to set one.');
+  }
+
+  // Extractable so that the passkey can wrap it; it never leaves this function unwrapped
+  const key = await deriveMasterKey(passphrase, meta.salt, meta.kdf || LEGACY_VAULT_KDF, true);
+  try {
+    await unwrapDataKey(key, meta.keyCheck);
+  } catch {
+    throw new Error('Wrong passphrase or corrupted data. Please check your passphrase and try again.');
+  }
+
+  const { credentialId, salt, prfOutput } = await createPrfPasskey(label);
+  const wrappedMasterKey = await window.crypto.subtle.wrapKey('raw', key, await derivePasskeyWrappingKey(prfOutput), 'AES-KW');
+
+  const tx = db.transaction(META_STORE, 'readwrite');
+  const metaStore = tx.objectStore(META_STORE);
+  const passkeysRequest = metaStore.get(PASSKEYS_META);
+  passkeysRequest.onsuccess = () => {
+    metaStore.put(
+      [...(passkeysRequest.result || []), { credentialId, salt, wrappedMasterKey, label, createdAt: new Date().toISOString() }],
+      PASSKEYS_META
+    );
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Unlock the vault with a registered passkey
+ * Credentials still in the old localStorage vault need the passphrase to be migrated
+ * @returns {Promise<void>}
+ * @throws {Error} If no passkey is registered, the user cancels, or the passkey no longer matches the vault
+ */
+export async function unlockVaultWithPasskey() {
+  const db = await openVaultDb();
+  const meta = await getMasterKeyMeta(db);
+  const passkeys = await getPasskeys(db);
+  if (!meta || passkeys.length === 0) {
+    throw new Error('No passkey can unlock this vault yet. Please unlock with your passphrase');
+  }
+
+  const { credentialId, prfOutput } = await getPrfOutput(passkeys);
+  const passkey = passkeys.find(entry => entry.credentialId === credentialId);
+  if (!passkey) {
+    throw new Error('This passkey is not registered with the vault');
+  }
+
+  let key;
   try {
-    if (!window.localStorage) {
-      throw new Error('localStorage is not available. Please enable storage in your browser settings.');
+    key = await window.crypto.subtle.unwrapKey(
+      'raw',
+      passkey.wrappedMasterKey,
+      await derivePasskeyWrappingKey(prfOutput),
+      'AES-KW',
+      'AES-KW',
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+    await unwrapDataKey(key, meta.keyCheck);
+  } catch {
+    throw new Error('This passkey can no longer unlock the vault. Please unlock with your passphrase');
+  }
+
+  masterKey = key;
+  touchVault();
+  await migrateLegacySigningKey();
+}
+
+/**
+ * List the passkeys that can unlock the vault
+ * @returns {Promise<Array<{credentialId: string, label: string, createdAt: string}>>} Registered passkeys
+ */
+export async function listVaultPasskeys() {
+  const passkeys = await getPasskeys(await openVaultDb());
+  return passkeys.map(({ credentialId, label, createdAt }) => ({ credentialId, label, createdAt }));
+}
+
+/**
+ * Stop a passkey from unlocking the vault
+ * The passkey itself stays on the authenticator; it just no longer holds a copy of the master key
+ * @param {string} credentialId - Credential ID from listVaultPasskeys
+ * @returns {Promise<void>}
+ */
+export async function removeVaultPasskey(credentialId) {
+  const db = await openVaultDb();
+  const tx = db.transaction(META_STORE, 'readwrite');
+  const metaStore = tx.objectStore(META_STORE);
+  const passkeysRequest = metaStore.get(PASSKEYS_META);
+  passkeysRequest.onsuccess = () => {
+    metaStore.put((passkeysRequest.result || []).filter(entry => entry.credentialId !== credentialId), PASSKEYS_META);
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Split the vault master key into recovery shares
+ * Any threshold of the shares, with a recovery kit (see exportRecoveryKit), restore the vault
+ * under a new passphrase (see recoverVault). Shares stop working when the passphrase changes
+ * @param {string} passphrase - Vault passphrase
+ * @param {number} shareCount - Number of shares to hand out
+ * @param {number} threshold - Number of shares needed to recover
+ * @returns {Promise<{setId: string, threshold: number, shares: Array<Uint8Array>}>} Shares of this recovery setup
+ * @throws {Error} If the passphrase is wrong or the counts are out of range
+ */
+export async function createRecoveryShares(passphrase, shareCount, threshold) {
+  const db = await openVaultDb();
+  const meta = await getMasterKeyMeta(db);
+  if (!meta) {
+    throw new Error('Your vault has no passphrase yet. Unlock it once to set one.');
+  }
+
+  // Extractable so that it can be split; the raw bytes are cleared once the shares exist
+  const key = await deriveMasterKey(passphrase, meta.salt, meta.kdf || LEGACY_VAULT_KDF, true);
+  try {
+    await unwrapDataKey(key, meta.keyCheck);
+  } catch {
+    throw new Error('Wrong passphrase or corrupted data. Please check your passphrase and try again.');
+  }
+
+  const rawKey = new Uint8Array(await window.crypto.subtle.exportKey('raw', key));
+  let shares;
+  try {
+    shares = splitSecret(rawKey, shareCount, threshold);
+  } finally {
+    rawKey.fill(0);
+  }
+
+  const setId = Array.from(window.crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  const tx = db.transaction(META_STORE, 'readwrite');
+  tx.objectStore(META_STORE).put({ setId, shareCount, threshold, createdAt: new Date().toISOString() }, RECOVERY_META);
+  await transactionDone(tx);
+
+  return { setId, threshold, shares };
+}
+
+/**
+ * Get the current recovery setup
+ * @returns {Promise<{setId: string, shareCount: number, threshold: number, createdAt: string}|null>} Recovery setup, null if there is none
+ */
+export async function getRecoverySetup() {
+  const db = await openVaultDb();
+  return (await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(RECOVERY_META))) || null;
+}
+
+/**
+ * Snapshot the vault for recovery in another browser
+ * Records stay wrapped with the master key, so the kit is useless without enough shares.
+ * It holds the credentials stored so far: download a new one after adding credentials
+ * @returns {Promise<{setId: string, keyCheck: ArrayBuffer, signingKey: object|null, credentials: Array<object>}>} Recovery kit
+ * @throws {Error} If recovery has not been set up
+ */
+export async function exportRecoveryKit() {
+  const db = await openVaultDb();
+  const recovery = await getRecoverySetup();
+  if (!recovery) {
+    throw new Error('Set up recovery shares first');
+  }
+
+  const tx = db.transaction([CREDENTIALS_STORE, META_STORE]);
+  const credentials = requestToPromise(tx.objectStore(CREDENTIALS_STORE).getAll());
+  const signingKey = requestToPromise(tx.objectStore(META_STORE).get(SIGNING_KEY_META));
+  const meta = requestToPromise(tx.objectStore(META_STORE).get(MASTER_KEY_META));
+
+  return {
+    setId: recovery.setId,
+    keyCheck: (await meta).keyCheck,
+    signingKey: (await signingKey) || null,
+    credentials: await credentials
+  };
+}
+
+/**
+ * Recover the vault from recovery shares and set a new passphrase
+ * If this browser holds the vault (forgotten passphrase) it is re-wrapped in place; otherwise
+ * the vault is provisioned from the recovery kit. Afterwards the vault is unlocked, and
+ * passkeys and recovery shares have to be set up again
+ * @param {Array<Uint8Array>} shares - At least threshold shares of one recovery setup
+ * @param {object|null} kit - Recovery kit, only needed in a browser without the vault
+ * @param {string} newPassphrase - New vault passphrase
+ * @returns {Promise<{credentials: number, did: string|null}>} What was recovered
+ * @throws {Error} If the shares don't match the vault, the passphrase is too weak, or the vault could not be written
+ */
+export async function recoverVault(shares, kit, newPassphrase) {
+  assertPassphraseStrength(newPassphrase);
+
+  const rawKey = combineShares(shares);
+  let key;
+  try {
+    key = await window.crypto.subtle.importKey('raw', rawKey, 'AES-KW', false, ['wrapKey', 'unwrapKey']);
+  } catch {
+    throw new Error('The recovery shares are malformed');
+  } finally {
+    rawKey.fill(0);
+  }
+
+  const matches = async keyCheck => {
+    try {
+      await unwrapDataKey(key, keyCheck);
+      return true;
+    } catch {
+      return false;
     }
+  };
 
-    // Get the index of stored VCs
-    const vcIds = getVCIndex();
-    
-    if (vcIds.length === 0) {
-      return [];
+  const db = await openVaultDb();
+  const meta = await getMasterKeyMeta(db);
+
+  let records;
+  let signingKey;
+  let isUnchanged;
+  if (meta) {
+    if (!(await matches(meta.keyCheck))) {
+      throw new Error('The recovery shares do not match the vault in this browser. Check that you have enough shares from the same setup.');
     }
 
-    const vcs = [];
-    const failedVCs = [];
+    // The vault in this browser is more recent than any recovery kit
+    records = await requestToPromise(db.transaction(CREDENTIALS_STORE).objectStore(CREDENTIALS_STORE).getAll());
+    signingKey = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(SIGNING_KEY_META));
+    isUnchanged = current =>
+      sameBytes(current.meta?.keyCheck, meta.keyCheck) &&
+      sameIds(current.vcIds, records) &&
+      sameBytes(current.signingKey?.wrappedKey, signingKey?.wrappedKey);
+  } else {
+    if (!kit) {
+      throw new Error('This browser has no vault. Choose the recovery kit to restore it from.');
+    }
+    if (!(await matches(kit.keyCheck))) {
+      throw new Error('The recovery shares do not match the recovery kit. Check that you have enough shares from the same setup.');
+    }
 
-    // Retrieve and decrypt each VC
-    for (const vcId of vcIds) {
-      try {
-        const storageKey = `${VC_STORAGE_PREFIX}${vcId}`;
-        const entryString = localStorage.getItem(storageKey);
-        
-        if (!entryString) {
-          console.warn(`VC with ID ${vcId} not found in storage, skipping...`);
-          failedVCs.push(vcId);
-          continue;
-        }
+    records = kit.credentials;
+    signingKey = kit.signingKey || undefined;
+    isUnchanged = current => !current.meta && current.vcIds.length === 0;
+  }
+
+  let newKey;
+  try {
+    newKey = await rewrapVault(db, key, records, signingKey, newPassphrase, isUnchanged);
+  } catch (error) {
+    throw new Error(`Failed to recover the vault: ${error.message}`);
+  }
+  if (!newKey) {
+    throw new Error('The vault changed during recovery. Nothing was changed; please try again.');
+  }
+
+  // The recovered DID replaces one generated when signing up in this browser
+  if (!meta && signingKey) {
+    localStorage.setItem(LEGACY_DID_KEY, signingKey.did);
+    localStorage.removeItem(LEGACY_PRIVATE_KEY_KEY);
+  }
+
+  masterKey = newKey;
+  touchVault();
+  await migrateLegacySigningKey();
+
+  return { credentials: records.length, did: signingKey?.did || null };
+}
+
+/**
+ * Check whether the vault has been created (its passphrase set)
+ * @returns {Promise<boolean>} False until the first unlock, which sets the vault passphrase
+ */
+export async function vaultExists() {
+  return Boolean(await getMasterKeyMeta(await openVaultDb()));
+}
+
+/**
+ * Lock the vault: forget the master key and notify listeners
+ */
+export function lockVault() {
+  clearTimeout(lockTimer);
+  lockTimer = null;
+
+  if (!masterKey) {
+    return;
+  }
+
+  masterKey = null;
+  lockListeners.forEach(listener => listener());
+}
+
+/**
+ * Check whether the vault is unlocked
+ * @returns {boolean} True if credentials can be stored and read without a passphrase
+ */
+export function isVaultUnlocked() {
+  return masterKey !== null;
+}
+
+/**
+ * Subscribe to the vault being locked (explicitly or by the inactivity timeout)
+ * @param {Function} listener - Called when the vault locks
+ * @returns {Function} Unsubscribe function
+ */
+export function onVaultLock(listener) {
+  lockListeners.add(listener);
+  return () => lockListeners.delete(listener);
+}
+
+/**
+ * Encrypt and store a Verifiable Credential in the unlocked vault
+ * @param {string} vcId - Unique identifier for the VC (e.g., VC's id or credentialSubject.id)
+ * @param {object} vc - The Verifiable Credential object to store
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault is locked or storage fails
+ */
+export async function storeVC(vcId, vc) {
+  try {
+    const key = requireMasterKey();
+    const record = await encryptRecord(key, vcId, vc, new Date().toISOString());
+
+    const db = await openVaultDb();
+    const tx = db.transaction(CREDENTIALS_STORE, 'readwrite');
+    tx.objectStore(CREDENTIALS_STORE).put(record);
+    await transactionDone(tx);
+  } catch (error) {
+    throw new Error(`Failed to store credential: ${error.message}`);
+  }
+}
+
+/**
+ * Store the holder's DID private key in the vault, replacing any previous one
+ * The key is wrapped with the master key; its plaintext copy in localStorage (if any) is removed
+ * @param {string} did - The holder's DID
+ * @param {string} privateKeyHex - Ed25519 private key (PKCS8, hex)
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault is locked or the key is invalid
+ */
+export async function storeSigningKey(did, privateKeyHex) {
+  try {
+    const key = requireMasterKey();
+    const privateKey = await window.crypto.subtle.importKey(
+      'pkcs8',
+      hexToArrayBuffer(privateKeyHex),
+      { name: 'Ed25519' },
+      true, // extractable, only to be wrapped
+      ['sign']
+    );
 
-        const entry = JSON.parse(entryString);
-        
-        // Decrypt the VC
-        const vc = await decryptVC(
-          entry.encrypted,
-          passphrase,
-          entry.salt,
-          entry.iv
-        );
+    const wrappedKey = await wrapSigningKey(key, privateKey);
 
+    const db = await openVaultDb();
+    const tx = db.transaction(META_STORE, 'readwrite');
+    tx.objectStore(META_STORE).put({ did, wrappedKey }, SIGNING_KEY_META);
+    await transactionDone(tx);
+
+    localStorage.removeItem(LEGACY_PRIVATE_KEY_KEY);
+  } catch (error) {
+    throw new Error(`Failed to store DID key: ${error.message}`);
+  }
+}
+
+/**
+ * Load the holder's DID private key from the vault
+ * @param {{extractable?: boolean}} [options] - Extractable only to export it into a vault backup
+ * @returns {Promise<{did: string, privateKey: CryptoKey}|null>} Ed25519 signing key, null if the vault has none
+ * @throws {Error} If the vault is locked or the key cannot be unwrapped
+ */
+export async function loadSigningKey({ extractable = false } = {}) {
+  const key = requireMasterKey();
+  const db = await openVaultDb();
+  const record = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(SIGNING_KEY_META));
+  if (!record) {
+    return null;
+  }
+
+  return { did: record.did, privateKey: await unwrapSigningKey(key, record.wrappedKey, extractable) };
+}
+
+/**
+ * Encrypt data kept outside the vault (e.g. the file key of a pending upload) under the master key
+ * Sealed data is not re-wrapped when the passphrase changes, so only use it for short-lived data
+ * @param {object} data - JSON-serializable data
+ * @returns {Promise<{wrappedKey: ArrayBuffer, iv: Uint8Array, ciphertext: ArrayBuffer}>} Sealed data, for openSealed
+ * @throws {Error} If the vault is locked
+ */
+export async function sealWithVault(data) {
+  const { wrappedKey, iv, ciphertext } = await encryptRecord(requireMasterKey(), null, data, null);
+  return { wrappedKey, iv, ciphertext };
+}
+
+/**
+ * Decrypt data sealed with sealWithVault
+ * @param {{wrappedKey: ArrayBuffer, iv: Uint8Array, ciphertext: ArrayBuffer}} sealed - Sealed data
+ * @returns {Promise<object>} The data
+ * @throws {Error} If the vault is locked, or the data was sealed under another master key
+ */
+export async function openSealed(sealed) {
+  const key = requireMasterKey();
+  try {
+    return await decryptRecord(key, sealed);
+  } catch {
+    throw new Error('This data was sealed with another vault passphrase and cannot be read');
+  }
+}
+
+/**
+ * Retrieve and decrypt all stored Verifiable Credentials
+ * @returns {Promise<Array<object>>} Array of decrypted Verifiable Credential objects
+ * @throws {Error} If the vault is locked or cannot be read
+ */
+export async function retrieveVCs() {
+  try {
+    const key = requireMasterKey();
+    const db = await openVaultDb();
+    const records = await requestToPromise(db.transaction(CREDENTIALS_STORE).objectStore(CREDENTIALS_STORE).getAll());
+
+    const vcs = [];
+    for (const record of records) {
+      try {
+        const vc = await decryptRecord(key, record);
         vcs.push({
           ...vc,
           _metadata: {
-            vcId: entry.vcId,
-            storedAt: entry.timestamp
+            vcId: record.vcId,
+            storedAt: record.storedAt
           }
         });
       } catch (error) {
         // Handle corrupted data - log and skip
-        console.error(`Failed to decrypt VC ${vcId}:`, error.message);
-        failedVCs.push(vcId);
+        console.error(`Failed to decrypt VC ${record.vcId}:`, error.message);
       }
     }
 
-    // Clean up failed VCs from index
-    if (failedVCs.length > 0) {
-      console.warn(`Skipped ${failedVCs.length} corrupted or inaccessible credentials`);
-      cleanupVCIndex(failedVCs);
+    if (vcs.length < records.length) {
+      console.warn(`Skipped ${records.length - vcs.length} corrupted or inaccessible credentials`);
     }
 
     return vcs;
   } catch (error) {
-    // If it's a passphrase error, throw it directly
-    if (error.message.includes('Wrong passphrase')) {
+    throw new Error(`Failed to retrieve credentials: ${error.message}`);
+  }
+}
+
+/**
+ * Helper function to get the master key, extending the lock timeout
+ * @returns {CryptoKey} Master key
+ * @throws {Error} If the vault is locked
+ */
+function requireMasterKey() {
+  if (!masterKey) {
+    throw new Error('Vault is locked. Unlock it with your passphrase first.');
+  }
+  touchVault();
+  return masterKey;
+}
+
+/**
+ * Helper function to restart the inactivity lock timer
+ */
+function touchVault() {
+  clearTimeout(lockTimer);
+  lockTimer = setTimeout(lockVault, VAULT_LOCK_TIMEOUT_MS);
+}
+
+/**
+ * Helper function to generate a fresh AES-GCM data key
+ * @returns {Promise<CryptoKey>} Extractable data key (it is only ever exported wrapped)
+ */
+function generateDataKey() {
+  return window.crypto.subtle.generateKey({ name: 'AES-GCM', length: KEY_LENGTH }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Helper function to wrap a data key with the master key
+ * @param {CryptoKey} key - Master key
+ * @param {CryptoKey} dataKey - Data key
+ * @returns {Promise<ArrayBuffer>} Wrapped key
+ */
+function wrapDataKey(key, dataKey) {
+  return window.crypto.subtle.wrapKey('raw', dataKey, key, 'AES-KW');
+}
+
+/**
+ * Helper function to unwrap a data key with the master key
+ * @param {CryptoKey} key - Master key
+ * @param {ArrayBuffer} wrappedKey - Wrapped data key
+ * @param {boolean} [extractable=false] - Only to re-wrap it under another master key
+ * @returns {Promise<CryptoKey>} Data key
+ * @throws {Error} If the master key did not wrap this key
+ */
+function unwrapDataKey(key, wrappedKey, extractable = false) {
+  return window.crypto.subtle.unwrapKey(
+    'raw',
+    wrappedKey,
+    key,
+    'AES-KW',
+    { name: 'AES-GCM', length: KEY_LENGTH },
+    extractable,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Helper function to wrap the DID private key with the master key
+ * @param {CryptoKey} key - Master key
+ * @param {CryptoKey} privateKey - Extractable Ed25519 private key
+ * @returns {Promise<ArrayBuffer>} Wrapped PKCS8 key (48 bytes, a multiple of 8 as AES-KW requires)
+ */
+function wrapSigningKey(key, privateKey) {
+  return window.crypto.subtle.wrapKey('pkcs8', privateKey, key, 'AES-KW');
+}
+
+/**
+ * Helper function to unwrap the DID private key with the master key
+ * @param {CryptoKey} key - Master key
+ * @param {ArrayBuffer} wrappedKey - Wrapped PKCS8 key
+ * @param {boolean} [extractable=false] - Only to re-wrap or back it up
+ * @returns {Promise<CryptoKey>} Ed25519 signing key
+ * @throws {Error} If the master key did not wrap this key
+ */
+function unwrapSigningKey(key, wrappedKey, extractable = false) {
+  return window.crypto.subtle.unwrapKey('pkcs8', wrappedKey, key, 'AES-KW', { name: 'Ed25519' }, extractable, ['sign']);
+}
+
+/**
+ * Helper function to encrypt a credential under a fresh data key
+ * @param {CryptoKey} key - Master key
+ * @param {string} vcId - VC ID (the record key)
+ * @param {object} vc - Verifiable Credential
+ * @param {string} storedAt - ISO timestamp
+ * @returns {Promise<object>} Vault record
+ */
+async function encryptRecord(key, vcId, vc, storedAt) {
+  const dataKey = await generateDataKey();
+  const iv = window.crypto.getRandomValues(new Uint8Array(12)); // 12 bytes for AES-GCM
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    dataKey,
+    new TextEncoder().encode(JSON.stringify(vc))
+  );
+
+  return {
+    vcId,
+    wrappedKey: await wrapDataKey(key, dataKey),
+    iv,
+    ciphertext,
+    storedAt
+  };
+}
+
+/**
+ * Helper function to decrypt a vault record
+ * @param {CryptoKey} key - Master key
+ * @param {object} record - Vault record
+ * @returns {Promise<object>} Verifiable Credential
+ * @throws {Error} If the record is corrupted
+ */
+async function decryptRecord(key, record) {
+  const dataKey = await unwrapDataKey(key, record.wrappedKey);
+  const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, dataKey, record.ciphertext);
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Helper function to open (and create or upgrade) the vault database
+ * @returns {Promise<IDBDatabase>} Vault database
+ * @throws {Error} If IndexedDB is unavailable
+ */
+function openVaultDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available. Please enable storage in your browser settings.'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CREDENTIALS_STORE)) {
+          db.createObjectStore(CREDENTIALS_STORE, { keyPath: 'vcId' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
       throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Helper function to read the master key parameters (salt and key check)
+ * @param {IDBDatabase} db - Vault database
+ * @returns {Promise<object|undefined>} Master key metadata, undefined before the first unlock
+ */
+function getMasterKeyMeta(db) {
+  return requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(MASTER_KEY_META));
+}
+
+/**
+ * Helper function to read the passkeys registered with the vault
+ * @param {IDBDatabase} db - Vault database
+ * @returns {Promise<Array<object>>} Passkeys with their salt and wrapped master key
+ */
+async function getPasskeys(db) {
+  return (await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get(PASSKEYS_META))) || [];
+}
+
+/**
+ * Helper function to await an IndexedDB request
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Helper function to await the commit of an IndexedDB transaction
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Helper function to read the credentials of the old localStorage vault
+ * @returns {Array<object>} Legacy entries ({vcId, encrypted, salt, iv, timestamp})
+ */
+function getLegacyEntries() {
+  if (!window.localStorage) {
+    return [];
+  }
+
+  return getVCIndex()
+    .map(vcId => {
+      try {
+        return JSON.parse(localStorage.getItem(`${VC_STORAGE_PREFIX}${vcId}`));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Helper function to check a passphrase against the old localStorage vault
+ * @param {Array<object>} entries - Legacy entries
+ * @param {string} passphrase - User-provided passphrase
+ * @returns {Promise<boolean>} True if the passphrase decrypts at least one entry
+ */
+async function decryptsAnyLegacyEntry(entries, passphrase) {
+  for (const entry of entries) {
+    try {
+      await decryptVC(entry.encrypted, passphrase, entry.salt, entry.iv);
+      return true;
+    } catch {
+      // Try the next entry
     }
-    throw new Error(`Failed to retrieve credentials: ${error.message}`);
   }
+  return false;
 }
 
 /**
- * Update the index of stored VC IDs
- * @param {string} vcId - VC ID to add to index
+ * Helper function to move credentials from the old localStorage vault into IndexedDB
+ * Entries that don't decrypt with this passphrase stay in localStorage for a later unlock
+ * @param {Array<object>} entries - Legacy entries
+ * @param {string} passphrase - Passphrase of the legacy entries
+ * @returns {Promise<void>}
  */
-function updateVCIndex(vcId) {
-  try {
-    const vcIds = getVCIndex();
-    
-    // Add vcId if not already in index
-    if (!vcIds.includes(vcId)) {
-      vcIds.push(vcId);
-      localStorage.setItem(VC_INDEX_KEY, JSON.stringify(vcIds));
+async function migrateLegacyEntries(entries, passphrase) {
+  const records = [];
+  for (const entry of entries) {
+    try {
+      const vc = await decryptVC(entry.encrypted, passphrase, entry.salt, entry.iv);
+      records.push(await encryptRecord(masterKey, entry.vcId, vc, entry.timestamp));
+    } catch (error) {
+      console.warn(`Could not migrate VC ${entry.vcId}:`, error.message);
     }
-  } catch (error) {
-    console.error('Failed to update VC index:', error);
   }
+
+  if (records.length === 0) {
+    return;
+  }
+
+  // Write everything before deleting anything, so an interrupted migration loses nothing
+  const db = await openVaultDb();
+  const tx = db.transaction(CREDENTIALS_STORE, 'readwrite');
+  records.forEach(record => tx.objectStore(CREDENTIALS_STORE).put(record));
+  await transactionDone(tx);
+
+  const migrated = records.map(record => record.vcId);
+  migrated.forEach(vcId => localStorage.removeItem(`${VC_STORAGE_PREFIX}${vcId}`));
+  const remaining = getVCIndex().filter(vcId => !migrated.includes(vcId));
+  if (remaining.length > 0) {
+    localStorage.setItem(VC_INDEX_KEY, JSON.stringify(remaining));
+  } else {
+    localStorage.removeItem(VC_INDEX_KEY);
+  }
+
+  console.info(`Migrated ${records.length} credential(s) from localStorage to the encrypted vault`);
 }
 
 /**
- * Get the list of stored VC IDs
+ * Get the list of VC IDs in the old localStorage vault
  * @returns {Array<string>} Array of VC IDs
  */
 function getVCIndex() {
@@ -304,17 +1026,128 @@ function getVCIndex() {
 }
 
 /**
- * Remove failed VC IDs from the index
- * @param {Array<string>} failedVcIds - Array of VC IDs to remove
+ * Helper function to move a plaintext DID private key from localStorage into the vault
+ * @returns {Promise<void>}
+ */
+async function migrateLegacySigningKey() {
+  const did = localStorage.getItem(LEGACY_DID_KEY);
+  const privateKeyHex = localStorage.getItem(LEGACY_PRIVATE_KEY_KEY);
+  if (!did || !privateKeyHex) {
+    return;
+  }
+
+  try {
+    await storeSigningKey(did, privateKeyHex);
+    console.log('Moved the DID private key from localStorage into the encrypted vault');
+  } catch (error) {
+    // Keep the plaintext key rather than lose it; the next unlock tries again
+    console.error('Failed to migrate the DID private key:', error.message);
+  }
+}
+
+/**
+ * Helper function to re-wrap vault records under a new passphrase and write them in one transaction
+ * Everything is re-wrapped first, as WebCrypto can't run inside an IndexedDB transaction; the
+ * transaction then checks that the vault is still as expected before writing anything.
+ * Passkeys and recovery shares hold the old master key, so they are removed
+ * @param {IDBDatabase} db - Vault database
+ * @param {CryptoKey} oldKey - Master key the records are wrapped with
+ * @param {Array<object>} records - Credential records to write
+ * @param {object|undefined} signingKey - DID key record to write
+ * @param {string} newPassphrase - New vault passphrase
+ * @param {(current: {vcIds: Array<string>, signingKey: object|undefined, meta: object|undefined}) => boolean} isUnchanged - Checks the vault inside the transaction
+ * @returns {Promise<CryptoKey|null>} New master key, null if isUnchanged failed and nothing was written
+ * @throws {Error} If a record cannot be re-wrapped or the transaction fails
  */
-function cleanupVCIndex(failedVcIds) {
+async function rewrapVault(db, oldKey, records, signingKey, newPassphrase, isUnchanged) {
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const newKey = await deriveMasterKey(newPassphrase, salt, DEFAULT_KDF);
+  const keyCheck = await wrapDataKey(newKey, await generateDataKey());
+
+  const rewrapped = [];
+  for (const record of records) {
+    const dataKey = await unwrapDataKey(oldKey, record.wrappedKey, true);
+    rewrapped.push({ ...record, wrappedKey: await wrapDataKey(newKey, dataKey) });
+  }
+
+  const rewrappedSigningKey = signingKey && {
+    ...signingKey,
+    wrappedKey: await wrapSigningKey(newKey, await unwrapSigningKey(oldKey, signingKey.wrappedKey, true))
+  };
+
+  let changedMeanwhile = false;
+  const tx = db.transaction([CREDENTIALS_STORE, META_STORE], 'readwrite');
+  const credentialsStore = tx.objectStore(CREDENTIALS_STORE);
+  const metaStore = tx.objectStore(META_STORE);
+  const keysRequest = credentialsStore.getAllKeys();
+  const signingKeyRequest = metaStore.get(SIGNING_KEY_META);
+  const metaRequest = metaStore.get(MASTER_KEY_META);
+  metaRequest.onsuccess = () => {
+    if (!isUnchanged({ vcIds: keysRequest.result, signingKey: signingKeyRequest.result, meta: metaRequest.result })) {
+      changedMeanwhile = true;
+      tx.abort();
+      return;
+    }
+
+    rewrapped.forEach(record => credentialsStore.put(record));
+    if (rewrappedSigningKey) {
+      metaStore.put(rewrappedSigningKey, SIGNING_KEY_META);
+    }
+    metaStore.put({ salt, kdf: DEFAULT_KDF, keyCheck }, MASTER_KEY_META);
+    metaStore.delete(PASSKEYS_META);
+    metaStore.delete(RECOVERY_META);
+  };
+
   try {
-    const vcIds = getVCIndex();
-    const cleanedIds = vcIds.filter(id => !failedVcIds.includes(id));
-    localStorage.setItem(VC_INDEX_KEY, JSON.stringify(cleanedIds));
+    await transactionDone(tx);
   } catch (error) {
-    console.error('Failed to cleanup VC index:', error);
+    if (changedMeanwhile) {
+      return null;
+    }
+    throw error;
+  }
+  return newKey;
+}
+
+/**
+ * Helper function to check that a store holds exactly the given records
+ * @param {Array<string>} vcIds - Record keys in the store
+ * @param {Array<object>} records - Expected records
+ * @returns {boolean} True if both have the same VC IDs
+ */
+function sameIds(vcIds, records) {
+  return vcIds.length === records.length && records.every(record => vcIds.includes(record.vcId));
+}
+
+/**
+ * Helper function to compare two byte buffers
+ * @param {ArrayBuffer|undefined} a - First buffer
+ * @param {ArrayBuffer|undefined} b - Second buffer
+ * @returns {boolean} True if both hold the same bytes, or both are missing
+ */
+function sameBytes(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  if (a.byteLength !== b.byteLength) {
+    return false;
+  }
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  return x.every((byte, i) => byte === y[i]);
+}
+
+/**
+ * Helper function to convert hex string to ArrayBuffer
+ * @param {string} hex - Hex string
+ * @returns {ArrayBuffer} Array buffer
+ */
+function hexToArrayBuffer(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes[i / 2] = parseInt(hex.substring(i, i + 2), 16);
   }
+  return bytes.buffer;
 }
 
 /**
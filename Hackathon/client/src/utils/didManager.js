@@ -1,5 +1,8 @@
+import { isVaultUnlocked, storeSigningKey, loadSigningKey } from './cryptoVault';
+
 // Storage keys for localStorage
 const DID_STORAGE_KEY = 'did_vault_did';
+// Plaintext private key, only until the vault is unlocked and takes it over
 const PRIVATE_KEY_STORAGE_KEY = 'did_vault_private_key';
 
 /**
@@ -75,140 +78,195 @@ export async function generateDidKey() {
 }
 
 /**
- * Store DID and private key in browser localStorage
+ * Store the DID and its private key
+ * The DID goes to localStorage; the private key into the encrypted vault. While the vault is
+ * locked (e.g. right after sign-up, before the vault exists) the key waits in localStorage and
+ * moves into the vault on the next unlock
  * @param {string} did - The DID identifier
  * @param {string} privateKey - The private key hex string
- * @throws {Error} If localStorage is not available
+ * @returns {Promise<void>}
+ * @throws {Error} If localStorage is not available or the key cannot be stored
  */
-export function storeDid(did, privateKey) {
+export async function storeDid(did, privateKey) {
   try {
     if (!window.localStorage) {
       throw new Error('localStorage is not available. Please enable storage in your browser settings.');
     }
 
     localStorage.setItem(DID_STORAGE_KEY, did);
-    localStorage.setItem(PRIVATE_KEY_STORAGE_KEY, privateKey);
-
-    // TODO: PRODUCTION IMPROVEMENT - Secure Key Storage
-    // Storing unencrypted private keys in localStorage is a security risk
-    // Consider encrypting the private key with a user-provided passphrase
-    // or using more secure storage mechanisms like:
-    // - IndexedDB with encryption
-    // - Hardware-backed keystores
-    // - Encrypted with user passphrase using PBKDF2
+    if (isVaultUnlocked()) {
+      await storeSigningKey(did, privateKey);
+    } else {
+      localStorage.setItem(PRIVATE_KEY_STORAGE_KEY, privateKey);
+    }
   } catch (error) {
     throw new Error(`Failed to store DID: ${error.message}`);
   }
 }
 
 /**
- * Retrieve DID and private key from browser localStorage
- * @returns {{did: string | null, privateKey: string | null}} The stored DID and private key, or null if not found
+ * Retrieve the DID from browser localStorage
+ * The private key is only reachable through getSigningKey()
+ * @returns {{did: string | null}} The stored DID, or null if not found
  */
 export function retrieveDid() {
   try {
-    const did = localStorage.getItem(DID_STORAGE_KEY);
-    const privateKey = localStorage.getItem(PRIVATE_KEY_STORAGE_KEY);
-
     return {
-      did,
-      privateKey
+      did: localStorage.getItem(DID_STORAGE_KEY)
     };
   } catch (error) {
     console.error('Failed to retrieve DID from storage:', error);
     return {
-      did: null,
-      privateKey: null
+      did: null
     };
   }
 }
 
 /**
- * Sign a Verifiable Presentation with the holder's DID
+ * Get the holder's DID signing key
+ * The only way signing code reaches the private key: it is unwrapped from the vault as a
+ * non-extractable CryptoKey
+ * @returns {Promise<{did: string, privateKey: CryptoKey}>} The DID and its Ed25519 signing key
+ * @throws {Error} If the vault is locked or holds no DID key
+ */
+export async function getSigningKey() {
+  if (!isVaultUnlocked()) {
+    throw new Error('Your vault is locked. Unlock it to sign with your DID');
+  }
+
+  const signingKey = await loadSigningKey();
+  if (!signingKey) {
+    throw new Error('Private key not found');
+  }
+  return signingKey;
+}
+
+/**
+ * Export the DID and its private key for a vault backup
+ * @returns {Promise<{did: string, privateKey: string}|null>} DID and PKCS8 private key hex, null if there is no DID key
+ * @throws {Error} If the vault is locked
+ */
+export async function exportDid() {
+  const signingKey = await loadSigningKey({ extractable: true });
+  if (!signingKey) {
+    return null;
+  }
+
+  const privateKeyBuffer = await window.crypto.subtle.exportKey('pkcs8', signingKey.privateKey);
+  return { did: signingKey.did, privateKey: bufferToHex(privateKeyBuffer) };
+}
+
+/**
+ * Sign a Verifiable Presentation as a JWT (alg EdDSA) with the holder's did:key
+ * The result uses Veramo's normalized form: the presentation fields plus a
+ * JwtProof2020 proof whose `jwt` is what verifiers actually check
  * @param {object} vp - The unsigned Verifiable Presentation object
- * @param {string} privateKeyHex - The holder's private key in hex format
+ * @param {CryptoKey} signingKey - The holder's private key, from getSigningKey()
+ * @param {{challenge: string, domain: string}} request - The verifier's presentation request
  * @returns {Promise<object>} The signed Verifiable Presentation with proof
  * @throws {Error} If signing fails or crypto API is unavailable
  */
-export async function signPresentation(vp, privateKeyHex) {
+export async function signPresentation(vp, signingKey, { challenge, domain } = {}) {
   try {
     // Check if crypto API is available
     if (!window.crypto || !window.crypto.subtle) {
       throw new Error('WebCrypto API is not available in this browser. Please use a modern browser with crypto support.');
     }
 
-    // Create the payload to sign (canonical JSON representation)
-    const payload = {
-      '@context': vp['@context'],
-      type: vp.type,
-      holder: vp.holder,
-      verifiableCredential: vp.verifiableCredential,
-      iat: Math.floor(Date.now() / 1000)
-    };
+    if (!vp.holder || !vp.holder.startsWith('did:key:')) {
+      throw new Error('Presentation holder must be a did:key');
+    }
 
-    // Convert payload to bytes for signing
-    const payloadString = JSON.stringify(payload);
-    const encoder = new TextEncoder();
-    const data = encoder.encode(payloadString);
+    // Verifiers only accept presentations bound to one of their sessions
+    if (!challenge || !domain) {
+      throw new Error('A verifier challenge and domain are required');
+    }
 
-    // Import the private key for signing (PKCS8 format)
-    const privateKeyBuffer = hexToBuffer(privateKeyHex);
-    const cryptoKey = await window.crypto.subtle.importKey(
-      'pkcs8',
-      privateKeyBuffer,
-      {
-        name: 'Ed25519'
-      },
-      false,
-      ['sign']
-    );
+    // Vault bookkeeping (_metadata) is not part of the credential
+    const credentials = vp.verifiableCredential.map(stripVaultMetadata);
+    const now = Math.floor(Date.now() / 1000);
 
-    // Sign the data
-    const signature = await window.crypto.subtle.sign(
-      'Ed25519',
-      cryptoKey,
-      data
-    );
+    // did:key documents name their single key after the multibase key itself
+    const header = {
+      alg: 'EdDSA',
+      typ: 'JWT',
+      kid: `${vp.holder}#${vp.holder.substring('did:key:'.length)}`
+    };
+
+    // JWT credentials are embedded in their compact form, as Veramo does
+    // The challenge and domain travel as the JWT nonce and audience; a DIF
+    // presentation_submission, if any, is signed along with the credentials
+    const payload = {
+      iss: vp.holder,
+      aud: domain,
+      nonce: challenge,
+      jti: `urn:uuid:${window.crypto.randomUUID()}`,
+      nbf: now,
+      iat: now,
+      vp: {
+        '@context': vp['@context'],
+        type: vp.type,
+        verifiableCredential: credentials.map(vc => vc.proof?.jwt || vc),
+        ...(vp.presentation_submission && { presentation_submission: vp.presentation_submission })
+      }
+    };
 
-    // Create base64url encoded signature
-    const signatureBase64 = arrayBufferToBase64Url(signature);
-    const payloadBase64 = btoa(payloadString);
+    const jwt = await signJwt(header, payload, signingKey);
 
-    // Add proof to VP following W3C VC Data Model
-    const signedVP = {
+    return {
       ...vp,
+      verifiableCredential: credentials,
+      issuanceDate: new Date(now * 1000).toISOString(),
       proof: {
-        type: 'Ed25519Signature2020',
-        created: new Date().toISOString(),
-        proofPurpose: 'authentication',
-        verificationMethod: `${vp.holder}#keys-1`,
-        jws: `${payloadBase64}..${signatureBase64}`
+        type: 'JwtProof2020',
+        challenge,
+        domain,
+        jwt
       }
     };
-
-    // TODO: PRODUCTION IMPROVEMENT - Use Veramo for VP Signing
-    // This simplified signing implementation is for MVP demonstration
-    // For production, use Veramo's createVerifiablePresentation method
-    // which provides proper JWT or JSON-LD proof formats and handles
-    // all cryptographic operations securely with proper key management
-
-    return signedVP;
   } catch (error) {
     throw new Error(`Failed to sign presentation: ${error.message}`);
   }
 }
 
 /**
- * Helper function to convert hex string to ArrayBuffer
- * @param {string} hex - Hex string
- * @returns {ArrayBuffer} Array buffer
+ * Sign a JWT (alg EdDSA) with the holder's did:key private key
+ * Used for JWT VPs and SD-JWT key binding JWTs
+ * @param {object} header - JWT header
+ * @param {object} payload - JWT payload
+ * @param {CryptoKey} signingKey - The holder's Ed25519 private key, from getSigningKey()
+ * @returns {Promise<string>} Compact JWT
  */
-function hexToBuffer(hex) {
-  const bytes = new Uint8Array(hex.length / 2);
-  for (let i = 0; i < hex.length; i += 2) {
-    bytes[i / 2] = parseInt(hex.substring(i, i + 2), 16);
-  }
-  return bytes.buffer;
+export async function signJwt(header, payload, signingKey) {
+  const signingInput = `${jsonToBase64Url(header)}.${jsonToBase64Url(payload)}`;
+
+  // Sign the JWT signing input
+  const signature = await window.crypto.subtle.sign(
+    'Ed25519',
+    signingKey,
+    new TextEncoder().encode(signingInput)
+  );
+
+  return `${signingInput}.${arrayBufferToBase64Url(signature)}`;
+}
+
+/**
+ * Helper function to drop vault-only fields from a stored credential
+ * @param {object} credential - Credential as returned by retrieveVCs
+ * @returns {object} The credential as issued
+ */
+function stripVaultMetadata(credential) {
+  const { _metadata, ...vc } = credential;
+  return vc;
+}
+
+/**
+ * Helper function to base64url encode a JSON object (JWT header or payload)
+ * @param {object} value - Object to encode
+ * @returns {string} Base64url string
+ */
+function jsonToBase64Url(value) {
+  return arrayBufferToBase64Url(new TextEncoder().encode(JSON.stringify(value)));
 }
 
 /**
@@ -71,15 +71,18 @@ export const mockVerificationResult = {
 
 /**
  * Populate vault with mock credentials for demo
- * @param {string} passphrase - Passphrase to encrypt mock credentials
+ * @param {string} passphrase - Vault passphrase (unlocks the vault if it is locked)
  */
 export async function populateMockVault(passphrase) {
-  const { encryptVC, storeVC } = await import('./cryptoVault');
-  
+  const { isVaultUnlocked, unlockVault, storeVC } = await import('./cryptoVault');
+
+  if (!isVaultUnlocked()) {
+    await unlockVault(passphrase);
+  }
+
   for (const credential of mockCredentials) {
     try {
-      const encryptedVC = await encryptVC(credential, passphrase);
-      storeVC(credential.id, encryptedVC);
+      await storeVC(credential.id, credential);
     } catch (error) {
       console.error('Failed to store mock credential:', error);
     }
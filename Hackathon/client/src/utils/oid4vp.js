@@ -0,0 +1,86 @@
+/**
+ * OpenID for Verifiable Presentations (OID4VP) holder utilities
+ * Parses a verifier's openid4vp:// authorization request and answers it
+ * with response_mode direct_post
+ */
+
+/**
+ * Parse an OID4VP authorization request URI
+ * The presentation definition is passed inline or by reference (presentation_definition_uri)
+ * @param {string} requestUri - openid4vp://?... URI from the verifier's QR code or link
+ * @returns {Promise<{clientId: string, responseUri: string, nonce: string, state: string, presentationDefinition: Object}>} Request parameters
+ * @throws {Error} If the request is malformed or uses an unsupported response mode
+ */
+export async function parseAuthorizationRequest(requestUri) {
+  let url;
+  try {
+    url = new URL(requestUri.trim());
+  } catch {
+    throw new Error('Invalid presentation request link');
+  }
+
+  if (url.protocol !== 'openid4vp:') {
+    throw new Error('Presentation request must be an openid4vp:// link');
+  }
+
+  const params = url.searchParams;
+  if (params.get('response_type') !== 'vp_token' || params.get('response_mode') !== 'direct_post') {
+    throw new Error('Only vp_token requests with response_mode direct_post are supported');
+  }
+
+  const clientId = params.get('client_id');
+  const responseUri = params.get('response_uri');
+  const nonce = params.get('nonce');
+  const state = params.get('state');
+  if (!clientId || !responseUri || !nonce || !state) {
+    throw new Error('Presentation request is missing client_id, response_uri, nonce or state');
+  }
+
+  // With client_id_scheme redirect_uri the verifier is identified by where the response goes
+  if (params.get('client_id_scheme') === 'redirect_uri' && clientId !== responseUri) {
+    throw new Error('Presentation request client_id does not match its response_uri');
+  }
+
+  let presentationDefinition;
+  try {
+    if (params.has('presentation_definition_uri')) {
+      const response = await fetch(params.get('presentation_definition_uri'));
+      presentationDefinition = await response.json();
+    } else {
+      presentationDefinition = JSON.parse(params.get('presentation_definition'));
+    }
+  } catch {
+    presentationDefinition = null;
+  }
+
+  if (!presentationDefinition?.id || !Array.isArray(presentationDefinition.input_descriptors)) {
+    throw new Error('Presentation request is missing a valid presentation_definition');
+  }
+
+  return { clientId, responseUri, nonce, state, presentationDefinition };
+}
+
+/**
+ * Post a signed presentation to the verifier's response endpoint
+ * @param {Object} request - Parsed authorization request
+ * @param {string} vpToken - Compact JWT VP bound to the request's nonce and client_id
+ * @param {Object} presentationSubmission - Submission describing the VP
+ * @returns {Promise<void>}
+ * @throws {Error} If the verifier rejects the response
+ */
+export async function submitPresentation(request, vpToken, presentationSubmission) {
+  const response = await fetch(request.responseUri, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      vp_token: vpToken,
+      presentation_submission: JSON.stringify(presentationSubmission),
+      state: request.state
+    })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error_description || 'The verifier rejected the presentation');
+  }
+}
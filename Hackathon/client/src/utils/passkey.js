@@ -0,0 +1,132 @@
+/**
+ * Passkey (WebAuthn PRF) secrets for vault unlock
+ * The PRF extension makes the authenticator compute HMAC(secret on the authenticator, salt)
+ * after user verification. The same passkey and salt always give the same 32 bytes, which
+ * become an AES-KW key wrapping the vault master key (see cryptoVault.js).
+ * There is no server: nothing checks the assertion signature, the PRF output is the secret.
+ */
+
+const PRF_KEY_INFO = 'did-vault passkey unlock v1';
+const SALT_LENGTH = 32; // bytes
+
+/**
+ * Check whether this browser can create passkeys at all
+ * Whether the authenticator supports PRF is only known once a passkey is created
+ * @returns {boolean} True if WebAuthn is available
+ */
+export function isPasskeySupported() {
+  return typeof window.PublicKeyCredential !== 'undefined' && Boolean(navigator.credentials);
+}
+
+/**
+ * Register a passkey with the PRF extension and get its PRF output
+ * @param {string} label - Name shown by the authenticator (e.g. the user's email)
+ * @returns {Promise<{credentialId: string, salt: Uint8Array, prfOutput: ArrayBuffer}>} Passkey to store with the vault
+ * @throws {Error} If the user cancels or the authenticator does not support PRF
+ */
+export async function createPrfPasskey(label) {
+  const salt = window.crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      rp: { name: 'DID Vault' },
+      user: {
+        id: window.crypto.getRandomValues(new Uint8Array(16)),
+        name: label,
+        displayName: label
+      },
+      challenge: window.crypto.getRandomValues(new Uint8Array(32)),
+      pubKeyCredParams: [
+        { type: 'public-key', alg: -7 }, // ES256
+        { type: 'public-key', alg: -257 } // RS256
+      ],
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      extensions: { prf: { eval: { first: salt } } }
+    }
+  });
+
+  const prf = credential.getClientExtensionResults().prf;
+  if (!prf?.enabled) {
+    throw new Error('This passkey does not support the PRF extension, so it cannot unlock the vault');
+  }
+
+  const credentialId = arrayBufferToBase64Url(credential.rawId);
+
+  // Most authenticators only evaluate the PRF on sign-in, not at registration
+  let prfOutput = prf.results?.first;
+  if (!prfOutput) {
+    ({ prfOutput } = await getPrfOutput([{ credentialId, salt }]));
+  }
+
+  return { credentialId, salt, prfOutput };
+}
+
+/**
+ * Sign in with one of the given passkeys and get its PRF output
+ * @param {Array<{credentialId: string, salt: Uint8Array}>} passkeys - Passkeys registered with the vault
+ * @returns {Promise<{credentialId: string, prfOutput: ArrayBuffer}>} The passkey used and its PRF output
+ * @throws {Error} If the user cancels or the passkey returns no PRF output
+ */
+export async function getPrfOutput(passkeys) {
+  const assertion = await navigator.credentials.get({
+    publicKey: {
+      challenge: window.crypto.getRandomValues(new Uint8Array(32)),
+      allowCredentials: passkeys.map(({ credentialId }) => ({
+        type: 'public-key',
+        id: base64UrlToArrayBuffer(credentialId)
+      })),
+      userVerification: 'required',
+      // Every passkey has its own salt
+      extensions: {
+        prf: {
+          evalByCredential: Object.fromEntries(passkeys.map(({ credentialId, salt }) => [credentialId, { first: salt }]))
+        }
+      }
+    }
+  });
+
+  const prfOutput = assertion.getClientExtensionResults().prf?.results?.first;
+  if (!prfOutput) {
+    throw new Error('The passkey did not return a secret. It may not support the PRF extension');
+  }
+
+  return { credentialId: arrayBufferToBase64Url(assertion.rawId), prfOutput };
+}
+
+/**
+ * Turn a PRF output into the AES-KW key that wraps the vault master key
+ * @param {ArrayBuffer} prfOutput - PRF output of the passkey
+ * @returns {Promise<CryptoKey>} Non-extractable key-wrapping key
+ */
+export async function derivePasskeyWrappingKey(prfOutput) {
+  const keyMaterial = await window.crypto.subtle.importKey('raw', prfOutput, 'HKDF', false, ['deriveKey']);
+  return window.crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(PRF_KEY_INFO) },
+    keyMaterial,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Helper function to convert ArrayBuffer to base64url (WebAuthn credential IDs)
+ * @param {ArrayBuffer} buffer - Array buffer
+ * @returns {string} Base64url string
+ */
+function arrayBufferToBase64Url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Helper function to convert base64url to ArrayBuffer
+ * @param {string} value - Base64url string
+ * @returns {ArrayBuffer} Array buffer
+ */
+function base64UrlToArrayBuffer(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+}
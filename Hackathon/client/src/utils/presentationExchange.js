@@ -0,0 +1,196 @@
+/**
+ * DIF Presentation Exchange v2 utilities
+ * Matches vault credentials against a verifier's presentation_definition and
+ * describes the chosen credentials in a presentation_submission.
+ * Supports the same subset as the issuer's verifier: every input descriptor is
+ * required, fields use simple JSONPath ($.a.b, $['a'], $.a[0]) and JSON Schema
+ * type/const/enum/pattern/contains/minimum/maximum filters
+ */
+
+/**
+ * Presentation definition for a document credential from either issuer service
+ * (DocumentCredential or DocumentOwnershipCredential)
+ */
+export const documentCredentialDefinition = {
+  id: 'document-credential',
+  name: 'Document credential',
+  purpose: 'Prove you hold a document credential from a trusted issuer',
+  format: {
+    jwt_vp: { alg: ['EdDSA', 'ES256K'] },
+    jwt_vc: { alg: ['EdDSA', 'ES256K'] }
+  },
+  input_descriptors: [
+    {
+      id: 'document_credential',
+      name: 'Document credential',
+      constraints: {
+        fields: [
+          {
+            path: ['$.vc.type', '$.type'],
+            filter: { type: 'array', contains: { enum: ['DocumentCredential', 'DocumentOwnershipCredential'] } }
+          }
+        ]
+      }
+    }
+  ]
+};
+
+/**
+ * Match stored credentials against each input descriptor of a definition
+ * @param {Object} definition - presentation_definition from the verifier
+ * @param {Array<Object>} credentials - Credentials from the vault
+ * @returns {Array<{descriptor: Object, matches: Array<Object>}>} Matching credentials per input descriptor
+ */
+export function matchCredentials(definition, credentials) {
+  return (definition.input_descriptors || []).map(descriptor => ({
+    descriptor,
+    matches: credentials.filter(credential => satisfiesDescriptor(toClaims(credential), descriptor))
+  }));
+}
+
+/**
+ * Build the presentation credentials and submission for the chosen credentials
+ * Each credential is presented once, even if it answers several descriptors
+ * @param {Object} definition - presentation_definition from the verifier
+ * @param {Object<string, Object>} selection - Chosen credential per input descriptor id
+ * @returns {{verifiableCredential: Array<Object>, presentationSubmission: Object}} VP credentials and submission
+ * @throws {Error} If an input descriptor has no credential
+ */
+export function buildSubmission(definition, selection) {
+  const verifiableCredential = [];
+  const descriptorMap = (definition.input_descriptors || []).map(descriptor => {
+    const credential = selection[descriptor.id];
+    if (!credential) {
+      throw new Error(`No credential selected for ${descriptor.name || descriptor.id}`);
+    }
+
+    let index = verifiableCredential.indexOf(credential);
+    if (index === -1) {
+      index = verifiableCredential.push(credential) - 1;
+    }
+
+    // Paths address the signed VP JWT; the nested entry points at the JWT-VC inside it
+    return {
+      id: descriptor.id,
+      format: 'jwt_vp',
+      path: '$',
+      path_nested: {
+        id: descriptor.id,
+        format: 'jwt_vc',
+        path: `$.vp.verifiableCredential[${index}]`
+      }
+    };
+  });
+
+  return {
+    verifiableCredential,
+    presentationSubmission: {
+      id: window.crypto.randomUUID(),
+      definition_id: definition.id,
+      descriptor_map: descriptorMap
+    }
+  };
+}
+
+/**
+ * Helper function to get the claims a definition is evaluated against
+ * JWT credentials are matched on their payload (vc, iss, sub...), as verifiers see them
+ * @param {Object} credential - Vault credential
+ * @returns {Object} Decoded JWT payload, or the credential itself
+ */
+function toClaims(credential) {
+  const jwt = credential.proof?.jwt;
+  if (!jwt) {
+    return credential;
+  }
+
+  try {
+    const payload = jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), c => c.charCodeAt(0))));
+  } catch {
+    return credential;
+  }
+}
+
+/**
+ * Helper function to check whether claims satisfy all required fields of an input descriptor
+ * @param {Object} claims - Credential claims
+ * @param {Object} descriptor - Input descriptor
+ * @returns {boolean} True if every required field has a path whose value passes its filter
+ */
+function satisfiesDescriptor(claims, descriptor) {
+  const fields = descriptor.constraints?.fields || [];
+  return fields.every(field => field.optional || (field.path || []).some(path => {
+    try {
+      const value = readPath(claims, path);
+      return value !== undefined && matchesFilter(value, field.filter);
+    } catch {
+      return false;
+    }
+  }));
+}
+
+/**
+ * Helper function to read a simple JSONPath from an object
+ * @param {Object} value - Root object
+ * @param {string} path - JSONPath such as $.vc.credentialSubject.docType
+ * @returns {*} The value, or undefined if any segment is missing
+ * @throws {Error} If the path uses unsupported syntax
+ */
+function readPath(value, path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Unsupported JSONPath: ${path}`);
+  }
+
+  const pattern = /\.([A-Za-z0-9_@$-]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+  pattern.lastIndex = 1;
+  let current = value;
+  while (pattern.lastIndex < path.length) {
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath: ${path}`);
+    }
+    const segment = match[2] !== undefined ? Number(match[2]) : (match[1] ?? match[3] ?? match[4]);
+    current = current === null || current === undefined ? undefined : current[segment];
+  }
+  return current;
+}
+
+/**
+ * Helper function to check a value against a JSON Schema filter (supported subset)
+ * @param {*} value - Value found at the field path
+ * @param {Object} [filter] - JSON Schema filter
+ * @returns {boolean} True if the value passes
+ */
+function matchesFilter(value, filter) {
+  if (!filter) {
+    return value !== undefined;
+  }
+
+  if (filter.type) {
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const allowed = [].concat(filter.type);
+    if (!allowed.includes(actualType) && !(allowed.includes('integer') && Number.isInteger(value))) {
+      return false;
+    }
+  }
+  if ('const' in filter && JSON.stringify(value) !== JSON.stringify(filter.const)) {
+    return false;
+  }
+  if (filter.enum && !filter.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    return false;
+  }
+  if (filter.pattern && (typeof value !== 'string' || !new RegExp(filter.pattern).test(value))) {
+    return false;
+  }
+  if (filter.minimum !== undefined && !(value >= filter.minimum)) {
+    return false;
+  }
+  if (filter.maximum !== undefined && !(value <= filter.maximum)) {
+    return false;
+  }
+  if (filter.contains && (!Array.isArray(value) || !value.some(item => matchesFilter(item, filter.contains)))) {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,192 @@
+/**
+ * Utility functions for retrieving files from R2 and decrypting them
+ * The issuer service only streams a file to the holder of its credential: the vault credential
+ * naming the file (storageKey claim) is presented, bound to a fresh verifier challenge, in
+ * exchange for a short-lived access token
+ */
+
+import { getSigningKey, signPresentation } from './didManager';
+import { isSdJwtCredential, createSdJwtPresentation } from './sdJwt';
+import { isBbsCredential } from './bbs';
+import { decryptInWorker, decryptBlob, STREAM_ENCRYPTION } from '../lib/crypto';
+
+const ISSUER_API_URL = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
+
+// Attempts per download; later attempts continue from the last byte received (Range + If-Range)
+const DOWNLOAD_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000; // doubled after every failed attempt
+
+/**
+ * Get the storage key a vault credential vouches for
+ * @param {object} credential - Credential as returned by retrieveVCs
+ * @returns {string|null} R2 storage key, null if the credential is not for a stored file
+ */
+export function getStorageKey(credential) {
+  const storageKey = credential?.credentialSubject?.storageKey;
+  return typeof storageKey === 'string' && storageKey ? storageKey : null;
+}
+
+/**
+ * Present a credential to the issuer service for access to the file it names
+ * SD-JWT credentials disclose only the storage key. The issuer only grants access to the DID that
+ * uploaded the file, which a derived BBS credential can't show (it has no holder)
+ * @param {object} credential - Vault credential with a storageKey claim
+ * @param {string} holderDid - The holder's DID (the credential subject)
+ * @returns {Promise<{accessToken: string, tokenType: string, expiresIn: number}>} Access token for GET /retrieve/:key
+ * @throws {Error} If the vault is locked, the credential is a BBS credential, or the issuer does not accept the credential for the file
+ */
+export async function requestFileAccess(credential, holderDid) {
+  const storageKey = getStorageKey(credential);
+  if (!storageKey) {
+    throw new Error('This credential is not for a stored file');
+  }
+  if (isBbsCredential(credential)) {
+    throw new Error('BBS credentials are unlinkable and cannot prove you uploaded this file. Use a JWT or SD-JWT credential to retrieve it');
+  }
+
+  const { challenge, domain } = await issuerRequest('/verify/challenge', { method: 'POST', body: {} });
+
+  const { privateKey } = await getSigningKey();
+  const vp = isSdJwtCredential(credential)
+    ? await createSdJwtPresentation(credential.proof.sdJwt, ['storageKey'], privateKey, { challenge, domain })
+    : await signPresentation({
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiablePresentation'],
+      holder: holderDid,
+      verifiableCredential: [credential],
+    }, privateKey, { challenge, domain });
+
+  return issuerRequest(`/retrieve/${encodeURIComponent(storageKey)}/access`, { method: 'POST', body: { vp } });
+}
+
+/**
+ * Download the (encrypted) file a vault credential names
+ * A download that breaks off is continued from the last byte received, as long as the file is unchanged
+ * @param {object} credential - Vault credential with a storageKey claim
+ * @param {string} holderDid - The holder's DID (the credential subject)
+ * @param {object} [options]
+ * @param {(receivedBytes: number, totalBytes: number) => void} [options.onProgress] - Called as bytes arrive
+ * @returns {Promise<Blob>} The stored file
+ * @throws {Error} If access is refused, the file is gone, or the download keeps failing
+ */
+export async function retrieveFromR2(credential, holderDid, { onProgress } = {}) {
+  const { accessToken } = await requestFileAccess(credential, holderDid);
+  const url = `${ISSUER_API_URL}/retrieve/${encodeURIComponent(getStorageKey(credential))}`;
+
+  const chunks = [];
+  let receivedBytes = 0;
+  let totalBytes = 0;
+  let etag = null;
+
+  for (let attempt = 1; ; attempt++) {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    if (receivedBytes > 0 && etag) {
+      headers.Range = `bytes=${receivedBytes}-`;
+      headers['If-Range'] = etag;
+    }
+
+    try {
+      const response = await fetch(url, { headers });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error || `Download failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      // A full response instead of the requested range: the file changed, start over
+      if (response.status !== 206) {
+        chunks.length = 0;
+        receivedBytes = 0;
+        totalBytes = Number(response.headers.get('Content-Length')) || 0;
+      }
+      etag = response.headers.get('ETag');
+
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        receivedBytes += value.length;
+        onProgress?.(receivedBytes, totalBytes);
+      }
+
+      if (totalBytes && receivedBytes < totalBytes) {
+        throw new Error(`Download ended after ${receivedBytes} of ${totalBytes} bytes`);
+      }
+      return new Blob(chunks, { type: response.headers.get('Content-Type') || 'application/octet-stream' });
+    } catch (error) {
+      // Refused access and missing files will not change on retry
+      if ((error.status && error.status < 500) || attempt >= DOWNLOAD_ATTEMPTS) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Decrypt a retrieved file with the key from its credential
+ * @param {Blob} encrypted - File as returned by retrieveFromR2
+ * @param {object} credential - The vault credential it was retrieved with
+ * @param {(processedBytes: number, totalBytes: number) => void} [onProgress] - Called after every chunk
+ * @returns {Promise<Blob>} Decrypted file
+ * @throws {Error} If the credential holds no key, or the file does not decrypt with it
+ */
+export async function decryptRetrievedFile(encrypted, credential, onProgress) {
+  const { encryptionKey, encryption, iv } = credential.credentialSubject || {};
+  if (!encryptionKey) {
+    throw new Error('This credential does not hold the file key');
+  }
+
+  const key = await window.crypto.subtle.importKey('raw', hexToBytes(encryptionKey), 'AES-GCM', false, ['decrypt']);
+
+  if (encryption === STREAM_ENCRYPTION) {
+    return decryptInWorker(encrypted, key, { onProgress });
+  }
+
+  // Files uploaded before chunked encryption were encrypted in one operation with the IV in the credential
+  if (iv) {
+    try {
+      return await decryptBlob(encrypted, key, Array.from(hexToBytes(iv)));
+    } catch {
+      throw new Error('Failed to decrypt: wrong key, or the file was modified');
+    }
+  }
+  throw new Error(`Unsupported encryption: ${encryption || 'unknown'}`);
+}
+
+/**
+ * Helper function to call the issuer service's JSON endpoints
+ * @param {string} path - Endpoint path
+ * @param {{method?: string, body?: object}} [options] - Method and JSON body
+ * @returns {Promise<object>} JSON response
+ * @throws {Error} With the HTTP status in error.status if the request fails
+ */
+async function issuerRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${ISSUER_API_URL}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.reason
+      ? `${errorData.error}: ${errorData.reason}`
+      : errorData.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Helper function to convert a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+}
@@ -0,0 +1,16 @@
+/**
+ * Types of r2Upload.js, for the TypeScript modules that use it (see lib/issuerStorage.ts)
+ */
+
+export interface R2UploadOptions {
+  onProgress?: (uploadedBytes: number, totalBytes: number) => void;
+  resumeData?: object;
+}
+
+export interface R2UploadResult {
+  storageKey: string;
+  bucket?: string;
+  timestamp: string;
+}
+
+export function uploadToR2(encryptedFile: Blob, fileName: string, options?: R2UploadOptions): Promise<R2UploadResult>;
@@ -1,15 +1,44 @@
 /**
  * Utility functions for file encryption and R2 upload
- * Handles client-side encryption before uploading to Cloudflare R2 via issuer service
+ * Handles client-side encryption before uploading to Cloudflare R2 with URLs pre-signed by
+ * the issuer service. Uploads are made as the vault DID: the issuer hands out an uploader token
+ * for a presentation signed by it, and later grants access to the file to that DID only
  */
 
+import { encryptInWorker, STREAM_ENCRYPTION } from '../lib/crypto';
+import { sealWithVault, openSealed } from './cryptoVault';
+import { getSigningKey, signPresentation } from './didManager';
+
+const ISSUER_API_URL = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
+
+// Largest file to pick for upload; leaves room for encryption overhead under the issuer's 5 GiB default
+export const MAX_UPLOAD_SIZE = 4 * 1024 * 1024 * 1024;
+
+// Parallel part uploads, and attempts per part before the upload fails (it can still be resumed)
+const PART_CONCURRENCY = 4;
+const PART_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000; // doubled after every failed attempt
+
+// A new uploader token is requested this long before the current one expires
+const TOKEN_RENEWAL_MARGIN_MS = 60 * 1000;
+
+// Pending uploads survive page reloads in their own database
+const UPLOADS_DB_NAME = 'did-vault-uploads';
+const UPLOADS_DB_VERSION = 1;
+const UPLOADS_STORE = 'uploads';
+
+let uploadsDbPromise = null;
+let uploaderToken = null; // { did, uploadToken, expiresAt }
+
 /**
- * Encrypt a file using AES-GCM encryption
+ * Encrypt a file with a fresh AES-GCM key, in chunks on a Web Worker (see encryptInWorker in lib/crypto)
+ * The nonces are in the encrypted file's header, so only the key is needed to decrypt it
  * @param {File} file - The file to encrypt
- * @returns {Promise<{encrypted: ArrayBuffer, key: string, iv: string, fileName: string, fileSize: number}>} Encrypted data and metadata
+ * @param {(processedBytes: number, totalBytes: number) => void} [onProgress] - Called after every chunk
+ * @returns {Promise<{encrypted: Blob, key: string, encryption: string, fileName: string, fileSize: number}>} Encrypted data and metadata
  * @throws {Error} If encryption fails or crypto API is unavailable
  */
-export async function encryptFile(file) {
+export async function encryptFile(file, onProgress) {
   try {
     // Check if crypto API is available
     if (!window.crypto || !window.crypto.subtle) {
@@ -26,26 +55,12 @@ export async function encryptFile(file) {
       ['encrypt', 'decrypt']
     );
 
-    // Generate a random initialization vector (IV)
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-
-    // Read file as ArrayBuffer
-    const fileBuffer = await file.arrayBuffer();
-
-    // Encrypt the file
-    const encrypted = await window.crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv
-      },
-      key,
-      fileBuffer
-    );
+    // Encrypt the file chunk by chunk, so it never has to fit in memory
+    const encrypted = await encryptInWorker(file, key, { onProgress });
 
     // Export the key for storage/transmission
     const exportedKey = await window.crypto.subtle.exportKey('raw', key);
     const keyHex = bufferToHex(exportedKey);
-    const ivHex = bufferToHex(iv);
 
     // TODO: PRODUCTION IMPROVEMENT - Secure Key Management
     // Current implementation returns the encryption key to the caller
@@ -59,7 +74,7 @@ export async function encryptFile(file) {
     return {
       encrypted,
       key: keyHex,
-      iv: ivHex,
+      encryption: STREAM_ENCRYPTION,
       fileName: file.name,
       fileSize: file.size
     };
@@ -72,55 +87,99 @@ export async function encryptFile(file) {
 }
 
 /**
- * Upload encrypted file to R2 via issuer service
- * @param {ArrayBuffer} encryptedFile - The encrypted file data
+ * Upload an encrypted file straight to R2 in parts, through URLs pre-signed by the issuer service
+ * Parts go up in parallel and are retried; the upload is kept in IndexedDB until it completes,
+ * so it can be resumed with resumeUploadToR2 after a page reload. Its resumeData is sealed with
+ * the vault master key first, so the vault must be unlocked when resumeData is given
+ * When the issuer stores files elsewhere (STORAGE_PROVIDER other than r2), the file is sent to
+ * the issuer in one request instead, and can't be resumed
+ * The file is uploaded as the vault DID, the only one the issuer will grant access to it, so the
+ * vault must be unlocked
+ * @param {Blob} encryptedFile - The encrypted file data
  * @param {string} fileName - Original file name
+ * @param {object} [options]
+ * @param {(uploadedBytes: number, totalBytes: number) => void} [options.onProgress] - Called after every part
+ * @param {object} [options.resumeData] - Kept with the pending upload for the caller (e.g. the file key), until it completes
  * @returns {Promise<{storageKey: string, bucket: string, timestamp: string}>} Upload result with storage key
- * @throws {Error} If upload fails or network error occurs
+ * @throws {Error} If the vault is locked or holds no DID, or the upload fails or a network error occurs
  */
-export async function uploadToR2(encryptedFile, fileName) {
+export async function uploadToR2(encryptedFile, fileName, { onProgress, resumeData } = {}) {
   try {
-    // Get issuer API URL from environment
-    const issuerApiUrl = import.meta.env.VITE_ISSUER_API_URL || 'http://localhost:8080';
-
-    // Create FormData for multipart upload
-    const formData = new FormData();
-    const blob = new Blob([encryptedFile], { type: 'application/octet-stream' });
-    formData.append('file', blob, fileName);
-
-    // Send upload request to issuer service
-    const response = await fetch(`${issuerApiUrl}/upload`, {
-      method: 'POST',
-      body: formData
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: 'Upload failed' }));
-      throw new Error(errorData.error || `Upload failed with status ${response.status}`);
+    let upload;
+    try {
+      upload = await issuerRequest('/upload/multipart', {
+        method: 'POST',
+        body: { fileName, size: encryptedFile.size, contentType: 'application/octet-stream' }
+      });
+    } catch (error) {
+      if (error.status !== 501) {
+        throw error;
+      }
+      return await uploadInOneRequest(encryptedFile, fileName, onProgress);
     }
 
-    const result = await response.json();
+    const pendingUpload = {
+      uploadId: upload.uploadId,
+      storageKey: upload.storageKey,
+      fileName,
+      file: encryptedFile,
+      resumeData: resumeData ? await sealWithVault(resumeData) : null,
+      createdAt: new Date().toISOString()
+    };
+    await savePendingUpload(pendingUpload);
 
-    // TODO: PRODUCTION IMPROVEMENT - Direct R2 Upload
-    // Current implementation uploads through the issuer service
-    // For production, consider:
-    // - Pre-signed URLs for direct client-to-R2 upload
-    // - Reduces server load and bandwidth costs
-    // - Faster uploads with direct connection
-    // - Client requests pre-signed URL from issuer, then uploads directly
-    // - Issuer validates and tracks uploads via callbacks or polling
+    return await uploadParts(pendingUpload, onProgress);
+  } catch (error) {
+    throw uploadError(error);
+  }
+}
 
-    return {
-      storageKey: result.storageKey,
-      bucket: result.bucket || 'did-vault-mvp',
-      timestamp: result.timestamp || new Date().toISOString()
-    };
+/**
+ * Resume an upload interrupted by a page reload or a network failure
+ * Only the parts R2 has not received yet are sent, as the vault DID that started the upload
+ * @param {object} pendingUpload - Upload from listPendingUploads
+ * @param {object} [options]
+ * @param {(uploadedBytes: number, totalBytes: number) => void} [options.onProgress] - Called after every part
+ * @returns {Promise<{storageKey: string, bucket: string, timestamp: string, resumeData: object|null}>} Upload result with storage key, and the resumeData given to uploadToR2
+ * @throws {Error} If the vault is locked, the upload expired on the issuer service (or was started by another DID), or it fails again
+ */
+export async function resumeUploadToR2(pendingUpload, { onProgress } = {}) {
+  // Before sending anything: an upload whose resumeData can't be read is of no use to the caller
+  const resumeData = pendingUpload.resumeData ? await openSealed(pendingUpload.resumeData) : null;
+
+  try {
+    return { ...(await uploadParts(pendingUpload, onProgress)), resumeData };
   } catch (error) {
-    if (error.message.includes('fetch') || error.message.includes('network')) {
-      throw new Error(`Network error during upload: ${error.message}. Please check your connection and try again.`);
+    throw uploadError(error);
+  }
+}
+
+/**
+ * List uploads that were started but not completed, newest first
+ * @returns {Promise<Array<{uploadId: string, storageKey: string, fileName: string, file: Blob, resumeData: object|null, createdAt: string}>>} Pending uploads (resumeData sealed, see resumeUploadToR2)
+ */
+export async function listPendingUploads() {
+  const db = await openUploadsDb();
+  const uploads = await requestToPromise(db.transaction(UPLOADS_STORE).objectStore(UPLOADS_STORE).getAll());
+  return uploads.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Abort a pending upload: R2 discards its parts and this browser forgets it
+ * @param {string} uploadId - Upload ID of a pending upload
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault is locked, or the issuer service can't be reached
+ */
+export async function abortPendingUpload(uploadId) {
+  try {
+    await issuerRequest(`/upload/multipart/${encodeURIComponent(uploadId)}`, { method: 'DELETE' });
+  } catch (error) {
+    // An expired upload is already gone from the issuer service, and R2 removes its parts
+    if (error.status !== 404) {
+      throw uploadError(error);
     }
-    throw new Error(`Failed to upload to R2: ${error.message}`);
   }
+  await deletePendingUpload(uploadId);
 }
 
 /**
@@ -160,3 +219,297 @@ function bufferToHex(buffer) {
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
 }
+
+/**
+ * Helper function to send the parts R2 is missing, then complete the upload
+ * @param {object} pendingUpload - Pending upload record
+ * @param {Function} [onProgress] - Called after every part
+ * @returns {Promise<{storageKey: string, bucket: string, timestamp: string}>} Upload result
+ */
+async function uploadParts(pendingUpload, onProgress) {
+  const { uploadId, file } = pendingUpload;
+  const uploadPath = `/upload/multipart/${encodeURIComponent(uploadId)}`;
+
+  let upload;
+  try {
+    upload = await issuerRequest(uploadPath);
+  } catch (error) {
+    if (error.status === 404) {
+      await deletePendingUpload(uploadId);
+      throw new Error('This upload has expired. Please upload the file again');
+    }
+    throw error;
+  }
+  if (upload.size !== file.size) {
+    throw new Error('The pending upload does not match its file');
+  }
+
+  const received = new Set(upload.uploadedParts.map(part => part.partNumber));
+  const remaining = [];
+  for (let partNumber = 1; partNumber <= upload.partCount; partNumber++) {
+    if (!received.has(partNumber)) {
+      remaining.push(partNumber);
+    }
+  }
+
+  let uploadedBytes = upload.uploadedParts.reduce((total, part) => total + part.size, 0);
+  onProgress?.(uploadedBytes, file.size);
+
+  // A few workers take the next missing part until none are left
+  const uploadNextPart = async () => {
+    while (remaining.length > 0) {
+      const partNumber = remaining.shift();
+      const start = (partNumber - 1) * upload.partSize;
+      const part = file.slice(start, Math.min(start + upload.partSize, file.size));
+
+      await uploadPart(uploadPath, partNumber, part);
+      uploadedBytes += part.size;
+      onProgress?.(uploadedBytes, file.size);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PART_CONCURRENCY, remaining.length) }, uploadNextPart));
+
+  const result = await issuerRequest(`${uploadPath}/complete`, { method: 'POST' });
+  await deletePendingUpload(uploadId);
+
+  return {
+    storageKey: result.storageKey,
+    bucket: result.bucket || 'did-vault-mvp',
+    timestamp: result.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Helper function to PUT one part to its pre-signed URL, retrying with backoff
+ * Every attempt gets a fresh URL, in case the last one expired
+ * @param {string} uploadPath - Issuer path of the upload
+ * @param {number} partNumber - Part number (1-based)
+ * @param {Blob} part - Part bytes
+ * @returns {Promise<void>}
+ * @throws {Error} After the last failed attempt
+ */
+async function uploadPart(uploadPath, partNumber, part) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { url } = await issuerRequest(`${uploadPath}/parts/${partNumber}`, { method: 'POST' });
+      const response = await fetch(url, { method: 'PUT', body: part });
+      if (!response.ok) {
+        const error = new Error(`Part ${partNumber} failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return;
+    } catch (error) {
+      // Client errors other than an expired URL (403) will not go away on retry
+      const retryable = !error.status || error.status >= 500 || error.status === 403 || error.status === 429;
+      if (!retryable || attempt >= PART_ATTEMPTS) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Helper function to send a whole file to the issuer service, which stores it with its storage provider
+ * @param {Blob} encryptedFile - The encrypted file data
+ * @param {string} fileName - Original file name
+ * @param {(uploadedBytes: number, totalBytes: number) => void} [onProgress] - Called once the file is stored
+ * @returns {Promise<{storageKey: string, bucket: string, timestamp: string}>} Upload result with storage key
+ * @throws {Error} With the HTTP status in error.status if the request fails
+ */
+async function uploadInOneRequest(encryptedFile, fileName, onProgress) {
+  const formData = new FormData();
+  formData.append('file', encryptedFile, fileName);
+
+  const result = await withUploaderToken(async token => readResponse(await fetch(`${ISSUER_API_URL}/upload`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: formData
+  })));
+  onProgress?.(encryptedFile.size, encryptedFile.size);
+  return result;
+}
+
+/**
+ * Helper function to call the issuer service's upload endpoints as the vault DID
+ * @param {string} path - Endpoint path
+ * @param {{method?: string, body?: object}} [options] - Method and JSON body
+ * @returns {Promise<object>} JSON response
+ * @throws {Error} With the HTTP status in error.status if the request fails
+ */
+function issuerRequest(path, { method = 'GET', body } = {}) {
+  return withUploaderToken(token => sendJson(path, { method, body, token }));
+}
+
+/**
+ * Helper function to run a request with the uploader token of the vault DID
+ * A token the issuer no longer knows (401, e.g. after a restart) is replaced once
+ * @param {(token: string) => Promise<object>} send - Sends the request with the token
+ * @returns {Promise<object>} JSON response
+ */
+async function withUploaderToken(send) {
+  try {
+    return await send(await getUploaderToken());
+  } catch (error) {
+    if (error.status !== 401) {
+      throw error;
+    }
+    uploaderToken = null;
+    return send(await getUploaderToken());
+  }
+}
+
+/**
+ * Helper function to get an uploader token for the vault DID
+ * The issuer hands one out for a presentation without credentials, signed by the DID over a
+ * fresh verifier challenge; it is kept until shortly before it expires
+ * @returns {Promise<string>} Uploader token
+ * @throws {Error} If the vault is locked or holds no DID, or the issuer refuses the presentation
+ */
+async function getUploaderToken() {
+  const { did, privateKey } = await getSigningKey();
+  if (uploaderToken?.did === did && uploaderToken.expiresAt - TOKEN_RENEWAL_MARGIN_MS > Date.now()) {
+    return uploaderToken.uploadToken;
+  }
+
+  const { challenge, domain } = await sendJson('/verify/challenge', { method: 'POST', body: {} });
+  const vp = await signPresentation({
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiablePresentation'],
+    holder: did,
+    verifiableCredential: [],
+  }, privateKey, { challenge, domain });
+
+  const { uploadToken, expiresIn } = await sendJson('/upload/auth', { method: 'POST', body: { vp } });
+  uploaderToken = { did, uploadToken, expiresAt: Date.now() + expiresIn * 1000 };
+  return uploadToken;
+}
+
+/**
+ * Helper function to send a JSON request to the issuer service
+ * @param {string} path - Endpoint path
+ * @param {{method?: string, body?: object, token?: string}} [options] - Method, JSON body and uploader token
+ * @returns {Promise<object>} JSON response
+ * @throws {Error} With the HTTP status in error.status if the request fails
+ */
+async function sendJson(path, { method = 'GET', body, token } = {}) {
+  const headers = {};
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  return readResponse(await fetch(`${ISSUER_API_URL}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  }));
+}
+
+/**
+ * Helper function to read an issuer service response
+ * @param {Response} response - Fetch response
+ * @returns {Promise<object>} JSON body
+ * @throws {Error} With the HTTP status in error.status if the request failed
+ */
+async function readResponse(response) {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Upload failed' }));
+    const error = new Error(errorData.error || `Upload failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Helper function to turn a failed upload into a user-facing error
+ * @param {Error} error - Original error
+ * @returns {Error} Error to show
+ */
+function uploadError(error) {
+  if (error.message.includes('fetch') || error.message.includes('network')) {
+    return new Error(`Network error during upload: ${error.message}. Please check your connection and resume the upload.`);
+  }
+  return new Error(`Failed to upload to R2: ${error.message}`);
+}
+
+/**
+ * Helper function to store a pending upload
+ * @param {object} pendingUpload - Pending upload record
+ * @returns {Promise<void>}
+ */
+async function savePendingUpload(pendingUpload) {
+  const db = await openUploadsDb();
+  const tx = db.transaction(UPLOADS_STORE, 'readwrite');
+  tx.objectStore(UPLOADS_STORE).put(pendingUpload);
+  await transactionDone(tx);
+}
+
+/**
+ * Helper function to forget a pending upload
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<void>}
+ */
+async function deletePendingUpload(uploadId) {
+  const db = await openUploadsDb();
+  const tx = db.transaction(UPLOADS_STORE, 'readwrite');
+  tx.objectStore(UPLOADS_STORE).delete(uploadId);
+  await transactionDone(tx);
+}
+
+/**
+ * Helper function to open (and create) the pending uploads database
+ * @returns {Promise<IDBDatabase>} Uploads database
+ * @throws {Error} If IndexedDB is unavailable
+ */
+function openUploadsDb() {
+  if (!uploadsDbPromise) {
+    uploadsDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available. Please enable storage in your browser settings.'));
+        return;
+      }
+
+      const request = window.indexedDB.open(UPLOADS_DB_NAME, UPLOADS_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(UPLOADS_STORE, { keyPath: 'uploadId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      uploadsDbPromise = null;
+      throw error;
+    });
+  }
+  return uploadsDbPromise;
+}
+
+/**
+ * Helper function to await an IndexedDB request
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Helper function to await the commit of an IndexedDB transaction
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
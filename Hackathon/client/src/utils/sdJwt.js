@@ -0,0 +1,97 @@
+/**
+ * SD-JWT VC holder utilities
+ * Lists the disclosures of a vault credential issued with proofFormat 'sd-jwt' and
+ * builds presentations that reveal only the chosen claims:
+ *   <issuer-jwt>~<disclosure>~...~<kb-jwt>
+ * The key binding JWT proves possession of the holder's did:key and binds the
+ * presentation to the verifier's challenge (nonce) and domain (aud)
+ */
+
+import { signJwt } from './didManager';
+
+/**
+ * Check whether a vault credential is an SD-JWT VC
+ * @param {object} credential - Credential as returned by retrieveVCs
+ * @returns {boolean} True if the credential carries an SD-JWT
+ */
+export function isSdJwtCredential(credential) {
+  return credential?.proof?.type === 'SdJwtVc' && typeof credential.proof.sdJwt === 'string';
+}
+
+/**
+ * List the selectively disclosable claims of an SD-JWT
+ * @param {string} sdJwt - SD-JWT as issued (issuer JWT followed by all disclosures)
+ * @returns {Array<{disclosure: string, name: string, value: *}>} Disclosures with their decoded claim
+ * @throws {Error} If a disclosure cannot be decoded
+ */
+export function listDisclosures(sdJwt) {
+  return sdJwt
+    .split('~')
+    .slice(1)
+    .filter(Boolean)
+    .map(disclosure => {
+      const [, name, value] = JSON.parse(base64UrlToString(disclosure));
+      return { disclosure, name, value };
+    });
+}
+
+/**
+ * Create an SD-JWT presentation revealing only the selected claims
+ * @param {string} sdJwt - SD-JWT as issued
+ * @param {Array<string>} claimNames - Names of the claims to disclose
+ * @param {CryptoKey} signingKey - The holder's did:key private key (the credential's cnf key), from getSigningKey()
+ * @param {{challenge: string, domain: string}} request - The verifier's presentation request
+ * @returns {Promise<string>} SD-JWT presentation with key binding JWT
+ * @throws {Error} If the request is incomplete or signing fails
+ */
+export async function createSdJwtPresentation(sdJwt, claimNames, signingKey, { challenge, domain } = {}) {
+  // Verifiers only accept presentations bound to one of their sessions
+  if (!challenge || !domain) {
+    throw new Error('A verifier challenge and domain are required');
+  }
+
+  const issuerJwt = sdJwt.split('~')[0];
+  const disclosures = listDisclosures(sdJwt)
+    .filter(({ name }) => claimNames.includes(name))
+    .map(({ disclosure }) => disclosure);
+
+  // The key binding JWT signs a hash of everything it is appended to
+  const presented = `${issuerJwt}~${disclosures.map(disclosure => `${disclosure}~`).join('')}`;
+  const sdHash = await sha256Base64Url(presented);
+
+  const kbJwt = await signJwt(
+    { alg: 'EdDSA', typ: 'kb+jwt' },
+    {
+      iat: Math.floor(Date.now() / 1000),
+      aud: domain,
+      nonce: challenge,
+      sd_hash: sdHash
+    },
+    signingKey
+  );
+
+  return `${presented}${kbJwt}`;
+}
+
+/**
+ * Helper function to decode a base64url string as UTF-8
+ * @param {string} value - Base64url string
+ * @returns {string} Decoded text
+ */
+function base64UrlToString(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+}
+
+/**
+ * Helper function to hash a string with SHA-256 (the SD-JWT _sd_alg) as base64url
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Base64url digest
+ */
+async function sha256Base64Url(value) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return btoa(String.fromCharCode(...new Uint8Array(digest)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
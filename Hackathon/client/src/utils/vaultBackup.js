@@ -0,0 +1,268 @@
+/**
+ * Encrypted vault backups
+ * One JSON file holds the vault credentials, the DID and its private key, and the
+ * local document metadata, encrypted under a backup passphrase:
+ *   { format, version, createdAt, kdf, salt, iv, ciphertext }
+ * AES-GCM authenticates the ciphertext and, as additional data, every header field,
+ * so a modified or truncated file fails to decrypt instead of importing altered data.
+ */
+
+import { retrieveVCs, storeVC } from './cryptoVault';
+import { exportDid, storeDid } from './didManager';
+import { getLocalMetadata, putLocalMetadata } from '../lib/localMetadata';
+import { derivePassphraseKey, DEFAULT_KDF } from '../lib/kdf';
+import { assertPassphraseStrength } from '../lib/passphraseStrength';
+
+export const BACKUP_FORMAT = 'did-vault-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Create an encrypted backup of the vault
+ * @param {string} backupPassphrase - Passphrase protecting the backup file
+ * @returns {Promise<Blob>} Backup file (JSON)
+ * @throws {Error} If the vault is locked, the passphrase is too weak, or encryption fails
+ */
+export async function exportVaultBackup(backupPassphrase) {
+  assertPassphraseStrength(backupPassphrase);
+
+  const credentials = (await retrieveVCs()).map(({ _metadata, ...credential }) => ({
+    vcId: _metadata.vcId,
+    storedAt: _metadata.storedAt,
+    credential
+  }));
+
+  const contents = {
+    credentials,
+    did: await exportDid(),
+    documents: getLocalMetadata()
+  };
+
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    kdf: DEFAULT_KDF,
+    salt: arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(16))),
+    iv: arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(12)))
+  };
+
+  const key = await deriveBackupKey(backupPassphrase, header);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: base64ToArrayBuffer(header.iv), additionalData: headerBytes(header) },
+    key,
+    new TextEncoder().encode(JSON.stringify(contents))
+  );
+
+  return new Blob(
+    [JSON.stringify({ ...header, ciphertext: arrayBufferToBase64(ciphertext) }, null, 2)],
+    { type: 'application/json' }
+  );
+}
+
+/**
+ * Validate and decrypt a backup file
+ * @param {string} fileText - Contents of the backup file
+ * @param {string} backupPassphrase - Passphrase the backup was exported with
+ * @returns {Promise<{createdAt: string, credentials: Array<object>, did: object|null, documents: Array<object>}>} Backup contents
+ * @throws {Error} If the file is not a supported backup, the passphrase is wrong or the file was modified
+ */
+export async function readVaultBackup(fileText, backupPassphrase) {
+  let backup;
+  try {
+    backup = JSON.parse(fileText);
+  } catch {
+    throw new Error('This file is not a vault backup');
+  }
+
+  if (backup?.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a vault backup');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${backup.version}. Please update the app to import it.`);
+  }
+  if (!['createdAt', 'salt', 'iv', 'ciphertext'].every(field => typeof backup[field] === 'string') ||
+      typeof backup.kdf !== 'object') {
+    throw new Error('The backup file is incomplete');
+  }
+
+  const header = {
+    format: backup.format,
+    version: backup.version,
+    createdAt: backup.createdAt,
+    kdf: backup.kdf,
+    salt: backup.salt,
+    iv: backup.iv
+  };
+
+  let contents;
+  try {
+    const key = await deriveBackupKey(backupPassphrase, header);
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToArrayBuffer(header.iv), additionalData: headerBytes(header) },
+      key,
+      base64ToArrayBuffer(backup.ciphertext)
+    );
+    contents = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    // AES-GCM will throw if the passphrase is wrong or any part of the file was changed
+    if (error.name === 'OperationError' || error.name === 'InvalidCharacterError') {
+      throw new Error('Wrong backup passphrase, or the backup file was modified');
+    }
+    throw new Error(`Failed to read backup: ${error.message}`);
+  }
+
+  if (!Array.isArray(contents.credentials) ||
+      !contents.credentials.every(entry => typeof entry?.vcId === 'string' && typeof entry.credential === 'object') ||
+      !(contents.did === null || (typeof contents.did?.did === 'string' && typeof contents.did.privateKey === 'string')) ||
+      !Array.isArray(contents.documents) ||
+      !contents.documents.every(document => typeof document?.id === 'string')) {
+    throw new Error('The backup contents are malformed');
+  }
+
+  return { createdAt: backup.createdAt, ...contents };
+}
+
+/**
+ * Compare a backup with what this browser already holds
+ * An entry is a conflict when the same ID holds different data here
+ * @param {object} backup - Contents returned by readVaultBackup
+ * @returns {Promise<{credentials: {added: Array<string>, unchanged: Array<string>, conflicts: Array<string>}, did: 'none'|'added'|'unchanged'|'conflict', documents: {added: Array<string>, unchanged: Array<string>, conflicts: Array<string>}}>} Import plan
+ * @throws {Error} If the vault is locked
+ */
+export async function planVaultImport(backup) {
+  const existingCredentials = new Map(
+    (await retrieveVCs()).map(({ _metadata, ...credential }) => [_metadata.vcId, credential])
+  );
+  const existingDocuments = new Map(getLocalMetadata().map(document => [document.id, document]));
+  const existingDid = await exportDid();
+
+  let didStatus = 'none';
+  if (backup.did) {
+    if (!existingDid) {
+      didStatus = 'added';
+    } else {
+      didStatus = existingDid.did === backup.did.did && existingDid.privateKey === backup.did.privateKey ? 'unchanged' : 'conflict';
+    }
+  }
+
+  return {
+    credentials: classify(backup.credentials.map(entry => [entry.vcId, entry.credential]), existingCredentials),
+    did: didStatus,
+    documents: classify(backup.documents.map(document => [document.id, document]), existingDocuments)
+  };
+}
+
+/**
+ * Import a backup
+ * New entries are always added. Conflicting entries keep the local version when merging,
+ * and take the backup's version when replacing. Nothing is ever deleted
+ * @param {object} backup - Contents returned by readVaultBackup
+ * @param {'merge'|'replace'} mode - How to resolve conflicts
+ * @returns {Promise<{credentials: number, did: boolean, documents: number}>} What was written
+ * @throws {Error} If the vault is locked or an entry cannot be stored
+ */
+export async function importVaultBackup(backup, mode) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+
+  const plan = await planVaultImport(backup);
+  const shouldWrite = (id, { added, conflicts }) =>
+    added.includes(id) || (mode === 'replace' && conflicts.includes(id));
+
+  let credentials = 0;
+  for (const { vcId, credential } of backup.credentials) {
+    if (shouldWrite(vcId, plan.credentials)) {
+      await storeVC(vcId, credential);
+      credentials++;
+    }
+  }
+
+  const did = plan.did === 'added' || (mode === 'replace' && plan.did === 'conflict');
+  if (did) {
+    await storeDid(backup.did.did, backup.did.privateKey);
+  }
+
+  let documents = 0;
+  for (const document of backup.documents) {
+    if (shouldWrite(document.id, plan.documents)) {
+      putLocalMetadata(document);
+      documents++;
+    }
+  }
+
+  return { credentials, did, documents };
+}
+
+/**
+ * Helper function to sort backup entries by how they compare with local ones
+ * @param {Array<[string, object]>} entries - Backup entries as [id, value]
+ * @param {Map<string, object>} existing - Local entries by id
+ * @returns {{added: Array<string>, unchanged: Array<string>, conflicts: Array<string>}} Entry ids
+ */
+function classify(entries, existing) {
+  const result = { added: [], unchanged: [], conflicts: [] };
+  for (const [id, value] of entries) {
+    if (!existing.has(id)) {
+      result.added.push(id);
+    } else if (JSON.stringify(existing.get(id)) === JSON.stringify(value)) {
+      result.unchanged.push(id);
+    } else {
+      result.conflicts.push(id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Helper function to derive the backup encryption key
+ * @param {string} passphrase - Backup passphrase
+ * @param {{kdf: object, salt: string}} header - Backup header
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+function deriveBackupKey(passphrase, header) {
+  return derivePassphraseKey(
+    passphrase,
+    new Uint8Array(base64ToArrayBuffer(header.salt)),
+    header.kdf,
+    { name: 'AES-GCM', length: 256 },
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Helper function to serialize the header as AES-GCM additional data
+ * @param {object} header - Backup header, without the ciphertext
+ * @returns {Uint8Array} Header bytes (fixed field order)
+ */
+function headerBytes({ format, version, createdAt, kdf, salt, iv }) {
+  return new TextEncoder().encode(JSON.stringify({ format, version, createdAt, kdf, salt, iv }));
+}
+
+/**
+ * Helper function to convert ArrayBuffer to base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Array buffer
+ * @returns {string} Base64 string
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Helper function to convert base64 to ArrayBuffer
+ * @param {string} base64 - Base64 string
+ * @returns {ArrayBuffer} Array buffer
+ */
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
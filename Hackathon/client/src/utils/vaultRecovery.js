@@ -0,0 +1,288 @@
+/**
+ * Vault recovery with Shamir shares
+ * The vault master key is split into shares for trusted contacts or devices. A share is
+ * handed out as text (shown as a QR code) or as a file encrypted with a passphrase agreed
+ * with the contact:
+ *   didvault-share:1:<setId>:<threshold>:<share, base64url>
+ * The recovery kit is a JSON file with the vault records, still wrapped with the master key,
+ * so a new browser can be provisioned once enough shares are brought together.
+ */
+
+import { createRecoveryShares, exportRecoveryKit, recoverVault } from './cryptoVault';
+import { derivePassphraseKey, DEFAULT_KDF } from '../lib/kdf';
+
+const SHARE_PREFIX = 'didvault-share';
+const SHARE_VERSION = 1;
+
+export const SHARE_FILE_FORMAT = 'did-vault-recovery-share';
+export const KIT_FORMAT = 'did-vault-recovery-kit';
+export const RECOVERY_FILE_VERSION = 1;
+
+/**
+ * Set up recovery: split the vault master key into shares
+ * Any earlier shares stop matching the recovery kit downloaded from now on
+ * @param {string} passphrase - Vault passphrase
+ * @param {number} shareCount - Number of shares to hand out
+ * @param {number} threshold - Number of shares needed to recover
+ * @returns {Promise<{setId: string, threshold: number, shares: Array<string>}>} Shares as text
+ * @throws {Error} If the passphrase is wrong or the counts are out of range
+ */
+export async function setUpVaultRecovery(passphrase, shareCount, threshold) {
+  const { setId, shares } = await createRecoveryShares(passphrase, shareCount, threshold);
+  return {
+    setId,
+    threshold,
+    shares: shares.map(share => [SHARE_PREFIX, SHARE_VERSION, setId, threshold, bytesToBase64Url(share)].join(':'))
+  };
+}
+
+/**
+ * Parse a share typed in, scanned from a QR code or read from a share file
+ * @param {string} text - Share text
+ * @returns {{setId: string, threshold: number, share: Uint8Array}} Parsed share
+ * @throws {Error} If the text is not a share
+ */
+export function parseShare(text) {
+  const [prefix, version, setId, threshold, share] = text.trim().split(':');
+  if (prefix !== SHARE_PREFIX || !share) {
+    throw new Error('This is not a vault recovery share');
+  }
+  if (Number(version) !== SHARE_VERSION) {
+    throw new Error(`Unsupported recovery share version ${version}. Please update the app to use it.`);
+  }
+
+  try {
+    return { setId, threshold: Number(threshold), share: base64UrlToBytes(share) };
+  } catch {
+    throw new Error('This recovery share is damaged');
+  }
+}
+
+/**
+ * Encrypt a share into a file for a contact
+ * One share reveals nothing about the key; the passphrase keeps a lost file from counting
+ * towards the threshold
+ * @param {string} shareText - Share from setUpVaultRecovery
+ * @param {string} sharePassphrase - Passphrase agreed with the contact
+ * @returns {Promise<Blob>} Share file (JSON)
+ * @throws {Error} If the passphrase is empty or encryption fails
+ */
+export async function encryptShareFile(shareText, sharePassphrase) {
+  if (!sharePassphrase) {
+    throw new Error('Please enter a passphrase for this share');
+  }
+
+  const { setId } = parseShare(shareText);
+  const header = {
+    format: SHARE_FILE_FORMAT,
+    version: RECOVERY_FILE_VERSION,
+    setId,
+    kdf: DEFAULT_KDF,
+    salt: bytesToBase64Url(window.crypto.getRandomValues(new Uint8Array(16))),
+    iv: bytesToBase64Url(window.crypto.getRandomValues(new Uint8Array(12)))
+  };
+
+  const key = await deriveShareKey(sharePassphrase, header);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: base64UrlToBytes(header.iv), additionalData: headerBytes(header) },
+    key,
+    new TextEncoder().encode(shareText)
+  );
+
+  return new Blob(
+    [JSON.stringify({ ...header, ciphertext: bytesToBase64Url(ciphertext) }, null, 2)],
+    { type: 'application/json' }
+  );
+}
+
+/**
+ * Decrypt a share file
+ * @param {string} fileText - Contents of the share file
+ * @param {string} sharePassphrase - Passphrase the share was encrypted with
+ * @returns {Promise<string>} Share text
+ * @throws {Error} If the file is not a share file, or the passphrase is wrong or the file was modified
+ */
+export async function decryptShareFile(fileText, sharePassphrase) {
+  let file;
+  try {
+    file = JSON.parse(fileText);
+  } catch {
+    throw new Error('This file is not a recovery share');
+  }
+
+  if (file?.format !== SHARE_FILE_FORMAT) {
+    throw new Error('This file is not a recovery share');
+  }
+  if (file.version !== RECOVERY_FILE_VERSION) {
+    throw new Error(`Unsupported recovery share version ${file.version}. Please update the app to use it.`);
+  }
+
+  const header = {
+    format: file.format,
+    version: file.version,
+    setId: file.setId,
+    kdf: file.kdf,
+    salt: file.salt,
+    iv: file.iv
+  };
+
+  try {
+    const key = await deriveShareKey(sharePassphrase, header);
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64UrlToBytes(header.iv), additionalData: headerBytes(header) },
+      key,
+      base64UrlToBytes(file.ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    // AES-GCM will throw if the passphrase is wrong or any part of the file was changed
+    if (error.name === 'OperationError' || error.name === 'InvalidCharacterError') {
+      throw new Error('Wrong share passphrase, or the share file was modified');
+    }
+    throw new Error(`Failed to read share file: ${error.message}`);
+  }
+}
+
+/**
+ * Download the recovery kit: the vault records, still wrapped with the master key
+ * @returns {Promise<Blob>} Recovery kit file (JSON)
+ * @throws {Error} If recovery has not been set up
+ */
+export async function exportRecoveryKitFile() {
+  const kit = await exportRecoveryKit();
+  return new Blob(
+    [JSON.stringify({
+      format: KIT_FORMAT,
+      version: RECOVERY_FILE_VERSION,
+      createdAt: new Date().toISOString(),
+      setId: kit.setId,
+      keyCheck: bytesToBase64Url(kit.keyCheck),
+      signingKey: kit.signingKey && { did: kit.signingKey.did, wrappedKey: bytesToBase64Url(kit.signingKey.wrappedKey) },
+      credentials: kit.credentials.map(record => ({
+        vcId: record.vcId,
+        wrappedKey: bytesToBase64Url(record.wrappedKey),
+        iv: bytesToBase64Url(record.iv),
+        ciphertext: bytesToBase64Url(record.ciphertext),
+        storedAt: record.storedAt
+      }))
+    }, null, 2)],
+    { type: 'application/json' }
+  );
+}
+
+/**
+ * Parse a recovery kit file
+ * @param {string} fileText - Contents of the recovery kit file
+ * @returns {{setId: string, createdAt: string, keyCheck: Uint8Array, signingKey: object|null, credentials: Array<object>}} Recovery kit
+ * @throws {Error} If the file is not a recovery kit or is damaged
+ */
+export function parseRecoveryKit(fileText) {
+  let file;
+  try {
+    file = JSON.parse(fileText);
+  } catch {
+    throw new Error('This file is not a recovery kit');
+  }
+
+  if (file?.format !== KIT_FORMAT) {
+    throw new Error('This file is not a recovery kit');
+  }
+  if (file.version !== RECOVERY_FILE_VERSION) {
+    throw new Error(`Unsupported recovery kit version ${file.version}. Please update the app to use it.`);
+  }
+
+  try {
+    return {
+      setId: file.setId,
+      createdAt: file.createdAt,
+      keyCheck: base64UrlToBytes(file.keyCheck),
+      signingKey: file.signingKey && { did: file.signingKey.did, wrappedKey: base64UrlToBytes(file.signingKey.wrappedKey) },
+      credentials: file.credentials.map(record => ({
+        vcId: record.vcId,
+        wrappedKey: base64UrlToBytes(record.wrappedKey),
+        iv: base64UrlToBytes(record.iv),
+        ciphertext: base64UrlToBytes(record.ciphertext),
+        storedAt: record.storedAt
+      }))
+    };
+  } catch {
+    throw new Error('The recovery kit is damaged');
+  }
+}
+
+/**
+ * Recover the vault from shares and set a new passphrase
+ * @param {Array<string>} shareTexts - Shares collected from contacts or devices
+ * @param {object|null} kit - Recovery kit from parseRecoveryKit, only needed in a browser without the vault
+ * @param {string} newPassphrase - New vault passphrase
+ * @returns {Promise<{credentials: number, did: string|null}>} What was recovered
+ * @throws {Error} If the shares are from different setups, too few, or don't match the vault or kit
+ */
+export async function recoverVaultFromShares(shareTexts, kit, newPassphrase) {
+  const shares = shareTexts.map(parseShare);
+  if (shares.length === 0) {
+    throw new Error('Please add your recovery shares');
+  }
+
+  const { setId, threshold } = shares[0];
+  if (shares.some(share => share.setId !== setId)) {
+    throw new Error('These shares come from different recovery setups');
+  }
+  if (shares.length < threshold) {
+    throw new Error(`${threshold} shares are needed, ${shares.length} given`);
+  }
+  if (kit && kit.setId !== setId) {
+    throw new Error('The recovery kit belongs to a different recovery setup than the shares');
+  }
+
+  return recoverVault(shares.map(share => share.share), kit, newPassphrase);
+}
+
+/**
+ * Helper function to derive the share file encryption key
+ * @param {string} passphrase - Share passphrase
+ * @param {{kdf: object, salt: string}} header - Share file header
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+function deriveShareKey(passphrase, header) {
+  return derivePassphraseKey(
+    passphrase,
+    base64UrlToBytes(header.salt),
+    header.kdf,
+    { name: 'AES-GCM', length: 256 },
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Helper function to serialize the share file header as AES-GCM additional data
+ * @param {object} header - Share file header, without the ciphertext
+ * @returns {Uint8Array} Header bytes (fixed field order)
+ */
+function headerBytes({ format, version, setId, kdf, salt, iv }) {
+  return new TextEncoder().encode(JSON.stringify({ format, version, setId, kdf, salt, iv }));
+}
+
+/**
+ * Helper function to convert bytes to base64url (short enough for QR codes, safe in share text)
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64url string
+ */
+function bytesToBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Helper function to convert base64url to bytes
+ * @param {string} value - Base64url string
+ * @returns {Uint8Array} Bytes
+ */
+function base64UrlToBytes(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
@@ -0,0 +1,86 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom, and Blobs are read back as ArrayBuffers
+
+/**
+ * File Container Tests
+ * Tests decrypting a container from the file alone, and rejection of modified headers
+ */
+
+import { encryptToContainer, decryptContainer, isContainer, readContainerHeader } from '../src/lib/container';
+import { encryptStream, STREAM_ENCRYPTION } from '../src/lib/crypto';
+import { DEFAULT_KDF } from '../src/lib/kdf';
+
+const PASSWORD = 'amber orchard telescope ninety';
+const FILENAME = 'lab-results 2026.pdf';
+const MIME_TYPE = 'application/pdf';
+
+async function bytesOf(blob: Blob): Promise<Uint8Array> {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe('Encrypted file container', () => {
+  const plaintext = new Uint8Array(3 * 1024 * 1024 + 11);
+  for (let offset = 0; offset < plaintext.length; offset += 65536) {
+    crypto.getRandomValues(plaintext.subarray(offset, offset + 65536));
+  }
+  let container: Uint8Array;
+
+  beforeAll(async () => {
+    const file = new File([plaintext], FILENAME, { type: MIME_TYPE });
+    const { blob, salt, kdf } = await encryptToContainer(file, PASSWORD);
+    container = await bytesOf(blob);
+
+    expect(salt).toHaveLength(16);
+    expect(kdf).toEqual(DEFAULT_KDF);
+  });
+
+  // Offset of the JSON header
+  const headerStart = 9;
+
+  it('should describe the file in its header without revealing the filename', async () => {
+    const blob = new Blob([container]);
+    expect(await isContainer(blob)).toBe(true);
+
+    const header = await readContainerHeader(blob);
+    expect(header).toMatchObject({ algorithm: STREAM_ENCRYPTION, kdf: DEFAULT_KDF, mimeType: MIME_TYPE });
+    expect(new TextDecoder().decode(container)).not.toContain('lab-results');
+  });
+
+  it('should decrypt from the file and password alone', async () => {
+    const progress: number[] = [];
+    const result = await decryptContainer(new Blob([container]), PASSWORD, processed => progress.push(processed));
+
+    expect(result.filename).toBe(FILENAME);
+    expect(result.mimeType).toBe(MIME_TYPE);
+    expect(result.blob.type).toBe(MIME_TYPE);
+    expect(await bytesOf(result.blob)).toEqual(plaintext);
+    expect(progress).toHaveLength(4);
+  });
+
+  it('should reject the wrong password', async () => {
+    await expect(decryptContainer(new Blob([container]), 'wrong password')).rejects.toThrow('wrong password');
+  });
+
+  it('should reject a modified header', async () => {
+    const modified = container.slice();
+    const header = new TextDecoder().decode(modified.subarray(headerStart, headerStart + 2000));
+    const offset = headerStart + header.indexOf(MIME_TYPE);
+    modified.set(new TextEncoder().encode('zip'), offset + 'application/'.length);
+
+    expect((await readContainerHeader(new Blob([modified]))).mimeType).toBe('application/zip');
+    await expect(decryptContainer(new Blob([modified]), PASSWORD)).rejects.toThrow('chunk 1 of 4');
+  });
+
+  it('should reject an unsupported version', async () => {
+    const modified = container.slice();
+    modified[4] = 2;
+    await expect(readContainerHeader(new Blob([modified]))).rejects.toThrow('Unsupported container version 2');
+  });
+
+  it('should not mistake a plain chunked file for a container', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const chunked = await encryptStream(new Blob([plaintext.subarray(0, 100)]), key);
+    expect(await isContainer(chunked)).toBe(false);
+    await expect(decryptContainer(chunked, PASSWORD)).rejects.toThrow('Not an encrypted file container');
+  });
+});
@@ -0,0 +1,198 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom
+
+/**
+ * Credential Vault Tests
+ * Tests the IndexedDB vault: the first unlock, moving credentials out of the old localStorage
+ * vault, the inactivity lock and changing the passphrase
+ */
+
+import 'fake-indexeddb/auto';
+import {
+  VAULT_LOCK_TIMEOUT_MS,
+  encryptVC,
+  unlockVault,
+  lockVault,
+  isVaultUnlocked,
+  onVaultLock,
+  vaultExists,
+  storeVC,
+  storeSigningKey,
+  loadSigningKey,
+  retrieveVCs,
+  changeVaultPassphrase
+} from '../src/utils/cryptoVault';
+
+const PASSPHRASE = 'quiet harbor lantern seventeen';
+const OTHER_PASSPHRASE = 'violet canyon ferry ninety two';
+const NEW_PASSPHRASE = 'amber meadow tractor forty one';
+const DID = 'did:key:z6MkvaultTestHolder';
+
+// Browser globals the vault uses
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+globalThis.window = globalThis;
+
+/**
+ * Store credentials the way the old localStorage vault did
+ */
+async function storeLegacyVCs(vcs, passphrase) {
+  const index = JSON.parse(localStorage.getItem('vc_index') || '[]');
+  for (const [vcId, vc] of Object.entries(vcs)) {
+    const encrypted = await encryptVC(vc, passphrase);
+    localStorage.setItem(`encrypted_vc_${vcId}`, JSON.stringify({ vcId, ...encrypted, timestamp: '2024-01-01T00:00:00.000Z' }));
+    index.push(vcId);
+  }
+  localStorage.setItem('vc_index', JSON.stringify(index));
+}
+
+const vcIds = vcs => vcs.map(vc => vc._metadata.vcId).sort();
+
+describe('Credential vault', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    lockVault();
+  });
+
+  describe('migration from localStorage', () => {
+    beforeAll(async () => {
+      await storeLegacyVCs({
+        'vc-1': { id: 'urn:uuid:vc-1', type: ['VerifiableCredential'] },
+        'vc-2': { id: 'urn:uuid:vc-2', type: ['VerifiableCredential'] }
+      }, PASSPHRASE);
+      // Stored under another passphrase, so not migrated by this one
+      await storeLegacyVCs({ 'vc-3': { id: 'urn:uuid:vc-3', type: ['VerifiableCredential'] } }, OTHER_PASSPHRASE);
+    });
+
+    it('should not create the vault with a passphrase that opens no old credential', async () => {
+      await expect(unlockVault('not the old passphrase at all')).rejects.toThrow('Wrong passphrase');
+
+      expect(await vaultExists()).toBe(false);
+      expect(isVaultUnlocked()).toBe(false);
+    });
+
+    it('should move the credentials into the vault and remove them from localStorage', async () => {
+      await unlockVault(PASSPHRASE);
+
+      const vcs = await retrieveVCs();
+      expect(vcIds(vcs)).toEqual(['vc-1', 'vc-2']);
+      expect(vcs.find(vc => vc._metadata.vcId === 'vc-1')).toMatchObject({
+        id: 'urn:uuid:vc-1',
+        _metadata: { storedAt: '2024-01-01T00:00:00.000Z' }
+      });
+
+      expect(localStorage.getItem('encrypted_vc_vc-1')).toBeNull();
+      expect(localStorage.getItem('encrypted_vc_vc-2')).toBeNull();
+    });
+
+    it('should leave credentials of another passphrase in localStorage', async () => {
+      expect(localStorage.getItem('encrypted_vc_vc-3')).not.toBeNull();
+      expect(JSON.parse(localStorage.getItem('vc_index'))).toEqual(['vc-3']);
+    });
+
+    it('should not migrate the same credentials twice', async () => {
+      await unlockVault(PASSPHRASE);
+      expect(vcIds(await retrieveVCs())).toEqual(['vc-1', 'vc-2']);
+    });
+  });
+
+  describe('inactivity lock', () => {
+    beforeEach(async () => {
+      // Only the lock timer; IndexedDB keeps its real scheduling
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      await unlockVault(PASSPHRASE);
+    });
+
+    it('should lock the vault and notify listeners after the timeout', async () => {
+      const listener = vi.fn();
+      const unsubscribe = onVaultLock(listener);
+
+      vi.advanceTimersByTime(VAULT_LOCK_TIMEOUT_MS - 1);
+      expect(isVaultUnlocked()).toBe(true);
+
+      vi.advanceTimersByTime(1);
+      expect(isVaultUnlocked()).toBe(false);
+      expect(listener).toHaveBeenCalledTimes(1);
+      await expect(retrieveVCs()).rejects.toThrow('Vault is locked');
+
+      unsubscribe();
+    });
+
+    it('should restart the timeout when the vault is used', async () => {
+      vi.advanceTimersByTime(VAULT_LOCK_TIMEOUT_MS - 1000);
+      await storeVC('vc-4', { id: 'urn:uuid:vc-4', type: ['VerifiableCredential'] });
+
+      vi.advanceTimersByTime(VAULT_LOCK_TIMEOUT_MS - 1000);
+      expect(isVaultUnlocked()).toBe(true);
+      expect(vcIds(await retrieveVCs())).toContain('vc-4');
+
+      vi.advanceTimersByTime(VAULT_LOCK_TIMEOUT_MS);
+      expect(isVaultUnlocked()).toBe(false);
+    });
+  });
+
+  describe('changeVaultPassphrase', () => {
+    beforeAll(async () => {
+      await unlockVault(PASSPHRASE);
+      const { privateKey } = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      const pkcs8 = new Uint8Array(await crypto.subtle.exportKey('pkcs8', privateKey));
+      await storeSigningKey(DID, Array.from(pkcs8, byte => byte.toString(16).padStart(2, '0')).join(''));
+      lockVault();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should reject a wrong old passphrase', async () => {
+      await expect(changeVaultPassphrase('not the vault passphrase', NEW_PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+
+      await expect(unlockVault(NEW_PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+      await unlockVault(PASSPHRASE);
+    });
+
+    it('should reject a weak new passphrase', async () => {
+      await expect(changeVaultPassphrase(PASSPHRASE, 'password1')).rejects.toThrow('Passphrase is too weak');
+      await expect(unlockVault('password1')).rejects.toThrow('Wrong passphrase');
+    });
+
+    it('should keep the old passphrase when re-wrapping fails part way', async () => {
+      // Fail after the check key and the first credential key are re-wrapped
+      const wrapKey = crypto.subtle.wrapKey.bind(crypto.subtle);
+      let calls = 0;
+      vi.spyOn(crypto.subtle, 'wrapKey').mockImplementation((...args) => (
+        ++calls === 3 ? Promise.reject(new Error('Simulated failure')) : wrapKey(...args)
+      ));
+
+      await expect(changeVaultPassphrase(PASSPHRASE, NEW_PASSPHRASE))
+        .rejects.toThrow('your old passphrase still unlocks the vault: Simulated failure');
+      expect(calls).toBe(3);
+      vi.restoreAllMocks();
+
+      lockVault();
+      await expect(unlockVault(NEW_PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+      await unlockVault(PASSPHRASE);
+      expect(vcIds(await retrieveVCs())).toEqual(['vc-1', 'vc-2', 'vc-4']);
+      expect((await loadSigningKey()).did).toBe(DID);
+    });
+
+    it('should re-wrap every credential and the DID key under the new passphrase', async () => {
+      await changeVaultPassphrase(PASSPHRASE, NEW_PASSPHRASE);
+      expect(isVaultUnlocked()).toBe(true);
+      lockVault();
+
+      await expect(unlockVault(PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+      await unlockVault(NEW_PASSPHRASE);
+      expect(vcIds(await retrieveVCs())).toEqual(['vc-1', 'vc-2', 'vc-4']);
+
+      const { did, privateKey } = await loadSigningKey();
+      expect(did).toBe(DID);
+      expect(privateKey.algorithm.name).toBe('Ed25519');
+    });
+  });
+});
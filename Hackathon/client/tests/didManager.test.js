@@ -0,0 +1,75 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom, and the DID key is imported from bytes
+
+/**
+ * DID Key Storage Tests
+ * Tests that the DID private key only waits in plaintext localStorage while the vault is locked,
+ * and moves into the vault on the next unlock
+ */
+
+import 'fake-indexeddb/auto';
+import { unlockVault, lockVault } from '../src/utils/cryptoVault';
+import { generateDidKey, storeDid, retrieveDid, getSigningKey, exportDid, signJwt } from '../src/utils/didManager';
+
+const PASSPHRASE = 'quiet harbor lantern seventeen';
+
+// Browser globals the vault uses
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+globalThis.window = globalThis;
+
+describe('DID key storage', () => {
+  let did;
+
+  beforeAll(async () => {
+    did = await generateDidKey();
+  });
+
+  afterEach(() => {
+    lockVault();
+  });
+
+  it('should keep the key in localStorage while the vault is locked', async () => {
+    await storeDid(did.did, did.privateKey);
+
+    expect(retrieveDid()).toEqual({ did: did.did });
+    expect(localStorage.getItem('did_vault_private_key')).toBe(did.privateKey);
+    await expect(getSigningKey()).rejects.toThrow('Your vault is locked');
+  });
+
+  it('should move the key into the vault on unlock', async () => {
+    await unlockVault(PASSPHRASE);
+
+    expect(localStorage.getItem('did_vault_private_key')).toBeNull();
+    expect(localStorage.getItem('did_vault_did')).toBe(did.did);
+
+    const signingKey = await getSigningKey();
+    expect(signingKey.did).toBe(did.did);
+    expect(signingKey.privateKey.extractable).toBe(false);
+    expect(await exportDid()).toEqual(did);
+  });
+
+  it('should keep the key in the vault across unlocks', async () => {
+    await unlockVault(PASSPHRASE);
+
+    expect(localStorage.getItem('did_vault_private_key')).toBeNull();
+    const { privateKey } = await getSigningKey();
+    expect(await signJwt({ alg: 'EdDSA' }, { iss: did.did }, privateKey)).toMatch(/^[\w-]+\.[\w-]+\.[\w-]+$/);
+  });
+
+  it('should store a new key straight into an unlocked vault', async () => {
+    const newDid = await generateDidKey();
+    await unlockVault(PASSPHRASE);
+
+    await storeDid(newDid.did, newDid.privateKey);
+
+    expect(localStorage.getItem('did_vault_private_key')).toBeNull();
+    expect(retrieveDid()).toEqual({ did: newDid.did });
+    expect(await exportDid()).toEqual(newDid);
+  });
+});
@@ -0,0 +1,132 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom
+
+/**
+ * Key Derivation Tests
+ * Tests that records without KDF parameters still decrypt with PBKDF2, and that parameters
+ * read from stored records are checked before anything is derived
+ */
+
+import 'fake-indexeddb/auto';
+import {
+  derivePassphraseKey,
+  assertSupportedKdf,
+  DEFAULT_KDF,
+  LEGACY_VAULT_KDF,
+  LEGACY_FILE_KDF,
+  KdfParams
+} from '../src/lib/kdf';
+import { deriveKey } from '../src/lib/crypto';
+import { unlockVault, lockVault, vaultExists, retrieveVCs } from '../src/utils/cryptoVault';
+
+const PASSPHRASE = 'quiet harbor lantern seventeen';
+
+// Browser globals the vault uses
+(globalThis as any).localStorage = {
+  getItem: () => null,
+  setItem: () => {},
+  removeItem: () => {}
+};
+(globalThis as any).window = globalThis;
+
+/**
+ * PBKDF2 key derived with WebCrypto alone, as records were encrypted before kdf.ts
+ */
+async function pbkdf2Key(passphrase: string, salt: Uint8Array, iterations: number, algorithm: string, usages: KeyUsage[]) {
+  const passphraseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    passphraseKey,
+    { name: algorithm, length: 256 },
+    false,
+    usages
+  );
+}
+
+describe('Passphrase key derivation', () => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode('legacy record');
+
+  it('should decrypt a file encrypted before KDF parameters were stored', async () => {
+    const legacyKey = await pbkdf2Key(PASSPHRASE, salt, 200000, 'AES-GCM', ['encrypt']);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, legacyKey, plaintext);
+
+    const key = await deriveKey(PASSPHRASE, salt, LEGACY_FILE_KDF);
+    expect(new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext))).toEqual(plaintext);
+
+    const wrongKey = await deriveKey('not the passphrase', salt, LEGACY_FILE_KDF);
+    await expect(crypto.subtle.decrypt({ name: 'AES-GCM', iv }, wrongKey, ciphertext)).rejects.toThrow();
+  });
+
+  it('should derive the same Argon2id key from the same passphrase and salt', async () => {
+    const key = await derivePassphraseKey(PASSPHRASE, salt, DEFAULT_KDF, { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    const again = await derivePassphraseKey(PASSPHRASE, salt, DEFAULT_KDF, { name: 'AES-GCM', length: 256 }, ['decrypt']);
+    expect(new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, again, ciphertext))).toEqual(plaintext);
+
+    // Not the PBKDF2 key of the same passphrase
+    const legacy = await derivePassphraseKey(PASSPHRASE, salt, LEGACY_VAULT_KDF, { name: 'AES-GCM', length: 256 }, ['decrypt']);
+    await expect(crypto.subtle.decrypt({ name: 'AES-GCM', iv }, legacy, ciphertext)).rejects.toThrow();
+  });
+
+  it('should unlock a vault created before KDF parameters were stored', async () => {
+    // Create the database, then write the master key record the way the first IndexedDB vault did
+    expect(await vaultExists()).toBe(false);
+    const masterKey = await pbkdf2Key(PASSPHRASE, salt, 100000, 'AES-KW', ['wrapKey']);
+    const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const keyCheck = await crypto.subtle.wrapKey('raw', dataKey, masterKey, 'AES-KW');
+
+    const db = await new Promise<IDBDatabase>((resolve, reject) => {
+      const request = indexedDB.open('did-vault', 1);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').put({ salt, keyCheck }, 'masterKey');
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    db.close();
+
+    await expect(unlockVault('not the vault passphrase')).rejects.toThrow('Wrong passphrase');
+    await unlockVault(PASSPHRASE);
+    expect(await retrieveVCs()).toEqual([]);
+    lockVault();
+  });
+
+  describe('assertSupportedKdf', () => {
+    it('should accept the default and legacy parameters', () => {
+      expect(() => assertSupportedKdf(DEFAULT_KDF)).not.toThrow();
+      expect(() => assertSupportedKdf(LEGACY_VAULT_KDF)).not.toThrow();
+      expect(() => assertSupportedKdf(LEGACY_FILE_KDF)).not.toThrow();
+    });
+
+    it.each([
+      ['too much Argon2id memory', { ...DEFAULT_KDF, memorySize: 2 * 1048576 }, 'Unsupported Argon2id parameters'],
+      ['less memory than the lanes need', { ...DEFAULT_KDF, memorySize: 8, parallelism: 4 }, 'Unsupported Argon2id parameters'],
+      ['zero Argon2id passes', { ...DEFAULT_KDF, iterations: 0 }, 'Unsupported Argon2id parameters'],
+      ['too many Argon2id passes', { ...DEFAULT_KDF, iterations: 1000 }, 'Unsupported Argon2id parameters'],
+      ['too many lanes', { ...DEFAULT_KDF, parallelism: 64 }, 'Unsupported Argon2id parameters'],
+      ['fractional parameters', { ...DEFAULT_KDF, memorySize: 65536.5 }, 'Unsupported Argon2id parameters'],
+      ['too few PBKDF2 iterations', { ...LEGACY_VAULT_KDF, iterations: 1000 }, 'Unsupported PBKDF2 parameters'],
+      ['too many PBKDF2 iterations', { ...LEGACY_VAULT_KDF, iterations: 1e9 }, 'Unsupported PBKDF2 parameters'],
+      ['another PBKDF2 hash', { ...LEGACY_VAULT_KDF, hash: 'SHA-1' }, 'Unsupported PBKDF2 parameters'],
+      ['an unknown KDF', { name: 'scrypt', N: 16384 }, 'Unsupported key derivation function: scrypt']
+    ])('should reject %s', (_, kdf, message) => {
+      expect(() => assertSupportedKdf(kdf as unknown as KdfParams)).toThrow(message);
+    });
+
+    it('should check the parameters before deriving', async () => {
+      await expect(derivePassphraseKey(
+        PASSPHRASE,
+        salt,
+        { ...DEFAULT_KDF, memorySize: 4 * 1048576 },
+        { name: 'AES-GCM', length: 256 },
+        ['decrypt']
+      )).rejects.toThrow('Unsupported Argon2id parameters');
+    });
+  });
+});
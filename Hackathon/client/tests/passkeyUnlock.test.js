@@ -0,0 +1,159 @@
+/**
+ * Passkey Unlock Tests
+ * Tests vault unlock through the WebAuthn PRF extension against a software authenticator
+ */
+
+import 'fake-indexeddb/auto';
+import {
+  unlockVault,
+  lockVault,
+  isVaultUnlocked,
+  storeVC,
+  retrieveVCs,
+  changeVaultPassphrase,
+  registerVaultPasskey,
+  unlockVaultWithPasskey,
+  listVaultPasskeys,
+  removeVaultPasskey
+} from '../src/utils/cryptoVault';
+
+const PASSPHRASE = 'quiet harbor lantern seventeen';
+const NEW_PASSPHRASE = 'violet canyon ferry ninety two';
+
+/**
+ * Software authenticator: each passkey holds an HMAC secret and its PRF output is
+ * HMAC(secret, salt), like the hmac-secret extension behind PRF on real authenticators
+ */
+function createSoftwareAuthenticator() {
+  const secrets = new Map();
+  const toId = buffer => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  return {
+    supportsPrf: true,
+    // Passkey the user picks on the next sign-in (defaults to the first one allowed)
+    chosen: null,
+
+    async create({ publicKey }) {
+      const rawId = crypto.getRandomValues(new Uint8Array(16)).buffer;
+      if (this.supportsPrf) {
+        secrets.set(toId(rawId), await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+      }
+      const prfRequested = Boolean(publicKey.extensions?.prf);
+      return {
+        rawId,
+        getClientExtensionResults: () => (prfRequested ? { prf: { enabled: this.supportsPrf } } : {})
+      };
+    },
+
+    async get({ publicKey }) {
+      const allowed = publicKey.allowCredentials.map(({ id }) => toId(id));
+      const credentialId = this.chosen || allowed.find(id => secrets.has(id));
+      if (!credentialId || !secrets.has(credentialId)) {
+        throw new DOMException('No passkey available', 'NotAllowedError');
+      }
+
+      const salt = publicKey.extensions.prf.evalByCredential[credentialId]?.first || new Uint8Array(32);
+      const first = await crypto.subtle.sign('HMAC', secrets.get(credentialId), salt);
+      const rawId = Uint8Array.from(atob(credentialId.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0)).buffer;
+      return {
+        rawId,
+        getClientExtensionResults: () => ({ prf: { results: { first } } })
+      };
+    },
+
+    // Another passkey on the same authenticator, never registered with the vault
+    async createUnregistered() {
+      const { rawId } = await this.create({ publicKey: { extensions: {} } });
+      return toId(rawId);
+    }
+  };
+}
+
+describe('Passkey vault unlock', () => {
+  let authenticator;
+
+  beforeAll(async () => {
+    authenticator = createSoftwareAuthenticator();
+    Object.defineProperty(navigator, 'credentials', { value: authenticator, configurable: true });
+    window.PublicKeyCredential = function PublicKeyCredential() {};
+
+    await unlockVault(PASSPHRASE);
+    await storeVC('vc-1', { id: 'urn:uuid:vc-1', type: ['VerifiableCredential'] });
+    lockVault();
+  });
+
+  afterEach(() => {
+    authenticator.supportsPrf = true;
+    authenticator.chosen = null;
+    lockVault();
+  });
+
+  it('should reject unlocking before a passkey is registered', async () => {
+    await expect(unlockVaultWithPasskey()).rejects.toThrow('No passkey can unlock this vault');
+  });
+
+  it('should refuse to register a passkey with the wrong passphrase', async () => {
+    await expect(registerVaultPasskey('not the vault passphrase', 'alice@example.com')).rejects.toThrow('Wrong passphrase');
+    expect(await listVaultPasskeys()).toHaveLength(0);
+  });
+
+  it('should refuse a passkey without the PRF extension', async () => {
+    authenticator.supportsPrf = false;
+    await expect(registerVaultPasskey(PASSPHRASE, 'alice@example.com')).rejects.toThrow('PRF extension');
+    expect(await listVaultPasskeys()).toHaveLength(0);
+  });
+
+  it('should unlock the vault with a registered passkey', async () => {
+    await registerVaultPasskey(PASSPHRASE, 'alice@example.com');
+    expect(isVaultUnlocked()).toBe(false);
+
+    const passkeys = await listVaultPasskeys();
+    expect(passkeys).toHaveLength(1);
+    expect(passkeys[0].label).toBe('alice@example.com');
+    expect(passkeys[0]).not.toHaveProperty('wrappedMasterKey');
+
+    await unlockVaultWithPasskey();
+    expect(isVaultUnlocked()).toBe(true);
+
+    const vcs = await retrieveVCs();
+    expect(vcs.map(vc => vc._metadata.vcId)).toEqual(['vc-1']);
+  });
+
+  it('should keep the passphrase as a fallback', async () => {
+    await unlockVault(PASSPHRASE);
+    expect(await retrieveVCs()).toHaveLength(1);
+  });
+
+  it('should reject a passkey that is not registered with the vault', async () => {
+    authenticator.chosen = await authenticator.createUnregistered();
+    await expect(unlockVaultWithPasskey()).rejects.toThrow('not registered with the vault');
+    expect(isVaultUnlocked()).toBe(false);
+  });
+
+  it('should stop unlocking with a removed passkey', async () => {
+    await registerVaultPasskey(PASSPHRASE, 'backup key');
+    const [first, second] = await listVaultPasskeys();
+
+    await removeVaultPasskey(first.credentialId);
+    expect((await listVaultPasskeys()).map(passkey => passkey.credentialId)).toEqual([second.credentialId]);
+
+    authenticator.chosen = first.credentialId;
+    await expect(unlockVaultWithPasskey()).rejects.toThrow('not registered with the vault');
+
+    authenticator.chosen = second.credentialId;
+    await unlockVaultWithPasskey();
+    expect(isVaultUnlocked()).toBe(true);
+  });
+
+  it('should remove passkeys when the passphrase changes', async () => {
+    await changeVaultPassphrase(PASSPHRASE, NEW_PASSPHRASE);
+    lockVault();
+
+    expect(await listVaultPasskeys()).toHaveLength(0);
+    await expect(unlockVaultWithPasskey()).rejects.toThrow('No passkey can unlock this vault');
+
+    await unlockVault(NEW_PASSPHRASE);
+    expect(await retrieveVCs()).toHaveLength(1);
+  });
+});
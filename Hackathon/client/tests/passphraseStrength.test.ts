@@ -0,0 +1,69 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom
+
+/**
+ * Passphrase Strength Tests
+ * Tests the strength policy, and that new vaults refuse passphrases below it
+ */
+
+import 'fake-indexeddb/auto';
+import {
+  checkPassphraseStrength,
+  assertPassphraseStrength,
+  MIN_PASSPHRASE_LENGTH,
+  MIN_PASSPHRASE_SCORE
+} from '../src/lib/passphraseStrength';
+import { unlockVault, lockVault, vaultExists } from '../src/utils/cryptoVault';
+
+const STRONG_PASSPHRASE = 'quiet harbor lantern seventeen';
+
+// Browser globals the vault uses
+(globalThis as any).localStorage = {
+  getItem: () => null,
+  setItem: () => {},
+  removeItem: () => {}
+};
+(globalThis as any).window = globalThis;
+
+describe('Passphrase strength policy', () => {
+  it('should accept several unrelated words', () => {
+    const strength = checkPassphraseStrength(STRONG_PASSPHRASE);
+    expect(strength.acceptable).toBe(true);
+    expect(strength.score).toBeGreaterThanOrEqual(MIN_PASSPHRASE_SCORE);
+  });
+
+  it('should reject a short passphrase however random', () => {
+    const strength = checkPassphraseStrength('Xq7#vL2!pR');
+    expect(strength.acceptable).toBe(false);
+    expect(strength.feedback).toContain(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  });
+
+  it.each(['password1234', 'qwertyuiop123', 'aaaaaaaaaaaaaaaa', '1234567890123'])(
+    'should reject a guessable passphrase: %s',
+    (passphrase) => {
+      const strength = checkPassphraseStrength(passphrase);
+      expect(strength.acceptable).toBe(false);
+      expect(strength.score).toBeLessThan(MIN_PASSPHRASE_SCORE);
+    }
+  );
+
+  it('should count words of the user against the passphrase', () => {
+    const passphrase = 'zelphinaquorvaxton';
+    expect(checkPassphraseStrength(passphrase).acceptable).toBe(true);
+    expect(checkPassphraseStrength(passphrase, ['zelphinaquorvaxton']).acceptable).toBe(false);
+  });
+
+  it('should explain how to strengthen a rejected passphrase', () => {
+    expect(() => assertPassphraseStrength('password1234')).toThrow(/^Passphrase is too weak\. ./);
+    expect(() => assertPassphraseStrength(STRONG_PASSPHRASE)).not.toThrow();
+  });
+
+  it('should refuse a weak passphrase for a new vault', async () => {
+    await expect(unlockVault('password1234')).rejects.toThrow('Passphrase is too weak');
+    expect(await vaultExists()).toBe(false);
+
+    await unlockVault(STRONG_PASSPHRASE);
+    expect(await vaultExists()).toBe(true);
+    lockVault();
+  });
+});
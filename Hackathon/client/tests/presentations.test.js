@@ -0,0 +1,277 @@
+// @vitest-environment node
+// didManager and the presentation utilities are browser code; Node's WebCrypto stands in
+
+/**
+ * Vault Presentation Tests
+ * Builds presentations the way the Vault page does: JWT presentations signed with didManager,
+ * OID4VP responses with a Presentation Exchange submission, SD-JWT presentations with a key
+ * binding JWT, and derived BBS credentials
+ * The credentials in fixtures/presentations.json were issued by issuer/index.js to the fixture
+ * holder; the issuer's side of verification is tested in issuer/tests/verifyPresentation.test.ts
+ */
+
+import { createHash } from 'crypto';
+import http from 'http';
+import fixtures from './fixtures/presentations.json';
+import * as didManager from '../src/utils/didManager';
+import * as oid4vp from '../src/utils/oid4vp';
+import * as presentationExchange from '../src/utils/presentationExchange';
+import * as sdJwt from '../src/utils/sdJwt';
+import * as bbs from '../src/utils/bbs';
+
+// didManager is browser code and reaches WebCrypto through window
+globalThis.window = globalThis;
+
+const BINDING = { challenge: 'fixture-challenge', domain: 'verifier.test' };
+
+function decodeJwt(jwt) {
+  const [header, payload] = jwt.split('.');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64url').toString()),
+    payload: JSON.parse(Buffer.from(payload, 'base64url').toString())
+  };
+}
+
+describe('Vault presentations', () => {
+  const { holder } = fixtures;
+  let signingKey;
+  let verifyingKey;
+
+  // Credentials come back from the vault with _metadata attached
+  const vaultCredential = { ...fixtures.jwtCredential, _metadata: { vcId: fixtures.jwtCredential.id, storedAt: '2026-10-19T06:00:00.000Z' } };
+
+  const buildPresentation = (credentials, holderDid = holder.did) => ({
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiablePresentation'],
+    holder: holderDid,
+    verifiableCredential: credentials
+  });
+
+  // Whether a compact JWT carries the fixture holder's signature
+  const signedByHolder = async (jwt) => {
+    const [header, payload, signature] = jwt.split('.');
+    return crypto.subtle.verify('Ed25519', verifyingKey, Buffer.from(signature, 'base64url'), Buffer.from(`${header}.${payload}`));
+  };
+
+  beforeAll(async () => {
+    // A CryptoKey, as getSigningKey() hands it out of the vault
+    signingKey = await crypto.subtle.importKey('pkcs8', Buffer.from(holder.privateKey, 'hex'), { name: 'Ed25519' }, false, ['sign']);
+    verifyingKey = await crypto.subtle.importKey('jwk', holder.publicKeyJwk, { name: 'Ed25519' }, false, ['verify']);
+  });
+
+  describe('JWT presentations', () => {
+    it('should sign a presentation bound to the verifier session', async () => {
+      const vp = await didManager.signPresentation(buildPresentation([vaultCredential]), signingKey, BINDING);
+
+      expect(vp.proof).toMatchObject({ type: 'JwtProof2020', ...BINDING });
+      expect(vp.verifiableCredential[0]._metadata).toBeUndefined();
+
+      const { header, payload } = decodeJwt(vp.proof.jwt);
+      expect(header).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: `${holder.did}#${holder.did.substring('did:key:'.length)}` });
+      expect(payload).toMatchObject({ iss: holder.did, aud: BINDING.domain, nonce: BINDING.challenge });
+      expect(payload.vp.verifiableCredential).toEqual([fixtures.jwtCredential.proof.jwt]);
+      expect(await signedByHolder(vp.proof.jwt)).toBe(true);
+    });
+
+    it('should give every presentation its own ID', async () => {
+      const first = await didManager.signPresentation(buildPresentation([vaultCredential]), signingKey, BINDING);
+      const second = await didManager.signPresentation(buildPresentation([vaultCredential]), signingKey, BINDING);
+
+      expect(decodeJwt(first.proof.jwt).payload.jti).not.toBe(decodeJwt(second.proof.jwt).payload.jti);
+    });
+
+    it('should require a verifier challenge and domain', async () => {
+      await expect(didManager.signPresentation(buildPresentation([vaultCredential]), signingKey, { challenge: BINDING.challenge }))
+        .rejects.toThrow('A verifier challenge and domain are required');
+    });
+
+    it('should require a did:key holder', async () => {
+      await expect(didManager.signPresentation(
+        buildPresentation([vaultCredential], 'did:pkh:eip155:1:0x0000000000000000000000000000000000000000'),
+        signingKey,
+        BINDING
+      )).rejects.toThrow('Presentation holder must be a did:key');
+    });
+  });
+
+  describe('OID4VP direct_post', () => {
+    const documentDefinition = {
+      id: 'document-credential',
+      input_descriptors: [{
+        id: 'document_credential',
+        constraints: { fields: [{ path: ['$.vc.credentialSubject.storageKey'], filter: { type: 'string' } }] }
+      }]
+    };
+    let verifier;
+    let responseUri;
+    let received;
+
+    // An authorization request as the issuer's POST /oid4vp/request builds it
+    const requestUri = (overrides = {}) => `openid4vp://?${new URLSearchParams({
+      response_type: 'vp_token',
+      response_mode: 'direct_post',
+      client_id: responseUri,
+      client_id_scheme: 'redirect_uri',
+      response_uri: responseUri,
+      nonce: BINDING.challenge,
+      state: 'fixture-state',
+      presentation_definition: JSON.stringify(documentDefinition),
+      ...overrides
+    })}`;
+
+    beforeAll(async () => {
+      // Verifier response endpoint: records the form post, and refuses a second one
+      verifier = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          res.writeHead(received ? 400 : 200, { 'Content-Type': 'application/json' });
+          if (received) {
+            return res.end(JSON.stringify({ error: 'invalid_request', error_description: 'Authorization request expired, unknown or already answered' }));
+          }
+          received = Object.fromEntries(new URLSearchParams(body));
+          res.end('{}');
+        });
+      });
+      await new Promise(resolve => verifier.listen(0, '127.0.0.1', resolve));
+      responseUri = `http://127.0.0.1:${verifier.address().port}/oid4vp/response`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => verifier.close(resolve));
+    });
+
+    it('should answer a request with a presentation bound to its nonce and client_id', async () => {
+      const request = await oid4vp.parseAuthorizationRequest(requestUri());
+      expect(request).toMatchObject({ clientId: responseUri, responseUri, nonce: BINDING.challenge, state: 'fixture-state' });
+
+      const { verifiableCredential, presentationSubmission } = presentationExchange.buildSubmission(
+        request.presentationDefinition,
+        { document_credential: vaultCredential }
+      );
+      const vp = await didManager.signPresentation(
+        buildPresentation(verifiableCredential),
+        signingKey,
+        { challenge: request.nonce, domain: request.clientId }
+      );
+      await oid4vp.submitPresentation(request, vp.proof.jwt, presentationSubmission);
+
+      expect(received.state).toBe('fixture-state');
+      expect(decodeJwt(received.vp_token).payload).toMatchObject({ aud: responseUri, nonce: BINDING.challenge });
+      expect(JSON.parse(received.presentation_submission).definition_id).toBe('document-credential');
+
+      await expect(oid4vp.submitPresentation(request, vp.proof.jwt, presentationSubmission))
+        .rejects.toThrow('Authorization request expired, unknown or already answered');
+    });
+
+    it('should refuse a request whose client_id is not where the response goes', async () => {
+      await expect(oid4vp.parseAuthorizationRequest(requestUri({ client_id: 'https://evil.example/callback' })))
+        .rejects.toThrow('client_id does not match its response_uri');
+    });
+
+    it('should refuse requests without a valid presentation definition', async () => {
+      await expect(oid4vp.parseAuthorizationRequest(requestUri({ presentation_definition: '{}' })))
+        .rejects.toThrow('missing a valid presentation_definition');
+    });
+  });
+
+  describe('Presentation Exchange', () => {
+    const definitionFor = (id, docType) => ({
+      id: `${id}-check`,
+      input_descriptors: [{
+        id,
+        constraints: { fields: [{ path: ['$.vc.credentialSubject.docType'], filter: { type: 'string', const: docType } }] }
+      }]
+    });
+
+    it('should match vault credentials against input descriptors', () => {
+      const [passport] = presentationExchange.matchCredentials(definitionFor('passport', 'passport'), [vaultCredential]);
+      expect(passport.matches).toHaveLength(1);
+
+      const [license] = presentationExchange.matchCredentials(definitionFor('license', 'license'), [vaultCredential]);
+      expect(license.matches).toHaveLength(0);
+    });
+
+    it('should point each descriptor at its credential inside the signed presentation', () => {
+      const { verifiableCredential, presentationSubmission } = presentationExchange.buildSubmission(
+        definitionFor('passport', 'passport'),
+        { passport: vaultCredential }
+      );
+
+      expect(verifiableCredential).toEqual([vaultCredential]);
+      expect(presentationSubmission).toMatchObject({
+        definition_id: 'passport-check',
+        descriptor_map: [{
+          id: 'passport',
+          format: 'jwt_vp',
+          path: '$',
+          path_nested: { format: 'jwt_vc', path: '$.vp.verifiableCredential[0]' }
+        }]
+      });
+    });
+  });
+
+  describe('SD-JWT presentations', () => {
+    const issued = fixtures.sdJwtCredential.proof.sdJwt;
+
+    it('should recognize an SD-JWT credential and list its disclosures', () => {
+      expect(sdJwt.isSdJwtCredential(fixtures.sdJwtCredential)).toBe(true);
+      expect(sdJwt.isSdJwtCredential(fixtures.jwtCredential)).toBe(false);
+      expect(sdJwt.listDisclosures(issued).map(d => d.name).sort()).toEqual(['docType', 'fileName', 'storageKey']);
+    });
+
+    it('should reveal only the chosen claims, under a key binding JWT', async () => {
+      const presentation = await sdJwt.createSdJwtPresentation(issued, ['docType'], signingKey, BINDING);
+
+      const parts = presentation.split('~');
+      const kbJwt = parts.pop();
+      const docType = sdJwt.listDisclosures(issued).find(d => d.name === 'docType');
+      expect(parts).toEqual([issued.split('~')[0], docType.disclosure]);
+
+      const { header, payload } = decodeJwt(kbJwt);
+      expect(header).toEqual({ alg: 'EdDSA', typ: 'kb+jwt' });
+      expect(payload).toMatchObject({ aud: BINDING.domain, nonce: BINDING.challenge });
+      expect(payload.sd_hash).toBe(createHash('sha256').update(`${parts.join('~')}~`).digest('base64url'));
+      expect(await signedByHolder(kbJwt)).toBe(true);
+    });
+
+    it('should require a verifier challenge and domain', async () => {
+      await expect(sdJwt.createSdJwtPresentation(issued, ['docType'], signingKey, {}))
+        .rejects.toThrow('A verifier challenge and domain are required');
+    });
+  });
+
+  describe('BBS derived presentations', () => {
+    const { bbsCredential } = fixtures;
+
+    it('should recognize a BBS credential without correlatable identifiers', () => {
+      expect(bbs.isBbsCredential(bbsCredential)).toBe(true);
+      expect(bbs.isBbsCredential(fixtures.jwtCredential)).toBe(false);
+      expect(bbsCredential.id).toBeUndefined();
+      expect(bbsCredential.credentialSubject.id).toBeUndefined();
+      expect(bbs.listBbsClaims(bbsCredential).map(claim => claim.name).sort()).toEqual(['docType', 'fileName', 'storageKey']);
+    });
+
+    it('should reveal only the chosen claims, with the issuer and credential status', async () => {
+      const presentation = await bbs.deriveBbsPresentation(bbsCredential, ['docType'], BINDING);
+
+      expect(presentation.credentialSubject).toEqual({ docType: 'passport' });
+      expect(presentation.issuer).toBe(bbsCredential.issuer);
+      expect(presentation.credentialStatus).toEqual(bbsCredential.credentialStatus);
+      expect(presentation._metadata).toBeUndefined();
+      expect(presentation.proof).toMatchObject({ type: 'DataIntegrityProof', cryptosuite: 'bbs-2023' });
+    });
+
+    it('should derive a different proof for every presentation', async () => {
+      const first = await bbs.deriveBbsPresentation(bbsCredential, ['docType'], BINDING);
+      const second = await bbs.deriveBbsPresentation(bbsCredential, ['docType'], BINDING);
+
+      expect(first.proof.proofValue).not.toBe(second.proof.proofValue);
+    });
+
+    it('should require a verifier challenge and domain', async () => {
+      await expect(bbs.deriveBbsPresentation(bbsCredential, ['docType'], { domain: BINDING.domain }))
+        .rejects.toThrow('A verifier challenge and domain are required');
+    });
+  });
+});
@@ -0,0 +1,637 @@
+// @vitest-environment node
+// The issuer service and the S3 stand-in run in this process and talk over real HTTP
+
+/**
+ * R2 Upload and Retrieval Tests
+ * Uploads as the vault DID through the issuer's pre-signed multipart endpoints to an in-process S3
+ * stand-in: parallel parts, retries, resuming after a reload, and whose uploads a DID may touch.
+ * Retrieves files by presenting their
+ * credential: access checks, byte ranges, ETags, and resuming a broken download
+ */
+
+import 'fake-indexeddb/auto';
+import { createHash } from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
+import { unlockVault, lockVault } from '../src/utils/cryptoVault';
+import { generateDidKey, storeDid, getSigningKey, signPresentation } from '../src/utils/didManager';
+import { deriveBbsPresentation } from '../src/utils/bbs';
+
+const BUCKET = 'did-vault-test';
+const PART_SIZE = 8 * 1024 * 1024; // issuer default
+
+const PASSPHRASE = 'copper meadow signal forty';
+const LAST_MODIFIED = 'Mon, 19 Oct 2026 06:00:00 GMT';
+
+// Browser globals the upload code and the vault use
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+globalThis.window = globalThis;
+
+function randomBytes(size) {
+  const bytes = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += 65536) {
+    crypto.getRandomValues(bytes.subarray(offset, Math.min(size, offset + 65536)));
+  }
+  return bytes;
+}
+
+// toEqual walks typed arrays element by element, far too slowly for files of several parts
+function sameBytes(buffer, bytes) {
+  return Buffer.from(bytes).equals(buffer);
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+/**
+ * Stand-in for the issuer's status registry (issuer/src/routes/status.ts), which the issuer
+ * service reserves credentialStatus entries from and checks status with: nothing is ever revoked
+ */
+function createStatusStandIn() {
+  let nextIndex = 0;
+  return http.createServer((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url === '/issuer/status/entries') {
+      const statusListIndex = String(nextIndex++);
+      const credentialStatus = ['revocation', 'suspension'].map(statusPurpose => ({
+        id: `http://status.test/issuer/status/${statusPurpose}#${statusListIndex}`,
+        type: 'StatusList2021Entry',
+        statusPurpose,
+        statusListIndex,
+        statusListCredential: `http://status.test/issuer/status/${statusPurpose}`
+      }));
+      return res.end(JSON.stringify({ success: true, credentialStatus }));
+    }
+    res.end(JSON.stringify({ success: true, status: false }));
+  });
+}
+
+/**
+ * Minimal S3 API: multipart upload (create, upload part pre-signed, list parts, complete, abort),
+ * and get/head object with a single byte range and If-None-Match
+ * failPart(partNumber, status, times) makes the next PUTs of a part fail
+ * breakNextDownload() cuts the next object download off halfway
+ */
+function createS3StandIn() {
+  const uploads = new Map();
+  const objects = new Map();
+  const failures = new Map();
+  const partRequests = [];
+  const objectRequests = [];
+  let breakDownload = false;
+  let nextUploadId = 1;
+
+  const xml = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+  };
+  const noSuchUpload = res =>
+    xml(res, 404, '<Error><Code>NoSuchUpload</Code><Message>The specified upload does not exist</Message></Error>');
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = decodeURIComponent(url.pathname.slice(`/${BUCKET}/`.length));
+    const uploadId = url.searchParams.get('uploadId');
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    if (req.method === 'POST' && url.searchParams.has('uploads')) {
+      const id = `upload-${nextUploadId++}`;
+      uploads.set(id, { key, parts: new Map() });
+      return xml(res, 200, `<InitiateMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${key}</Key><UploadId>${id}</UploadId></InitiateMultipartUploadResult>`);
+    }
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && !uploadId) {
+      objectRequests.push({ method: req.method, range: req.headers.range });
+      const object = objects.get(key);
+      if (!object) {
+        return xml(res, 404, '<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+      }
+
+      const etag = `"${createHash('md5').update(object).digest('hex')}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+      }
+
+      const headers = { ETag: etag, 'Last-Modified': LAST_MODIFIED, 'Content-Type': 'application/octet-stream' };
+      let [start, end] = [0, object.length - 1];
+      const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+      if (range) {
+        start = range[1] === '' ? Math.max(0, object.length - Number(range[2])) : Number(range[1]);
+        end = range[1] !== '' && range[2] !== '' ? Math.min(Number(range[2]), end) : end;
+        if (start >= object.length) {
+          return xml(res, 416, '<Error><Code>InvalidRange</Code><Message>The requested range is not satisfiable</Message></Error>');
+        }
+        headers['Content-Range'] = `bytes ${start}-${end}/${object.length}`;
+      }
+
+      res.writeHead(range ? 206 : 200, { ...headers, 'Content-Length': end - start + 1 });
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+      if (breakDownload) {
+        breakDownload = false;
+        res.write(object.subarray(start, start + Math.floor((end - start + 1) / 2)));
+        return setTimeout(() => res.destroy(), 50);
+      }
+      return res.end(object.subarray(start, end + 1));
+    }
+
+    const upload = uploads.get(uploadId);
+    if (!upload) {
+      return noSuchUpload(res);
+    }
+
+    if (req.method === 'PUT') {
+      const partNumber = Number(url.searchParams.get('partNumber'));
+      partRequests.push(partNumber);
+
+      // R2 checks a checksum signed into the URL against the body
+      if (!url.searchParams.has('X-Amz-Signature') || url.searchParams.has('x-amz-checksum-crc32')) {
+        return xml(res, 400, '<Error><Code>BadDigest</Code></Error>');
+      }
+      const failure = failures.get(partNumber);
+      if (failure?.times > 0) {
+        failure.times--;
+        return xml(res, failure.status, '<Error><Code>InternalError</Code></Error>');
+      }
+
+      const etag = `"${partNumber}-${body.length}"`;
+      upload.parts.set(partNumber, { body, etag });
+      res.writeHead(200, { ETag: etag });
+      return res.end();
+    }
+
+    if (req.method === 'GET') {
+      const parts = [...upload.parts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([partNumber, part]) =>
+          `<Part><PartNumber>${partNumber}</PartNumber><ETag>${part.etag.replace(/"/g, '&quot;')}</ETag><Size>${part.body.length}</Size></Part>`)
+        .join('');
+      return xml(res, 200, `<ListPartsResult><Bucket>${BUCKET}</Bucket><Key>${upload.key}</Key><UploadId>${uploadId}</UploadId><IsTruncated>false</IsTruncated>${parts}</ListPartsResult>`);
+    }
+
+    if (req.method === 'POST') {
+      const partNumbers = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(match => Number(match[1]));
+      objects.set(upload.key, Buffer.concat(partNumbers.map(partNumber => upload.parts.get(partNumber).body)));
+      uploads.delete(uploadId);
+      return xml(res, 200, `<CompleteMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${upload.key}</Key><ETag>"done"</ETag></CompleteMultipartUploadResult>`);
+    }
+
+    if (req.method === 'DELETE') {
+      uploads.delete(uploadId);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    xml(res, 405, '<Error><Code>MethodNotAllowed</Code></Error>');
+  });
+
+  return {
+    server,
+    objects,
+    uploads,
+    partRequests,
+    objectRequests,
+    failPart: (partNumber, status, times) => failures.set(partNumber, { status, times }),
+    breakNextDownload: () => { breakDownload = true; }
+  };
+}
+
+describe('R2 upload and retrieval', () => {
+  const s3 = createS3StandIn();
+  const statusRegistry = createStatusStandIn();
+  const dataDir = path.join(os.tmpdir(), `r2-upload-${process.pid}`);
+  let issuerServer;
+  let r2Upload;
+  let r2Retrieve;
+  let holderDid;
+  let holderKey;
+
+  beforeAll(async () => {
+    process.env.R2_ENDPOINT = await listen(s3.server);
+    process.env.R2_BUCKET_NAME = BUCKET;
+    process.env.R2_ACCESS_KEY_ID = 'test-access-key';
+    process.env.R2_SECRET_ACCESS_KEY = 'test-secret-key';
+    process.env.STATUS_SERVICE_URL = await listen(statusRegistry);
+    process.env.STATUS_SERVICE_TOKEN = 'test-status-service-token';
+
+    // Isolated Veramo store for the issuer service
+    process.env.KMS_SECRET_KEY = process.env.KMS_SECRET_KEY || '29739248cad1bd1a0fc4d9b75cd4d2990de535baf5caadfdf8d8f86664aa830c';
+    process.env.VERAMO_STORE_PATH = path.join(dataDir, 'veramo-store.json');
+    process.env.VERAMO_BBS_KEY_PATH = path.join(dataDir, 'veramo-bbs-key.json');
+    process.env.DOCUMENT_UPLOADERS_PATH = path.join(dataDir, 'document-uploaders.json');
+    process.env.MULTIPART_UPLOADS_PATH = path.join(dataDir, 'multipart-uploads.json');
+
+    const app = (await import('../../issuer/index.js')).default;
+    // The same agent instance as the app's own require
+    await createRequire(import.meta.url)('../../issuer/veramo-agent.js').initializeIssuerDid();
+    issuerServer = http.createServer(app);
+    vi.stubEnv('VITE_ISSUER_API_URL', await listen(issuerServer));
+
+    r2Upload = await import('../src/utils/r2Upload');
+    r2Retrieve = await import('../src/utils/r2Retrieve');
+
+    // Files are uploaded as the vault DID
+    await unlockVault(PASSPHRASE);
+    const { did, privateKey } = await generateDidKey();
+    await storeDid(did, privateKey);
+    holderDid = did;
+    holderKey = privateKey;
+  });
+
+  afterAll(async () => {
+    vi.unstubAllEnvs();
+    await new Promise(resolve => issuerServer.close(resolve));
+    await new Promise(resolve => s3.server.close(resolve));
+    await new Promise(resolve => statusRegistry.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    s3.partRequests.length = 0;
+  });
+
+  it('should upload the parts in parallel and assemble the file', async () => {
+    const bytes = randomBytes(2 * PART_SIZE + 12345);
+    const progress = [];
+
+    const result = await r2Upload.uploadToR2(new Blob([bytes]), 'passport.pdf', {
+      onProgress: uploaded => progress.push(uploaded)
+    });
+
+    expect(result.storageKey).toMatch(/\.pdf$/);
+    expect(result.bucket).toBe(BUCKET);
+    expect(sameBytes(s3.objects.get(result.storageKey), bytes)).toBe(true);
+    expect(s3.partRequests.sort()).toEqual([1, 2, 3]);
+    expect(progress[0]).toBe(0);
+    expect(progress[progress.length - 1]).toBe(bytes.length);
+    expect(await r2Upload.listPendingUploads()).toEqual([]);
+  });
+
+  it('should retry a part that failed', async () => {
+    const bytes = randomBytes(PART_SIZE + 1);
+    s3.failPart(2, 503, 1);
+
+    const result = await r2Upload.uploadToR2(new Blob([bytes]), 'license.pdf');
+
+    expect(sameBytes(s3.objects.get(result.storageKey), bytes)).toBe(true);
+    expect(s3.partRequests.filter(partNumber => partNumber === 2)).toHaveLength(2);
+  });
+
+  it('should upload through the issuer storage provider', async () => {
+    const { getStorageProvider } = await import('../src/lib/storage');
+    const bytes = randomBytes(PART_SIZE + 7);
+
+    const stored = await getStorageProvider('issuer').put(new Blob([bytes]), 'visa.pdf');
+
+    expect(stored).toMatchObject({ provider: 'issuer', url: null, size: bytes.length });
+    expect(sameBytes(s3.objects.get(stored.key), bytes)).toBe(true);
+  });
+
+  it('should resume after a reload with only the missing parts', async () => {
+    const bytes = randomBytes(3 * PART_SIZE + 100);
+    const encryptionKey = 'ab12'.repeat(16);
+    s3.failPart(3, 400, 1);
+
+    // Uploads are made as the vault DID
+    lockVault();
+    await expect(r2Upload.uploadToR2(new Blob([bytes]), 'diploma.pdf', { resumeData: { encryptionKey } }))
+      .rejects.toThrow('vault is locked');
+    expect(await r2Upload.listPendingUploads()).toEqual([]);
+
+    await unlockVault(PASSPHRASE);
+    await expect(r2Upload.uploadToR2(new Blob([bytes]), 'diploma.pdf', { resumeData: { encryptionKey } }))
+      .rejects.toThrow('Part 3 failed with status 400');
+
+    // A reloaded page starts with fresh modules and a locked vault; the pending upload is in IndexedDB
+    lockVault();
+    vi.resetModules();
+    const reloaded = await import('../src/utils/r2Upload');
+    const vault = await import('../src/utils/cryptoVault');
+    const [pending] = await reloaded.listPendingUploads();
+    expect(pending.fileName).toBe('diploma.pdf');
+
+    // The file key is only stored sealed with the vault
+    expect(Object.keys(pending.resumeData).sort()).toEqual(['ciphertext', 'iv', 'wrappedKey']);
+    expect(Buffer.from(pending.resumeData.ciphertext).includes(encryptionKey)).toBe(false);
+
+    s3.partRequests.length = 0;
+    await expect(reloaded.resumeUploadToR2(pending)).rejects.toThrow(/vault is locked/i);
+    expect(s3.partRequests).toEqual([]);
+
+    await vault.unlockVault(PASSPHRASE);
+    const progress = [];
+    const result = await reloaded.resumeUploadToR2(pending, { onProgress: uploaded => progress.push(uploaded) });
+    vault.lockVault();
+
+    expect(result.resumeData).toEqual({ encryptionKey });
+    expect(s3.partRequests).toEqual([3]);
+    expect(progress).toEqual([3 * PART_SIZE + 100 - PART_SIZE, 3 * PART_SIZE + 100]);
+    expect(sameBytes(s3.objects.get(result.storageKey), bytes)).toBe(true);
+    expect(await reloaded.listPendingUploads()).toEqual([]);
+  });
+
+  it('should abort a pending upload', async () => {
+    await unlockVault(PASSPHRASE);
+    s3.failPart(1, 400, 1);
+    await expect(r2Upload.uploadToR2(new Blob([randomBytes(1000)]), 'notes.txt')).rejects.toThrow();
+
+    const [pending] = await r2Upload.listPendingUploads();
+    expect(s3.uploads.has(pending.uploadId)).toBe(true);
+
+    await r2Upload.abortPendingUpload(pending.uploadId);
+    expect(s3.uploads.has(pending.uploadId)).toBe(false);
+    expect(await r2Upload.listPendingUploads()).toEqual([]);
+  });
+
+  describe('issuer endpoints', () => {
+    let uploadToken;
+
+    const issuer = (pathname, options = {}, token = uploadToken) =>
+      fetch(`${import.meta.env.VITE_ISSUER_API_URL}${pathname}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: options.body && JSON.stringify(options.body)
+      });
+
+    // Sign in to the upload endpoints as the vault DID
+    async function signIn() {
+      const { challenge, domain } = await (await issuer('/verify/challenge', { method: 'POST', body: {} })).json();
+      const { did, privateKey } = await getSigningKey();
+      const vp = await signPresentation({
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiablePresentation'],
+        holder: did,
+        verifiableCredential: []
+      }, privateKey, { challenge, domain });
+
+      return issuer('/upload/auth', { method: 'POST', body: { vp } });
+    }
+
+    beforeAll(async () => {
+      await unlockVault(PASSPHRASE);
+      uploadToken = (await (await signIn()).json()).uploadToken;
+    });
+
+    it('should refuse to complete an upload with missing parts', async () => {
+      const start = await (await issuer('/upload/multipart', {
+        method: 'POST',
+        body: { fileName: 'scan.pdf', size: PART_SIZE + 10 }
+      })).json();
+      expect(start).toMatchObject({ partSize: PART_SIZE, partCount: 2 });
+
+      const response = await issuer(`/upload/multipart/${start.uploadId}/complete`, { method: 'POST' });
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toContain('Missing parts: 1, 2');
+    });
+
+    it('should only pre-sign parts of the layout', async () => {
+      const start = await (await issuer('/upload/multipart', {
+        method: 'POST',
+        body: { fileName: 'scan.pdf', size: 10 }
+      })).json();
+
+      expect((await issuer(`/upload/multipart/${start.uploadId}/parts/2`, { method: 'POST' })).status).toBe(400);
+      expect((await issuer('/upload/multipart/unknown-upload/parts/1', { method: 'POST' })).status).toBe(404);
+    });
+
+    it('should reject invalid sizes', async () => {
+      const response = await issuer('/upload/multipart', {
+        method: 'POST',
+        body: { fileName: 'scan.pdf', size: 0 }
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should require an uploader token', async () => {
+      const start = await issuer('/upload/multipart', { method: 'POST', body: { fileName: 'scan.pdf', size: 10 } }, null);
+      expect(start.status).toBe(401);
+      expect(start.headers.get('WWW-Authenticate')).toBe('Bearer');
+
+      const forged = await issuer('/upload/multipart', { method: 'POST', body: { fileName: 'scan.pdf', size: 10 } }, 'forged');
+      expect(forged.status).toBe(401);
+
+      const formData = new FormData();
+      formData.append('file', new Blob([randomBytes(10)]), 'scan.pdf');
+      const single = await fetch(`${import.meta.env.VITE_ISSUER_API_URL}/upload`, { method: 'POST', body: formData });
+      expect(single.status).toBe(401);
+    });
+
+    it('should only hand out one uploader token per challenge', async () => {
+      const { challenge, domain } = await (await issuer('/verify/challenge', { method: 'POST', body: {} })).json();
+      const { did, privateKey } = await getSigningKey();
+      const vp = await signPresentation({
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiablePresentation'],
+        holder: did,
+        verifiableCredential: []
+      }, privateKey, { challenge, domain });
+
+      expect(await (await issuer('/upload/auth', { method: 'POST', body: { vp } })).json()).toMatchObject({ tokenType: 'Bearer' });
+      expect(await (await issuer('/upload/auth', { method: 'POST', body: { vp } })).json()).toMatchObject({
+        error: 'Presentation not accepted',
+        reason: 'Challenge expired, unknown or already used'
+      });
+      expect((await issuer('/upload/auth', { method: 'POST', body: {} })).status).toBe(400);
+    });
+
+    it('should not let another DID touch an upload', async () => {
+      const start = await (await issuer('/upload/multipart', {
+        method: 'POST',
+        body: { fileName: 'scan.pdf', size: 10 }
+      })).json();
+
+      const other = await generateDidKey();
+      await storeDid(other.did, other.privateKey);
+      let otherToken;
+      try {
+        otherToken = (await (await signIn()).json()).uploadToken;
+      } finally {
+        await storeDid(holderDid, holderKey);
+      }
+
+      const uploadPath = `/upload/multipart/${start.uploadId}`;
+      expect((await issuer(uploadPath, {}, otherToken)).status).toBe(404);
+      expect((await issuer(`${uploadPath}/parts/1`, { method: 'POST' }, otherToken)).status).toBe(404);
+      expect((await issuer(uploadPath, { method: 'DELETE' }, otherToken)).status).toBe(404);
+      expect((await issuer(uploadPath)).status).toBe(200);
+      expect((await issuer(uploadPath, { method: 'DELETE' })).status).toBe(200);
+    });
+  });
+
+  describe('retrieval', () => {
+    const retrieve = (storageKey, headers = {}) =>
+      fetch(`${import.meta.env.VITE_ISSUER_API_URL}/retrieve/${storageKey}`, { headers });
+
+    // Have the issuer vouch for a stored file in a credential to subjectDid
+    async function issueCredential(subjectDid, claims, proofFormat) {
+      const response = await fetch(`${import.meta.env.VITE_ISSUER_API_URL}/issue`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subjectDid, claims, proofFormat })
+      });
+      return (await response.json()).vc;
+    }
+
+    // Upload an encrypted file, and have the issuer vouch for it in a credential to the holder
+    async function storeDocument(bytes, proofFormat = 'jwt') {
+      const file = new File([bytes], 'transcript.pdf', { type: 'application/pdf' });
+      const encrypted = await r2Upload.encryptFile(file);
+      const { storageKey } = await r2Upload.uploadToR2(encrypted.encrypted, file.name);
+
+      return issueCredential(holderDid, r2Upload.buildClaimsFromUpload(storageKey, 'document', {
+        fileName: file.name,
+        encryptionKey: encrypted.key,
+        encryption: encrypted.encryption
+      }), proofFormat);
+    }
+
+    beforeAll(async () => {
+      await unlockVault(PASSPHRASE);
+    });
+
+    it('should download and decrypt the file a credential names', async () => {
+      const bytes = randomBytes(300000);
+      const credential = await storeDocument(bytes);
+      const progress = [];
+
+      const encrypted = await r2Retrieve.retrieveFromR2(credential, holderDid, {
+        onProgress: received => progress.push(received)
+      });
+      expect(sameBytes(s3.objects.get(credential.credentialSubject.storageKey), new Uint8Array(await encrypted.arrayBuffer()))).toBe(true);
+      expect(progress[progress.length - 1]).toBe(encrypted.size);
+
+      const decrypted = await r2Retrieve.decryptRetrievedFile(encrypted, credential);
+      expect(sameBytes(Buffer.from(bytes), new Uint8Array(await decrypted.arrayBuffer()))).toBe(true);
+    });
+
+    it('should accept an SD-JWT credential disclosing only the storage key', async () => {
+      const bytes = randomBytes(1000);
+      const credential = await storeDocument(bytes, 'sd-jwt');
+
+      const encrypted = await r2Retrieve.retrieveFromR2(credential, holderDid);
+      const decrypted = await r2Retrieve.decryptRetrievedFile(encrypted, credential);
+      expect(sameBytes(Buffer.from(bytes), new Uint8Array(await decrypted.arrayBuffer()))).toBe(true);
+    });
+
+    it('should continue a broken download from the last byte received', async () => {
+      const credential = await storeDocument(randomBytes(200000));
+      const stored = s3.objects.get(credential.credentialSubject.storageKey);
+      s3.objectRequests.length = 0;
+      s3.breakNextDownload();
+
+      const encrypted = await r2Retrieve.retrieveFromR2(credential, holderDid);
+
+      expect(sameBytes(stored, new Uint8Array(await encrypted.arrayBuffer()))).toBe(true);
+      const ranges = s3.objectRequests.filter(request => request.method === 'GET').map(request => request.range);
+      expect(ranges).toHaveLength(2);
+      expect(ranges[0]).toBeUndefined();
+      expect(ranges[1]).toMatch(/^bytes=[1-9]\d*-$/);
+    });
+
+    it('should only grant access to the file the credential names', async () => {
+      const credential = await storeDocument(randomBytes(100));
+      const other = await storeDocument(randomBytes(100));
+      const storageKey = credential.credentialSubject.storageKey;
+      const otherKey = other.credentialSubject.storageKey;
+
+      expect((await retrieve(storageKey)).status).toBe(401);
+
+      // The displayed claims are not what the issuer checks: the signed credential still names its own file
+      const relabelled = { ...credential, credentialSubject: { ...credential.credentialSubject, storageKey: otherKey } };
+      await expect(r2Retrieve.requestFileAccess(relabelled, holderDid)).rejects.toMatchObject({ status: 403 });
+
+      const { accessToken } = await r2Retrieve.requestFileAccess(credential, holderDid);
+      expect((await retrieve(storageKey, { Authorization: `Bearer ${accessToken}` })).status).toBe(200);
+      expect((await retrieve(otherKey, { Authorization: `Bearer ${accessToken}` })).status).toBe(401);
+    });
+
+    it('should not grant access to a credential another DID had issued for the file', async () => {
+      const credential = await storeDocument(randomBytes(100));
+      const storageKey = credential.credentialSubject.storageKey;
+
+      // /issue is open to anyone: another DID can have its own credential naming this storage key
+      const other = await generateDidKey();
+      const minted = await issueCredential(other.did, r2Upload.buildClaimsFromUpload(storageKey, 'document', {
+        fileName: 'transcript.pdf'
+      }), 'jwt');
+      await storeDid(other.did, other.privateKey);
+
+      try {
+        await expect(r2Retrieve.requestFileAccess(minted, other.did)).rejects.toMatchObject({
+          status: 403,
+          message: 'Only the DID that uploaded this file can retrieve it'
+        });
+      } finally {
+        await storeDid(holderDid, holderKey);
+      }
+      await expect(r2Retrieve.requestFileAccess(credential, holderDid)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('should not grant access to a BBS presentation, which has no holder', async () => {
+      const credential = await storeDocument(randomBytes(100), 'bbs');
+      const storageKey = credential.credentialSubject.storageKey;
+
+      await expect(r2Retrieve.requestFileAccess(credential, holderDid)).rejects.toThrow('BBS credentials are unlinkable');
+
+      const { challenge, domain } = await (await fetch(`${import.meta.env.VITE_ISSUER_API_URL}/verify/challenge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      })).json();
+      const vp = await deriveBbsPresentation(credential, ['storageKey'], { challenge, domain });
+      const response = await fetch(`${import.meta.env.VITE_ISSUER_API_URL}/retrieve/${storageKey}/access`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ vp })
+      });
+      expect(response.status).toBe(403);
+      expect((await response.json()).error).toBe('Only the DID that uploaded this file can retrieve it');
+    });
+
+    it('should serve byte ranges and revalidate by ETag', async () => {
+      const credential = await storeDocument(randomBytes(5000));
+      const storageKey = credential.credentialSubject.storageKey;
+      const stored = s3.objects.get(storageKey);
+      const { accessToken } = await r2Retrieve.requestFileAccess(credential, holderDid);
+      const authorization = { Authorization: `Bearer ${accessToken}` };
+
+      const partial = await retrieve(storageKey, { ...authorization, Range: 'bytes=100-199' });
+      expect(partial.status).toBe(206);
+      expect(partial.headers.get('Content-Range')).toBe(`bytes 100-199/${stored.length}`);
+      expect(partial.headers.get('Accept-Ranges')).toBe('bytes');
+      expect(sameBytes(stored.subarray(100, 200), new Uint8Array(await partial.arrayBuffer()))).toBe(true);
+
+      const etag = partial.headers.get('ETag');
+      expect(etag).toMatch(/^"[0-9a-f]+"$/);
+      expect((await retrieve(storageKey, { ...authorization, 'If-None-Match': etag })).status).toBe(304);
+
+      // A range of an older version of the file is answered with the whole current file
+      const stale = await retrieve(storageKey, { ...authorization, Range: 'bytes=100-199', 'If-Range': '"stale"' });
+      expect(stale.status).toBe(200);
+      expect(Number(stale.headers.get('Content-Length'))).toBe(stored.length);
+      await stale.arrayBuffer();
+
+      const unsatisfiable = await retrieve(storageKey, { ...authorization, Range: `bytes=${stored.length}-` });
+      expect(unsatisfiable.status).toBe(416);
+      expect(unsatisfiable.headers.get('Content-Range')).toBe(`bytes */${stored.length}`);
+
+      s3.objects.delete(storageKey);
+      expect((await retrieve(storageKey, authorization)).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom, and Blobs are read back as ArrayBuffers
+
+/**
+ * Chunked Encryption Tests
+ * Tests the STREAM file format: round trips, progress, and rejection of modified or truncated files
+ */
+
+import { encryptStream, decryptStream, isStreamEncrypted, encryptInWorker, decryptInWorker, sha256Hex } from '../src/lib/crypto';
+
+const CHUNK_SIZE = 1024;
+const HEADER_LENGTH = 16;
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + 16;
+
+function randomBlob(size: number): Blob {
+  const bytes = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += 65536) {
+    crypto.getRandomValues(bytes.subarray(offset, Math.min(size, offset + 65536)));
+  }
+  return new Blob([bytes]);
+}
+
+async function bytesOf(blob: Blob): Promise<Uint8Array> {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe('Chunked file encryption', () => {
+  let key: CryptoKey;
+
+  beforeAll(async () => {
+    key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  });
+
+  it.each([0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 5 * CHUNK_SIZE + 17])(
+    'should round-trip a %i byte file',
+    async (size) => {
+      const plaintext = randomBlob(size);
+      const encrypted = await encryptStream(plaintext, key, { chunkSize: CHUNK_SIZE });
+
+      const chunkCount = Math.max(1, Math.ceil(size / CHUNK_SIZE));
+      expect(encrypted.size).toBe(HEADER_LENGTH + size + chunkCount * 16);
+      expect(await isStreamEncrypted(encrypted)).toBe(true);
+
+      const decrypted = await decryptStream(encrypted, key);
+      expect(await bytesOf(decrypted)).toEqual(await bytesOf(plaintext));
+    }
+  );
+
+  it('should report progress after every chunk', async () => {
+    const plaintext = randomBlob(3 * CHUNK_SIZE + 5);
+    const progress: number[] = [];
+    const encrypted = await encryptStream(plaintext, key, {
+      chunkSize: CHUNK_SIZE,
+      onProgress: (processed, total) => {
+        expect(total).toBe(plaintext.size);
+        progress.push(processed);
+      }
+    });
+    expect(progress).toEqual([CHUNK_SIZE, 2 * CHUNK_SIZE, 3 * CHUNK_SIZE, plaintext.size]);
+
+    const decryptProgress: number[] = [];
+    await decryptStream(encrypted, key, { onProgress: processed => decryptProgress.push(processed) });
+    expect(decryptProgress).toHaveLength(4);
+    expect(decryptProgress[3]).toBe(encrypted.size - HEADER_LENGTH);
+  });
+
+  describe('with a modified file', () => {
+    let encrypted: Uint8Array;
+
+    beforeAll(async () => {
+      encrypted = await bytesOf(await encryptStream(randomBlob(3 * CHUNK_SIZE + 100), key, { chunkSize: CHUNK_SIZE }));
+    });
+
+    const chunk = (index: number) =>
+      encrypted.slice(HEADER_LENGTH + index * ENCRYPTED_CHUNK_SIZE, HEADER_LENGTH + (index + 1) * ENCRYPTED_CHUNK_SIZE);
+    const header = () => encrypted.slice(0, HEADER_LENGTH);
+
+    it('should reject a file cut at a chunk boundary', async () => {
+      const truncated = new Blob([header(), chunk(0), chunk(1), chunk(2)]);
+      await expect(decryptStream(truncated, key)).rejects.toThrow('chunk 3 of 3');
+    });
+
+    it('should reject a file with its last chunk cut short', async () => {
+      const truncated = new Blob([encrypted.slice(0, encrypted.length - 10)]);
+      await expect(decryptStream(truncated, key)).rejects.toThrow('Failed to decrypt');
+    });
+
+    it('should reject reordered chunks', async () => {
+      const reordered = new Blob([header(), chunk(1), chunk(0), chunk(2), chunk(3)]);
+      await expect(decryptStream(reordered, key)).rejects.toThrow('chunk 1 of 4');
+    });
+
+    it('should reject appended data', async () => {
+      const appended = new Blob([encrypted, chunk(0)]);
+      await expect(decryptStream(appended, key)).rejects.toThrow('Failed to decrypt');
+    });
+
+    it('should reject a modified header', async () => {
+      const modifiedHeader = header();
+      modifiedHeader[10] ^= 1; // nonce prefix
+      await expect(decryptStream(new Blob([modifiedHeader, encrypted.slice(HEADER_LENGTH)]), key))
+        .rejects.toThrow('chunk 1 of 4');
+    });
+
+    it('should reject a flipped ciphertext bit', async () => {
+      const modified = encrypted.slice();
+      modified[HEADER_LENGTH + 2 * ENCRYPTED_CHUNK_SIZE + 7] ^= 0x80;
+      await expect(decryptStream(new Blob([modified]), key)).rejects.toThrow('chunk 3 of 4');
+    });
+
+    it('should reject the wrong key', async () => {
+      const otherKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await expect(decryptStream(new Blob([encrypted]), otherKey)).rejects.toThrow('wrong key');
+    });
+  });
+
+  it('should not mistake a single-shot ciphertext for a chunked file', async () => {
+    expect(await isStreamEncrypted(randomBlob(100))).toBe(false);
+    await expect(decryptStream(randomBlob(100), key)).rejects.toThrow('Not a chunk-encrypted file');
+  });
+
+  it('should fall back to the calling thread without Web Workers', async () => {
+    const plaintext = randomBlob(2 * 1024 * 1024 + 3);
+    const encrypted = await encryptInWorker(plaintext, key);
+    expect(await bytesOf(await decryptInWorker(encrypted, key))).toEqual(await bytesOf(plaintext));
+  });
+
+  it('should hash files chunk by chunk', async () => {
+    const blob = randomBlob(2 * 1024 * 1024 + 3);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+    const expected = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    expect(await sha256Hex(blob)).toBe(expected);
+  });
+});
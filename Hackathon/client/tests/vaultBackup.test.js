@@ -0,0 +1,209 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom, and the DID key is imported from bytes
+
+/**
+ * Vault Backup Tests
+ * Tests encrypted backup round trips, rejection of wrong passphrases and modified files,
+ * and how merging and replacing resolve conflicts
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { unlockVault, lockVault, storeVC, retrieveVCs } from '../src/utils/cryptoVault';
+import { generateDidKey, storeDid, exportDid } from '../src/utils/didManager';
+import { getLocalMetadata, putLocalMetadata } from '../src/lib/localMetadata';
+import {
+  exportVaultBackup,
+  readVaultBackup,
+  planVaultImport,
+  importVaultBackup
+} from '../src/utils/vaultBackup';
+
+const PASSPHRASE = 'quiet harbor lantern seventeen';
+const BACKUP_PASSPHRASE = 'copper lighthouse autumn sixty';
+
+// Browser globals the vault uses
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+globalThis.window = globalThis;
+
+const credential = (id, name) => ({ id: `urn:uuid:${id}`, type: ['VerifiableCredential'], credentialSubject: { name } });
+const document = (id, filename) => ({ id, filename, cid: `cid-${id}`, sha256: 'ab'.repeat(32), timestamp: '2026-01-01T00:00:00.000Z' });
+
+/**
+ * Credentials of the vault by VC ID, without their vault metadata
+ */
+async function vaultCredentials(vault = { retrieveVCs }) {
+  return Object.fromEntries((await vault.retrieveVCs()).map(({ _metadata, ...vc }) => [_metadata.vcId, vc]));
+}
+
+describe('Vault backup', () => {
+  let did;
+  let backupText;
+
+  beforeAll(async () => {
+    await unlockVault(PASSPHRASE);
+    await storeVC('vc-1', credential('vc-1', 'Diploma'));
+    await storeVC('vc-2', credential('vc-2', 'Passport'));
+    did = await generateDidKey();
+    await storeDid(did.did, did.privateKey);
+    putLocalMetadata(document('doc-1', 'diploma.pdf'));
+
+    backupText = await (await exportVaultBackup(BACKUP_PASSPHRASE)).text();
+  });
+
+  beforeEach(async () => {
+    await unlockVault(PASSPHRASE);
+  });
+
+  afterEach(() => {
+    lockVault();
+  });
+
+  it('should keep the contents out of the file', () => {
+    expect(backupText).not.toContain('Diploma');
+    expect(backupText).not.toContain(did.privateKey);
+    expect(JSON.parse(backupText)).toMatchObject({ format: 'did-vault-backup', version: 1, kdf: { name: 'argon2id' } });
+  });
+
+  it('should refuse a weak backup passphrase', async () => {
+    await expect(exportVaultBackup('password1234')).rejects.toThrow('Passphrase is too weak');
+  });
+
+  it('should read back what was exported', async () => {
+    const backup = await readVaultBackup(backupText, BACKUP_PASSPHRASE);
+
+    expect(backup.createdAt).toBe(JSON.parse(backupText).createdAt);
+    expect(backup.credentials.map(entry => [entry.vcId, entry.credential])).toEqual([
+      ['vc-1', credential('vc-1', 'Diploma')],
+      ['vc-2', credential('vc-2', 'Passport')]
+    ]);
+    expect(backup.did).toEqual(did);
+    expect(backup.documents).toEqual([document('doc-1', 'diploma.pdf')]);
+
+    expect(await planVaultImport(backup)).toEqual({
+      credentials: { added: [], unchanged: ['vc-1', 'vc-2'], conflicts: [] },
+      did: 'unchanged',
+      documents: { added: [], unchanged: ['doc-1'], conflicts: [] }
+    });
+  });
+
+  it('should reject a wrong backup passphrase', async () => {
+    await expect(readVaultBackup(backupText, 'not the backup passphrase'))
+      .rejects.toThrow('Wrong backup passphrase, or the backup file was modified');
+  });
+
+  it.each([
+    ['the creation date', backup => ({ ...backup, createdAt: '2020-01-01T00:00:00.000Z' })],
+    ['the IV', backup => ({ ...backup, iv: btoa('\u0000'.repeat(12)) })],
+    ['the ciphertext', backup => ({ ...backup, ciphertext: backup.ciphertext.slice(0, -8) })]
+  ])('should reject a backup with a modified %s', async (_, modify) => {
+    const modified = JSON.stringify(modify(JSON.parse(backupText)));
+
+    await expect(readVaultBackup(modified, BACKUP_PASSPHRASE))
+      .rejects.toThrow('Wrong backup passphrase, or the backup file was modified');
+  });
+
+  it('should reject KDF parameters it would not derive with', async () => {
+    const backup = JSON.parse(backupText);
+    const modified = JSON.stringify({ ...backup, kdf: { ...backup.kdf, memorySize: 4 * 1048576 } });
+
+    await expect(readVaultBackup(modified, BACKUP_PASSPHRASE)).rejects.toThrow('Unsupported Argon2id parameters');
+  });
+
+  it('should reject files that are not backups of this version', async () => {
+    const backup = JSON.parse(backupText);
+
+    await expect(readVaultBackup('not json', BACKUP_PASSPHRASE)).rejects.toThrow('This file is not a vault backup');
+    await expect(readVaultBackup(JSON.stringify({ ...backup, version: 2 }), BACKUP_PASSPHRASE))
+      .rejects.toThrow('Unsupported backup version 2');
+    await expect(readVaultBackup(JSON.stringify({ ...backup, salt: undefined }), BACKUP_PASSPHRASE))
+      .rejects.toThrow('The backup file is incomplete');
+  });
+
+  it('should restore everything in a browser without the vault', async () => {
+    const originalIndexedDB = globalThis.indexedDB;
+    globalThis.indexedDB = new IDBFactory();
+    const originalStorage = new Map(storage);
+    storage.clear();
+    vi.resetModules();
+
+    try {
+      const vault = await import('../src/utils/cryptoVault');
+      const vaultBackup = await import('../src/utils/vaultBackup');
+      const didManager = await import('../src/utils/didManager');
+      await vault.unlockVault('violet canyon ferry ninety two');
+
+      const backup = await vaultBackup.readVaultBackup(backupText, BACKUP_PASSPHRASE);
+      expect(await vaultBackup.importVaultBackup(backup, 'merge')).toEqual({ credentials: 2, did: true, documents: 1 });
+
+      expect(await vaultCredentials(vault)).toEqual({
+        'vc-1': credential('vc-1', 'Diploma'),
+        'vc-2': credential('vc-2', 'Passport')
+      });
+      expect(await didManager.exportDid()).toEqual(did);
+      expect(getLocalMetadata()).toEqual([document('doc-1', 'diploma.pdf')]);
+      vault.lockVault();
+    } finally {
+      globalThis.indexedDB = originalIndexedDB;
+      storage.clear();
+      originalStorage.forEach((value, key) => storage.set(key, value));
+    }
+  });
+
+  describe('conflicts', () => {
+    let backup;
+    let localDid;
+
+    beforeAll(async () => {
+      backup = await readVaultBackup(backupText, BACKUP_PASSPHRASE);
+
+      // Changed here since the backup was made
+      await unlockVault(PASSPHRASE);
+      await storeVC('vc-1', credential('vc-1', 'Diploma (renewed)'));
+      await storeVC('vc-3', credential('vc-3', 'License'));
+      localDid = await generateDidKey();
+      await storeDid(localDid.did, localDid.privateKey);
+      putLocalMetadata(document('doc-1', 'diploma-renewed.pdf'));
+      lockVault();
+    });
+
+    it('should list what the backup would change', async () => {
+      expect(await planVaultImport(backup)).toEqual({
+        credentials: { added: [], unchanged: ['vc-2'], conflicts: ['vc-1'] },
+        did: 'conflict',
+        documents: { added: [], unchanged: [], conflicts: ['doc-1'] }
+      });
+    });
+
+    it('should keep the local version of conflicting entries when merging', async () => {
+      expect(await importVaultBackup(backup, 'merge')).toEqual({ credentials: 0, did: false, documents: 0 });
+
+      expect((await vaultCredentials())['vc-1']).toEqual(credential('vc-1', 'Diploma (renewed)'));
+      expect(await exportDid()).toEqual(localDid);
+      expect(getLocalMetadata()).toEqual([document('doc-1', 'diploma-renewed.pdf')]);
+    });
+
+    it('should take the backup version of conflicting entries when replacing', async () => {
+      expect(await importVaultBackup(backup, 'replace')).toEqual({ credentials: 1, did: true, documents: 1 });
+
+      expect(await vaultCredentials()).toEqual({
+        'vc-1': credential('vc-1', 'Diploma'),
+        'vc-2': credential('vc-2', 'Passport'),
+        // Entries missing from the backup are never deleted
+        'vc-3': credential('vc-3', 'License')
+      });
+      expect(await exportDid()).toEqual(did);
+      expect(getLocalMetadata()).toEqual([document('doc-1', 'diploma.pdf')]);
+    });
+
+    it('should reject an unknown import mode', async () => {
+      await expect(importVaultBackup(backup, 'overwrite')).rejects.toThrow('Unknown import mode: overwrite');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// @vitest-environment node
+// WebCrypto rejects ArrayBuffers created inside jsdom, and the DID key is imported from bytes
+
+/**
+ * Vault Recovery Tests
+ * Tests Shamir secret sharing and vault recovery in place and in a browser without the vault
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { splitSecret, combineShares } from '../src/lib/shamir';
+import {
+  unlockVault,
+  lockVault,
+  storeVC,
+  storeSigningKey,
+  getRecoverySetup
+} from '../src/utils/cryptoVault';
+import {
+  setUpVaultRecovery,
+  parseShare,
+  encryptShareFile,
+  decryptShareFile,
+  exportRecoveryKitFile,
+  parseRecoveryKit,
+  recoverVaultFromShares
+} from '../src/utils/vaultRecovery';
+
+const PASSPHRASE = 'quiet harbor lantern seventeen';
+const NEW_PASSPHRASE = 'violet canyon ferry ninety two';
+const DID = 'did:key:z6MkrecoveryTestHolder';
+
+// Browser globals the vault uses
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+globalThis.window = globalThis;
+
+describe('Shamir secret sharing', () => {
+  const secret = crypto.getRandomValues(new Uint8Array(32));
+
+  it('should recover the secret from any threshold of shares', () => {
+    const shares = splitSecret(secret, 5, 3);
+    expect(shares).toHaveLength(5);
+
+    expect(combineShares([shares[0], shares[1], shares[2]])).toEqual(secret);
+    expect(combineShares([shares[4], shares[1], shares[3]])).toEqual(secret);
+    expect(combineShares(shares)).toEqual(secret);
+  });
+
+  it('should not recover the secret from fewer shares than the threshold', () => {
+    const shares = splitSecret(secret, 5, 3);
+    expect(combineShares([shares[0], shares[1]])).not.toEqual(secret);
+  });
+
+  it('should reject repeated shares and invalid counts', () => {
+    const shares = splitSecret(secret, 3, 2);
+    expect(() => combineShares([shares[0], shares[0]])).toThrow('same share');
+    expect(() => splitSecret(secret, 3, 4)).toThrow();
+    expect(() => splitSecret(secret, 1, 1)).toThrow();
+    expect(() => splitSecret(secret, 256, 2)).toThrow();
+  });
+});
+
+describe('Vault recovery', () => {
+  let shares;
+  let kitText;
+
+  beforeAll(async () => {
+    await unlockVault(PASSPHRASE);
+    await storeVC('vc-1', { id: 'urn:uuid:vc-1', type: ['VerifiableCredential'] });
+
+    const { privateKey } = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const pkcs8 = new Uint8Array(await crypto.subtle.exportKey('pkcs8', privateKey));
+    await storeSigningKey(DID, Array.from(pkcs8, byte => byte.toString(16).padStart(2, '0')).join(''));
+    lockVault();
+
+    ({ shares } = await setUpVaultRecovery(PASSPHRASE, 3, 2));
+    kitText = await (await exportRecoveryKitFile()).text();
+  });
+
+  afterEach(() => {
+    lockVault();
+  });
+
+  it('should record the recovery setup', async () => {
+    expect(shares).toHaveLength(3);
+    expect(parseShare(shares[0]).threshold).toBe(2);
+
+    const setup = await getRecoverySetup();
+    expect(setup).toMatchObject({ shareCount: 3, threshold: 2, setId: parseShare(shares[0]).setId });
+  });
+
+  it('should round-trip a share through an encrypted share file', async () => {
+    const fileText = await (await encryptShareFile(shares[1], 'share passphrase')).text();
+    expect(fileText).not.toContain(shares[1]);
+
+    expect(await decryptShareFile(fileText, 'share passphrase')).toBe(shares[1]);
+    await expect(decryptShareFile(fileText, 'wrong passphrase')).rejects.toThrow('Wrong share passphrase');
+  });
+
+  it('should reject too few shares', async () => {
+    await expect(recoverVaultFromShares([shares[0]], null, NEW_PASSPHRASE)).rejects.toThrow('2 shares are needed');
+  });
+
+  it('should restore the vault in a browser without it', async () => {
+    const originalIndexedDB = globalThis.indexedDB;
+    globalThis.indexedDB = new IDBFactory();
+    localStorage.clear();
+    vi.resetModules();
+
+    try {
+      const vault = await import('../src/utils/cryptoVault');
+      const recovery = await import('../src/utils/vaultRecovery');
+
+      await expect(recovery.recoverVaultFromShares([shares[0], shares[2]], null, NEW_PASSPHRASE))
+        .rejects.toThrow('Choose the recovery kit');
+
+      const result = await recovery.recoverVaultFromShares(
+        [shares[0], shares[2]],
+        recovery.parseRecoveryKit(kitText),
+        NEW_PASSPHRASE
+      );
+      expect(result).toEqual({ credentials: 1, did: DID });
+      expect(localStorage.getItem('did_vault_did')).toBe(DID);
+
+      vault.lockVault();
+      await vault.unlockVault(NEW_PASSPHRASE);
+      expect((await vault.retrieveVCs()).map(vc => vc._metadata.vcId)).toEqual(['vc-1']);
+
+      const { privateKey } = await vault.loadSigningKey();
+      expect(privateKey.algorithm.name).toBe('Ed25519');
+
+      // Shares belong to the old master key
+      expect(await vault.getRecoverySetup()).toBeNull();
+      vault.lockVault();
+    } finally {
+      globalThis.indexedDB = originalIndexedDB;
+    }
+  });
+
+  it('should recover the vault in place after a forgotten passphrase', async () => {
+    const result = await recoverVaultFromShares([shares[1], shares[2]], null, NEW_PASSPHRASE);
+    expect(result.credentials).toBe(1);
+
+    lockVault();
+    await expect(unlockVault(PASSPHRASE)).rejects.toThrow('Wrong passphrase');
+    await unlockVault(NEW_PASSPHRASE);
+    expect(await getRecoverySetup()).toBeNull();
+  });
+
+  it('should reject shares of an earlier setup', async () => {
+    await expect(recoverVaultFromShares([shares[0], shares[1]], null, PASSPHRASE))
+      .rejects.toThrow('do not match the vault in this browser');
+  });
+
+  it('should reject a kit from another setup', async () => {
+    const { shares: newShares } = await setUpVaultRecovery(NEW_PASSPHRASE, 2, 2);
+    await expect(recoverVaultFromShares(newShares, parseRecoveryKit(kitText), PASSPHRASE))
+      .rejects.toThrow('different recovery setup');
+    await expect(recoverVaultFromShares([shares[0], newShares[1]], null, PASSPHRASE))
+      .rejects.toThrow('different recovery setups');
+  });
+});
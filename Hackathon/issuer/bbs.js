@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const jsigs = require('jsonld-signatures');
+const { SecretBox } = require('@veramo/kms-local');
+const credentialsContext = require('@digitalbazaar/credentials-context');
+const multikeyContext = require('@digitalbazaar/multikey-context');
+const statusListContext = require('@digitalbazaar/vc-status-list-context');
+
+// BBS credentials (W3C Data Integrity, cryptosuite bbs-2023) for index.js POST /issue and POST /verify
+// The issuer signs once with a BLS12-381 key; the holder derives a fresh zero-knowledge proof for every
+// presentation that reveals only the chosen claims, so two presentations can't be linked by their proofs
+// Works offline: JSON-LD contexts come from bundled npm packages and nothing else is ever fetched
+// The issuer DID document can't carry the BLS12-381 public key, so index.js publishes it (GET /bbs/key)
+// for verifiers other than this service
+
+const { AssertionProofPurpose } = jsigs.purposes;
+
+const CREDENTIALS_V2_URL = 'https://www.w3.org/ns/credentials/v2';
+const UNDEFINED_TERMS_V2_URL = 'https://www.w3.org/ns/credentials/undefined-terms/v2';
+
+// Contexts of every BBS credential: VC 2.0, StatusList2021 entries, and @vocab for the document claims
+const CREDENTIAL_CONTEXTS = [CREDENTIALS_V2_URL, statusListContext.CONTEXT_URL_V1, UNDEFINED_TERMS_V2_URL];
+
+// Always disclosed: verifiers need the issuer, and the status entries to check revocation
+const MANDATORY_POINTERS = ['/issuer', '/credentialStatus'];
+
+const BBS_KEY_PATH = process.env.VERAMO_BBS_KEY_PATH || path.join(__dirname, 'data', 'veramo-bbs-key.json');
+
+const CONTEXTS = new Map([
+  ...credentialsContext.contexts,
+  ...multikeyContext.contexts,
+  ...statusListContext.contexts
+]);
+
+let suitesPromise = null;
+let issuerKey = null;
+let keyCreation = null; // { issuerDid, promise } while the key is being loaded or created for issuing
+
+// The cryptosuite packages are ES modules, imported once however many requests ask for them at a time
+function loadSuites() {
+  if (!suitesPromise) {
+    suitesPromise = Promise.all([
+      import('@digitalbazaar/bbs-2023-cryptosuite'),
+      import('@digitalbazaar/bls12-381-multikey'),
+      import('@digitalbazaar/data-integrity')
+    ]).then(([bbs2023, bls12381Multikey, { DataIntegrityProof }]) => ({ bbs2023, bls12381Multikey, DataIntegrityProof }));
+  }
+  return suitesPromise;
+}
+
+// JSON-LD document loader restricted to the bundled contexts (plus extra documents, e.g. the issuer key)
+function createDocumentLoader(documents = new Map()) {
+  return async (url) => {
+    const document = CONTEXTS.get(url) || documents.get(url);
+    if (!document) {
+      throw new Error(`Document not available offline: ${url}`);
+    }
+    return { contextUrl: null, documentUrl: url, document };
+  };
+}
+
+// Helper function to get the issuer's BLS12-381 key; the secret key is encrypted with KMS_SECRET_KEY
+// The key is tied to the issuer DID it was created for. It is only created when issuing (create: true),
+// never replaced: a key file for another issuer DID is an error, since credentials signed with it
+// would stop verifying. Returns null if there is no key and create is false
+// Concurrent first issuances share one creation, so they can't race each other to the key file
+async function getIssuerKey(issuerDid, { create = false } = {}) {
+  if (issuerKey?.controller === issuerDid) {
+    return issuerKey;
+  }
+
+  if (keyCreation?.issuerDid === issuerDid) {
+    return keyCreation.promise;
+  }
+
+  if (!create) {
+    return loadIssuerKey(issuerDid, { create: false });
+  }
+
+  const promise = loadIssuerKey(issuerDid, { create: true });
+  keyCreation = { issuerDid, promise };
+  try {
+    return await promise;
+  } finally {
+    if (keyCreation?.promise === promise) {
+      keyCreation = null;
+    }
+  }
+}
+
+// Helper function to read the issuer's key file, or create it (see getIssuerKey)
+async function loadIssuerKey(issuerDid, { create }) {
+  const { bls12381Multikey } = await loadSuites();
+  const secretBox = new SecretBox(process.env.KMS_SECRET_KEY);
+
+  let stored = null;
+  try {
+    stored = JSON.parse(fs.readFileSync(BBS_KEY_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read BBS key at ${BBS_KEY_PATH}: ${error.message}`);
+    }
+  }
+
+  if (stored) {
+    if (stored.controller !== issuerDid) {
+      throw new Error(
+        `BBS key at ${BBS_KEY_PATH} belongs to ${stored.controller}, not the issuer DID ${issuerDid}. ` +
+        'Restore the matching issuer DID, or move the key file away to start a new BBS key'
+      );
+    }
+
+    issuerKey = await bls12381Multikey.from({
+      ...stored,
+      secretKeyMultibase: await secretBox.decrypt(stored.secretKeyMultibase)
+    });
+    return issuerKey;
+  }
+
+  if (!create) {
+    return null;
+  }
+
+  const key = await bls12381Multikey.generateBbsKeyPair({
+    algorithm: bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256,
+    id: verificationMethodId(issuerDid),
+    controller: issuerDid
+  });
+
+  // wx: never overwrite a key file, even one written since it was read above
+  const exported = await key.export({ publicKey: true, secretKey: true, includeContext: true });
+  fs.mkdirSync(path.dirname(BBS_KEY_PATH), { recursive: true });
+  fs.writeFileSync(BBS_KEY_PATH, JSON.stringify({
+    ...exported,
+    secretKeyMultibase: await secretBox.encrypt(exported.secretKeyMultibase)
+  }, null, 2), { mode: 0o600, flag: 'wx' });
+
+  issuerKey = key;
+  return issuerKey;
+}
+
+// did:key and did:ethr documents can't carry a BLS12-381 key, so it hangs off the issuer DID as a fragment
+function verificationMethodId(issuerDid) {
+  return `${issuerDid}#bbs-2023`;
+}
+
+// Public Multikey verification method of the issuer's BBS key; null if there is no key yet
+async function getVerificationMethod(issuerDid) {
+  const key = await getIssuerKey(issuerDid);
+  return key && key.export({ publicKey: true, includeContext: true });
+}
+
+// Sign a credential with a bbs-2023 base proof (the holder derives presentations from it)
+// The credential must use CREDENTIAL_CONTEXTS and its issuer must be the issuer DID as a string
+async function issueBbsCredential(credential) {
+  const { bbs2023, DataIntegrityProof } = await loadSuites();
+  const key = await getIssuerKey(credential.issuer, { create: true });
+
+  return jsigs.sign(credential, {
+    suite: new DataIntegrityProof({
+      signer: key.signer(),
+      cryptosuite: bbs2023.createSignCryptosuite({ mandatoryPointers: MANDATORY_POINTERS })
+    }),
+    purpose: new AssertionProofPurpose(),
+    documentLoader: createDocumentLoader()
+  });
+}
+
+// Verify a derived bbs-2023 credential issued by issuerDid
+// The holder binds the derived proof to a verifier session through its presentation header,
+// JSON { challenge, domain }; the caller checks it against its sessions
+// Returns { valid: true, presentationHeader } or { valid: false, reason, details }
+async function verifyBbsPresentation(document, { issuerDid }) {
+  const fail = (reason, details) => ({ valid: false, reason, details });
+
+  if (document.issuer !== issuerDid) {
+    return fail('BBS credentials are only accepted from this issuer');
+  }
+
+  const { bbs2023, DataIntegrityProof } = await loadSuites();
+  const verificationMethod = await getVerificationMethod(issuerDid);
+  if (!verificationMethod) {
+    return fail('Invalid credential proof', 'This issuer has no BBS key, so it never issued a BBS credential');
+  }
+  const cryptosuite = bbs2023.createVerifyCryptosuite();
+
+  let result;
+  try {
+    result = await jsigs.verify(document, {
+      suite: new DataIntegrityProof({ cryptosuite }),
+      purpose: new AssertionProofPurpose({
+        controller: { id: issuerDid, assertionMethod: [verificationMethod.id] }
+      }),
+      documentLoader: createDocumentLoader(new Map([[verificationMethod.id, verificationMethod]]))
+    });
+  } catch (error) {
+    return fail('Invalid credential proof', error.message);
+  }
+
+  if (!result.verified) {
+    return fail('Invalid credential proof', result.error?.message);
+  }
+
+  let presentationHeader;
+  try {
+    presentationHeader = JSON.parse(Buffer.from(cryptosuite.results.lastParsedProof.presentationHeader).toString());
+  } catch {
+    presentationHeader = {};
+  }
+
+  return { valid: true, presentationHeader };
+}
+
+module.exports = {
+  CREDENTIAL_CONTEXTS,
+  issueBbsCredential,
+  verifyBbsPresentation,
+  getVerificationMethod
+};
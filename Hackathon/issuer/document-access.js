@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Access grants for GET /retrieve/:key (index.js)
+// A holder earns a grant by presenting, bound to a verifier challenge, a credential from this
+// issuer whose storageKey claim names the object. The grant is a short-lived bearer token for
+// that one object, reusable until it expires so a download can be resumed with Range requests
+// POST /issue signs whatever claims it is sent, so a storageKey claim alone proves nothing: the
+// holder must also be the DID that uploaded the object, recorded here at upload time
+// Uploaders prove their DID the same way (a presentation bound to a verifier challenge) in exchange
+// for an uploader token, so nobody can upload in another DID's name
+
+const UPLOADERS_PATH = process.env.DOCUMENT_UPLOADERS_PATH || path.join(__dirname, 'data', 'document-uploaders.json');
+
+// In-memory grants (TTL: 10 minutes), keyed by the access token
+const GRANT_TTL = 10 * 60 * 1000;
+const grants = new Map();
+
+// In-memory uploader tokens (TTL: 1 hour), keyed by the token; clients sign in again after a restart
+const UPLOADER_TOKEN_TTL = 60 * 60 * 1000;
+const uploaderTokens = new Map();
+
+// Forget expired grants and tokens (runs periodically, without keeping the process alive)
+setInterval(() => {
+  const now = Date.now();
+  for (const tokens of [grants, uploaderTokens]) {
+    for (const [token, entry] of tokens.entries()) {
+      if (entry.expiresAt < now) {
+        tokens.delete(token);
+      }
+    }
+  }
+}, 60 * 1000).unref();
+
+// Uploader DID of every stored object, keyed by storage key
+let uploaders = null;
+
+function loadUploaders() {
+  if (uploaders) {
+    return uploaders;
+  }
+
+  try {
+    uploaders = JSON.parse(fs.readFileSync(UPLOADERS_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read document uploaders at ${UPLOADERS_PATH}: ${error.message}`);
+    }
+    uploaders = {};
+  }
+  return uploaders;
+}
+
+// Record the DID that uploaded an object (written to a temp file first, like the status list)
+// Returns false if the object already belongs to another DID: content-addressed keys (IPFS CIDs)
+// repeat when the same bytes are uploaded again, and the first uploader keeps the object
+function recordUploader(storageKey, did) {
+  const current = loadUploaders();
+  if (Object.prototype.hasOwnProperty.call(current, storageKey)) {
+    return current[storageKey] === did;
+  }
+  current[storageKey] = did;
+
+  fs.mkdirSync(path.dirname(UPLOADERS_PATH), { recursive: true });
+  const tmpPath = `${UPLOADERS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(current, null, 2));
+  fs.renameSync(tmpPath, UPLOADERS_PATH);
+  return true;
+}
+
+// The DID that uploaded an object; null for unknown objects
+function getUploader(storageKey) {
+  const current = loadUploaders();
+  return Object.prototype.hasOwnProperty.call(current, storageKey) ? current[storageKey] : null;
+}
+
+// Grant access to one stored object
+function createGrant(storageKey, holder) {
+  const accessToken = crypto.randomBytes(32).toString('base64url');
+  grants.set(accessToken, {
+    storageKey,
+    holder,
+    expiresAt: Date.now() + GRANT_TTL
+  });
+
+  return { accessToken, tokenType: 'Bearer', expiresIn: GRANT_TTL / 1000 };
+}
+
+// Look up the grant of a token for an object; null if it is unknown, expired, or for another object
+function checkGrant(accessToken, storageKey) {
+  const grant = accessToken && grants.get(accessToken);
+  if (!grant || grant.expiresAt < Date.now()) {
+    grants.delete(accessToken);
+    return null;
+  }
+  return grant.storageKey === storageKey ? grant : null;
+}
+
+// Issue a token for uploading files as a DID that has just been proved
+function createUploaderToken(did) {
+  const uploadToken = crypto.randomBytes(32).toString('base64url');
+  uploaderTokens.set(uploadToken, {
+    did,
+    expiresAt: Date.now() + UPLOADER_TOKEN_TTL
+  });
+
+  return { uploadToken, tokenType: 'Bearer', expiresIn: UPLOADER_TOKEN_TTL / 1000 };
+}
+
+// The DID an uploader token was issued to; null if it is unknown or expired
+function getUploaderDid(uploadToken) {
+  const entry = uploadToken && uploaderTokens.get(uploadToken);
+  if (!entry || entry.expiresAt < Date.now()) {
+    uploaderTokens.delete(uploadToken);
+    return null;
+  }
+  return entry.did;
+}
+
+module.exports = {
+  recordUploader,
+  getUploader,
+  createGrant,
+  checkGrant,
+  createUploaderToken,
+  getUploaderDid
+};
@@ -1,18 +1,26 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream');
 const { ethers } = require('ethers');
 require('dotenv').config();
-const { initializeIssuerDid, agent, getIssuerDid } = require('./veramo-agent');
+const { initializeIssuerDid, agent, getIssuerDid, getIssuerKeyRef, createIssuerCredential } = require('./veramo-agent');
+const statusService = require('./status-service');
+const verifierSessions = require('./verifier-sessions');
+const presentationExchange = require('./presentation-exchange');
+const sdJwt = require('./sd-jwt');
+const bbs = require('./bbs');
+const multipartUploads = require('./multipart-uploads');
+const storageProviders = require('./storage-providers');
+const documentAccess = require('./document-access');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Configure multer for in-memory file uploads
+// Configure multer for in-memory file uploads (small files; larger ones use /upload/multipart)
 const upload = multer({ 
   storage: multer.memoryStorage(),
   limits: {
@@ -20,17 +28,9 @@ const upload = multer({
   }
 });
 
-// Configure S3Client for Cloudflare R2
-// TODO: Production improvement - Consider using pre-signed URLs for direct client-to-R2 uploads
-// This would reduce server load and improve upload performance
-const r2Client = new S3Client({
-  region: 'auto',
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY
-  }
-});
+// File storage chosen by STORAGE_PROVIDER: r2 (default), ipfs, local or memory (see storage-providers.js)
+// With R2, clients upload straight to the bucket through pre-signed multipart URLs (see multipart-uploads.js)
+const storage = storageProviders.createStorageProvider();
 
 // Middleware
 app.use(cors());
@@ -41,8 +41,36 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'did-vault-issuer' });
 });
 
-// POST /upload - Upload encrypted file to Cloudflare R2
-app.post('/upload', upload.single('file'), async (req, res, next) => {
+// POST /upload/auth - Exchange a presentation for an uploader token
+// Body: { vp } - JWT presentation without credentials, signed by the uploader's DID and bound to a
+// challenge from POST /verify/challenge
+// Returns { uploadToken, tokenType, expiresIn }; files uploaded with the token belong to that DID,
+// the only one that can later be granted access to them
+app.post('/upload/auth', async (req, res) => {
+  try {
+    const proof = await checkHolderProof(req.body.vp);
+    if (!proof.holder) {
+      return res.status(proof.status || 403).json({
+        error: 'Presentation not accepted',
+        reason: proof.reason
+      });
+    }
+
+    res.status(200).json(documentAccess.createUploaderToken(proof.holder));
+  } catch (error) {
+    console.error('Upload auth error:', error);
+    res.status(500).json({
+      error: 'Uploader authentication failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /upload - Upload an encrypted file to the storage provider in one request
+// Header: Authorization: Bearer <uploadToken> from POST /upload/auth
+// Form field: file
+// storageKey in the response is the key to retrieve it with (the CID with the ipfs provider)
+app.post('/upload', requireUploader, upload.single('file'), async (req, res, next) => {
   try {
     // Validate file was provided
     if (!req.file) {
@@ -52,78 +80,365 @@ app.post('/upload', upload.single('file'), async (req, res, next) => {
     // Generate unique storage key for the file
     const fileExtension = req.file.originalname.split('.').pop();
     const storageKey = `${crypto.randomUUID()}.${fileExtension}`;
-    
-    // Prepare upload parameters
-    const uploadParams = {
-      Bucket: process.env.R2_BUCKET_NAME,
-      Key: storageKey,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-      Metadata: {
+
+    const stored = await storage.put(storageKey, req.file.buffer, {
+      contentType: req.file.mimetype,
+      metadata: {
         originalName: req.file.originalname,
         uploadTimestamp: new Date().toISOString()
       }
-    };
-
-    // Upload to R2
-    const command = new PutObjectCommand(uploadParams);
-    await r2Client.send(command);
+    });
+    // The stored bytes are left in place: under a content-addressed key they are the owner's file too
+    if (!documentAccess.recordUploader(stored.key, req.uploaderDid)) {
+      return res.status(409).json({ error: 'This file was uploaded by another DID' });
+    }
 
     // Return success response with storage key and metadata
     res.status(200).json({
-      storageKey,
-      bucket: process.env.R2_BUCKET_NAME,
+      storageKey: stored.key,
+      storageProvider: storage.name,
+      bucket: storage.bucket,
+      url: stored.url,
       timestamp: new Date().toISOString(),
       size: req.file.size,
       originalName: req.file.originalname
     });
 
   } catch (error) {
-    console.error('R2 upload error:', error);
-    
-    // Handle specific R2/S3 errors
-    if (error.name === 'NoSuchBucket') {
-      return res.status(500).json({ 
-        error: 'R2 bucket not found. Please check R2_BUCKET_NAME configuration.' 
+    console.error('Storage upload error:', error);
+    sendStorageError(res, error);
+  }
+});
+
+// POST /upload/multipart - Start a resumable upload straight to R2
+// Header: Authorization: Bearer <uploadToken> (as for POST /upload, and on every route below)
+// Body: { fileName, size, contentType }
+// Returns the part layout; the client asks for a pre-signed URL per part
+// Other storage providers answer 501: clients then send the file to POST /upload
+app.post('/upload/multipart', requireUploader, async (req, res) => {
+  const { fileName, size, contentType } = req.body;
+
+  if (!storage.client) {
+    return res.status(501).json({
+      error: `Resumable uploads need the r2 storage provider (this service uses ${storage.name}). Use POST /upload`
+    });
+  }
+
+  if (!fileName || typeof fileName !== 'string' || fileName.length > 255) {
+    return res.status(400).json({ error: 'fileName is required (at most 255 characters)' });
+  }
+  if (!Number.isInteger(size) || size < 1 || size > multipartUploads.MAX_UPLOAD_SIZE) {
+    return res.status(400).json({
+      error: `size must be between 1 and ${multipartUploads.MAX_UPLOAD_SIZE} bytes`
+    });
+  }
+  if (contentType !== undefined && typeof contentType !== 'string') {
+    return res.status(400).json({ error: 'contentType must be a string' });
+  }
+
+  try {
+    const multipartUpload = await multipartUploads.createUpload(storage.client, {
+      fileName,
+      size,
+      contentType,
+      uploaderDid: req.uploaderDid
+    });
+    documentAccess.recordUploader(multipartUpload.storageKey, req.uploaderDid);
+    res.json(multipartUpload);
+  } catch (error) {
+    console.error('R2 multipart start error:', error);
+    sendStorageError(res, error);
+  }
+});
+
+// GET /upload/multipart/:uploadId - Part layout and the parts R2 has received (to resume)
+app.get('/upload/multipart/:uploadId', requireUploader, requireMultipartUpload, async (req, res) => {
+  try {
+    const parts = await multipartUploads.listUploadedParts(storage.client, req.params.uploadId);
+    res.json({
+      uploadId: req.params.uploadId,
+      storageKey: req.multipartUpload.storageKey,
+      size: req.multipartUpload.size,
+      partSize: req.multipartUpload.partSize,
+      partCount: req.multipartUpload.partCount,
+      uploadedParts: parts.map(({ partNumber, size }) => ({ partNumber, size }))
+    });
+  } catch (error) {
+    console.error('R2 list parts error:', error);
+    sendStorageError(res, error);
+  }
+});
+
+// POST /upload/multipart/:uploadId/parts/:partNumber - Pre-sign the PUT request for one part
+app.post('/upload/multipart/:uploadId/parts/:partNumber', requireUploader, requireMultipartUpload, async (req, res) => {
+  const partNumber = Number(req.params.partNumber);
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > req.multipartUpload.partCount) {
+    return res.status(400).json({ error: `partNumber must be between 1 and ${req.multipartUpload.partCount}` });
+  }
+
+  try {
+    const url = await multipartUploads.presignPartUrl(storage.client, req.params.uploadId, partNumber);
+    res.json({ url, partNumber });
+  } catch (error) {
+    console.error('R2 pre-sign error:', error);
+    sendStorageError(res, error);
+  }
+});
+
+// POST /upload/multipart/:uploadId/complete - Assemble the file once every part has arrived
+app.post('/upload/multipart/:uploadId/complete', requireUploader, requireMultipartUpload, async (req, res) => {
+  try {
+    const parts = await multipartUploads.listUploadedParts(storage.client, req.params.uploadId);
+    const problem = multipartUploads.findIncompleteParts(req.multipartUpload, parts);
+    if (problem) {
+      return res.status(400).json({ error: `Upload is incomplete. ${problem}` });
+    }
+
+    res.json(await multipartUploads.completeUpload(storage.client, req.params.uploadId, parts));
+  } catch (error) {
+    console.error('R2 multipart complete error:', error);
+    sendStorageError(res, error);
+  }
+});
+
+// DELETE /upload/multipart/:uploadId - Abort an upload and discard its parts
+app.delete('/upload/multipart/:uploadId', requireUploader, requireMultipartUpload, async (req, res) => {
+  try {
+    await multipartUploads.abortUpload(storage.client, req.params.uploadId);
+    res.json({ aborted: true });
+  } catch (error) {
+    console.error('R2 multipart abort error:', error);
+    sendStorageError(res, error);
+  }
+});
+
+// POST /retrieve/:key/access - Exchange a presentation for an access token to one stored file
+// Body: { vp } - presentation bound to a challenge from POST /verify/challenge (JWT VP or SD-JWT)
+// of a credential from this issuer whose storageKey claim is :key, by the DID that uploaded the file
+// Derived BBS credentials have no holder, so they can't show who is asking and never grant access
+// Returns { accessToken, tokenType, expiresIn } for GET /retrieve/:key
+app.post('/retrieve/:key/access', async (req, res) => {
+  try {
+    const { status, body, credentials = [] } = await checkPresentation(req.body.vp);
+
+    if (!body.verified) {
+      return res.status(status === 200 ? 403 : status).json({
+        error: body.error || 'Presentation not accepted',
+        reason: body.reason
       });
     }
-    
-    if (error.name === 'InvalidAccessKeyId' || error.name === 'SignatureDoesNotMatch') {
-      return res.status(500).json({ 
-        error: 'R2 authentication failed. Please check R2 credentials.' 
+
+    // Any issuer's credential may verify, but only ours vouch for what is in our bucket
+    const issuerDid = getIssuerDid();
+    const ownsFile = credentials.some(credential =>
+      credential.issuer === issuerDid && credential.claims.storageKey === req.params.key
+    );
+    if (!ownsFile) {
+      return res.status(403).json({
+        error: 'The presented credential does not grant access to this file'
       });
     }
-    
-    // Generic error response (don't expose internal details)
-    res.status(500).json({ 
-      error: 'File upload failed',
+
+    // Anyone can have a credential issued naming any storage key; only the uploader's own DID opens the file
+    if (!body.holder || body.holder !== documentAccess.getUploader(req.params.key)) {
+      return res.status(403).json({
+        error: 'Only the DID that uploaded this file can retrieve it'
+      });
+    }
+
+    res.status(200).json(documentAccess.createGrant(req.params.key, body.holder));
+  } catch (error) {
+    console.error('Retrieve access error:', error);
+    res.status(500).json({
+      error: 'Access check failed',
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// Helper function to load revocation registry
-function loadRevocationRegistry() {
+// GET /retrieve/:key - Download a stored (encrypted) file, streamed from R2
+// Header: Authorization: Bearer <accessToken> from POST /retrieve/:key/access
+// Supports a single byte range (Range, If-Range: 206/416) and revalidation by ETag (If-None-Match: 304)
+app.get('/retrieve/:key', async (req, res) => {
+  const storageKey = req.params.key;
+  const accessToken = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!documentAccess.checkGrant(accessToken, storageKey)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Missing or expired access token for this file' });
+  }
+
+  // Browsers only let the client read response headers that CORS exposes
+  res.set({
+    'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Length, Content-Range, ETag, Last-Modified',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-cache'
+  });
+
   try {
-    const revokePath = path.join(__dirname, 'revoke.json');
-    const data = fs.readFileSync(revokePath, 'utf8');
-    return JSON.parse(data);
+    let range = parseRange(req.get('Range'));
+
+    // If-Range: the range only applies if the client's partial copy is of the current file
+    const ifRange = req.get('If-Range');
+    if (range && ifRange) {
+      const head = await storage.head(storageKey);
+      const current = /^(W\/)?"/.test(ifRange)
+        ? ifRange === head?.etag
+        // HTTP dates have whole seconds; a file's modification time may not
+        : Date.parse(ifRange) === Math.floor((head?.lastModified?.getTime() ?? NaN) / 1000) * 1000;
+      if (!current) {
+        range = undefined;
+      }
+    }
+
+    const file = await storage.get(storageKey, { range, ifNoneMatch: req.get('If-None-Match') });
+
+    res.status(file.contentRange ? 206 : 200);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.contentLength,
+      ETag: file.etag,
+      ...(file.contentRange && { 'Content-Range': file.contentRange }),
+      ...(file.lastModified && { 'Last-Modified': file.lastModified.toUTCString() })
+    });
+
+    if (req.method === 'HEAD') {
+      file.body.destroy();
+      return res.end();
+    }
+
+    // Bytes pass through without being buffered; a failure mid-stream aborts the response
+    pipeline(file.body, res, (error) => {
+      if (error) {
+        console.error('Storage retrieve stream error:', error.message);
+      }
+    });
   } catch (error) {
-    console.error('Error loading revocation registry:', error);
-    // Return empty registry if file doesn't exist or is invalid
-    return { revokedCredentials: [], lastUpdated: new Date().toISOString() };
+    if (error.code === storageProviders.STORAGE_ERROR_CODES.NOT_MODIFIED) {
+      return res.status(304).end();
+    }
+
+    if (error.code === storageProviders.STORAGE_ERROR_CODES.INVALID_RANGE) {
+      if (error.size !== undefined) {
+        res.set('Content-Range', `bytes */${error.size}`);
+      }
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    console.error('Storage retrieve error:', error);
+    sendStorageError(res, error, 'File retrieval failed');
+  }
+});
+
+// Helper function to validate a Range header
+// Only a single byte range is passed on to storage; anything else is ignored and the whole file is sent
+function parseRange(header) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return undefined;
+  }
+  if (match[1] !== '' && match[2] !== '' && Number(match[2]) < Number(match[1])) {
+    return undefined;
+  }
+  return header;
+}
+
+// Helper function to require an uploader token (POST /upload/auth) and set req.uploaderDid
+function requireUploader(req, res, next) {
+  const uploadToken = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const uploaderDid = documentAccess.getUploaderDid(uploadToken);
+  if (!uploaderDid) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'A valid uploader token is required (POST /upload/auth)' });
+  }
+  req.uploaderDid = uploaderDid;
+  next();
+}
+
+// Helper function to load the multipart upload session named in the path
+// Other DIDs' sessions are answered like unknown ones
+function requireMultipartUpload(req, res, next) {
+  const upload = multipartUploads.getUpload(req.params.uploadId);
+  if (!upload || upload.uploaderDid !== req.uploaderDid) {
+    return res.status(404).json({ error: 'Upload not found or expired' });
+  }
+  req.multipartUpload = upload;
+  next();
+}
+
+// Helper function to answer storage errors without exposing internal details
+// The S3 error names come from the r2 provider
+function sendStorageError(res, error, failure = 'File upload failed') {
+  if (error.code === storageProviders.STORAGE_ERROR_CODES.NOT_FOUND) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  if (error.code === storageProviders.STORAGE_ERROR_CODES.INVALID_KEY) {
+    return res.status(400).json({ error: 'Invalid storage key' });
+  }
+
+  if (error.name === 'NoSuchBucket') {
+    return res.status(500).json({ 
+      error: 'R2 bucket not found. Please check R2_BUCKET_NAME configuration.' 
+    });
+  }
+  
+  if (error.name === 'InvalidAccessKeyId' || error.name === 'SignatureDoesNotMatch') {
+    return res.status(500).json({ 
+      error: 'R2 authentication failed. Please check R2 credentials.' 
+    });
+  }
+
+  if (error.name === 'NoSuchUpload') {
+    return res.status(404).json({ error: 'Upload not found or expired' });
   }
+  
+  // Generic error response (don't expose internal details)
+  res.status(500).json({ 
+    error: failure,
+    message: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
 }
 
-// Helper function to check if a credential is revoked
-function isCredentialRevoked(credentialId, revocationRegistry) {
-  return revocationRegistry.revokedCredentials.includes(credentialId);
+// Credential formats /issue can sign
+const PROOF_FORMATS = ['jwt', 'sd-jwt', 'bbs'];
+
+// DID resolution through the Veramo agent, in the shape did-jwt expects
+const agentResolver = {
+  resolve: (didUrl) => agent.resolveDid({ didUrl })
+};
+
+// Helper function to sign a credential as an SD-JWT VC
+// Subject claims become selectively disclosable; the subject's did:key is the holder binding key (cnf)
+async function issueSdJwtCredential(credential) {
+  const keyRef = await getIssuerKeyRef();
+  const key = await agent.keyManagerGet({ kid: keyRef });
+  const alg = key.type === 'Ed25519' ? 'EdDSA' : 'ES256K';
+  const { id: subjectDid, ...claims } = credential.credentialSubject;
+
+  return sdJwt.issueSdJwt(
+    {
+      jti: credential.id,
+      iat: Math.floor(Date.parse(credential.issuanceDate) / 1000),
+      vct: 'DocumentOwnershipCredential',
+      sub: subjectDid,
+      cnf: { kid: `${subjectDid}#${subjectDid.substring('did:key:'.length)}` },
+      status: { status_list_2021: credential.credentialStatus }
+    },
+    claims,
+    {
+      issuer: credential.issuer.id,
+      alg,
+      signer: (data) => agent.keyManagerSign({ keyRef, data, algorithm: alg })
+    }
+  );
 }
 
 // POST /issue - Issue a Verifiable Credential
+// proofFormat: 'jwt' (default, JWT-VC), 'sd-jwt' (SD-JWT VC with selectively disclosable claims)
+// or 'bbs' (Data Integrity bbs-2023 credential the holder derives unlinkable presentations from)
 app.post('/issue', async (req, res) => {
   try {
-    const { subjectDid, claims } = req.body;
+    const { subjectDid, claims, proofFormat = 'jwt' } = req.body;
 
     // Validate request payload structure
     if (!subjectDid) {
@@ -145,12 +460,30 @@ app.post('/issue', async (req, res) => {
       });
     }
 
+    if (!PROOF_FORMATS.includes(proofFormat)) {
+      return res.status(400).json({
+        error: `Unsupported proofFormat. Expected one of: ${PROOF_FORMATS.join(', ')}`
+      });
+    }
+
+    // The holder proves possession of the subject key when presenting an SD-JWT
+    if (proofFormat === 'sd-jwt' && !subjectDid.startsWith('did:key:')) {
+      return res.status(400).json({
+        error: 'SD-JWT credentials require a did:key subject (used as the holder binding key)'
+      });
+    }
+
     // Get issuer DID
     const issuerDid = getIssuerDid();
 
     // Create W3C-compliant Verifiable Credential
+    const credentialId = `urn:uuid:${crypto.randomUUID()}`;
     const credential = {
-      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      '@context': [
+        'https://www.w3.org/2018/credentials/v1',
+        'https://w3id.org/vc/status-list/2021/v1'
+      ],
+      id: credentialId,
       type: ['VerifiableCredential', 'DocumentOwnershipCredential'],
       issuer: {
         id: issuerDid
@@ -162,11 +495,37 @@ app.post('/issue', async (req, res) => {
       }
     };
 
+    // Reserve StatusList2021 entries so the credential can later be revoked or suspended
+    credential.credentialStatus = await statusService.reserveCredentialStatus(credential);
+
+    // SD-JWT: the vault keeps the clear claims for display next to the SD-JWT it presents from
+    if (proofFormat === 'sd-jwt') {
+      return res.status(200).json({
+        vc: {
+          ...credential,
+          proof: { type: 'SdJwtVc', sdJwt: await issueSdJwtCredential(credential) }
+        }
+      });
+    }
+
+    // BBS: no credential id, subject id or issuance date - each would be disclosed with every derived
+    // proof and link presentations together; the id is returned separately for status management
+    if (proofFormat === 'bbs') {
+      return res.status(200).json({
+        vc: await bbs.issueBbsCredential({
+          '@context': bbs.CREDENTIAL_CONTEXTS,
+          type: credential.type,
+          issuer: issuerDid,
+          credentialSubject: claims,
+          credentialStatus: credential.credentialStatus
+        }),
+        credentialId
+      });
+    }
+
     // Sign the credential with issuer's DID using JWT proof format
-    const verifiableCredential = await agent.createVerifiableCredential({
-      credential,
-      proofFormat: 'jwt'
-    });
+    // Always sign with the issuer's active key so rotations take effect immediately
+    const verifiableCredential = await createIssuerCredential(credential);
 
     // Return signed VC with HTTP 200
     res.status(200).json({
@@ -198,122 +557,530 @@ app.post('/issue', async (req, res) => {
   }
 });
 
-// POST /verify - Verify a Verifiable Presentation
-app.post('/verify', async (req, res) => {
+// POST /verify/challenge - Start a verifier session (challenge + domain for the holder's VP)
+// Optional body: { presentationDefinition } - DIF PE v2 definition the VP's presentation_submission must satisfy
+app.post('/verify/challenge', (req, res) => {
+  const { presentationDefinition } = req.body || {};
+
+  if (presentationDefinition !== undefined && !presentationExchange.isValidDefinition(presentationDefinition)) {
+    return res.status(400).json({
+      error: 'Invalid presentation definition: expected an id and input descriptors with ids, and only simple filter patterns'
+    });
+  }
+
+  res.status(200).json(verifierSessions.createChallenge(undefined, presentationDefinition));
+});
+
+// Helper function to read the (unverified) payload of a compact JWT
+function decodeJwtPayload(jwt) {
+  return JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString());
+}
+
+// Helper function to check that a presentation proves control of its holder DID
+// Used by POST /upload/auth: a JWT VP without credentials, bound to a verifier challenge
+// Returns { holder } or { status, reason }
+async function checkHolderProof(vp) {
+  const jwt = typeof vp === 'string' ? vp : vp?.proof?.jwt;
+  if (typeof jwt !== 'string' || jwt.includes('~')) {
+    return { status: 400, reason: 'Expected a JWT presentation (JwtProof2020)' };
+  }
+
+  let vpPayload;
   try {
-    const { vp } = req.body;
+    vpPayload = decodeJwtPayload(jwt);
+  } catch (decodeError) {
+    return { status: 400, reason: 'Invalid verifiable presentation format' };
+  }
 
-    // Validate VP was provided
-    if (!vp) {
-      return res.status(400).json({ 
-        error: 'Missing required field: vp',
-        verified: false,
-        reason: 'No verifiable presentation provided'
-      });
-    }
+  const session = vpPayload.nonce && verifierSessions.getChallenge(vpPayload.nonce);
+  if (!session) {
+    return { reason: 'Challenge expired, unknown or already used' };
+  }
 
-    // Validate VP structure
+  let verificationResult;
+  try {
+    verificationResult = await agent.verifyPresentation({
+      presentation: vp,
+      challenge: vpPayload.nonce,
+      domain: session.domain
+    });
+  } catch (verifyError) {
+    console.error('Uploader VP verification error:', verifyError);
+    verificationResult = { verified: false };
+  }
+
+  if (!verificationResult.verified || !verificationResult.verifiablePresentation?.holder) {
+    return { reason: 'Invalid signature or cryptographic proof' };
+  }
+
+  // Redeem the challenge only once the holder's signature over it checks out
+  if (!verifierSessions.consumeChallenge(vpPayload.nonce)) {
+    return { reason: 'Challenge expired, unknown or already used' };
+  }
+
+  return { holder: verificationResult.verifiablePresentation.holder };
+}
+
+// Helper function to verify a JWT VP bound to a verifier challenge
+// Accepts JWT VPs, either compact or in Veramo's normalized form (proof.type JwtProof2020)
+// The VP must be bound to a challenge (JWT nonce) and its domain (JWT aud)
+// If the session has a presentation definition, the presentation_submission (embedded in the VP,
+// or passed separately by OID4VP) must satisfy it
+// Returns { status, body } for POST /verify and the OID4VP response endpoint; expectedChallenge
+// pins the nonce when the VP answers a specific OID4VP authorization request
+// A verified result also lists the presented credentials ({ issuer, claims }) for callers that
+// grant access by claim, such as POST /retrieve/:key/access; they are not part of the body
+async function checkPresentation(vp, { expectedChallenge, presentationSubmission } = {}) {
+  // SD-JWT presentations (issuer JWT ~ disclosures ~ KB-JWT) carry a single credential
+  if (typeof vp === 'string' && vp.includes('~')) {
+    return checkSdJwtPresentation(vp, { expectedChallenge });
+  }
+
+  // Derived bbs-2023 credentials are presented on their own as well
+  if (vp?.proof?.cryptosuite === 'bbs-2023') {
+    return checkBbsPresentation(vp, { expectedChallenge });
+  }
+
+  // Validate VP was provided
+  if (!vp) {
+    return { status: 400, body: {
+      error: 'Missing required field: vp',
+      verified: false,
+      reason: 'No verifiable presentation provided'
+    } };
+  }
+
+  // Validate VP structure (compact JWTs are checked by the JWT verifier below)
+  if (typeof vp !== 'string') {
     if (!vp.type || !Array.isArray(vp.type) || !vp.type.includes('VerifiablePresentation')) {
-      return res.status(400).json({ 
+      return { status: 400, body: {
         error: 'Invalid VP format: missing or invalid type field',
         verified: false,
         reason: 'Invalid verifiable presentation format'
-      });
+      } };
     }
 
     if (!vp.verifiableCredential || !Array.isArray(vp.verifiableCredential)) {
-      return res.status(400).json({ 
+      return { status: 400, body: {
         error: 'Invalid VP format: missing or invalid verifiableCredential field',
         verified: false,
         reason: 'Invalid verifiable presentation format'
-      });
+      } };
     }
 
-    // Verify VP cryptographic proofs using Veramo agent
-    let verificationResult;
-    try {
-      verificationResult = await agent.verifyPresentation({
-        presentation: vp
-      });
-    } catch (verifyError) {
-      console.error('VP verification error:', verifyError);
-      return res.status(200).json({
+    if (!vp.proof || !vp.proof.jwt) {
+      return { status: 400, body: {
+        error: 'Unsupported proof format: expected a JWT presentation (JwtProof2020)',
         verified: false,
-        reason: 'Invalid signature or cryptographic proof',
-        details: process.env.NODE_ENV === 'development' ? verifyError.message : undefined
-      });
+        reason: 'Unsupported presentation proof format'
+      } };
     }
+  }
 
-    // Check if cryptographic verification passed
-    if (!verificationResult.verified) {
-      return res.status(200).json({
-        verified: false,
-        reason: 'Invalid signature or cryptographic proof',
-        details: verificationResult.error || 'Verification failed'
+  let vpPayload;
+  try {
+    vpPayload = decodeJwtPayload(typeof vp === 'string' ? vp : vp.proof.jwt);
+  } catch (decodeError) {
+    return { status: 400, body: {
+      error: 'Invalid VP format: presentation JWT could not be decoded',
+      verified: false,
+      reason: 'Invalid verifiable presentation format'
+    } };
+  }
+
+  // Replay protection: each challenge is single-use and expires with its verifier session
+  if (!vpPayload.nonce) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Missing presentation challenge'
+    } };
+  }
+
+  // An OID4VP response must answer its own request; checked first so another session's challenge isn't burnt
+  if (expectedChallenge && vpPayload.nonce !== expectedChallenge) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation is not bound to this request'
+    } };
+  }
+
+  const session = verifierSessions.getChallenge(vpPayload.nonce);
+  if (!session) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Challenge expired, unknown or already used'
+    } };
+  }
+
+  // Verify VP cryptographic proofs using Veramo agent
+  // Veramo checks that the signed nonce and audience match this session
+  let verificationResult;
+  try {
+    verificationResult = await agent.verifyPresentation({
+      presentation: vp,
+      challenge: vpPayload.nonce,
+      domain: session.domain
+    });
+  } catch (verifyError) {
+    console.error('VP verification error:', verifyError);
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Invalid signature or cryptographic proof',
+      details: process.env.NODE_ENV === 'development' ? verifyError.message : undefined
+    } };
+  }
+
+  // Check if cryptographic verification passed
+  if (!verificationResult.verified) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Invalid signature or cryptographic proof',
+      details: verificationResult.error?.message || 'Verification failed'
+    } };
+  }
+
+  // Redeem the challenge only once the holder's signature over it checks out
+  if (!verifierSessions.consumeChallenge(vpPayload.nonce)) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Challenge expired, unknown or already used'
+    } };
+  }
+
+  // Only trust what the holder signed: read holder and credentials from the verified JWT,
+  // not from the (unsigned) fields next to the proof
+  const holder = verificationResult.verifiablePresentation.holder;
+  const credentials = [].concat(verificationResult.verifiablePresentation.verifiableCredential || []);
+
+  if (credentials.length === 0) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation contains no credentials'
+    } };
+  }
+
+  for (const vc of credentials) {
+    const credentialId = vc.id;
+    const issuerDid = vc.issuer?.id || vc.issuer;
+
+    // Check the issuer's signature on each credential
+    // Status and expiry are checked separately below so each gets its own reason
+    let credentialResult;
+    try {
+      credentialResult = await agent.verifyCredential({
+        credential: vc,
+        policies: { credentialStatus: false, expirationDate: false }
       });
+    } catch (credentialError) {
+      credentialResult = { verified: false, error: { message: credentialError.message } };
     }
 
-    // Load revocation registry
-    const revocationRegistry = loadRevocationRegistry();
+    if (!credentialResult.verified) {
+      return { status: 200, body: {
+        verified: false,
+        reason: 'Invalid credential signature',
+        credentialId,
+        details: process.env.NODE_ENV === 'development' ? credentialResult.error?.message : undefined
+      } };
+    }
 
-    // Check each VC in the VP against revocation registry
-    const credentials = Array.isArray(vp.verifiableCredential) 
-      ? vp.verifiableCredential 
-      : [vp.verifiableCredential];
+    // Holder binding: a presentation may only carry credentials issued to its holder
+    if (vc.credentialSubject?.id && vc.credentialSubject.id !== holder) {
+      return { status: 200, body: {
+        verified: false,
+        reason: 'Credential subject does not match presentation holder',
+        credentialId
+      } };
+    }
 
-    for (const vc of credentials) {
-      // Extract credential ID (can be in different formats)
-      let credentialId = vc.id;
-      
-      // If VC is in JWT format, try to extract from the JWT
-      if (typeof vc === 'string') {
-        try {
-          // JWT format - decode to get the ID
-          const payload = JSON.parse(Buffer.from(vc.split('.')[1], 'base64').toString());
-          credentialId = payload.jti || payload.vc?.id;
-        } catch (e) {
-          console.error('Error parsing JWT credential:', e);
-        }
-      } else if (vc.proof && vc.proof.jwt) {
-        // VC object with JWT proof
-        try {
-          const payload = JSON.parse(Buffer.from(vc.proof.jwt.split('.')[1], 'base64').toString());
-          credentialId = payload.jti || vc.id;
-        } catch (e) {
-          console.error('Error parsing JWT proof:', e);
-        }
+    // Check revocation and suspension bits
+    for (const entry of [].concat(vc.credentialStatus || [])) {
+      let isSet;
+      try {
+        isSet = await statusService.isStatusSet(entry, issuerDid);
+      } catch (statusError) {
+        console.error('Credential status check error:', statusError);
+        return { status: 200, body: {
+          verified: false,
+          reason: 'Credential status could not be checked',
+          credentialId,
+          details: process.env.NODE_ENV === 'development' ? statusError.message : undefined
+        } };
       }
 
-      // Check if credential is revoked
-      if (credentialId && isCredentialRevoked(credentialId, revocationRegistry)) {
-        return res.status(200).json({
+      if (isSet && entry.statusPurpose === 'revocation') {
+        return { status: 200, body: {
           verified: false,
           reason: 'Credential revoked',
           revokedCredentialId: credentialId
-        });
+        } };
       }
 
-      // Check expiration date if present
-      if (vc.expirationDate) {
-        const expirationDate = new Date(vc.expirationDate);
-        if (expirationDate < new Date()) {
-          return res.status(200).json({
-            verified: false,
-            reason: 'Credential expired',
-            expiredCredentialId: credentialId,
-            expirationDate: vc.expirationDate
-          });
-        }
+      if (isSet && entry.statusPurpose === 'suspension') {
+        return { status: 200, body: {
+          verified: false,
+          reason: 'Credential suspended',
+          suspendedCredentialId: credentialId
+        } };
       }
     }
 
-    // All checks passed - VP is valid
-    res.status(200).json({
-      verified: true,
-      reason: 'Valid presentation with all credentials verified',
-      credentialCount: credentials.length
-    });
+    // Check expiration date if present
+    if (vc.expirationDate) {
+      const expirationDate = new Date(vc.expirationDate);
+      if (expirationDate < new Date()) {
+        return { status: 200, body: {
+          verified: false,
+          reason: 'Credential expired',
+          expiredCredentialId: credentialId,
+          expirationDate: vc.expirationDate
+        } };
+      }
+    }
+  }
+
+  // Presentation Exchange: the submitted credentials must satisfy the verifier's definition
+  // Descriptor paths may only point at the presented credentials, and fields are checked on the
+  // credentials verified above (JWT credentials as their signed payload)
+  let satisfiedDescriptors;
+  if (session.presentationDefinition) {
+    const evaluation = presentationExchange.evaluateSubmission(
+      session.presentationDefinition,
+      presentationSubmission || vpPayload.vp?.presentation_submission,
+      vpPayload,
+      credentials.map(vc => (vc.proof?.jwt ? decodeJwtPayload(vc.proof.jwt) : vc))
+    );
+
+    if (!evaluation.valid) {
+      return { status: 200, body: {
+        verified: false,
+        reason: evaluation.reason
+      } };
+    }
+    satisfiedDescriptors = evaluation.descriptors;
+  }
+
+  // All checks passed - VP is valid
+  return { status: 200, body: {
+    verified: true,
+    reason: 'Valid presentation with all credentials verified',
+    holder,
+    credentialCount: credentials.length,
+    ...(satisfiedDescriptors && { satisfiedDescriptors })
+  }, credentials: credentials.map(vc => ({
+    issuer: vc.issuer?.id || vc.issuer,
+    claims: vc.credentialSubject || {}
+  })) };
+}
+
+// Helper function to verify an SD-JWT VC presentation bound to a verifier challenge
+// The KB-JWT carries the challenge (nonce) and domain (aud); the holder is the credential's cnf key
+async function checkSdJwtPresentation(presentation, { expectedChallenge } = {}) {
+  let kbPayload;
+  try {
+    kbPayload = decodeJwtPayload(presentation.substring(presentation.lastIndexOf('~') + 1));
+  } catch (decodeError) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Missing key binding'
+    } };
+  }
+
+  // Same replay protection as JWT VPs
+  if (!kbPayload.nonce) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Missing presentation challenge'
+    } };
+  }
+
+  if (expectedChallenge && kbPayload.nonce !== expectedChallenge) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation is not bound to this request'
+    } };
+  }
+
+  const session = verifierSessions.getChallenge(kbPayload.nonce);
+  if (!session) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Challenge expired, unknown or already used'
+    } };
+  }
+
+  if (session.presentationDefinition) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation definitions require a JWT presentation'
+    } };
+  }
+
+  // Issuer signature, disclosure digests and key binding
+  const result = await sdJwt.verifySdJwtPresentation(presentation, {
+    resolver: agentResolver,
+    audience: session.domain,
+    nonce: kbPayload.nonce
+  });
+
+  if (!result.valid) {
+    return { status: 200, body: {
+      verified: false,
+      reason: result.reason,
+      details: process.env.NODE_ENV === 'development' ? result.details : undefined
+    } };
+  }
+
+  // Redeem the challenge only once the key binding over it checks out
+  if (!verifierSessions.consumeChallenge(kbPayload.nonce)) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Challenge expired, unknown or already used'
+    } };
+  }
+
+  const { payload, disclosedClaims, holder } = result;
+
+  // Check revocation and suspension bits
+  for (const entry of [].concat(payload.status?.status_list_2021 || [])) {
+    let isSet;
+    try {
+      isSet = await statusService.isStatusSet(entry, payload.iss);
+    } catch (statusError) {
+      console.error('Credential status check error:', statusError);
+      return { status: 200, body: {
+        verified: false,
+        reason: 'Credential status could not be checked',
+        credentialId: payload.jti,
+        details: process.env.NODE_ENV === 'development' ? statusError.message : undefined
+      } };
+    }
+
+    if (isSet) {
+      return { status: 200, body: {
+        verified: false,
+        reason: entry.statusPurpose === 'suspension' ? 'Credential suspended' : 'Credential revoked',
+        [entry.statusPurpose === 'suspension' ? 'suspendedCredentialId' : 'revokedCredentialId']: payload.jti
+      } };
+    }
+  }
 
+  // Check expiration date if present
+  if (typeof payload.exp === 'number' && payload.exp * 1000 < Date.now()) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Credential expired',
+      expiredCredentialId: payload.jti,
+      expirationDate: new Date(payload.exp * 1000).toISOString()
+    } };
+  }
+
+  return { status: 200, body: {
+    verified: true,
+    reason: 'Valid presentation with all credentials verified',
+    holder,
+    credentialCount: 1,
+    disclosedClaims
+  }, credentials: [{ issuer: payload.iss, claims: disclosedClaims }] };
+}
+
+// Helper function to verify a derived bbs-2023 credential bound to a verifier challenge
+// The proof's presentation header carries the challenge and domain; there is no holder binding,
+// which is what keeps presentations unlinkable
+async function checkBbsPresentation(credential, { expectedChallenge } = {}) {
+  // Issuer proof over the disclosed claims
+  const result = await bbs.verifyBbsPresentation(credential, { issuerDid: getIssuerDid() });
+  if (!result.valid) {
+    return { status: 200, body: {
+      verified: false,
+      reason: result.reason,
+      details: process.env.NODE_ENV === 'development' ? result.details : undefined
+    } };
+  }
+
+  const { challenge, domain } = result.presentationHeader;
+
+  // Same replay protection as JWT VPs
+  if (!challenge) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Missing presentation challenge'
+    } };
+  }
+
+  if (expectedChallenge && challenge !== expectedChallenge) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation is not bound to this request'
+    } };
+  }
+
+  const session = verifierSessions.getChallenge(challenge);
+  if (!session) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Challenge expired, unknown or already used'
+    } };
+  }
+
+  if (session.presentationDefinition) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation definitions require a JWT presentation'
+    } };
+  }
+
+  if (domain !== session.domain) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Presentation is not bound to this verifier session'
+    } };
+  }
+
+  // Redeem the challenge only once the proof and its domain check out
+  if (!verifierSessions.consumeChallenge(challenge)) {
+    return { status: 200, body: {
+      verified: false,
+      reason: 'Challenge expired, unknown or already used'
+    } };
+  }
+
+  // Check revocation and suspension bits (the status entries are always disclosed)
+  for (const entry of [].concat(credential.credentialStatus || [])) {
+    let isSet;
+    try {
+      isSet = await statusService.isStatusSet(entry, credential.issuer);
+    } catch (statusError) {
+      console.error('Credential status check error:', statusError);
+      return { status: 200, body: {
+        verified: false,
+        reason: 'Credential status could not be checked',
+        details: process.env.NODE_ENV === 'development' ? statusError.message : undefined
+      } };
+    }
+
+    if (isSet) {
+      return { status: 200, body: {
+        verified: false,
+        reason: entry.statusPurpose === 'suspension' ? 'Credential suspended' : 'Credential revoked'
+      } };
+    }
+  }
+
+  return { status: 200, body: {
+    verified: true,
+    reason: 'Valid presentation with all credentials verified',
+    credentialCount: 1,
+    disclosedClaims: credential.credentialSubject || {}
+  }, credentials: [{ issuer: credential.issuer, claims: credential.credentialSubject || {} }] };
+}
+
+// POST /verify - Verify a Verifiable Presentation
+// The VP must be bound to a challenge from POST /verify/challenge and its domain
+app.post('/verify', async (req, res) => {
+  try {
+    const { status, body } = await checkPresentation(req.body.vp);
+    res.status(status).json(body);
   } catch (error) {
     console.error('Verification endpoint error:', error);
 
@@ -327,6 +1094,123 @@ app.post('/verify', async (req, res) => {
   }
 });
 
+// POST /oid4vp/request - Start an OID4VP verifier session
+// Returns the openid4vp:// authorization request for the wallet (QR code or deep link)
+// and the transaction ID the verifier polls GET /oid4vp/transactions/:id with
+app.post('/oid4vp/request', (req, res) => {
+  res.status(200).json(verifierSessions.createAuthorizationRequest());
+});
+
+// POST /oid4vp/response - OID4VP response endpoint (response_mode direct_post)
+// Form body: vp_token, presentation_submission, state
+// The verification result goes to the verifier's transaction; the wallet only learns it was received
+app.post('/oid4vp/response', express.urlencoded({ extended: false }), async (req, res) => {
+  const { vp_token: vpToken, presentation_submission: presentationSubmission, state } = req.body;
+
+  if (!state || !vpToken || !presentationSubmission) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: 'vp_token, presentation_submission and state are required'
+    });
+  }
+
+  const request = verifierSessions.claimAuthorizationRequest(state);
+  if (!request) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: 'Authorization request expired, unknown or already answered'
+    });
+  }
+
+  let result;
+  try {
+    let submission;
+    try {
+      submission = JSON.parse(presentationSubmission);
+    } catch {
+      submission = null;
+    }
+
+    ({ body: result } = await checkPresentation(vpToken, {
+      expectedChallenge: request.nonce,
+      presentationSubmission: submission
+    }));
+  } catch (error) {
+    console.error('OID4VP response error:', error);
+    result = {
+      verified: false,
+      reason: 'Internal server error during verification',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+  }
+
+  // The nonce is only redeemed once the holder's signature over it checks out: until then the
+  // response may be anyone's, so it must not use up the request of the wallet that was shown it
+  if (verifierSessions.getChallenge(request.nonce)) {
+    verifierSessions.releaseAuthorizationRequest(state);
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: result.reason || 'Presentation could not be verified'
+    });
+  }
+
+  verifierSessions.completeAuthorizationRequest(state, result);
+  res.status(200).json({});
+});
+
+// GET /oid4vp/transactions/:id - Poll an OID4VP verifier session
+// Returns { status: 'pending' | 'expired' } or { status: 'complete', result } (result as in POST /verify)
+app.get('/oid4vp/transactions/:id', (req, res) => {
+  const transaction = verifierSessions.getTransaction(req.params.id);
+  if (!transaction) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  res.status(200).json(transaction);
+});
+
+// GET /did/:did - Resolve a DID document (did:key, or did:ethr on the local chain)
+app.get('/did/:did', async (req, res) => {
+  try {
+    const result = await agent.resolveDid({ didUrl: req.params.did });
+
+    if (result.didResolutionMetadata.error) {
+      return res.status(404).json({
+        error: 'DID could not be resolved',
+        reason: result.didResolutionMetadata.error
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('DID resolution error:', error);
+    res.status(500).json({ 
+      error: 'DID resolution failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /bbs/key - Public key of the BBS credentials this issuer signs (Multikey, BLS12-381)
+// The issuer DID document has no room for it; proof.verificationMethod of a BBS credential names it
+// 404 until the first BBS credential is issued
+app.get('/bbs/key', async (req, res) => {
+  try {
+    const verificationMethod = await bbs.getVerificationMethod(getIssuerDid());
+    if (!verificationMethod) {
+      return res.status(404).json({ error: 'This issuer has not issued BBS credentials yet' });
+    }
+
+    res.status(200).json(verificationMethod);
+  } catch (error) {
+    console.error('BBS key error:', error);
+    res.status(500).json({
+      error: 'BBS key could not be read',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // POST /anchor - Anchor credential hash on blockchain
 app.post('/anchor', async (req, res) => {
   try {
@@ -476,4 +1360,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Only listen when run directly, so tests can drive the app with supertest
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -10,6 +10,8 @@ export default {
       'ts-jest',
       {
         useESM: true,
+        // Tests and their helpers live outside src/
+        tsconfig: { rootDir: '.' },
       },
     ],
   },
@@ -17,6 +19,8 @@ export default {
     'node_modules/(?!(uuid)/)',
   ],
   testMatch: ['**/tests/**/*.test.ts'],
+  setupFiles: ['<rootDir>/tests/setup.ts'],
+  setupFilesAfterEnv: ['<rootDir>/tests/teardown.ts'],
   collectCoverageFrom: [
     'src/**/*.ts',
     '!src/**/*.d.ts',
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Resumable uploads straight from the browser to R2 (index.js /upload/multipart)
+// The issuer starts an S3 multipart upload and pre-signs one URL per part; the client PUTs
+// the parts itself, so file bytes never pass through this service. Which parts arrived is
+// asked of R2 (ListParts), so a client that reloaded the page only re-sends the missing ones
+// and never needs the ETag header (hidden from browsers without a bucket CORS rule)
+// Each session belongs to the DID that started it and is persisted, so it outlives a restart
+
+// Every part but the last has the same size; R2 needs at least 5 MiB
+const PART_SIZE = 8 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const MAX_UPLOAD_SIZE = parseInt(process.env.R2_MAX_UPLOAD_SIZE, 10) || 5 * 1024 * 1024 * 1024; // bytes
+
+// Pre-signed part URLs expire quickly; clients ask again when they retry
+const PART_URL_TTL = 15 * 60; // seconds
+
+// Upload sessions (TTL: 24 hours), keyed by the R2 upload ID
+const UPLOAD_TTL = 24 * 60 * 60 * 1000;
+const UPLOADS_PATH = process.env.MULTIPART_UPLOADS_PATH || path.join(__dirname, 'data', 'multipart-uploads.json');
+let uploads = null;
+
+// Forget expired sessions (runs periodically, without keeping the process alive)
+// R2 removes incomplete multipart uploads itself after a week
+setInterval(() => {
+  const current = loadUploads();
+  const now = Date.now();
+  const expired = Object.keys(current).filter(uploadId => current[uploadId].expiresAt < now);
+  if (expired.length > 0) {
+    expired.forEach(uploadId => delete current[uploadId]);
+    saveUploads();
+  }
+}, 60 * 1000).unref();
+
+function loadUploads() {
+  if (uploads) {
+    return uploads;
+  }
+
+  try {
+    uploads = JSON.parse(fs.readFileSync(UPLOADS_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read multipart uploads at ${UPLOADS_PATH}: ${error.message}`);
+    }
+    uploads = {};
+  }
+  return uploads;
+}
+
+// Persist the sessions (written to a temp file first, like the document uploaders)
+function saveUploads() {
+  fs.mkdirSync(path.dirname(UPLOADS_PATH), { recursive: true });
+  const tmpPath = `${UPLOADS_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(loadUploads(), null, 2));
+  fs.renameSync(tmpPath, UPLOADS_PATH);
+}
+
+// Start a multipart upload for the DID uploading it and return its layout for the client
+async function createUpload(client, { fileName, size, contentType, uploaderDid }) {
+  const fileExtension = fileName.split('.').pop();
+  const storageKey = `${crypto.randomUUID()}.${fileExtension}`;
+  const partSize = Math.max(PART_SIZE, Math.ceil(size / MAX_PARTS));
+  const partCount = Math.ceil(size / partSize);
+
+  const { UploadId: uploadId } = await client.send(new CreateMultipartUploadCommand({
+    Bucket: process.env.R2_BUCKET_NAME,
+    Key: storageKey,
+    ContentType: contentType || 'application/octet-stream',
+    Metadata: {
+      originalName: fileName,
+      uploadTimestamp: new Date().toISOString()
+    }
+  }));
+
+  const now = Date.now();
+  loadUploads()[uploadId] = {
+    storageKey,
+    fileName,
+    size,
+    partSize,
+    partCount,
+    uploaderDid,
+    createdAt: now,
+    expiresAt: now + UPLOAD_TTL
+  };
+  saveUploads();
+
+  return { uploadId, storageKey, size, partSize, partCount, expiresIn: UPLOAD_TTL / 1000 };
+}
+
+// Look up an upload session; null if it is unknown or expired
+function getUpload(uploadId) {
+  const current = loadUploads();
+  if (!Object.prototype.hasOwnProperty.call(current, uploadId)) {
+    return null;
+  }
+  if (current[uploadId].expiresAt < Date.now()) {
+    forgetUpload(uploadId);
+    return null;
+  }
+  return current[uploadId];
+}
+
+// End an upload session
+function forgetUpload(uploadId) {
+  delete loadUploads()[uploadId];
+  saveUploads();
+}
+
+// Pre-sign the PUT request for one part
+function presignPartUrl(client, uploadId, partNumber) {
+  const upload = getUpload(uploadId);
+  return getSignedUrl(
+    client,
+    new UploadPartCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: upload.storageKey,
+      UploadId: uploadId,
+      PartNumber: partNumber
+    }),
+    { expiresIn: PART_URL_TTL }
+  );
+}
+
+// Parts R2 has received so far, in part number order
+async function listUploadedParts(client, uploadId) {
+  const upload = getUpload(uploadId);
+  const parts = [];
+  let partNumberMarker;
+
+  do {
+    const page = await client.send(new ListPartsCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: upload.storageKey,
+      UploadId: uploadId,
+      PartNumberMarker: partNumberMarker
+    }));
+    for (const part of page.Parts || []) {
+      parts.push({ partNumber: part.PartNumber, size: part.Size, etag: part.ETag });
+    }
+    partNumberMarker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+  } while (partNumberMarker);
+
+  return parts;
+}
+
+// Expected size of a part: the last one holds the remainder
+function expectedPartSize(upload, partNumber) {
+  return partNumber < upload.partCount
+    ? upload.partSize
+    : upload.size - (upload.partCount - 1) * upload.partSize;
+}
+
+// Check the received parts against the layout; returns what is wrong, or null if complete
+function findIncompleteParts(upload, parts) {
+  const received = new Map(parts.map(part => [part.partNumber, part]));
+  const missing = [];
+  for (let partNumber = 1; partNumber <= upload.partCount; partNumber++) {
+    const part = received.get(partNumber);
+    if (!part) {
+      missing.push(partNumber);
+    } else if (part.size !== expectedPartSize(upload, partNumber)) {
+      return `Part ${partNumber} has ${part.size} bytes, expected ${expectedPartSize(upload, partNumber)}`;
+    }
+  }
+  return missing.length > 0 ? `Missing parts: ${missing.join(', ')}` : null;
+}
+
+// Assemble the object from its parts and end the session
+async function completeUpload(client, uploadId, parts) {
+  const upload = getUpload(uploadId);
+  await client.send(new CompleteMultipartUploadCommand({
+    Bucket: process.env.R2_BUCKET_NAME,
+    Key: upload.storageKey,
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: parts
+        .filter(part => part.partNumber <= upload.partCount)
+        .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+    }
+  }));
+  forgetUpload(uploadId);
+
+  return {
+    storageKey: upload.storageKey,
+    bucket: process.env.R2_BUCKET_NAME,
+    timestamp: new Date().toISOString(),
+    size: upload.size,
+    originalName: upload.fileName
+  };
+}
+
+// Discard an upload and the parts R2 holds for it
+async function abortUpload(client, uploadId) {
+  const upload = getUpload(uploadId);
+  forgetUpload(uploadId);
+  await client.send(new AbortMultipartUploadCommand({
+    Bucket: process.env.R2_BUCKET_NAME,
+    Key: upload.storageKey,
+    UploadId: uploadId
+  }));
+}
+
+module.exports = {
+  PART_SIZE,
+  MAX_UPLOAD_SIZE,
+  createUpload,
+  getUpload,
+  presignPartUrl,
+  listUploadedParts,
+  findIncompleteParts,
+  completeUpload,
+  abortUpload
+};
@@ -0,0 +1,260 @@
+// DIF Presentation Exchange v2 (index.js POST /verify and the OID4VP response endpoint)
+// Evaluates a presentation_submission against the verifier's presentation_definition.
+// Supported subset: input descriptors whose constraints.fields all have to match
+// (JSONPath with dot/bracket members and array indexes, JSON Schema type/const/enum/
+// pattern (without nested quantifiers)/contains/minimum/maximum filters); submission_requirements are not supported,
+// so every input descriptor is required
+
+// What OID4VP requests ask for: a document credential from either issuer service
+// (DocumentCredential or Veramo's DocumentOwnershipCredential), as a JWT-VC inside a JWT VP
+const DOCUMENT_PRESENTATION_DEFINITION = {
+  id: 'document-credential',
+  name: 'Document credential',
+  purpose: 'Prove you hold a document credential from a trusted issuer',
+  format: {
+    jwt_vp: { alg: ['EdDSA', 'ES256K'] },
+    jwt_vc: { alg: ['EdDSA', 'ES256K'] }
+  },
+  input_descriptors: [
+    {
+      id: 'document_credential',
+      name: 'Document credential',
+      constraints: {
+        fields: [
+          {
+            path: ['$.vc.type', '$.type'],
+            filter: { type: 'array', contains: { enum: ['DocumentCredential', 'DocumentOwnershipCredential'] } }
+          }
+        ]
+      }
+    }
+  ]
+};
+
+// Helper function to split a JSONPath ($.a.b, $['a'], $.a[0]) into member names and indexes
+function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Unsupported JSONPath: ${path}`);
+  }
+
+  const segments = [];
+  const pattern = /\.([A-Za-z0-9_@$-]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+  pattern.lastIndex = 1;
+  while (pattern.lastIndex < path.length) {
+    const match = pattern.exec(path);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath: ${path}`);
+    }
+    segments.push(match[2] !== undefined ? Number(match[2]) : (match[1] ?? match[3] ?? match[4]));
+  }
+  return segments;
+}
+
+// Helper function to read a JSONPath from an object; undefined if any segment is missing
+function readPath(value, path) {
+  return parsePath(path).reduce(
+    (current, segment) => (current === null || current === undefined ? undefined : current[segment]),
+    value
+  );
+}
+
+// Filter patterns come from whoever starts a verifier session, so only ones that can't
+// backtrack catastrophically are run: short, no backreferences, and no quantified group that
+// itself contains a quantifier or alternation (like (a+)+ or (a|a)*); strings tested are capped too
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+
+// Helper function to find a quantified group containing a quantifier or alternation
+function hasNestedQuantifier(pattern) {
+  const groups = []; // one flag per open group: does it contain a quantifier or alternation?
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      if (pattern[i + 1] === '?') {
+        i++; // (?: (?= (?<name> are group syntax, not quantifiers
+      }
+    } else if (char === ')') {
+      const risky = groups.pop();
+      if (risky && /[*+?{]/.test(pattern[i + 1] || '')) {
+        return true;
+      }
+      if (risky && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (/[*+?{|]/.test(char) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function isSafePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH || /\\[1-9k]/.test(pattern)) {
+    return false;
+  }
+  if (hasNestedQuantifier(pattern)) {
+    return false;
+  }
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Helper function to check that every pattern in a filter (and its contains filter) is safe to run
+function hasSafePatterns(filter) {
+  if (!filter || typeof filter !== 'object') {
+    return true;
+  }
+  return (filter.pattern === undefined || isSafePattern(filter.pattern)) && hasSafePatterns(filter.contains);
+}
+
+// Helper function to check a value against the JSON Schema subset used in PE filters
+function matchesFilter(value, filter) {
+  if (!filter) {
+    return value !== undefined;
+  }
+
+  if (filter.type) {
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const allowed = [].concat(filter.type);
+    if (!allowed.includes(actualType) && !(allowed.includes('integer') && Number.isInteger(value))) {
+      return false;
+    }
+  }
+  if ('const' in filter && JSON.stringify(value) !== JSON.stringify(filter.const)) {
+    return false;
+  }
+  if (filter.enum && !filter.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    return false;
+  }
+  if (filter.pattern !== undefined) {
+    if (typeof value !== 'string' || value.length > MAX_PATTERN_INPUT_LENGTH || !isSafePattern(filter.pattern)) {
+      return false;
+    }
+    if (!new RegExp(filter.pattern).test(value)) {
+      return false;
+    }
+  }
+  if (filter.minimum !== undefined && !(value >= filter.minimum)) {
+    return false;
+  }
+  if (filter.maximum !== undefined && !(value <= filter.maximum)) {
+    return false;
+  }
+  if (filter.contains && (!Array.isArray(value) || !value.some(item => matchesFilter(item, filter.contains)))) {
+    return false;
+  }
+  return true;
+}
+
+// Does a credential (decoded JWT payload or JSON-LD object) satisfy an input descriptor?
+// A field matches when any of its paths resolves to a value that passes its filter
+function satisfiesDescriptor(credential, descriptor) {
+  const fields = descriptor.constraints?.fields || [];
+  return fields.every(field => {
+    if (field.optional) {
+      return true;
+    }
+    return (field.path || []).some(path => {
+      const value = readPath(credential, path);
+      return value !== undefined && matchesFilter(value, field.filter);
+    });
+  });
+}
+
+// Helper function to read the payload of a compact JWT
+function decodeJwtPayload(jwt) {
+  return JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString());
+}
+
+// Follow a descriptor_map entry (and its path_nested chain) down to the credential it points at
+// JWT formats are decoded on the way, so nested paths address JWT payload claims
+// The entry must end at one of the VP's own verifiableCredential entries (anything else in the
+// payload is just JSON the holder wrote); returns its index, or -1
+function resolveCredentialIndex(entry, vpPayload) {
+  const presented = [].concat(vpPayload.vp?.verifiableCredential || []);
+  let root = vpPayload;
+  let current = entry;
+
+  while (current.path_nested) {
+    root = readPath(root, current.path);
+    if (typeof root === 'string' && /^jwt_/.test(current.format || '')) {
+      root = decodeJwtPayload(root);
+    }
+    current = current.path_nested;
+  }
+
+  const target = readPath(root, current.path);
+  return target === undefined ? -1 : presented.indexOf(target);
+}
+
+// Check that a presentation definition is structurally usable before a session stores it
+function isValidDefinition(definition) {
+  return Boolean(
+    definition &&
+    typeof definition.id === 'string' &&
+    Array.isArray(definition.input_descriptors) &&
+    definition.input_descriptors.length > 0 &&
+    definition.input_descriptors.every(descriptor =>
+      typeof descriptor?.id === 'string' &&
+      (descriptor.constraints?.fields || []).every(field => hasSafePatterns(field?.filter))
+    )
+  );
+}
+
+// Evaluate a presentation_submission against its definition
+// vpPayload is the verified VP JWT payload that descriptor paths are resolved against;
+// credentials are the verified credentials (JWT credentials as their payload), in the order of
+// vp.verifiableCredential, and are what the descriptors' fields are checked on
+// Returns { valid: true, descriptors } or { valid: false, reason }
+function evaluateSubmission(definition, submission, vpPayload, credentials) {
+  if (!submission || !Array.isArray(submission.descriptor_map)) {
+    return { valid: false, reason: 'Missing presentation submission' };
+  }
+
+  if (submission.definition_id !== definition.id) {
+    return { valid: false, reason: 'Presentation submission does not match the presentation definition' };
+  }
+
+  for (const descriptor of definition.input_descriptors) {
+    const entries = submission.descriptor_map.filter(entry => entry.id === descriptor.id);
+    if (entries.length === 0) {
+      return { valid: false, reason: `Input descriptor not submitted: ${descriptor.id}` };
+    }
+
+    for (const entry of entries) {
+      // Unsupported paths or filter patterns count as not satisfied
+      let satisfied;
+      try {
+        const credential = credentials[resolveCredentialIndex(entry, vpPayload)];
+        satisfied = Boolean(credential) && typeof credential === 'object' && satisfiesDescriptor(credential, descriptor);
+      } catch {
+        satisfied = false;
+      }
+
+      if (!satisfied) {
+        return { valid: false, reason: `Input descriptor not satisfied: ${descriptor.id}` };
+      }
+    }
+  }
+
+  return { valid: true, descriptors: definition.input_descriptors.map(descriptor => descriptor.id) };
+}
+
+module.exports = {
+  DOCUMENT_PRESENTATION_DEFINITION,
+  isValidDefinition,
+  satisfiesDescriptor,
+  evaluateSubmission
+};
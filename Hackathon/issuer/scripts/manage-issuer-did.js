@@ -0,0 +1,105 @@
+/**
+ * CLI Script for Managing the did:ethr Issuer Identity
+ *
+ * Publishes key rotations and service endpoints for the issuer DID on the
+ * ERC-1056 EthereumDIDRegistry deployed to the local Hardhat node.
+ *
+ * USAGE:
+ *   node scripts/manage-issuer-did.js resolve
+ *   node scripts/manage-issuer-did.js rotate-key
+ *   node scripts/manage-issuer-did.js revoke-key <kid>
+ *   node scripts/manage-issuer-did.js add-service <id> <type> <endpoint>
+ *   node scripts/manage-issuer-did.js remove-service <id>
+ *
+ * PREREQUISITES:
+ * - Hardhat node running and contracts deployed (cd blockchain && npm run deploy)
+ * - ISSUER_DID_PROVIDER=did:ethr and KMS_SECRET_KEY set in .env
+ * - Stop the issuer service first: both processes write the same Veramo store
+ *
+ * Rotated keys are added next to the existing ones, so credentials signed with
+ * an older key keep verifying until that key's registry TTL runs out. New
+ * credentials are signed with the latest rotated key, which can only be revoked
+ * after the next rotation.
+ */
+
+require('dotenv').config();
+const {
+  agent,
+  initializeIssuerDid,
+  rotateIssuerKey,
+  revokeIssuerKey,
+  addIssuerService,
+  removeIssuerService
+} = require('../veramo-agent');
+
+async function printDidDocument(did) {
+  const result = await agent.resolveDid({ didUrl: did });
+  console.log(JSON.stringify(result.didDocument, null, 2));
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const did = await initializeIssuerDid();
+
+  if (!did.startsWith('did:ethr:')) {
+    console.error('❌ Issuer DID is not a did:ethr. Set ISSUER_DID_PROVIDER=did:ethr in .env');
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'resolve':
+      break;
+
+    case 'rotate-key': {
+      const key = await rotateIssuerKey();
+      console.log('✅ New signing key published:', key.kid);
+      break;
+    }
+
+    case 'revoke-key': {
+      const [kid] = args;
+      if (!kid) {
+        throw new Error('Usage: revoke-key <kid>');
+      }
+      await revokeIssuerKey(kid);
+      console.log('✅ Key revoked:', kid);
+      break;
+    }
+
+    case 'add-service': {
+      const [id, type, serviceEndpoint] = args;
+      if (!id || !type || !serviceEndpoint) {
+        throw new Error('Usage: add-service <id> <type> <endpoint>');
+      }
+      await addIssuerService({ id: `${did}#${id}`, type, serviceEndpoint });
+      console.log('✅ Service endpoint published:', serviceEndpoint);
+      break;
+    }
+
+    case 'remove-service': {
+      const [id] = args;
+      if (!id) {
+        throw new Error('Usage: remove-service <id>');
+      }
+      await removeIssuerService(`${did}#${id}`);
+      console.log('✅ Service endpoint removed:', id);
+      break;
+    }
+
+    default:
+      console.error('Unknown command:', command);
+      console.error('Commands: resolve, rotate-key, revoke-key, add-service, remove-service');
+      process.exit(1);
+  }
+
+  console.log();
+  console.log('Current DID document:');
+  await printDidDocument(did);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { createJWT, decodeJWT, verifyJWT, verifyJWS } = require('did-jwt');
+
+// Selective Disclosure JWTs (SD-JWT VC) for index.js POST /issue and POST /verify
+// Every selectively disclosable claim is replaced in the signed JWT by the digest of its
+// disclosure (base64url of [salt, name, value]); the holder reveals claims by appending
+// disclosures, and proves possession of the cnf key with a key binding JWT (KB-JWT):
+//   <issuer-jwt>~<disclosure>~...~<kb-jwt>
+
+const SD_ALG = 'sha-256';
+
+// How old a key binding JWT may be (seconds); freshness is also enforced by the verifier challenge
+const KB_JWT_MAX_AGE = 5 * 60;
+
+// Helper function to hash a disclosure (or presentation) as the SD-JWT _sd_alg prescribes
+function sdDigest(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+// Create the disclosure for one claim; the salt keeps undisclosed values from being guessed
+function createDisclosure(name, value) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  return Buffer.from(JSON.stringify([salt, name, value])).toString('base64url');
+}
+
+// Issue an SD-JWT: `payload` stays in clear, every claim in `disclosable` is selectively disclosable
+// signer/alg are a did-jwt signer for the issuer key; returns the SD-JWT with all disclosures
+async function issueSdJwt(payload, disclosable, { issuer, signer, alg }) {
+  const disclosures = Object.entries(disclosable).map(([name, value]) => createDisclosure(name, value));
+
+  // Digests are sorted so their order doesn't reveal which claim is which
+  const jwt = await createJWT(
+    { ...payload, _sd: disclosures.map(sdDigest).sort(), _sd_alg: SD_ALG },
+    { issuer, signer, alg },
+    { alg, typ: 'vc+sd-jwt' }
+  );
+
+  return `${jwt}~${disclosures.map(disclosure => `${disclosure}~`).join('')}`;
+}
+
+// Verify an SD-JWT presentation (issuer signature, disclosure digests and key binding)
+// resolver must resolve both the issuer DID and the holder DID in cnf.kid;
+// audience and nonce are what the verifier expects in the KB-JWT
+// Returns { valid: true, payload, disclosedClaims, holder } or { valid: false, reason, details }
+async function verifySdJwtPresentation(presentation, { resolver, audience, nonce }) {
+  const fail = (reason, details) => ({ valid: false, reason, details });
+
+  const parts = presentation.split('~');
+  if (parts.length < 2) {
+    return fail('Invalid SD-JWT format');
+  }
+  const issuerJwt = parts[0];
+  const kbJwt = parts[parts.length - 1];
+  const disclosures = parts.slice(1, -1);
+
+  // 1. Issuer signature (time-based checks are done by the caller)
+  let payload;
+  try {
+    ({ payload } = await verifyJWT(issuerJwt, {
+      resolver,
+      policies: { exp: false, nbf: false, iat: false, aud: false }
+    }));
+  } catch (error) {
+    return fail('Invalid credential signature', error.message);
+  }
+
+  if (payload._sd_alg !== SD_ALG) {
+    return fail('Unsupported selective disclosure algorithm', payload._sd_alg);
+  }
+
+  // 2. Every disclosure must hash to a digest the issuer signed, at most once
+  const digests = new Set(payload._sd || []);
+  const disclosedClaims = {};
+  for (const disclosure of disclosures) {
+    if (!digests.delete(sdDigest(disclosure))) {
+      return fail('Disclosure does not match the credential');
+    }
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(disclosure, 'base64url').toString());
+    } catch {
+      decoded = null;
+    }
+
+    // A disclosure may not overwrite a claim the issuer put in clear
+    if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string' ||
+        decoded[1] in payload || decoded[1] in disclosedClaims) {
+      return fail('Invalid disclosure');
+    }
+    disclosedClaims[decoded[1]] = decoded[2];
+  }
+
+  // 3. Key binding: the holder signs the exact presentation for this verifier
+  if (!payload.cnf?.kid) {
+    return fail('Credential has no holder binding key');
+  }
+  if (!kbJwt) {
+    return fail('Missing key binding');
+  }
+
+  let kb;
+  try {
+    kb = decodeJWT(kbJwt);
+  } catch {
+    return fail('Invalid key binding');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (kb.header.typ !== 'kb+jwt') {
+    return fail('Invalid key binding', 'KB-JWT typ must be kb+jwt');
+  }
+  if (kb.payload.sd_hash !== sdDigest(presentation.slice(0, presentation.length - kbJwt.length))) {
+    return fail('Key binding does not cover the presented disclosures');
+  }
+  if (kb.payload.aud !== audience || kb.payload.nonce !== nonce) {
+    return fail('Key binding is not bound to this verifier session');
+  }
+  if (typeof kb.payload.iat !== 'number' || Math.abs(now - kb.payload.iat) > KB_JWT_MAX_AGE) {
+    return fail('Key binding expired');
+  }
+
+  const holder = payload.cnf.kid.split('#')[0];
+  try {
+    const { didDocument } = await resolver.resolve(holder);
+    const verificationMethods = (didDocument?.verificationMethod || []).filter(
+      method => method.id === payload.cnf.kid || `${holder}${method.id}` === payload.cnf.kid
+    );
+    verifyJWS(kbJwt, verificationMethods);
+  } catch (error) {
+    return fail('Invalid key binding signature', error.message);
+  }
+
+  return { valid: true, payload, disclosedClaims, holder };
+}
+
+module.exports = {
+  issueSdJwt,
+  verifySdJwtPresentation
+};
@@ -15,6 +15,8 @@ dotenv.config();
 // Import routes
 import didAuthRoutes from './routes/didAuth.js';
 import vcRoutes from './routes/vc.js';
+import statusRoutes from './routes/status.js';
+import oid4vciRoutes from './routes/oid4vci.js';
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -46,6 +48,8 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/issuer', didAuthRoutes);
 app.use('/issuer', vcRoutes);
+app.use('/issuer', statusRoutes);
+app.use(oid4vciRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -57,7 +61,16 @@ app.get('/', (req, res) => {
       challenge: '/issuer/challenge?did=<did>',
       verifyChallenge: '/issuer/verify-challenge',
       issueVc: '/issuer/issue-vc',
-      verifyVc: '/issuer/verify-vc?jwt=<jwt>'
+      verifyVc: '/issuer/verify-vc?jwt=<jwt>',
+      statusList: '/issuer/status/:purpose',
+      revoke: '/issuer/revoke',
+      unrevoke: '/issuer/unrevoke',
+      suspend: '/issuer/status/suspend',
+      unsuspend: '/issuer/status/unsuspend',
+      credentialIssuerMetadata: '/.well-known/openid-credential-issuer',
+      credentialOffer: '/issuer/oid4vci/offer',
+      token: '/issuer/oid4vci/token',
+      credential: '/issuer/oid4vci/credential'
     },
     documentation: 'See README.md for API usage'
   });
@@ -103,8 +116,11 @@ function validateConfiguration() {
   return true;
 }
 
-// Start server
-if (validateConfiguration()) {
+// Start server (tests drive the exported app with supertest instead)
+if (!validateConfiguration()) {
+  console.error('❌ Server startup failed due to configuration errors');
+  process.exit(1);
+} else if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, () => {
     console.log('🚀 Issuer server started');
     console.log(`📡 Listening on http://localhost:${PORT}`);
@@ -116,11 +132,13 @@ if (validateConfiguration()) {
     console.log(`   POST /issuer/verify-challenge`);
     console.log(`   POST /issuer/issue-vc`);
     console.log(`   GET  /issuer/verify-vc?jwt=<jwt>`);
+    console.log(`   GET  /issuer/status/:purpose`);
+    console.log(`   POST /issuer/revoke|unrevoke`);
+    console.log(`   POST /issuer/status/suspend|unsuspend`);
+    console.log(`   GET  /.well-known/openid-credential-issuer`);
+    console.log(`   POST /issuer/oid4vci/offer|token|credential`);
     console.log('\n✅ Ready for DID-Auth requests');
   });
-} else {
-  console.error('❌ Server startup failed due to configuration errors');
-  process.exit(1);
 }
 
 export default app;
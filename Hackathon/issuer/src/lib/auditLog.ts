@@ -0,0 +1,43 @@
+/**
+ * Audit Log
+ * Append-only JSON lines log of credential lifecycle events (logs/issuance.log)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Issuance log file
+const LOG_DIR = path.join(process.cwd(), 'logs');
+const LOG_FILE = path.join(LOG_DIR, 'issuance.log');
+
+// Ensure log directory exists
+if (!fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+export type AuditAction =
+  | 'VC_ISSUED'
+  | 'VC_REVOKED'
+  | 'VC_UNREVOKED'
+  | 'VC_SUSPENDED'
+  | 'VC_UNSUSPENDED';
+
+export interface AuditEntry {
+  action: AuditAction;
+  issuer: string;
+  jti: string;
+  [field: string]: unknown;
+}
+
+/**
+ * Append an entry to the audit log (no PII: DIDs, credential IDs and codes only)
+ */
+export function appendAuditLog(entry: AuditEntry) {
+  const logEntry = {
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+
+  const logLine = JSON.stringify(logEntry) + '\n';
+  fs.appendFileSync(LOG_FILE, logLine);
+}
@@ -0,0 +1,53 @@
+/**
+ * DID Resolver
+ * Resolves did:pkh (eip155) and did:key issuers to their verification methods
+ */
+
+import { DIDResolutionResult, DIDResolver, ParsedDID, Resolver } from 'did-resolver';
+import { getDidKeyResolver } from '@veramo/did-provider-key';
+
+/**
+ * did:pkh:eip155:<chainId>:<address> resolver
+ * The DID document is derived from the account itself: a single
+ * EcdsaSecp256k1RecoveryMethod2020 key identified by its blockchainAccountId
+ */
+const resolvePkh: DIDResolver = async (did: string, parsed: ParsedDID): Promise<DIDResolutionResult> => {
+  const [namespace, chainId, address] = parsed.id.split(':');
+
+  if (namespace !== 'eip155' || !/^\d+$/.test(chainId) || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return {
+      didResolutionMetadata: { error: 'invalidDid', message: `Unsupported did:pkh: ${did}` },
+      didDocument: null,
+      didDocumentMetadata: {}
+    };
+  }
+
+  const verificationMethodId = `${did}#blockchainAccountId`;
+
+  return {
+    didResolutionMetadata: { contentType: 'application/did+ld+json' },
+    didDocument: {
+      '@context': [
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/secp256k1recovery-2020/v2'
+      ],
+      id: did,
+      verificationMethod: [
+        {
+          id: verificationMethodId,
+          type: 'EcdsaSecp256k1RecoveryMethod2020',
+          controller: did,
+          blockchainAccountId: `eip155:${chainId}:${address}`
+        }
+      ],
+      authentication: [verificationMethodId],
+      assertionMethod: [verificationMethodId]
+    },
+    didDocumentMetadata: {}
+  };
+};
+
+export const didResolver = new Resolver({
+  pkh: resolvePkh,
+  ...getDidKeyResolver()
+});
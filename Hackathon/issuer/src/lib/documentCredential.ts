@@ -0,0 +1,97 @@
+/**
+ * DocumentCredential Issuance
+ * Builds, signs and logs JWT-VCs; shared by /issuer/issue-vc and the OID4VCI credential endpoint
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { signAsIssuer } from './issuerSigner.js';
+import { allocateStatusIndex, buildCredentialStatus } from './statusList.js';
+import { appendAuditLog } from './auditLog.js';
+
+export const DOCUMENT_CREDENTIAL_TYPE = ['VerifiableCredential', 'DocumentCredential'];
+
+export interface IssuedCredential {
+  jwtVc: string;
+  jti: string;
+  expiresAt: string;
+}
+
+/**
+ * Log VC issuance for audit trail
+ * Logs: issuer DID, subject DID, jti, timestamp (no PII)
+ */
+function logIssuance(issuerDid: string, subjectDid: string, jti: string, vcType: string[], via?: string) {
+  appendAuditLog({
+    issuer: issuerDid,
+    subject: subjectDid,
+    jti,
+    vcType,
+    action: 'VC_ISSUED',
+    ...(via && { via })
+  });
+}
+
+/**
+ * Issue a DocumentCredential JWT-VC to a subject DID
+ * @param via - Issuance channel recorded in the audit log (e.g. 'oid4vci')
+ */
+export async function issueDocumentCredential(
+  subjectDid: string,
+  credentialSubject: Record<string, unknown>,
+  validityDays: number,
+  via?: string
+): Promise<IssuedCredential> {
+  const issuerDid = process.env.ISSUER_DID;
+  if (!issuerDid) {
+    throw new Error('Issuer not properly configured');
+  }
+
+  // Generate unique credential ID
+  const jti = uuidv4();
+
+  // Timestamps
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + (validityDays * 24 * 60 * 60);
+
+  // Reserve a StatusList2021 index so the credential can later be revoked or suspended
+  const statusListIndex = allocateStatusIndex(jti);
+
+  // Construct Verifiable Credential payload
+  const vcPayload = {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      'https://w3id.org/vc/status-list/2021/v1'
+    ],
+    type: DOCUMENT_CREDENTIAL_TYPE,
+    issuer: issuerDid,
+    issuanceDate: new Date(now * 1000).toISOString(),
+    expirationDate: new Date(exp * 1000).toISOString(),
+    credentialSubject: {
+      id: subjectDid,
+      ...credentialSubject
+    },
+    credentialStatus: buildCredentialStatus(statusListIndex)
+  };
+
+  // Create JWT payload (iss is set by createJWT)
+  const jwtPayload = {
+    sub: subjectDid,
+    iat: now,
+    exp: exp,
+    jti: jti,
+    vc: vcPayload
+  };
+
+  // Sign JWT-VC with the issuer's secp256k1 key (ES256K)
+  // The signature recovers to the did:pkh account, so any did:pkh resolver can verify it
+  const jwtVc = await signAsIssuer(jwtPayload);
+
+  // Log issuance (audit trail, no PII)
+  logIssuance(issuerDid, subjectDid, jti, vcPayload.type, via);
+
+  return {
+    jwtVc,
+    jti,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
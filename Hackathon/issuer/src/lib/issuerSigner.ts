@@ -0,0 +1,28 @@
+/**
+ * Issuer Signer
+ * Signs JWTs with the issuer's secp256k1 key (ES256K) so they verify against the did:pkh issuer DID
+ */
+
+import { createJWT, ES256KSigner } from 'did-jwt';
+import { ethers } from 'ethers';
+
+const ISSUER_PRIVATE_KEY = process.env.ISSUER_PRIVATE_KEY;
+const ISSUER_DID = process.env.ISSUER_DID;
+
+/**
+ * Sign a JWT payload as the issuer (iss is set from ISSUER_DID)
+ */
+export async function signAsIssuer(payload: Record<string, any>): Promise<string> {
+  if (!ISSUER_PRIVATE_KEY || !ISSUER_DID) {
+    throw new Error('Issuer not properly configured');
+  }
+
+  return createJWT(
+    payload,
+    {
+      issuer: ISSUER_DID,
+      signer: ES256KSigner(ethers.getBytes(ISSUER_PRIVATE_KEY))
+    },
+    { alg: 'ES256K', typ: 'JWT' }
+  );
+}
@@ -0,0 +1,209 @@
+/**
+ * StatusList2021 Registry
+ * Tracks revocation and suspension bits for issued credentials
+ * Spec: https://www.w3.org/TR/vc-status-list/
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+export type StatusPurpose = 'revocation' | 'suspension';
+export const STATUS_PURPOSES: StatusPurpose[] = ['revocation', 'suspension'];
+
+// 16KB bitstring: the minimum size the spec recommends for herd privacy
+const LIST_SIZE = 131072;
+const STATUS_LIST_FILE = process.env.STATUS_LIST_PATH || path.join(process.cwd(), 'data', 'status-list.json');
+
+// Public base URL that status list credentials are served from
+const ISSUER_BASE_URL = process.env.ISSUER_BASE_URL || `http://localhost:${process.env.PORT || 8080}`;
+
+interface StatusListState {
+  lists: Record<StatusPurpose, Buffer>;
+  entries: Record<string, number>; // jti -> statusListIndex
+}
+
+export interface StatusListEntry {
+  id: string;
+  type: 'StatusList2021Entry';
+  statusPurpose: StatusPurpose;
+  statusListIndex: string;
+  statusListCredential: string;
+}
+
+let state: StatusListState | null = null;
+
+/**
+ * GZIP + base64url encode a bitstring (encodedList format)
+ */
+export function encodeList(bits: Buffer): string {
+  return zlib.gzipSync(bits).toString('base64url');
+}
+
+// Lists from other issuers are untrusted: refuse ones that inflate past 1MB (8M entries)
+const MAX_DECODED_LIST_BYTES = 1024 * 1024;
+
+/**
+ * Decode an encodedList back into a bitstring
+ */
+export function decodeList(encodedList: string): Buffer {
+  return zlib.gunzipSync(Buffer.from(encodedList, 'base64url'), { maxOutputLength: MAX_DECODED_LIST_BYTES });
+}
+
+/**
+ * Read a bit; index 0 is the left-most bit of the first byte
+ */
+export function getBit(bits: Buffer, index: number): boolean {
+  const byte = bits[index >> 3];
+  if (byte === undefined) {
+    throw new Error(`Status list index ${index} out of range`);
+  }
+  return (byte & (0x80 >> (index & 7))) !== 0;
+}
+
+function setBit(bits: Buffer, index: number, value: boolean) {
+  if (value) {
+    bits[index >> 3] |= 0x80 >> (index & 7);
+  } else {
+    bits[index >> 3] &= ~(0x80 >> (index & 7));
+  }
+}
+
+function loadState(): StatusListState {
+  if (state) {
+    return state;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(STATUS_LIST_FILE, 'utf8'));
+    state = {
+      lists: {
+        revocation: decodeList(data.lists.revocation),
+        suspension: decodeList(data.lists.suspension)
+      },
+      entries: data.entries || {}
+    };
+  } catch (error: any) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read status list at ${STATUS_LIST_FILE}: ${error.message}`);
+    }
+    state = {
+      lists: {
+        revocation: Buffer.alloc(LIST_SIZE / 8),
+        suspension: Buffer.alloc(LIST_SIZE / 8)
+      },
+      entries: {}
+    };
+  }
+
+  return state;
+}
+
+/**
+ * Persist the registry (write to temp file, then rename, so readers never see a partial file)
+ */
+function saveState(current: StatusListState) {
+  const data = {
+    lists: {
+      revocation: encodeList(current.lists.revocation),
+      suspension: encodeList(current.lists.suspension)
+    },
+    entries: current.entries,
+    lastUpdated: new Date().toISOString()
+  };
+
+  fs.mkdirSync(path.dirname(STATUS_LIST_FILE), { recursive: true });
+  const tmpFile = `${STATUS_LIST_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, STATUS_LIST_FILE);
+}
+
+/**
+ * Reserve a status list index for a new credential
+ * Indexes are random rather than sequential so they leak nothing about issuance order
+ */
+export function allocateStatusIndex(jti: string): number {
+  const current = loadState();
+  const used = new Set(Object.values(current.entries));
+
+  if (used.size >= LIST_SIZE) {
+    throw new Error('Status list is full');
+  }
+
+  let index: number;
+  do {
+    index = crypto.randomInt(LIST_SIZE);
+  } while (used.has(index));
+
+  current.entries[jti] = index;
+  saveState(current);
+  return index;
+}
+
+/**
+ * Look up the status list index assigned to a credential
+ */
+export function getStatusIndex(jti: string): number | undefined {
+  return loadState().entries[jti];
+}
+
+/**
+ * Set or clear a status bit for a credential
+ * Returns false if the credential has no status list entry
+ */
+export function setCredentialStatus(jti: string, purpose: StatusPurpose, value: boolean): boolean {
+  const current = loadState();
+  const index = current.entries[jti];
+
+  if (index === undefined) {
+    return false;
+  }
+
+  setBit(current.lists[purpose], index, value);
+  saveState(current);
+  return true;
+}
+
+/**
+ * Current status bit for a credential, or undefined if it has no status list entry
+ */
+export function getCredentialStatus(jti: string, purpose: StatusPurpose): boolean | undefined {
+  const current = loadState();
+  const index = current.entries[jti];
+  return index === undefined ? undefined : getBit(current.lists[purpose], index);
+}
+
+/**
+ * Read a status bit from the local registry
+ */
+export function getLocalStatus(purpose: StatusPurpose, index: number): boolean {
+  return getBit(loadState().lists[purpose], index);
+}
+
+/**
+ * Current encodedList for a status purpose
+ */
+export function getEncodedList(purpose: StatusPurpose): string {
+  return encodeList(loadState().lists[purpose]);
+}
+
+/**
+ * URL of the published status list credential for a purpose
+ */
+export function statusListUrl(purpose: StatusPurpose): string {
+  return `${ISSUER_BASE_URL}/issuer/status/${purpose}`;
+}
+
+/**
+ * credentialStatus entries (one per purpose, sharing the same index) for a new credential
+ */
+export function buildCredentialStatus(index: number): StatusListEntry[] {
+  return STATUS_PURPOSES.map((statusPurpose) => ({
+    id: `${statusListUrl(statusPurpose)}#${index}`,
+    type: 'StatusList2021Entry',
+    statusPurpose,
+    statusListIndex: String(index),
+    statusListCredential: statusListUrl(statusPurpose)
+  }));
+}
@@ -27,6 +27,15 @@ const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev-secret-change-in-production';
 const SESSION_TTL = 10 * 60; // 10 minutes in seconds
 
+// DIDs granted the issuer-admin role (comma-separated did:pkh list)
+// Admin sessions may manage credential status (revoke, suspend, unsuspend)
+const ISSUER_ADMIN_DIDS = (process.env.ISSUER_ADMIN_DIDS || '')
+  .split(',')
+  .map((did) => did.trim().toLowerCase())
+  .filter(Boolean);
+
+export const ISSUER_ADMIN_ROLE = 'issuer-admin';
+
 /**
  * Clean up expired challenges (runs periodically)
  */
@@ -37,7 +46,7 @@ setInterval(() => {
       challenges.delete(key);
     }
   }
-}, 60 * 1000); // Clean every minute
+}, 60 * 1000).unref(); // Clean every minute
 
 /**
  * GET /issuer/challenge
@@ -185,11 +194,13 @@ router.post(
       challenges.delete(did);
 
       // 8. Generate session token (JWT)
-      // This token allows VC issuance for this DID
+      // This token allows VC issuance for this DID, plus status management for admins
+      const role = ISSUER_ADMIN_DIDS.includes(did.toLowerCase()) ? ISSUER_ADMIN_ROLE : 'holder';
       const sessionToken = jwt.sign(
         {
           sub: did,
           type: 'did-auth-session',
+          role,
           iat: Math.floor(Date.now() / 1000),
           exp: Math.floor(Date.now() / 1000) + SESSION_TTL
         },
@@ -203,6 +214,7 @@ router.post(
         success: true,
         sessionToken,
         expiresIn: SESSION_TTL,
+        role,
         message: 'Authentication successful'
       });
     } catch (error: any) {
@@ -242,8 +254,9 @@ export function verifySessionToken(req: Request, res: Response, next: any) {
       });
     }
 
-    // Attach DID to request for use in handlers
+    // Attach DID and role to request for use in handlers
     (req as any).authenticatedDid = decoded.sub;
+    (req as any).sessionRole = decoded.role;
 
     next();
   } catch (error: any) {
@@ -261,4 +274,19 @@ export function verifySessionToken(req: Request, res: Response, next: any) {
   }
 }
 
+/**
+ * Middleware to require an issuer-admin session
+ * Use after verifySessionToken on credential status management endpoints
+ */
+export function requireIssuerAdmin(req: Request, res: Response, next: any) {
+  if ((req as any).sessionRole !== ISSUER_ADMIN_ROLE) {
+    return res.status(403).json({
+      success: false,
+      error: 'Issuer admin role required'
+    });
+  }
+
+  next();
+}
+
 export default router;
@@ -0,0 +1,391 @@
+/**
+ * OpenID for Verifiable Credential Issuance (OID4VCI) Routes
+ * Pre-authorized code flow so third-party wallets can pull DocumentCredentials
+ * Spec: https://openid.net/specs/openid-4-verifiable-credential-issuance-1_0.html
+ *
+ * Flow:
+ *   1. A DID-Auth'd holder creates a credential offer (QR code + transaction code)
+ *   2. The wallet exchanges the pre-authorized code (+ tx_code) for an access token and c_nonce
+ *   3. The wallet proves possession of its DID key over the c_nonce and receives the JWT-VC
+ *
+ * Token and credential endpoints answer with OAuth-style errors ({ error, error_description })
+ * because that is what wallets expect.
+ */
+
+import { Router, Request, Response } from 'express';
+import { body, validationResult } from 'express-validator';
+import crypto from 'crypto';
+import { decodeJWT, verifyJWS } from 'did-jwt';
+import { verifySessionToken } from './didAuth.js';
+import { didResolver } from '../lib/didResolver.js';
+import { issueDocumentCredential, DOCUMENT_CREDENTIAL_TYPE } from '../lib/documentCredential.js';
+
+const router = Router();
+
+// Credential issuer identifier (also the base URL of the metadata and endpoints)
+const CREDENTIAL_ISSUER = process.env.ISSUER_BASE_URL || `http://localhost:${process.env.PORT || 8080}`;
+const VC_TOKEN_TTL = parseInt(process.env.VC_TOKEN_TTL || '365', 10); // days
+
+const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+const CREDENTIAL_CONFIGURATION_ID = 'DocumentCredential_jwt_vc_json';
+
+const OFFER_TTL = 10 * 60 * 1000; // 10 minutes
+const ACCESS_TOKEN_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_TX_CODE_ATTEMPTS = 5;
+
+// Proofs older than this are rejected even if the c_nonce is still valid
+const PROOF_MAX_AGE = 5 * 60; // 5 minutes in seconds
+
+interface PendingOffer {
+  authorizedBy: string;
+  credentialSubject: Record<string, unknown>;
+  validityDays: number;
+  txCode: string;
+  failedAttempts: number;
+  expiresAt: number;
+}
+
+interface AccessGrant {
+  offer: PendingOffer;
+  cNonce: string;
+  expiresAt: number;
+}
+
+// In-memory storage: pre-authorized code -> offer, access token -> grant
+const offers = new Map<string, PendingOffer>();
+const accessGrants = new Map<string, AccessGrant>();
+
+/**
+ * Clean up expired offers and access tokens (runs periodically, without keeping the process alive)
+ */
+setInterval(() => {
+  const now = Date.now();
+  for (const [code, offer] of offers.entries()) {
+    if (offer.expiresAt < now) {
+      offers.delete(code);
+    }
+  }
+  for (const [token, grant] of accessGrants.entries()) {
+    if (grant.expiresAt < now) {
+      accessGrants.delete(token);
+    }
+  }
+}, 60 * 1000).unref();
+
+/**
+ * OAuth-style error response for wallet-facing endpoints
+ */
+function oauthError(res: Response, status: number, error: string, description: string) {
+  return res.status(status).json({
+    error,
+    error_description: description
+  });
+}
+
+/**
+ * Verify a proof-of-possession JWT (proof_type "jwt") and return the holder DID
+ * The key in `kid` must belong to the holder DID and sign over our c_nonce and issuer identifier
+ */
+async function verifyProofOfPossession(proofJwt: string, cNonce: string): Promise<string> {
+  const { header, payload } = decodeJWT(proofJwt);
+
+  if ((header.typ as string) !== 'openid4vci-proof+jwt') {
+    throw new Error('Proof JWT typ must be openid4vci-proof+jwt');
+  }
+
+  if (!header.kid || !header.kid.startsWith('did:') || !header.kid.includes('#')) {
+    throw new Error('Proof JWT kid must be a DID URL');
+  }
+
+  const holderDid = header.kid.split('#')[0];
+
+  // Anonymous pre-authorized proofs carry no iss, so the key is looked up from kid instead of using verifyJWT
+  const { didDocument } = await didResolver.resolve(holderDid, { accept: 'application/did+json' });
+  const verificationMethod = didDocument?.verificationMethod?.find((method) => method.id === header.kid);
+  if (!verificationMethod) {
+    throw new Error(`Key ${header.kid} not found in the holder DID document`);
+  }
+
+  // Throws if the signature does not match the key
+  verifyJWS(proofJwt, verificationMethod);
+
+  const audience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audience.includes(CREDENTIAL_ISSUER)) {
+    throw new Error('Proof JWT aud must be the credential issuer');
+  }
+
+  if (payload.nonce !== cNonce) {
+    throw new Error('Proof JWT nonce does not match c_nonce');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!payload.iat || payload.iat > now + 60 || payload.iat < now - PROOF_MAX_AGE) {
+    throw new Error('Proof JWT iat missing or out of range');
+  }
+
+  return holderDid;
+}
+
+/**
+ * GET /.well-known/openid-credential-issuer
+ * Credential issuer metadata (public endpoint)
+ */
+router.get('/.well-known/openid-credential-issuer', (req: Request, res: Response) => {
+  res.json({
+    credential_issuer: CREDENTIAL_ISSUER,
+    credential_endpoint: `${CREDENTIAL_ISSUER}/issuer/oid4vci/credential`,
+    // Older wallets (pre draft 13) read the token endpoint from here
+    token_endpoint: `${CREDENTIAL_ISSUER}/issuer/oid4vci/token`,
+    display: [{ name: 'DID Credential Vault Issuer', locale: 'en-US' }],
+    credential_configurations_supported: {
+      [CREDENTIAL_CONFIGURATION_ID]: {
+        format: 'jwt_vc_json',
+        cryptographic_binding_methods_supported: ['did:key', 'did:pkh'],
+        credential_signing_alg_values_supported: ['ES256K'],
+        proof_types_supported: {
+          jwt: { proof_signing_alg_values_supported: ['ES256K', 'EdDSA'] }
+        },
+        credential_definition: {
+          type: DOCUMENT_CREDENTIAL_TYPE
+        },
+        display: [{ name: 'Document Credential', locale: 'en-US' }]
+      }
+    }
+  });
+});
+
+/**
+ * GET /.well-known/oauth-authorization-server
+ * Authorization server metadata for the pre-authorized code grant (public endpoint)
+ */
+router.get('/.well-known/oauth-authorization-server', (req: Request, res: Response) => {
+  res.json({
+    issuer: CREDENTIAL_ISSUER,
+    token_endpoint: `${CREDENTIAL_ISSUER}/issuer/oid4vci/token`,
+    grant_types_supported: [PRE_AUTHORIZED_GRANT],
+    'pre-authorized_grant_anonymous_access_supported': true
+  });
+});
+
+/**
+ * POST /issuer/oid4vci/offer
+ * Create a pre-authorized credential offer for the authenticated holder
+ *
+ * Headers:
+ *   - Authorization: Bearer <sessionToken>
+ *
+ * Body:
+ *   - credentialSubject: Object with credential claims
+ *   - validityDays: Optional validity period (default: 365)
+ *
+ * Returns:
+ *   - credentialOffer: OID4VCI credential offer object
+ *   - credentialOfferUri: openid-credential-offer:// URI to render as a QR code
+ *   - txCode: Transaction code the holder types into the wallet (show it apart from the QR code)
+ *   - expiresIn: Offer lifetime in seconds
+ */
+router.post(
+  '/issuer/oid4vci/offer',
+  verifySessionToken,
+  [
+    body('credentialSubject')
+      .isObject()
+      .withMessage('credentialSubject must be an object'),
+    body('validityDays')
+      .optional()
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('validityDays must be between 1 and 3650')
+  ],
+  (req: Request, res: Response) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { credentialSubject, validityDays = VC_TOKEN_TTL } = req.body;
+    const authenticatedDid = (req as any).authenticatedDid;
+
+    // The wallet's proven DID becomes the subject, so any id in the claims is dropped
+    const claims = { ...credentialSubject };
+    delete claims.id;
+
+    const preAuthorizedCode = crypto.randomBytes(32).toString('base64url');
+    const txCode = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    offers.set(preAuthorizedCode, {
+      authorizedBy: authenticatedDid,
+      credentialSubject: claims,
+      validityDays,
+      txCode,
+      failedAttempts: 0,
+      expiresAt: Date.now() + OFFER_TTL
+    });
+
+    const credentialOffer = {
+      credential_issuer: CREDENTIAL_ISSUER,
+      credential_configuration_ids: [CREDENTIAL_CONFIGURATION_ID],
+      grants: {
+        [PRE_AUTHORIZED_GRANT]: {
+          'pre-authorized_code': preAuthorizedCode,
+          tx_code: {
+            input_mode: 'numeric',
+            length: 6,
+            description: 'Enter the code shown next to the QR code'
+          }
+        }
+      }
+    };
+
+    console.log(`🎫 Credential offer created by ${authenticatedDid}`);
+
+    res.json({
+      success: true,
+      credentialOffer,
+      credentialOfferUri: `openid-credential-offer://?credential_offer=${encodeURIComponent(JSON.stringify(credentialOffer))}`,
+      txCode,
+      expiresIn: OFFER_TTL / 1000 // seconds
+    });
+  }
+);
+
+/**
+ * POST /issuer/oid4vci/token
+ * Exchange a pre-authorized code for an access token (application/x-www-form-urlencoded)
+ *
+ * Body:
+ *   - grant_type: urn:ietf:params:oauth:grant-type:pre-authorized_code
+ *   - pre-authorized_code: Code from the credential offer
+ *   - tx_code: Transaction code shown to the holder
+ *
+ * Returns:
+ *   - access_token, token_type, expires_in, c_nonce, c_nonce_expires_in
+ */
+router.post('/issuer/oid4vci/token', (req: Request, res: Response) => {
+  const { grant_type: grantType, 'pre-authorized_code': code, tx_code: txCode } = req.body;
+
+  if (grantType !== PRE_AUTHORIZED_GRANT) {
+    return oauthError(res, 400, 'unsupported_grant_type', 'Only the pre-authorized code grant is supported');
+  }
+
+  const offer = typeof code === 'string' ? offers.get(code) : undefined;
+  if (!offer || offer.expiresAt < Date.now()) {
+    return oauthError(res, 400, 'invalid_grant', 'Pre-authorized code is invalid or expired');
+  }
+
+  if (txCode !== offer.txCode) {
+    // Too many wrong codes burns the offer so the 6-digit code cannot be brute-forced
+    offer.failedAttempts += 1;
+    if (offer.failedAttempts >= MAX_TX_CODE_ATTEMPTS) {
+      offers.delete(code);
+    }
+    return oauthError(res, 400, 'invalid_grant', 'Transaction code is invalid');
+  }
+
+  // Pre-authorized codes are single-use
+  offers.delete(code);
+
+  const accessToken = crypto.randomBytes(32).toString('base64url');
+  const cNonce = crypto.randomBytes(16).toString('base64url');
+
+  accessGrants.set(accessToken, {
+    offer,
+    cNonce,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL / 1000,
+    c_nonce: cNonce,
+    c_nonce_expires_in: ACCESS_TOKEN_TTL / 1000
+  });
+});
+
+/**
+ * POST /issuer/oid4vci/credential
+ * Issue the offered DocumentCredential to the wallet's DID
+ *
+ * Headers:
+ *   - Authorization: Bearer <access_token>
+ *
+ * Body:
+ *   - format: jwt_vc_json (or credential_configuration_id)
+ *   - proof: { proof_type: 'jwt', jwt: <openid4vci-proof+jwt> }
+ *
+ * Returns:
+ *   - credential: Signed JWT-VC
+ */
+router.post('/issuer/oid4vci/credential', async (req: Request, res: Response) => {
+  const authHeader = req.headers.authorization;
+  const accessToken = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : undefined;
+  const grant = accessToken ? accessGrants.get(accessToken) : undefined;
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return oauthError(res, 401, 'invalid_token', 'Access token is invalid or expired');
+  }
+
+  const { format, credential_configuration_id: configurationId, credential_definition: definition, proof } = req.body;
+
+  if (configurationId !== undefined && configurationId !== CREDENTIAL_CONFIGURATION_ID) {
+    return oauthError(res, 400, 'unsupported_credential_type', `Unknown credential configuration: ${configurationId}`);
+  }
+
+  if (format !== undefined && format !== 'jwt_vc_json') {
+    return oauthError(res, 400, 'unsupported_credential_format', 'Only jwt_vc_json is supported');
+  }
+
+  if (definition?.type && !definition.type.includes('DocumentCredential')) {
+    return oauthError(res, 400, 'unsupported_credential_type', 'Only DocumentCredential is offered');
+  }
+
+  if (proof?.proof_type !== 'jwt' || typeof proof.jwt !== 'string') {
+    return oauthError(res, 400, 'invalid_proof', 'A proof of type jwt is required');
+  }
+
+  // One credential per offer: the grant is taken before awaiting the proof check,
+  // so concurrent requests with the same access token cannot both redeem it
+  accessGrants.delete(accessToken!);
+
+  let holderDid: string;
+  try {
+    holderDid = await verifyProofOfPossession(proof.jwt, grant.cNonce);
+  } catch (error: any) {
+    // Give the grant back with a fresh nonce so the wallet can retry with a new proof
+    grant.cNonce = crypto.randomBytes(16).toString('base64url');
+    accessGrants.set(accessToken!, grant);
+    return res.status(400).json({
+      error: 'invalid_proof',
+      error_description: error.message,
+      c_nonce: grant.cNonce,
+      c_nonce_expires_in: Math.round((grant.expiresAt - Date.now()) / 1000)
+    });
+  }
+
+  try {
+    const { jwtVc, jti } = await issueDocumentCredential(
+      holderDid,
+      grant.offer.credentialSubject,
+      grant.offer.validityDays,
+      'oid4vci'
+    );
+
+    console.log(`✅ VC issued via OID4VCI: ${jti} for ${holderDid} (offered by ${grant.offer.authorizedBy})`);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      format: 'jwt_vc_json',
+      credential: jwtVc
+    });
+  } catch (error: any) {
+    console.error('OID4VCI issuance error:', error);
+    oauthError(res, 500, 'server_error', 'Failed to issue credential');
+  }
+});
+
+export default router;
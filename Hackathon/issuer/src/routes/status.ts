@@ -0,0 +1,431 @@
+/**
+ * Credential Status Routes
+ * Publishes signed StatusList2021 credentials and manages revocation/suspension bits
+ * Every status change is recorded in the audit log next to VC_ISSUED entries
+ * This is the only status registry: the Veramo service (index.js) reserves entries and checks status here
+ */
+
+import crypto from 'crypto';
+import { Router, Request, Response, NextFunction } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { verifySessionToken, requireIssuerAdmin } from './didAuth.js';
+import { signAsIssuer } from '../lib/issuerSigner.js';
+import { appendAuditLog, AuditAction } from '../lib/auditLog.js';
+import { checkStatusEntry } from '../lib/verifyJwtVc.js';
+import {
+  STATUS_PURPOSES,
+  StatusPurpose,
+  allocateStatusIndex,
+  buildCredentialStatus,
+  getCredentialStatus,
+  getEncodedList,
+  getStatusIndex,
+  setCredentialStatus,
+  statusListUrl
+} from '../lib/statusList.js';
+
+const router = Router();
+
+const ISSUER_DID = process.env.ISSUER_DID;
+
+// Status list credentials are short-lived so verifiers re-fetch after changes
+const STATUS_LIST_TTL = 5 * 60; // 5 minutes in seconds
+
+/**
+ * GET /issuer/status/:purpose
+ * Signed StatusList2021 credential (JWT) for a status purpose (public endpoint)
+ *
+ * Params:
+ *   - purpose: revocation | suspension
+ *
+ * Returns:
+ *   - application/jwt body with the status list credential
+ */
+router.get(
+  '/status/:purpose',
+  [
+    param('purpose').isIn(STATUS_PURPOSES).withMessage('Unknown status purpose')
+  ],
+  async (req: Request, res: Response) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Status list not found',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const purpose = req.params.purpose as StatusPurpose;
+      const url = statusListUrl(purpose);
+      const now = Math.floor(Date.now() / 1000);
+
+      const statusListJwt = await signAsIssuer({
+        iat: now,
+        nbf: now,
+        exp: now + STATUS_LIST_TTL,
+        jti: url,
+        vc: {
+          '@context': [
+            'https://www.w3.org/2018/credentials/v1',
+            'https://w3id.org/vc/status-list/2021/v1'
+          ],
+          id: url,
+          type: ['VerifiableCredential', 'StatusList2021Credential'],
+          issuer: ISSUER_DID,
+          issuanceDate: new Date(now * 1000).toISOString(),
+          credentialSubject: {
+            id: `${url}#list`,
+            type: 'StatusList2021',
+            statusPurpose: purpose,
+            encodedList: getEncodedList(purpose)
+          }
+        }
+      });
+
+      res.set('Cache-Control', `public, max-age=${STATUS_LIST_TTL}`);
+      res.type('application/jwt').send(statusListJwt);
+    } catch (error: any) {
+      console.error('Status list error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to publish status list'
+      });
+    }
+  }
+);
+
+/**
+ * Middleware: only the Veramo service may reserve entries and check status
+ * It authenticates with the STATUS_SERVICE_TOKEN both services share
+ */
+function requireStatusServiceToken(req: Request, res: Response, next: NextFunction) {
+  const serviceToken = process.env.STATUS_SERVICE_TOKEN;
+  if (!serviceToken) {
+    return res.status(503).json({
+      success: false,
+      error: 'Status service disabled. Configure STATUS_SERVICE_TOKEN.'
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  // Compare digests so the check is constant-time regardless of token length
+  const expectedDigest = crypto.createHash('sha256').update(serviceToken).digest();
+  const providedDigest = crypto.createHash('sha256').update(provided).digest();
+  if (!crypto.timingSafeEqual(expectedDigest, providedDigest)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing status service token'
+    });
+  }
+
+  next();
+}
+
+/**
+ * POST /issuer/status/entries
+ * Reserve status list entries for a credential issued by the Veramo service (service token only)
+ * The issuance is logged as VC_ISSUED, so the credential can be revoked like any other
+ *
+ * Headers:
+ *   - Authorization: Bearer <STATUS_SERVICE_TOKEN>
+ *
+ * Body:
+ *   - jti: Credential ID
+ *   - issuer: Issuer DID of the credential
+ *   - subject: Subject DID of the credential
+ *   - vcType: Credential types
+ *
+ * Returns:
+ *   - credentialStatus: StatusList2021Entry per status purpose
+ */
+router.post(
+  '/status/entries',
+  requireStatusServiceToken,
+  [
+    body('jti').isString().notEmpty().withMessage('jti required'),
+    body('issuer').isString().matches(/^did:/).withMessage('issuer must be a DID'),
+    body('subject').isString().matches(/^did:/).withMessage('subject must be a DID'),
+    body('vcType').isArray({ min: 1 }).withMessage('vcType required')
+  ],
+  (req: Request, res: Response) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const { jti, issuer, subject, vcType } = req.body;
+
+      if (getStatusIndex(jti) !== undefined) {
+        return res.status(409).json({
+          success: false,
+          error: 'Credential already has a status list entry'
+        });
+      }
+
+      const statusListIndex = allocateStatusIndex(jti);
+      appendAuditLog({ issuer, subject, jti, vcType, action: 'VC_ISSUED', via: 'veramo' });
+
+      res.json({
+        success: true,
+        jti,
+        credentialStatus: buildCredentialStatus(statusListIndex)
+      });
+    } catch (error: any) {
+      console.error('Status entry error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reserve status list entry'
+      });
+    }
+  }
+);
+
+/**
+ * POST /issuer/status/check
+ * Read the status bit a StatusList2021Entry points at (service token only)
+ *
+ * Body:
+ *   - entry: StatusList2021Entry of the credential
+ *   - issuer: Issuer DID of the credential (other issuers' lists must be signed by it)
+ *
+ * Returns:
+ *   - status: true if the bit is set (revoked or suspended)
+ */
+router.post(
+  '/status/check',
+  requireStatusServiceToken,
+  [
+    body('entry').isObject().withMessage('entry required'),
+    body('issuer').isString().notEmpty().withMessage('issuer required')
+  ],
+  async (req: Request, res: Response) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const status = await checkStatusEntry(req.body.entry, req.body.issuer);
+      res.json({ success: true, status });
+    } catch (error: any) {
+      // Unreadable entries and lists are the verifier's answer, not a server fault
+      res.status(422).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Reason codes follow the RFC 5280 CRLReason names
+const REVOCATION_REASON_CODES = [
+  'unspecified',
+  'keyCompromise',
+  'affiliationChanged',
+  'superseded',
+  'cessationOfOperation',
+  'privilegeWithdrawn'
+];
+const REINSTATEMENT_REASON_CODES = ['removeFromCRL', 'revokedInError'];
+
+interface StatusAction {
+  purpose: StatusPurpose;
+  value: boolean;
+  auditAction: AuditAction;
+  reasonCodes: string[];
+  conflictMessage: string;
+}
+
+const STATUS_ACTIONS: Record<string, StatusAction> = {
+  revoke: {
+    purpose: 'revocation',
+    value: true,
+    auditAction: 'VC_REVOKED',
+    reasonCodes: REVOCATION_REASON_CODES,
+    conflictMessage: 'Credential already revoked'
+  },
+  unrevoke: {
+    purpose: 'revocation',
+    value: false,
+    auditAction: 'VC_UNREVOKED',
+    reasonCodes: REINSTATEMENT_REASON_CODES,
+    conflictMessage: 'Credential is not revoked'
+  },
+  suspend: {
+    purpose: 'suspension',
+    value: true,
+    auditAction: 'VC_SUSPENDED',
+    reasonCodes: ['certificateHold', ...REVOCATION_REASON_CODES],
+    conflictMessage: 'Credential already suspended'
+  },
+  unsuspend: {
+    purpose: 'suspension',
+    value: false,
+    auditAction: 'VC_UNSUSPENDED',
+    reasonCodes: REINSTATEMENT_REASON_CODES,
+    conflictMessage: 'Credential is not suspended'
+  }
+};
+
+/**
+ * Validation for status change requests
+ */
+function statusChangeValidation(action: StatusAction) {
+  return [
+    body('jti').isString().notEmpty().withMessage('jti required'),
+    body('reasonCode')
+      .isIn(action.reasonCodes)
+      .withMessage(`reasonCode must be one of: ${action.reasonCodes.join(', ')}`)
+  ];
+}
+
+/**
+ * Build a handler that sets or clears a status bit and records it in the audit log
+ * The registry change is rolled back if the audit entry cannot be written
+ */
+function statusChangeHandler(action: StatusAction) {
+  return (req: Request, res: Response) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const { jti, reasonCode } = req.body;
+      const adminDid = (req as any).authenticatedDid;
+
+      const previous = getCredentialStatus(jti, action.purpose);
+      if (previous === undefined) {
+        return res.status(404).json({
+          success: false,
+          error: 'Credential has no status list entry'
+        });
+      }
+
+      if (previous === action.value) {
+        return res.status(409).json({
+          success: false,
+          error: action.conflictMessage
+        });
+      }
+
+      setCredentialStatus(jti, action.purpose, action.value);
+
+      try {
+        appendAuditLog({
+          issuer: ISSUER_DID as string,
+          jti,
+          action: action.auditAction,
+          reasonCode,
+          actor: adminDid
+        });
+      } catch (logError) {
+        setCredentialStatus(jti, action.purpose, previous);
+        throw logError;
+      }
+
+      console.log(`🔒 ${action.auditAction}: ${jti} (${reasonCode}) by ${adminDid}`);
+
+      res.json({
+        success: true,
+        jti,
+        statusPurpose: action.purpose,
+        status: action.value,
+        reasonCode
+      });
+    } catch (error: any) {
+      console.error('Status update error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update credential status'
+      });
+    }
+  };
+}
+
+/**
+ * POST /issuer/revoke
+ * Revoke a credential (issuer-admin only)
+ *
+ * Headers:
+ *   - Authorization: Bearer <sessionToken>
+ *
+ * Body:
+ *   - jti: Credential ID
+ *   - reasonCode: unspecified | keyCompromise | affiliationChanged | superseded |
+ *                 cessationOfOperation | privilegeWithdrawn
+ */
+router.post(
+  '/revoke',
+  verifySessionToken,
+  requireIssuerAdmin,
+  statusChangeValidation(STATUS_ACTIONS.revoke),
+  statusChangeHandler(STATUS_ACTIONS.revoke)
+);
+
+/**
+ * POST /issuer/unrevoke
+ * Reinstate a revoked credential (issuer-admin only)
+ *
+ * Body:
+ *   - jti: Credential ID
+ *   - reasonCode: removeFromCRL | revokedInError
+ */
+router.post(
+  '/unrevoke',
+  verifySessionToken,
+  requireIssuerAdmin,
+  statusChangeValidation(STATUS_ACTIONS.unrevoke),
+  statusChangeHandler(STATUS_ACTIONS.unrevoke)
+);
+
+/**
+ * POST /issuer/status/suspend
+ * Temporarily suspend a credential (issuer-admin only)
+ *
+ * Body:
+ *   - jti: Credential ID
+ *   - reasonCode: certificateHold or any revocation reason code
+ */
+router.post(
+  '/status/suspend',
+  verifySessionToken,
+  requireIssuerAdmin,
+  statusChangeValidation(STATUS_ACTIONS.suspend),
+  statusChangeHandler(STATUS_ACTIONS.suspend)
+);
+
+/**
+ * POST /issuer/status/unsuspend
+ * Lift a suspension (issuer-admin only)
+ *
+ * Body:
+ *   - jti: Credential ID
+ *   - reasonCode: removeFromCRL | revokedInError
+ */
+router.post(
+  '/status/unsuspend',
+  verifySessionToken,
+  requireIssuerAdmin,
+  statusChangeValidation(STATUS_ACTIONS.unsuspend),
+  statusChangeHandler(STATUS_ACTIONS.unsuspend)
+);
+
+export default router;
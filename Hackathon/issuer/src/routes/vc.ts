@@ -5,11 +5,10 @@
 
 import { Router, Request, Response } from 'express';
 import { body, validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
-import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs';
-import path from 'path';
+import { ethers } from 'ethers';
 import { verifySessionToken } from './didAuth.js';
+import { verifyJwtVc } from '../lib/verifyJwtVc.js';
+import { issueDocumentCredential } from '../lib/documentCredential.js';
 
 const router = Router();
 
@@ -28,31 +27,23 @@ if (!ISSUER_DID) {
   console.error('❌ ISSUER_DID not configured in .env');
 }
 
-// Issuance log file
-const LOG_DIR = path.join(process.cwd(), 'logs');
-const LOG_FILE = path.join(LOG_DIR, 'issuance.log');
-
-// Ensure log directory exists
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR, { recursive: true });
+// The did:pkh issuer DID must be derived from the signing key, otherwise
+// resolvers cannot tie the ES256K signature back to the issuer
+if (ISSUER_PRIVATE_KEY && ISSUER_DID && !issuerDidMatchesKey(ISSUER_DID, ISSUER_PRIVATE_KEY)) {
+  console.error('❌ ISSUER_DID does not match the address of ISSUER_PRIVATE_KEY');
+  console.error('Run: npm run generate-key to generate a matching keypair');
 }
 
 /**
- * Log VC issuance for audit trail
- * Logs: issuer DID, subject DID, jti, timestamp (no PII)
+ * Check that a did:pkh:eip155 DID belongs to the given secp256k1 private key
  */
-function logIssuance(issuerDid: string, subjectDid: string, jti: string, vcType: string[]) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    issuer: issuerDid,
-    subject: subjectDid,
-    jti,
-    vcType,
-    action: 'VC_ISSUED'
-  };
-
-  const logLine = JSON.stringify(logEntry) + '\n';
-  fs.appendFileSync(LOG_FILE, logLine);
+function issuerDidMatchesKey(did: string, privateKey: string): boolean {
+  try {
+    const address = new ethers.Wallet(privateKey).address.toLowerCase();
+    return did.toLowerCase().endsWith(`:${address}`);
+  } catch {
+    return false;
+  }
 }
 
 /**
@@ -117,51 +108,10 @@ router.post(
         });
       }
 
-      // Generate unique credential ID
-      const jti = uuidv4();
-
-      // Timestamps
-      const now = Math.floor(Date.now() / 1000);
-      const exp = now + (validityDays * 24 * 60 * 60);
-
-      // Construct Verifiable Credential payload
-      const vcPayload = {
-        '@context': [
-          'https://www.w3.org/2018/credentials/v1'
-        ],
-        type: ['VerifiableCredential', 'DocumentCredential'],
-        issuer: ISSUER_DID,
-        issuanceDate: new Date(now * 1000).toISOString(),
-        expirationDate: new Date(exp * 1000).toISOString(),
-        credentialSubject: {
-          id: subjectDid,
-          ...credentialSubject
-        }
-      };
-
-      // Create JWT payload
-      const jwtPayload = {
-        iss: ISSUER_DID,
-        sub: subjectDid,
-        iat: now,
-        exp: exp,
-        jti: jti,
-        vc: vcPayload
-      };
-
-      // Sign JWT-VC using issuer private key
-      // Note: Using ES256 (ECDSA with P-256) as ES256K (secp256k1) requires did-jwt library
-      // For production, consider using @decentralized-identity/did-jwt for ES256K support
-      const jwtVc = jwt.sign(jwtPayload, ISSUER_PRIVATE_KEY, {
-        algorithm: 'ES256'
-      });
-
-      // Log issuance (audit trail, no PII)
-      logIssuance(
-        ISSUER_DID,
+      const { jwtVc, jti, expiresAt } = await issueDocumentCredential(
         subjectDid,
-        jti,
-        vcPayload.type
+        credentialSubject,
+        validityDays
       );
 
       console.log(`✅ VC issued: ${jti} for ${subjectDid}`);
@@ -170,7 +120,7 @@ router.post(
         success: true,
         jwtVc,
         jti,
-        expiresAt: new Date(exp * 1000).toISOString()
+        expiresAt
       });
     } catch (error: any) {
       console.error('VC issuance error:', error);
@@ -190,8 +140,9 @@ router.post(
  *   - jwt: JWT-VC string
  * 
  * Returns:
- *   - valid: boolean
- *   - payload: Decoded JWT payload (if valid)
+ *   - valid: boolean (true only if every check passed)
+ *   - checks: Result of each check (signature, expiry, notBefore, issuer, revocation, suspension)
+ *   - payload: Decoded JWT payload
  */
 router.get('/verify-vc', async (req: Request, res: Response) => {
   try {
@@ -204,20 +155,17 @@ router.get('/verify-vc', async (req: Request, res: Response) => {
       });
     }
 
-    if (!ISSUER_PRIVATE_KEY) {
+    if (!ISSUER_DID) {
       return res.status(500).json({
         success: false,
         error: 'Issuer not configured'
       });
     }
 
-    // Verify JWT signature
-    // Note: For ES256K, we need the public key
-    // For simplicity, we'll decode without verification here
-    // In production, use proper public key verification
-    const decoded = jwt.decode(jwtVc, { complete: true });
-
-    if (!decoded) {
+    let result;
+    try {
+      result = await verifyJwtVc(jwtVc, ISSUER_DID);
+    } catch {
       return res.status(400).json({
         success: false,
         valid: false,
@@ -225,21 +173,12 @@ router.get('/verify-vc', async (req: Request, res: Response) => {
       });
     }
 
-    // Basic validation
-    const payload = decoded.payload as any;
-    const now = Math.floor(Date.now() / 1000);
-
-    const isValid = 
-      payload.iss === ISSUER_DID &&
-      payload.exp > now &&
-      payload.vc &&
-      payload.vc.credentialSubject;
-
     res.json({
       success: true,
-      valid: isValid,
-      payload: decoded.payload,
-      expired: payload.exp <= now
+      valid: result.valid,
+      checks: result.checks,
+      payload: result.payload,
+      expired: result.expired
     });
   } catch (error: any) {
     console.error('VC verification error:', error);
@@ -0,0 +1,53 @@
+// Credential status for index.js, kept by the TypeScript service's StatusList2021 registry
+// (src/lib/statusList.ts, served by src/routes/status.ts). Credentials issued here reserve their
+// credentialStatus entries there and every status check is answered there, so there is one set
+// of status lists and one place to change them: the audited /issuer/revoke and /issuer/status/*
+
+const STATUS_SERVICE_TIMEOUT_MS = 5000;
+
+// Helper function to call a service endpoint of the status registry
+async function callStatusService(endpoint, body) {
+  // The registry publishes its lists under ISSUER_BASE_URL; STATUS_SERVICE_URL overrides it for internal calls
+  const baseUrl = process.env.STATUS_SERVICE_URL || process.env.ISSUER_BASE_URL;
+  const token = process.env.STATUS_SERVICE_TOKEN;
+  if (!baseUrl || !token) {
+    throw new Error('Status service not configured. Set STATUS_SERVICE_URL and STATUS_SERVICE_TOKEN.');
+  }
+
+  const response = await fetch(`${baseUrl}/issuer/status/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(STATUS_SERVICE_TIMEOUT_MS)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Status service error (HTTP ${response.status})`);
+  }
+  return result;
+}
+
+// Reserve the credentialStatus entries (revocation and suspension) of a new credential
+async function reserveCredentialStatus(credential) {
+  const { credentialStatus } = await callStatusService('entries', {
+    jti: credential.id,
+    issuer: credential.issuer.id,
+    subject: credential.credentialSubject.id,
+    vcType: credential.type
+  });
+  return credentialStatus;
+}
+
+// Read the status bit a StatusList2021Entry points at; lists of other issuers must be signed by issuerDid
+async function isStatusSet(entry, issuerDid) {
+  const { status } = await callStatusService('check', { entry, issuer: issuerDid });
+  return status;
+}
+
+module.exports = {
+  reserveCredentialStatus,
+  isStatusSet
+};
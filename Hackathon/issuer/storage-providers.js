@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Storage providers: where the issuer keeps uploaded (encrypted) files
+// STORAGE_PROVIDER picks one: r2 (default), ipfs (Lighthouse), local (a directory) or memory (tests)
+// Every provider has the same methods, so routes don't depend on the one configured:
+//   put(key, body, { contentType, metadata }) -> { key, size, etag, url }
+//     content-addressed providers (ipfs) ignore the suggested key and return the CID as the key
+//   get(key, { range, ifNoneMatch }) -> { body (Readable), size, contentLength, contentType, etag, lastModified, contentRange }
+//     range is a single 'bytes=start-end' range; contentRange is only set for partial content
+//   head(key) -> { size, contentType, etag, lastModified }, or null if there is no such file
+//   delete(key)
+//   list({ prefix }) -> [{ key, size, lastModified }]
+// Failures the caller can act on are errors with a code (see STORAGE_ERROR_CODES)
+
+const PROVIDERS = ['r2', 'ipfs', 'local', 'memory'];
+
+const STORAGE_ERROR_CODES = {
+  NOT_FOUND: 'NotFound',
+  NOT_MODIFIED: 'NotModified', // If-None-Match matched the current ETag
+  INVALID_RANGE: 'InvalidRange', // error.size holds the file size for Content-Range
+  INVALID_KEY: 'InvalidKey'
+};
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+const LIGHTHOUSE_UPLOAD_URL = 'https://node.lighthouse.storage/api/v0/add';
+const LIGHTHOUSE_API_URL = 'https://api.lighthouse.storage/api';
+const IPFS_GATEWAY_URL = process.env.IPFS_GATEWAY_URL || 'https://gateway.lighthouse.storage/ipfs';
+
+// Create the provider named by STORAGE_PROVIDER (or the given name)
+function createStorageProvider(name = process.env.STORAGE_PROVIDER || 'r2') {
+  switch (name) {
+    case 'r2':
+      return createR2Provider();
+    case 'ipfs':
+      return createIpfsProvider();
+    case 'local':
+      return createLocalProvider();
+    case 'memory':
+      return createMemoryProvider();
+    default:
+      throw new Error(`Unknown STORAGE_PROVIDER "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+// Cloudflare R2 (or any S3-compatible store), configured by R2_ENDPOINT, R2_BUCKET_NAME and credentials
+// The S3 client is exposed for what only R2 can do: pre-signed multipart uploads (multipart-uploads.js)
+function createR2Provider() {
+  const bucket = process.env.R2_BUCKET_NAME;
+  const client = new S3Client({
+    region: 'auto',
+    endpoint: process.env.R2_ENDPOINT,
+    // Bucket in the path works with R2 and local S3-compatible servers (MinIO) alike
+    forcePathStyle: true,
+    // Pre-signed part URLs must not carry a checksum of the (empty) body they were signed with
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    credentials: {
+      accessKeyId: process.env.R2_ACCESS_KEY_ID,
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY
+    }
+  });
+
+  // S3 reports conditions and missing keys as exceptions
+  const toStorageError = (error, key) => {
+    const status = error.$metadata?.httpStatusCode;
+    if (status === 304) {
+      return storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+    }
+    if (error.name === 'NoSuchKey' || error.name === 'NotFound' || status === 404) {
+      return storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${key}`);
+    }
+    return error;
+  };
+
+  const head = async (key) => {
+    try {
+      const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        size: result.ContentLength,
+        contentType: result.ContentType || DEFAULT_CONTENT_TYPE,
+        etag: result.ETag,
+        lastModified: result.LastModified
+      };
+    } catch (error) {
+      if (toStorageError(error, key).code === STORAGE_ERROR_CODES.NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'r2',
+    client,
+    bucket,
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const result = await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType || DEFAULT_CONTENT_TYPE,
+        Metadata: metadata
+      }));
+      return { key, size: body.length, etag: result.ETag };
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      try {
+        const result = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: range,
+          IfNoneMatch: ifNoneMatch
+        }));
+        return {
+          body: result.Body,
+          size: result.ContentRange ? Number(result.ContentRange.split('/')[1]) : result.ContentLength,
+          contentLength: result.ContentLength,
+          contentType: result.ContentType || DEFAULT_CONTENT_TYPE,
+          etag: result.ETag,
+          lastModified: result.LastModified,
+          contentRange: result.ContentRange
+        };
+      } catch (error) {
+        if (error.name === 'InvalidRange' || error.$metadata?.httpStatusCode === 416) {
+          const info = await head(key);
+          throw storageError(STORAGE_ERROR_CODES.INVALID_RANGE, 'Requested range not satisfiable', { size: info?.size });
+        }
+        throw toStorageError(error, key);
+      }
+    },
+
+    head,
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list({ prefix } = {}) {
+      const files = [];
+      let continuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+        for (const object of page.Contents || []) {
+          files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return files;
+    }
+  };
+}
+
+// IPFS through Lighthouse (LIGHTHOUSE_API_KEY); files are read back through a public gateway
+// Content addressing: the key is the CID, so a file can't be replaced, and Lighthouse only
+// unpins it on delete (copies pinned elsewhere stay reachable)
+function createIpfsProvider() {
+  const apiKey = process.env.LIGHTHOUSE_API_KEY;
+  const authorization = { Authorization: `Bearer ${apiKey}` };
+
+  const gatewayRequest = async (cid, { method = 'GET', range, ifNoneMatch } = {}) => {
+    const response = await fetch(`${IPFS_GATEWAY_URL}/${encodeURIComponent(cid)}`, {
+      method,
+      headers: {
+        ...(range && { Range: range }),
+        ...(ifNoneMatch && { 'If-None-Match': ifNoneMatch })
+      }
+    });
+    if (response.status === 304) {
+      throw storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+    }
+    if (response.status === 404 || response.status === 400) {
+      throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${cid}`);
+    }
+    if (response.status === 416) {
+      const size = Number((response.headers.get('Content-Range') || '').split('/')[1]) || undefined;
+      throw storageError(STORAGE_ERROR_CODES.INVALID_RANGE, 'Requested range not satisfiable', { size });
+    }
+    if (!response.ok) {
+      throw new Error(`IPFS gateway responded with status ${response.status}`);
+    }
+    return response;
+  };
+
+  // Lighthouse lists uploads newest first, a page at a time
+  const listUploads = async () => {
+    const uploads = [];
+    let lastKey = null;
+    do {
+      const response = await fetch(
+        `${LIGHTHOUSE_API_URL}/user/files_uploaded?lastKey=${lastKey ? encodeURIComponent(lastKey) : 'null'}`,
+        { headers: authorization }
+      );
+      if (!response.ok) {
+        throw new Error(`Lighthouse responded with status ${response.status}`);
+      }
+      const page = await response.json();
+      uploads.push(...(page.fileList || []));
+      lastKey = (page.fileList || []).length > 0 && uploads.length < page.totalFiles
+        ? page.fileList[page.fileList.length - 1].id
+        : null;
+    } while (lastKey);
+    return uploads;
+  };
+
+  return {
+    name: 'ipfs',
+
+    async put(key, body, { contentType } = {}) {
+      if (!apiKey) {
+        throw new Error('LIGHTHOUSE_API_KEY is not configured');
+      }
+      const form = new FormData();
+      form.append('file', new Blob([body], { type: contentType || DEFAULT_CONTENT_TYPE }), key);
+
+      const response = await fetch(LIGHTHOUSE_UPLOAD_URL, { method: 'POST', headers: authorization, body: form });
+      if (!response.ok) {
+        throw new Error(`Lighthouse upload failed with status ${response.status}`);
+      }
+      const { Hash: cid } = await response.json();
+      return { key: cid, size: body.length, etag: `"${cid}"`, url: `${IPFS_GATEWAY_URL}/${cid}` };
+    },
+
+    async get(cid, { range, ifNoneMatch } = {}) {
+      const response = await gatewayRequest(cid, { range, ifNoneMatch });
+      const contentRange = response.status === 206 ? response.headers.get('Content-Range') : undefined;
+      const contentLength = Number(response.headers.get('Content-Length'));
+      return {
+        body: Readable.fromWeb(response.body),
+        size: contentRange ? Number(contentRange.split('/')[1]) : contentLength,
+        contentLength,
+        contentType: response.headers.get('Content-Type') || DEFAULT_CONTENT_TYPE,
+        // Gateways may answer without one; the CID names the content just as well
+        etag: response.headers.get('ETag') || `"${cid}"`,
+        lastModified: response.headers.get('Last-Modified') ? new Date(response.headers.get('Last-Modified')) : undefined,
+        contentRange
+      };
+    },
+
+    async head(cid) {
+      try {
+        const response = await gatewayRequest(cid, { method: 'HEAD' });
+        return {
+          size: Number(response.headers.get('Content-Length')),
+          contentType: response.headers.get('Content-Type') || DEFAULT_CONTENT_TYPE,
+          etag: response.headers.get('ETag') || `"${cid}"`,
+          lastModified: response.headers.get('Last-Modified') ? new Date(response.headers.get('Last-Modified')) : undefined
+        };
+      } catch (error) {
+        if (error.code === STORAGE_ERROR_CODES.NOT_FOUND) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(cid) {
+      const upload = (await listUploads()).find(file => file.cid === cid);
+      if (!upload) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${cid}`);
+      }
+      const response = await fetch(`${LIGHTHOUSE_API_URL}/user/delete_file?id=${encodeURIComponent(upload.id)}`, {
+        method: 'DELETE',
+        headers: authorization
+      });
+      if (!response.ok) {
+        throw new Error(`Lighthouse delete failed with status ${response.status}`);
+      }
+    },
+
+    async list({ prefix } = {}) {
+      return (await listUploads())
+        .filter(file => !prefix || file.cid.startsWith(prefix))
+        .map(file => ({
+          key: file.cid,
+          size: Number(file.fileSizeInBytes),
+          lastModified: new Date(file.createdAt)
+        }));
+    }
+  };
+}
+
+// Files in a directory on this machine (LOCAL_STORAGE_DIR, default ./data/files), for development
+// and self-hosting; content type and ETag are kept next to each file in .meta/<key>.json
+function createLocalProvider(directory = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'data', 'files')) {
+  const metaDirectory = path.join(directory, '.meta');
+  fs.mkdirSync(metaDirectory, { recursive: true });
+
+  const filePath = (key) => path.join(directory, checkKey(key));
+  const metaPath = (key) => path.join(metaDirectory, `${checkKey(key)}.json`);
+
+  const head = async (key) => {
+    try {
+      const [stats, meta] = await Promise.all([
+        fs.promises.stat(filePath(key)),
+        fs.promises.readFile(metaPath(key), 'utf8').then(JSON.parse)
+      ]);
+      return { size: stats.size, contentType: meta.contentType, etag: meta.etag, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const etag = contentEtag(body);
+      // Write to a temporary file first, so a reader never sees half a file
+      const temporary = `${filePath(key)}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temporary, body);
+      await fs.promises.writeFile(metaPath(key), JSON.stringify({
+        contentType: contentType || DEFAULT_CONTENT_TYPE,
+        etag,
+        metadata: metadata || {}
+      }));
+      await fs.promises.rename(temporary, filePath(key));
+      return { key, size: body.length, etag };
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      const info = await head(key);
+      if (!info) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${key}`);
+      }
+      if (ifNoneMatch && ifNoneMatch === info.etag) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+      }
+
+      const { start, end, contentRange } = resolveRange(range, info.size);
+      return {
+        body: fs.createReadStream(filePath(key), { start, end }),
+        size: info.size,
+        contentLength: end - start + 1,
+        contentType: info.contentType,
+        etag: info.etag,
+        lastModified: info.lastModified,
+        contentRange
+      };
+    },
+
+    head,
+
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+      await fs.promises.rm(metaPath(key), { force: true });
+    },
+
+    async list({ prefix } = {}) {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.endsWith('.tmp') || (prefix && !entry.name.startsWith(prefix))) {
+          continue;
+        }
+        const stats = await fs.promises.stat(path.join(directory, entry.name));
+        files.push({ key: entry.name, size: stats.size, lastModified: stats.mtime });
+      }
+      return files;
+    }
+  };
+}
+
+// Files in this process's memory, for tests and demos; gone on restart
+function createMemoryProvider() {
+  const files = new Map();
+
+  const head = async (key) => {
+    const file = files.get(key);
+    return file
+      ? { size: file.body.length, contentType: file.contentType, etag: file.etag, lastModified: file.lastModified }
+      : null;
+  };
+
+  return {
+    name: 'memory',
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const stored = Buffer.from(body);
+      const etag = contentEtag(stored);
+      files.set(key, {
+        body: stored,
+        contentType: contentType || DEFAULT_CONTENT_TYPE,
+        metadata: metadata || {},
+        etag,
+        lastModified: new Date()
+      });
+      return { key, size: stored.length, etag };
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      const file = files.get(key);
+      if (!file) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_FOUND, `No file stored under ${key}`);
+      }
+      if (ifNoneMatch && ifNoneMatch === file.etag) {
+        throw storageError(STORAGE_ERROR_CODES.NOT_MODIFIED, 'Not modified');
+      }
+
+      const { start, end, contentRange } = resolveRange(range, file.body.length);
+      return {
+        body: Readable.from([file.body.subarray(start, end + 1)]),
+        size: file.body.length,
+        contentLength: end - start + 1,
+        contentType: file.contentType,
+        etag: file.etag,
+        lastModified: file.lastModified,
+        contentRange
+      };
+    },
+
+    head,
+
+    async delete(key) {
+      files.delete(key);
+    },
+
+    async list({ prefix } = {}) {
+      return [...files.entries()]
+        .filter(([key]) => !prefix || key.startsWith(prefix))
+        .map(([key, file]) => ({ key, size: file.body.length, lastModified: file.lastModified }));
+    }
+  };
+}
+
+// Helper function to turn a single 'bytes=start-end' range into inclusive offsets
+// Without a range the whole file is returned; a range past the end is an InvalidRange error
+function resolveRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range || '');
+  if (!match) {
+    return { start: 0, end: Math.max(0, size - 1) };
+  }
+
+  const start = match[1] === '' ? Math.max(0, size - Number(match[2])) : Number(match[1]);
+  const end = match[1] !== '' && match[2] !== '' ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (start >= size || end < start) {
+    throw storageError(STORAGE_ERROR_CODES.INVALID_RANGE, 'Requested range not satisfiable', { size });
+  }
+  return { start, end, contentRange: `bytes ${start}-${end}/${size}` };
+}
+
+// Helper function to create an error with one of STORAGE_ERROR_CODES
+function storageError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code }, details);
+}
+
+// Helper function to compute a strong ETag from the content, as S3 does for single-part objects
+function contentEtag(body) {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+// Helper function to keep keys to a single path segment (no traversal out of the directory)
+function checkKey(key) {
+  if (typeof key !== 'string' || !/^[\w][\w.-]*$/.test(key)) {
+    throw storageError(STORAGE_ERROR_CODES.INVALID_KEY, `Invalid storage key: ${key}`);
+  }
+  return key;
+}
+
+module.exports = {
+  PROVIDERS,
+  STORAGE_ERROR_CODES,
+  createStorageProvider,
+  createR2Provider,
+  createIpfsProvider,
+  createLocalProvider,
+  createMemoryProvider
+};
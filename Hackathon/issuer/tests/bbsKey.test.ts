@@ -0,0 +1,67 @@
+/**
+ * BBS Issuer Key Tests
+ * The BLS12-381 key of the CommonJS service's BBS credentials (bbs.js): created once on a fresh
+ * install, even when the first credentials are issued at the same time, and kept across restarts
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { AddressInfo } from 'net';
+import request from 'supertest';
+import app from '../src/index.js';
+import { VeramoService, startVeramoService } from './helpers/veramoService.js';
+import { createHolder } from './helpers/holder.js';
+
+describe('BBS issuer key', () => {
+  let statusServer: http.Server;
+  let veramo: VeramoService;
+  let keyPath: string;
+
+  const issueBbsCredential = async (fileName: string) => {
+    const response = await request(veramo.url)
+      .post('/issue')
+      .send({ subjectDid: createHolder().did, claims: { docType: 'passport', fileName }, proofFormat: 'bbs' });
+    expect(response.status).toBe(200);
+    return response.body.vc;
+  };
+
+  beforeAll(async () => {
+    // The app's StatusList2021 registry gives the credentials their status entries
+    statusServer = http.createServer(app);
+    await new Promise<void>((resolve) => statusServer.listen(0, '127.0.0.1', resolve));
+    process.env.STATUS_SERVICE_URL = `http://127.0.0.1:${(statusServer.address() as AddressInfo).port}`;
+
+    // A key file of its own, so the first issuance below is the first one of this install
+    keyPath = path.join(fs.mkdtempSync(path.join(process.env.TEST_DATA_DIR || os.tmpdir(), 'bbs-')), 'veramo-bbs-key.json');
+    veramo = await startVeramoService({ VERAMO_BBS_KEY_PATH: keyPath });
+  }, 60000);
+
+  afterAll(async () => {
+    await veramo?.stop();
+    delete process.env.STATUS_SERVICE_URL;
+    await new Promise((resolve) => statusServer.close(resolve));
+  });
+
+  it('should create a single key for concurrent first issuances', async () => {
+    expect(fs.existsSync(keyPath)).toBe(false);
+
+    const issued = await Promise.all([0, 1, 2, 3].map((index) => issueBbsCredential(`passport-${index}.pdf`)));
+
+    const { body: verificationMethod } = await request(veramo.url).get('/bbs/key').expect(200);
+    expect(issued.map((vc) => vc.proof.verificationMethod)).toEqual(Array(4).fill(verificationMethod.id));
+    expect(JSON.parse(fs.readFileSync(keyPath, 'utf8')).publicKeyMultibase).toBe(verificationMethod.publicKeyMultibase);
+  }, 60000);
+
+  it('should publish the same key after a restart', async () => {
+    const { body: before } = await request(veramo.url).get('/bbs/key').expect(200);
+
+    await veramo.stop();
+    veramo = await startVeramoService({ VERAMO_BBS_KEY_PATH: keyPath });
+
+    const { body: after } = await request(veramo.url).get('/bbs/key').expect(200);
+    expect(after).toEqual(before);
+    expect(after.secretKeyMultibase).toBeUndefined();
+  }, 60000);
+});
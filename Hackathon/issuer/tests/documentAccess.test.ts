@@ -0,0 +1,41 @@
+/**
+ * Document Access Tests
+ * The uploader registry behind GET /retrieve/:key access grants (index.js): who uploaded each object,
+ * persisted across restarts, and never handed to a second DID
+ */
+
+import { createRequire } from 'module';
+import fs from 'fs';
+
+// The registry is the CommonJS service's (index.js), outside the TypeScript app
+const documentAccess = createRequire(import.meta.url)('../document-access.js');
+
+const UPLOADER = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK';
+const OTHER = 'did:key:z6MkjchhfUsD6mmvni8mCdXHw216Xrm9bQe2mBH1P5RDjVJG';
+const CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+
+describe('Document uploaders', () => {
+  it('should record the uploader of an object and persist it', () => {
+    expect(documentAccess.recordUploader(CID, UPLOADER)).toBe(true);
+
+    expect(documentAccess.getUploader(CID)).toBe(UPLOADER);
+    expect(JSON.parse(fs.readFileSync(process.env.DOCUMENT_UPLOADERS_PATH!, 'utf8'))[CID]).toBe(UPLOADER);
+  });
+
+  it('should accept the same uploader uploading the same content again', () => {
+    expect(documentAccess.recordUploader(CID, UPLOADER)).toBe(true);
+    expect(documentAccess.getUploader(CID)).toBe(UPLOADER);
+  });
+
+  it('should not hand an object to another DID uploading the same content', () => {
+    expect(documentAccess.recordUploader(CID, OTHER)).toBe(false);
+
+    expect(documentAccess.getUploader(CID)).toBe(UPLOADER);
+    expect(JSON.parse(fs.readFileSync(process.env.DOCUMENT_UPLOADERS_PATH!, 'utf8'))[CID]).toBe(UPLOADER);
+  });
+
+  it('should know no uploader for unknown objects', () => {
+    expect(documentAccess.getUploader('unknown.enc')).toBeNull();
+    expect(documentAccess.getUploader('__proto__')).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * DID-Auth helpers for tests
+ * Each suite signs in on its own instead of relying on the order test files run in
+ */
+
+import request from 'supertest';
+import { ethers } from 'ethers';
+import type { Express } from 'express';
+
+// Hardhat account #1, listed in ISSUER_ADMIN_DIDS by tests/setup.ts
+export const ADMIN_PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+/**
+ * did:pkh (chain 31337) of a wallet
+ */
+export function didOf(wallet: ethers.Wallet | ethers.HDNodeWallet): string {
+  return `did:pkh:eip155:31337:${wallet.address.toLowerCase()}`;
+}
+
+/**
+ * Complete the challenge-response flow and return the session token
+ */
+export async function signIn(app: Express, wallet: ethers.Wallet | ethers.HDNodeWallet): Promise<string> {
+  const did = didOf(wallet);
+
+  const challengeResponse = await request(app)
+    .get('/issuer/challenge')
+    .query({ did })
+    .expect(200);
+  const challenge = challengeResponse.body.challenge;
+
+  const response = await request(app)
+    .post('/issuer/verify-challenge')
+    .send({ did, challenge, signature: await wallet.signMessage(challenge) })
+    .expect(200);
+
+  return response.body.sessionToken;
+}
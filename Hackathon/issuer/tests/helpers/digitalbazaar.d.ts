@@ -0,0 +1,15 @@
+/**
+ * Types of the Data Integrity packages tests/helpers/holder.ts derives and checks BBS presentations
+ * with (ES modules without type declarations)
+ */
+
+declare module '@digitalbazaar/bbs-2023-cryptosuite' {
+  export function createDiscloseCryptosuite(options: { selectivePointers: string[]; presentationHeader?: Uint8Array }): object;
+  export function createVerifyCryptosuite(): object;
+}
+
+declare module '@digitalbazaar/data-integrity' {
+  export class DataIntegrityProof {
+    constructor(options: { cryptosuite: object });
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Holder side of presentations for tests of index.js, with Node's crypto instead of the client's code
+ * A did:key (Ed25519) holder signs JWT presentations and SD-JWT key bindings; BBS credentials are
+ * derived with the same bbs-2023 cryptosuite the wallet uses, and checked as another verifier would
+ */
+
+/// <reference path="./digitalbazaar.d.ts" />
+
+import crypto, { KeyObject } from 'crypto';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const jsigs = require('jsonld-signatures');
+const credentialsContext = require('@digitalbazaar/credentials-context');
+const multikeyContext = require('@digitalbazaar/multikey-context');
+const statusListContext = require('@digitalbazaar/vc-status-list-context');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+const CONTEXTS = new Map([...credentialsContext.contexts, ...multikeyContext.contexts, ...statusListContext.contexts]);
+
+export interface Holder {
+  did: string;
+  privateKey: KeyObject;
+}
+
+export interface Binding {
+  challenge: string;
+  domain: string;
+}
+
+/**
+ * A new did:key holder
+ */
+export function createHolder(): Holder {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x!, 'base64url');
+  return { did: `did:key:z${base58Encode(Buffer.concat([ED25519_MULTICODEC, rawPublicKey]))}`, privateKey };
+}
+
+/**
+ * Compact JWT (alg EdDSA) signed with the holder's key
+ */
+export function signJwt(header: object, payload: object, privateKey: KeyObject): string {
+  const signingInput = `${toBase64Url(header)}.${toBase64Url(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Compact JWT presentation of credentials (JWT credentials embedded as their compact form)
+ * vp is merged into the presentation, e.g. for a presentation_submission
+ */
+export function signPresentation(
+  holder: Holder,
+  credentials: any[],
+  { challenge, domain }: Binding,
+  { vp = {}, signingKey = holder.privateKey }: { vp?: object; signingKey?: KeyObject } = {}
+): string {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt(
+    { alg: 'EdDSA', typ: 'JWT', kid: `${holder.did}#${holder.did.substring('did:key:'.length)}` },
+    {
+      iss: holder.did,
+      aud: domain,
+      nonce: challenge,
+      jti: `urn:uuid:${crypto.randomUUID()}`,
+      nbf: now,
+      iat: now,
+      vp: {
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiablePresentation'],
+        verifiableCredential: credentials.map((vc) => vc.proof?.jwt || vc),
+        ...vp,
+      },
+    },
+    signingKey
+  );
+}
+
+/**
+ * Disclosures of an SD-JWT as { name, disclosure }
+ */
+export function listDisclosures(sdJwt: string): Array<{ name: string; disclosure: string }> {
+  return sdJwt.split('~').slice(1).filter(Boolean).map((disclosure) => ({
+    name: JSON.parse(Buffer.from(disclosure, 'base64url').toString())[1],
+    disclosure,
+  }));
+}
+
+/**
+ * SD-JWT presentation revealing the named claims, with a key binding JWT over the rest
+ */
+export function createSdJwtPresentation(
+  sdJwt: string,
+  claimNames: string[],
+  privateKey: KeyObject,
+  { challenge, domain }: Binding
+): string {
+  const disclosures = listDisclosures(sdJwt)
+    .filter(({ name }) => claimNames.includes(name))
+    .map(({ disclosure }) => `${disclosure}~`);
+  const presented = `${sdJwt.split('~')[0]}~${disclosures.join('')}`;
+
+  const kbJwt = signJwt(
+    { alg: 'EdDSA', typ: 'kb+jwt' },
+    {
+      iat: Math.floor(Date.now() / 1000),
+      aud: domain,
+      nonce: challenge,
+      sd_hash: crypto.createHash('sha256').update(presented).digest('base64url'),
+    },
+    privateKey
+  );
+  return `${presented}${kbJwt}`;
+}
+
+/**
+ * Derived bbs-2023 credential revealing the named claims, bound to a verifier session
+ */
+export async function deriveBbsPresentation(credential: any, claimNames: string[], { challenge, domain }: Binding): Promise<any> {
+  const [{ createDiscloseCryptosuite }, { DataIntegrityProof }] = await Promise.all([
+    import('@digitalbazaar/bbs-2023-cryptosuite'),
+    import('@digitalbazaar/data-integrity'),
+  ]);
+
+  return jsigs.derive(credential, {
+    suite: new DataIntegrityProof({
+      cryptosuite: createDiscloseCryptosuite({
+        selectivePointers: claimNames.map((name) => `/credentialSubject/${name}`),
+        presentationHeader: new TextEncoder().encode(JSON.stringify({ challenge, domain })),
+      }),
+    }),
+    purpose: new jsigs.purposes.AssertionProofPurpose(),
+    documentLoader: createDocumentLoader(),
+  });
+}
+
+/**
+ * Verify a derived bbs-2023 credential with an issuer's published key (GET /bbs/key), as a
+ * verifier other than index.js would
+ */
+export async function verifyBbsPresentation(document: any, verificationMethod: any): Promise<{ verified: boolean }> {
+  const [{ createVerifyCryptosuite }, { DataIntegrityProof }] = await Promise.all([
+    import('@digitalbazaar/bbs-2023-cryptosuite'),
+    import('@digitalbazaar/data-integrity'),
+  ]);
+
+  return jsigs.verify(document, {
+    suite: new DataIntegrityProof({ cryptosuite: createVerifyCryptosuite() }),
+    purpose: new jsigs.purposes.AssertionProofPurpose({
+      controller: { id: verificationMethod.controller, assertionMethod: [verificationMethod.id] },
+    }),
+    documentLoader: createDocumentLoader(new Map([[verificationMethod.id, verificationMethod]])),
+  });
+}
+
+// JSON-LD document loader restricted to the bundled contexts (plus extra documents, e.g. an issuer key)
+function createDocumentLoader(documents = new Map<string, object>()) {
+  return async (url: string) => {
+    const document = CONTEXTS.get(url) || documents.get(url);
+    if (!document) {
+      throw new Error(`Document not available offline: ${url}`);
+    }
+    return { contextUrl: null, documentUrl: url, document };
+  };
+}
+
+function toBase64Url(value: object): string {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function base58Encode(bytes: Buffer): string {
+  let value = BigInt(`0x${bytes.toString('hex')}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+}
@@ -0,0 +1,68 @@
+/**
+ * Veramo service (index.js) for tests
+ * It runs in a child process: jest cannot require the ES modules its Veramo agent loads
+ */
+
+import { spawn } from 'child_process';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+const INDEX_JS = fileURLToPath(new URL('../../index.js', import.meta.url));
+const STARTUP_TIMEOUT_MS = 30000;
+
+export interface VeramoService {
+  url: string;
+  stop(): Promise<void>;
+}
+
+/**
+ * A port nothing listens on right now
+ */
+async function freePort(): Promise<number> {
+  const server = net.createServer();
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as net.AddressInfo;
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+/**
+ * Start index.js with the test environment (plus env) and wait until it answers /health
+ */
+export async function startVeramoService(env: Record<string, string> = {}): Promise<VeramoService> {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [INDEX_JS], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr!.on('data', (chunk) => { stderr += chunk; });
+  const exited = new Promise<void>((resolve) => child.once('exit', () => resolve()));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill();
+    }
+    await exited;
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`index.js exited with code ${child.exitCode}: ${stderr}`);
+    }
+    try {
+      if ((await fetch(`${url}/health`)).ok) {
+        return { url, stop };
+      }
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  await stop();
+  throw new Error(`index.js did not start within ${STARTUP_TIMEOUT_MS} ms: ${stderr}`);
+}
@@ -5,7 +5,10 @@
 
 import request from 'supertest';
 import jwt from 'jsonwebtoken';
+import { ethers } from 'ethers';
+import { createJWT, ES256KSigner } from 'did-jwt';
 import app from '../src/index.js';
+import { didOf, signIn } from './helpers/didAuth.js';
 
 describe('VC Issuance', () => {
   let sessionToken: string;
@@ -13,14 +16,10 @@ describe('VC Issuance', () => {
   let issuedJwtVc: string;
   let jti: string;
 
-  beforeAll(() => {
-    // Get session token from DID-Auth tests
-    sessionToken = (global as any).testSessionToken;
-    testDid = (global as any).testDid;
-    
-    if (!sessionToken || !testDid) {
-      throw new Error('Session token or test DID not available. Run DID-Auth tests first.');
-    }
+  beforeAll(async () => {
+    const holder = ethers.Wallet.createRandom();
+    testDid = didOf(holder);
+    sessionToken = await signIn(app, holder);
   });
 
   describe('POST /issuer/issue-vc', () => {
@@ -155,6 +154,32 @@ describe('VC Issuance', () => {
       expect(payload.iss).toBe(process.env.ISSUER_DID);
       expect(payload.sub).toBe(testDid);
       expect(payload.jti).toBe(jti);
+
+      const checks = response.body.checks.map((c: any) => c.check);
+      expect(checks).toEqual(['signature', 'expiry', 'notBefore', 'issuer', 'revocation', 'suspension']);
+      expect(response.body.checks.every((c: any) => c.passed)).toBe(true);
+    });
+
+    it('should reject JWT-VC forged with another key', async () => {
+      // Claims our issuer DID but is signed by a random secp256k1 key
+      const forger = ethers.Wallet.createRandom();
+      const decoded = jwt.decode(issuedJwtVc) as any;
+      const forgedJwtVc = await createJWT(
+        decoded,
+        { issuer: process.env.ISSUER_DID!, signer: ES256KSigner(ethers.getBytes(forger.privateKey)) },
+        { alg: 'ES256K' }
+      );
+
+      const response = await request(app)
+        .get('/issuer/verify-vc')
+        .query({ jwt: forgedJwtVc })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.valid).toBe(false);
+
+      const signatureCheck = response.body.checks.find((c: any) => c.check === 'signature');
+      expect(signatureCheck.passed).toBe(false);
     });
 
     it('should reject invalid JWT format', async () => {
@@ -0,0 +1,70 @@
+/**
+ * Veramo Service Issuer DID Tests
+ * index.js keeps its issuer DID (alias issuer-did) in the persistent Veramo store, so a restarted
+ * service signs as the same DID; a missing KMS_SECRET_KEY stops the service, not every importer
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import app from '../src/index.js';
+import { VeramoService, startVeramoService } from './helpers/veramoService.js';
+
+const AGENT_JS = fileURLToPath(new URL('../veramo-agent.js', import.meta.url));
+
+const SUBJECT_DID = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK';
+
+describe('Veramo service issuer DID', () => {
+  let statusServer: http.Server;
+  let veramo: VeramoService;
+
+  const issuerOfNewCredential = async () => {
+    const response = await request(veramo.url)
+      .post('/issue')
+      .send({ subjectDid: SUBJECT_DID, claims: { name: 'Passport' } })
+      .expect(200);
+    return response.body.vc.issuer.id;
+  };
+
+  beforeAll(async () => {
+    // The app's StatusList2021 registry gives the credentials their status entries
+    statusServer = http.createServer(app);
+    await new Promise<void>((resolve) => statusServer.listen(0, '127.0.0.1', resolve));
+    process.env.STATUS_SERVICE_URL = `http://127.0.0.1:${(statusServer.address() as AddressInfo).port}`;
+
+    veramo = await startVeramoService();
+  }, 60000);
+
+  afterAll(async () => {
+    await veramo?.stop();
+    delete process.env.STATUS_SERVICE_URL;
+    await new Promise((resolve) => statusServer.close(resolve));
+  });
+
+  it('should resolve the issuer-did alias to the same DID after a restart', async () => {
+    const issuerDid = await issuerOfNewCredential();
+
+    await veramo.stop();
+    veramo = await startVeramoService();
+
+    expect(await issuerOfNewCredential()).toBe(issuerDid);
+    const store = JSON.parse(fs.readFileSync(process.env.VERAMO_STORE_PATH!, 'utf8'));
+    expect(Object.values(store.dids)).toEqual([expect.objectContaining({ did: issuerDid, alias: 'issuer-did' })]);
+  }, 60000);
+
+  it('should refuse to start without KMS_SECRET_KEY', async () => {
+    await expect(startVeramoService({ KMS_SECRET_KEY: '' })).rejects.toThrow(/KMS_SECRET_KEY not configured/);
+  }, 60000);
+
+  it('should load the agent without KMS_SECRET_KEY', () => {
+    const output = execFileSync(process.execPath, ['-e', `require(${JSON.stringify(AGENT_JS)}); console.log('loaded')`], {
+      env: { ...process.env, KMS_SECRET_KEY: '' },
+      encoding: 'utf8'
+    });
+
+    expect(output.trim()).toBe('loaded');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Multipart Upload Session Tests
+ * The resumable R2 upload sessions of the CommonJS service (multipart-uploads.js): each belongs to
+ * the DID that started it and survives a restart of the service
+ */
+
+import { createRequire } from 'module';
+import fs from 'fs';
+
+const require = createRequire(import.meta.url);
+const MODULE_PATH = require.resolve('../multipart-uploads.js');
+
+const UPLOADER = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK';
+
+// Load the module afresh, as a restarted service would
+function loadMultipartUploads() {
+  delete require.cache[MODULE_PATH];
+  return require(MODULE_PATH);
+}
+
+// Stand-in for the R2 client: answers CreateMultipartUpload and AbortMultipartUpload
+function createR2Client() {
+  const commands: string[] = [];
+  return {
+    commands,
+    async send(command: { constructor: { name: string } }) {
+      commands.push(command.constructor.name);
+      return { UploadId: `upload-${commands.length}` };
+    }
+  };
+}
+
+describe('Multipart upload sessions', () => {
+  const client = createR2Client();
+
+  it('should keep the DID that started an upload across a restart', async () => {
+    const { uploadId, storageKey } = await loadMultipartUploads().createUpload(client, {
+      fileName: 'passport.pdf.enc',
+      size: 20 * 1024 * 1024,
+      contentType: 'application/octet-stream',
+      uploaderDid: UPLOADER
+    });
+
+    const restarted = loadMultipartUploads();
+    expect(restarted.getUpload(uploadId)).toMatchObject({
+      storageKey,
+      fileName: 'passport.pdf.enc',
+      partCount: 3,
+      uploaderDid: UPLOADER
+    });
+    expect(JSON.parse(fs.readFileSync(process.env.MULTIPART_UPLOADS_PATH!, 'utf8'))[uploadId].uploaderDid).toBe(UPLOADER);
+  });
+
+  it('should forget an aborted upload for good', async () => {
+    const multipartUploads = loadMultipartUploads();
+    const { uploadId } = await multipartUploads.createUpload(client, { fileName: 'notes.txt', size: 10, uploaderDid: UPLOADER });
+
+    await multipartUploads.abortUpload(client, uploadId);
+
+    expect(multipartUploads.getUpload(uploadId)).toBeNull();
+    expect(loadMultipartUploads().getUpload(uploadId)).toBeNull();
+    expect(client.commands).toContain('AbortMultipartUploadCommand');
+  });
+
+  it('should know no session for unknown upload IDs', () => {
+    const multipartUploads = loadMultipartUploads();
+    expect(multipartUploads.getUpload('unknown-upload')).toBeNull();
+    expect(multipartUploads.getUpload('__proto__')).toBeNull();
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * OID4VCI Tests
+ * Tests the pre-authorized code flow: credential offer, token exchange (tx_code),
+ * and credential issuance against a proof of possession of the wallet's DID key
+ */
+
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { ethers } from 'ethers';
+import { createJWT, ES256KSigner } from 'did-jwt';
+import app from '../src/index.js';
+import { didOf, signIn } from './helpers/didAuth.js';
+
+const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code';
+
+describe('OID4VCI', () => {
+  let sessionToken: string;
+  let credentialIssuer: string;
+
+  // The wallet: a did:pkh whose key signs the proofs of possession
+  const wallet = ethers.Wallet.createRandom();
+  const walletDid = didOf(wallet);
+
+  beforeAll(async () => {
+    sessionToken = await signIn(app, ethers.Wallet.createRandom());
+
+    const metadata = await request(app)
+      .get('/.well-known/openid-credential-issuer')
+      .expect(200);
+    credentialIssuer = metadata.body.credential_issuer;
+  });
+
+  const createOffer = async () => {
+    const response = await request(app)
+      .post('/issuer/oid4vci/offer')
+      .set('Authorization', `Bearer ${sessionToken}`)
+      .send({ credentialSubject: { name: 'Diploma', documentCid: 'QmDiploma' }, validityDays: 30 })
+      .expect(200);
+
+    return {
+      code: response.body.credentialOffer.grants[PRE_AUTHORIZED_GRANT]['pre-authorized_code'],
+      txCode: response.body.txCode
+    };
+  };
+
+  const requestToken = (code: string, txCode: string) => request(app)
+    .post('/issuer/oid4vci/token')
+    .type('form')
+    .send({ grant_type: PRE_AUTHORIZED_GRANT, 'pre-authorized_code': code, tx_code: txCode });
+
+  const redeemOffer = async () => {
+    const { code, txCode } = await createOffer();
+    const response = await requestToken(code, txCode).expect(200);
+    return { accessToken: response.body.access_token, cNonce: response.body.c_nonce };
+  };
+
+  // did-jwt's header type only allows typ JWT
+  const createProof = (nonce: string, { signer = wallet, aud = credentialIssuer } = {}) => createJWT(
+    { aud, nonce },
+    { issuer: walletDid, signer: ES256KSigner(ethers.getBytes(signer.privateKey)) },
+    { alg: 'ES256K', typ: 'openid4vci-proof+jwt' as any, kid: `${walletDid}#blockchainAccountId` }
+  );
+
+  const requestCredential = (accessToken: string, proofJwt: string) => request(app)
+    .post('/issuer/oid4vci/credential')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ format: 'jwt_vc_json', proof: { proof_type: 'jwt', jwt: proofJwt } });
+
+  describe('POST /issuer/oid4vci/offer', () => {
+    it('should create a pre-authorized offer with a transaction code', async () => {
+      const response = await request(app)
+        .post('/issuer/oid4vci/offer')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ credentialSubject: { id: 'did:example:ignored', name: 'Diploma' } })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.txCode).toMatch(/^\d{6}$/);
+      expect(response.body.credentialOffer.credential_issuer).toBe(credentialIssuer);
+      expect(response.body.credentialOffer.credential_configuration_ids).toEqual(['DocumentCredential_jwt_vc_json']);
+      expect(response.body.credentialOfferUri).toMatch(/^openid-credential-offer:\/\/\?credential_offer=/);
+
+      // The transaction code travels apart from the QR code
+      expect(response.body.credentialOfferUri).not.toContain(response.body.txCode);
+    });
+
+    it('should require a session token', async () => {
+      await request(app)
+        .post('/issuer/oid4vci/offer')
+        .send({ credentialSubject: { name: 'Diploma' } })
+        .expect(401);
+    });
+  });
+
+  describe('POST /issuer/oid4vci/token', () => {
+    it('should exchange the code and transaction code for an access token', async () => {
+      const { code, txCode } = await createOffer();
+
+      const response = await requestToken(code, txCode).expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body).toMatchObject({ token_type: 'Bearer', expires_in: 300, c_nonce_expires_in: 300 });
+      expect(response.body.access_token).toBeDefined();
+      expect(response.body.c_nonce).toBeDefined();
+
+      // Pre-authorized codes are single-use
+      const replay = await requestToken(code, txCode).expect(400);
+      expect(replay.body.error).toBe('invalid_grant');
+    });
+
+    it('should reject other grant types', async () => {
+      const response = await request(app)
+        .post('/issuer/oid4vci/token')
+        .type('form')
+        .send({ grant_type: 'authorization_code', code: 'abc' })
+        .expect(400);
+
+      expect(response.body.error).toBe('unsupported_grant_type');
+    });
+
+    it('should burn the offer after five wrong transaction codes', async () => {
+      const { code, txCode } = await createOffer();
+      const wrongCode = txCode === '000000' ? '111111' : '000000';
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const response = await requestToken(code, wrongCode).expect(400);
+        expect(response.body).toEqual({ error: 'invalid_grant', error_description: 'Transaction code is invalid' });
+      }
+
+      const response = await requestToken(code, txCode).expect(400);
+      expect(response.body.error_description).toBe('Pre-authorized code is invalid or expired');
+    });
+  });
+
+  describe('POST /issuer/oid4vci/credential', () => {
+    it('should issue the offered credential to the DID that proved possession', async () => {
+      const { accessToken, cNonce } = await redeemOffer();
+
+      const response = await requestCredential(accessToken, await createProof(cNonce)).expect(200);
+
+      expect(response.body.format).toBe('jwt_vc_json');
+      const payload = jwt.decode(response.body.credential) as any;
+      expect(payload.iss).toBe(process.env.ISSUER_DID);
+      expect(payload.sub).toBe(walletDid);
+      expect(payload.vc.type).toContain('DocumentCredential');
+      expect(payload.vc.credentialSubject).toMatchObject({ id: walletDid, name: 'Diploma', documentCid: 'QmDiploma' });
+
+      // One credential per offer
+      const again = await requestCredential(accessToken, await createProof(cNonce)).expect(401);
+      expect(again.body.error).toBe('invalid_token');
+    });
+
+    it('should reject an unknown access token', async () => {
+      const response = await requestCredential('not-a-token', await createProof('nonce')).expect(401);
+      expect(response.body.error).toBe('invalid_token');
+    });
+
+    it('should hand out a fresh c_nonce when the proof uses a stale one', async () => {
+      const { accessToken } = await redeemOffer();
+
+      const stale = await requestCredential(accessToken, await createProof('stale-nonce')).expect(400);
+      expect(stale.body.error).toBe('invalid_proof');
+      expect(stale.body.error_description).toBe('Proof JWT nonce does not match c_nonce');
+      expect(stale.body.c_nonce).toBeDefined();
+
+      const response = await requestCredential(accessToken, await createProof(stale.body.c_nonce)).expect(200);
+      expect((jwt.decode(response.body.credential) as any).sub).toBe(walletDid);
+    });
+
+    it('should reject a proof signed by a key the DID does not control', async () => {
+      const { accessToken, cNonce } = await redeemOffer();
+
+      const response = await requestCredential(accessToken, await createProof(cNonce, { signer: ethers.Wallet.createRandom() })).expect(400);
+
+      expect(response.body.error).toBe('invalid_proof');
+      expect(response.body.c_nonce).not.toBe(cNonce);
+    });
+
+    it('should reject a proof for another credential issuer', async () => {
+      const { accessToken, cNonce } = await redeemOffer();
+      const proofJwt = await createProof(cNonce, { aud: 'https://other-issuer.example' });
+
+      const response = await requestCredential(accessToken, proofJwt).expect(400);
+
+      expect(response.body.error_description).toBe('Proof JWT aud must be the credential issuer');
+    });
+
+    it('should require a jwt proof', async () => {
+      const { accessToken } = await redeemOffer();
+
+      const response = await request(app)
+        .post('/issuer/oid4vci/credential')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ format: 'jwt_vc_json' })
+        .expect(400);
+
+      expect(response.body.error).toBe('invalid_proof');
+    });
+
+    it('should issue only one credential to concurrent requests', async () => {
+      const { accessToken, cNonce } = await redeemOffer();
+      const proofJwt = await createProof(cNonce);
+
+      const responses = await Promise.all([
+        requestCredential(accessToken, proofJwt),
+        requestCredential(accessToken, proofJwt)
+      ]);
+
+      expect(responses.map((response) => response.status).sort()).toEqual([200, 401]);
+    });
+  });
+});
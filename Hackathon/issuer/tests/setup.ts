@@ -0,0 +1,29 @@
+/**
+ * Test Environment
+ * Runs before each test file, ahead of the app's imports (route modules read env at import time)
+ * Uses Hardhat's well-known accounts: #0 issues, #1 holds the issuer-admin role
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Removed after the file's tests by tests/teardown.ts
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issuer-tests-'));
+process.env.TEST_DATA_DIR = dataDir;
+
+process.env.NODE_ENV = 'test';
+process.env.ISSUER_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+process.env.ISSUER_DID = 'did:pkh:eip155:1:0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.ISSUER_ADMIN_DIDS = 'did:pkh:eip155:31337:0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+process.env.STATUS_LIST_PATH = path.join(dataDir, 'status-list.json');
+process.env.STATUS_SERVICE_TOKEN = 'test-status-service-token';
+
+// The Veramo service (index.js), for suites that load it next to the TypeScript app
+process.env.KMS_SECRET_KEY = '29739248cad1bd1a0fc4d9b75cd4d2990de535baf5caadfdf8d8f86664aa830c';
+process.env.VERAMO_STORE_PATH = path.join(dataDir, 'veramo-store.json');
+process.env.VERAMO_BBS_KEY_PATH = path.join(dataDir, 'veramo-bbs-key.json');
+process.env.DOCUMENT_UPLOADERS_PATH = path.join(dataDir, 'document-uploaders.json');
+process.env.MULTIPART_UPLOADS_PATH = path.join(dataDir, 'multipart-uploads.json');
+process.env.STORAGE_PROVIDER = 'memory';
@@ -0,0 +1,257 @@
+/**
+ * Credential Status Tests
+ * Tests StatusList2021 publication, status management access control,
+ * the revoke/unrevoke flow of an issuer admin, and the Veramo service's entry and check endpoints
+ */
+
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { ethers } from 'ethers';
+import app from '../src/index.js';
+import { ADMIN_PRIVATE_KEY, didOf, signIn } from './helpers/didAuth.js';
+
+describe('Credential Status', () => {
+  let sessionToken: string;
+  let holderDid: string;
+
+  beforeAll(async () => {
+    const holder = ethers.Wallet.createRandom();
+    holderDid = didOf(holder);
+    sessionToken = await signIn(app, holder);
+  });
+
+  describe('GET /issuer/status/:purpose', () => {
+    it('should publish a signed revocation status list', async () => {
+      const response = await request(app)
+        .get('/issuer/status/revocation')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/jwt');
+
+      const decoded = jwt.decode(response.text, { complete: true });
+      expect(decoded!.header.alg).toBe('ES256K');
+
+      const payload = decoded!.payload as any;
+      expect(payload.iss).toBe(process.env.ISSUER_DID);
+      expect(payload.vc.type).toContain('StatusList2021Credential');
+      expect(payload.vc.credentialSubject.statusPurpose).toBe('revocation');
+      expect(payload.vc.credentialSubject.encodedList).toBeDefined();
+    });
+
+    it('should return 404 for unknown status purpose', async () => {
+      const response = await request(app)
+        .get('/issuer/status/unknown')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /issuer/revoke', () => {
+    it('should reject request without session token', async () => {
+      const response = await request(app)
+        .post('/issuer/revoke')
+        .send({ jti: 'some-jti', reasonCode: 'keyCompromise' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject holder sessions without the issuer-admin role', async () => {
+      const response = await request(app)
+        .post('/issuer/revoke')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ jti: 'some-jti', reasonCode: 'keyCompromise' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('Issuer admin role required');
+    });
+  });
+
+  describe('POST /issuer/unrevoke', () => {
+    it('should reject holder sessions without the issuer-admin role', async () => {
+      const response = await request(app)
+        .post('/issuer/unrevoke')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ jti: 'some-jti', reasonCode: 'revokedInError' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Status service endpoints', () => {
+    const serviceToken = `Bearer ${process.env.STATUS_SERVICE_TOKEN}`;
+    const jti = 'urn:uuid:7d1c2f0e-status-service';
+    let credentialStatus: any[];
+
+    it('should require the status service token', async () => {
+      const entries = await request(app)
+        .post('/issuer/status/entries')
+        .send({ jti, issuer: 'did:key:z6Mk', subject: holderDid, vcType: ['VerifiableCredential'] })
+        .expect(401);
+      expect(entries.body.error).toBe('Invalid or missing status service token');
+
+      await request(app)
+        .post('/issuer/status/check')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ entry: {}, issuer: 'did:key:z6Mk' })
+        .expect(401);
+    });
+
+    it('should reserve one entry per status purpose and log the issuance', async () => {
+      const response = await request(app)
+        .post('/issuer/status/entries')
+        .set('Authorization', serviceToken)
+        .send({ jti, issuer: 'did:key:z6Mk', subject: holderDid, vcType: ['VerifiableCredential'] })
+        .expect(200);
+
+      credentialStatus = response.body.credentialStatus;
+      expect(credentialStatus.map((entry) => entry.statusPurpose)).toEqual(['revocation', 'suspension']);
+      expect(credentialStatus[0].statusListCredential).toMatch(/\/issuer\/status\/revocation$/);
+
+      const entries = fs.readFileSync(path.join(process.cwd(), 'logs', 'issuance.log'), 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      expect(entries.filter((entry) => entry.jti === jti)).toEqual([
+        expect.objectContaining({ action: 'VC_ISSUED', issuer: 'did:key:z6Mk', subject: holderDid, via: 'veramo' })
+      ]);
+    });
+
+    it('should not reserve a second entry for a credential', async () => {
+      const response = await request(app)
+        .post('/issuer/status/entries')
+        .set('Authorization', serviceToken)
+        .send({ jti, issuer: 'did:key:z6Mk', subject: holderDid, vcType: ['VerifiableCredential'] })
+        .expect(409);
+
+      expect(response.body.error).toBe('Credential already has a status list entry');
+    });
+
+    it('should answer status checks from the registry', async () => {
+      const check = async (entry: any) => (await request(app)
+        .post('/issuer/status/check')
+        .set('Authorization', serviceToken)
+        .send({ entry, issuer: 'did:key:z6Mk' })
+        .expect(200)).body.status;
+
+      expect(await check(credentialStatus[0])).toBe(false);
+
+      await request(app)
+        .post('/issuer/revoke')
+        .set('Authorization', `Bearer ${await signIn(app, new ethers.Wallet(ADMIN_PRIVATE_KEY))}`)
+        .send({ jti, reasonCode: 'superseded' })
+        .expect(200);
+
+      expect(await check(credentialStatus[0])).toBe(true);
+      expect(await check(credentialStatus[1])).toBe(false);
+    });
+
+    it('should refuse to check an entry it cannot read', async () => {
+      const response = await request(app)
+        .post('/issuer/status/check')
+        .set('Authorization', serviceToken)
+        .send({ entry: { ...credentialStatus[0], statusListCredential: 'https://elsewhere.example/status/revocation' }, issuer: 'did:key:z6Mk' })
+        .expect(422);
+
+      expect(response.body.error).toBe('Status list origin not allowed: https://elsewhere.example');
+    });
+  });
+
+  describe('Revocation by an issuer admin', () => {
+    let adminToken: string;
+    let jwtVc: string;
+    let jti: string;
+
+    beforeAll(async () => {
+      adminToken = await signIn(app, new ethers.Wallet(ADMIN_PRIVATE_KEY));
+
+      const response = await request(app)
+        .post('/issuer/issue-vc')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ subjectDid: holderDid, credentialSubject: { name: 'Revocable Document' } })
+        .expect(200);
+
+      jwtVc = response.body.jwtVc;
+      jti = response.body.jti;
+    });
+
+    async function revocationCheck() {
+      const response = await request(app)
+        .get('/issuer/verify-vc')
+        .query({ jwt: jwtVc })
+        .expect(200);
+
+      return {
+        valid: response.body.valid,
+        check: response.body.checks.find((c: any) => c.check === 'revocation')
+      };
+    }
+
+    it('should revoke a credential with a reason code', async () => {
+      const response = await request(app)
+        .post('/issuer/revoke')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jti, reasonCode: 'keyCompromise' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        jti,
+        statusPurpose: 'revocation',
+        status: true,
+        reasonCode: 'keyCompromise'
+      });
+    });
+
+    it('should refuse to revoke a credential twice', async () => {
+      const response = await request(app)
+        .post('/issuer/revoke')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jti, reasonCode: 'keyCompromise' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Credential already revoked');
+    });
+
+    it('should record the revocation in the audit log', () => {
+      const entries = fs.readFileSync(path.join(process.cwd(), 'logs', 'issuance.log'), 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+
+      expect(entries.filter((entry) => entry.jti === jti && entry.action === 'VC_REVOKED')).toEqual([
+        expect.objectContaining({
+          issuer: process.env.ISSUER_DID,
+          reasonCode: 'keyCompromise',
+          actor: didOf(new ethers.Wallet(ADMIN_PRIVATE_KEY))
+        })
+      ]);
+    });
+
+    it('should report the credential as revoked in verify-vc', async () => {
+      const { valid, check } = await revocationCheck();
+
+      expect(valid).toBe(false);
+      expect(check).toEqual({ check: 'revocation', passed: false, message: 'Credential revoked' });
+    });
+
+    it('should reinstate the credential on unrevoke', async () => {
+      const response = await request(app)
+        .post('/issuer/unrevoke')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ jti, reasonCode: 'revokedInError' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, jti, status: false, reasonCode: 'revokedInError' });
+
+      const { valid, check } = await revocationCheck();
+      expect(valid).toBe(true);
+      expect(check.passed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Storage Provider Tests
+ * The issuer's local-directory and in-memory providers against the contract every provider
+ * keeps: put/get/head/delete/list, single byte ranges, ETags, and the error codes routes act on
+ */
+
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The providers are the CommonJS service's (index.js), outside the TypeScript app
+const {
+  STORAGE_ERROR_CODES,
+  createStorageProvider,
+  createLocalProvider,
+  createMemoryProvider
+} = createRequire(import.meta.url)('../storage-providers.js');
+
+async function readAll(stream: AsyncIterable<Buffer>) {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function expectCode(promise: Promise<unknown>, code: string) {
+  await expect(promise).rejects.toMatchObject({ code });
+}
+
+describe('Storage providers', () => {
+  let localDir: string;
+
+  beforeAll(() => {
+    localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-providers-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(localDir, { recursive: true, force: true });
+  });
+
+  it('should refuse an unknown provider name', () => {
+    expect(() => createStorageProvider('floppy')).toThrow('Unknown STORAGE_PROVIDER "floppy"');
+  });
+
+  describe.each([
+    ['local', () => createLocalProvider(localDir)],
+    ['memory', () => createMemoryProvider()]
+  ])('%s', (name, create) => {
+    const body = Buffer.from('0123456789abcdefghij');
+    let provider: any;
+
+    beforeAll(async () => {
+      provider = create();
+      await provider.put('doc-1.enc', body, { contentType: 'application/octet-stream' });
+    });
+
+    it('should store and return a file with its ETag', async () => {
+      expect(provider.name).toBe(name);
+
+      const file = await provider.get('doc-1.enc');
+      expect(await readAll(file.body)).toEqual(body);
+      expect(file).toMatchObject({ size: body.length, contentLength: body.length, contentRange: undefined });
+
+      const head = await provider.head('doc-1.enc');
+      expect(head).toMatchObject({ size: body.length, contentType: 'application/octet-stream', etag: file.etag });
+      expect(await provider.head('missing.enc')).toBeNull();
+    });
+
+    it('should return a single byte range', async () => {
+      const middle = await provider.get('doc-1.enc', { range: 'bytes=5-9' });
+      expect((await readAll(middle.body)).toString()).toBe('56789');
+      expect(middle).toMatchObject({ size: body.length, contentLength: 5, contentRange: 'bytes 5-9/20' });
+
+      const suffix = await provider.get('doc-1.enc', { range: 'bytes=-3' });
+      expect((await readAll(suffix.body)).toString()).toBe('hij');
+
+      const rest = await provider.get('doc-1.enc', { range: 'bytes=15-' });
+      expect(rest.contentRange).toBe('bytes 15-19/20');
+      expect((await readAll(rest.body)).toString()).toBe('fghij');
+    });
+
+    it('should report conditions and missing files with error codes', async () => {
+      const { etag } = await provider.head('doc-1.enc');
+
+      await expectCode(provider.get('doc-1.enc', { ifNoneMatch: etag }), STORAGE_ERROR_CODES.NOT_MODIFIED);
+      await expect(provider.get('doc-1.enc', { range: 'bytes=20-' })).rejects.toMatchObject({
+        code: STORAGE_ERROR_CODES.INVALID_RANGE,
+        size: body.length
+      });
+      await expectCode(provider.get('missing.enc'), STORAGE_ERROR_CODES.NOT_FOUND);
+    });
+
+    it('should change the ETag when a file is replaced', async () => {
+      const before = await provider.head('doc-1.enc');
+      const stored = await provider.put('doc-1.enc', Buffer.from('replaced'));
+
+      expect(stored).toMatchObject({ key: 'doc-1.enc', size: 8 });
+      expect(stored.etag).not.toBe(before.etag);
+      expect((await readAll((await provider.get('doc-1.enc')).body)).toString()).toBe('replaced');
+    });
+
+    it('should list by prefix and delete', async () => {
+      await provider.put('doc-2.enc', Buffer.from('two'));
+      await provider.put('other.enc', Buffer.from('three'));
+
+      const listed = await provider.list({ prefix: 'doc-' });
+      expect(listed.map((file: any) => file.key).sort()).toEqual(['doc-1.enc', 'doc-2.enc']);
+      expect(listed.find((file: any) => file.key === 'doc-2.enc').size).toBe(3);
+
+      await provider.delete('doc-2.enc');
+      expect(await provider.head('doc-2.enc')).toBeNull();
+      expect((await provider.list()).map((file: any) => file.key).sort()).toEqual(['doc-1.enc', 'other.enc']);
+    });
+  });
+
+  it('should keep local keys inside the storage directory', async () => {
+    const provider = createLocalProvider(localDir);
+
+    await expectCode(provider.put('../escape.enc', Buffer.from('x')), STORAGE_ERROR_CODES.INVALID_KEY);
+    await expectCode(provider.get('.meta'), STORAGE_ERROR_CODES.INVALID_KEY);
+    expect(fs.existsSync(path.join(localDir, '..', 'escape.enc'))).toBe(false);
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Test Cleanup
+ * Runs in each test file's environment, after tests/setup.ts: removes the data directory it made
+ * once the file's own afterAll hooks (e.g. stopping index.js) are done
+ */
+
+import fs from 'fs';
+
+afterAll(() => {
+  fs.rmSync(process.env.TEST_DATA_DIR!, { recursive: true, force: true });
+});
@@ -0,0 +1,73 @@
+/**
+ * Veramo Service Credential Status Tests
+ * index.js issues credentials with entries reserved in this app's StatusList2021 registry,
+ * and sees them revoked through the audited admin endpoint
+ */
+
+import http from 'http';
+import { AddressInfo } from 'net';
+import { createRequire } from 'module';
+import request from 'supertest';
+import { ethers } from 'ethers';
+import app from '../src/index.js';
+import { ADMIN_PRIVATE_KEY, signIn } from './helpers/didAuth.js';
+import { VeramoService, startVeramoService } from './helpers/veramoService.js';
+
+// The status registry client index.js uses
+const statusService = createRequire(import.meta.url)('../status-service.js');
+
+const SUBJECT_DID = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK';
+
+describe('Veramo service credential status', () => {
+  let statusServer: http.Server;
+  let veramo: VeramoService;
+
+  beforeAll(async () => {
+    statusServer = http.createServer(app);
+    await new Promise<void>((resolve) => statusServer.listen(0, '127.0.0.1', resolve));
+    process.env.STATUS_SERVICE_URL = `http://127.0.0.1:${(statusServer.address() as AddressInfo).port}`;
+
+    veramo = await startVeramoService();
+  }, 60000);
+
+  afterAll(async () => {
+    await veramo?.stop();
+    delete process.env.STATUS_SERVICE_URL;
+    await new Promise((resolve) => statusServer.close(resolve));
+  });
+
+  it('should issue credentials that the audited admin endpoint revokes', async () => {
+    const issued = await request(veramo.url)
+      .post('/issue')
+      .send({ subjectDid: SUBJECT_DID, claims: { name: 'Passport' } })
+      .expect(200);
+
+    const { vc } = issued.body;
+    const [revocation, suspension] = vc.credentialStatus;
+    expect(revocation.statusListCredential).toMatch(/\/issuer\/status\/revocation$/);
+    expect(await statusService.isStatusSet(revocation, vc.issuer.id)).toBe(false);
+
+    await request(app)
+      .post('/issuer/revoke')
+      .set('Authorization', `Bearer ${await signIn(app, new ethers.Wallet(ADMIN_PRIVATE_KEY))}`)
+      .send({ jti: vc.id, reasonCode: 'privilegeWithdrawn' })
+      .expect(200);
+
+    expect(await statusService.isStatusSet(revocation, vc.issuer.id)).toBe(true);
+    expect(await statusService.isStatusSet(suspension, vc.issuer.id)).toBe(false);
+  });
+
+  it('should not issue credentials it cannot give a status entry', async () => {
+    const misconfigured = await startVeramoService({ STATUS_SERVICE_TOKEN: 'wrong-token' });
+    try {
+      const response = await request(misconfigured.url)
+        .post('/issue')
+        .send({ subjectDid: SUBJECT_DID, claims: { name: 'Passport' } })
+        .expect(500);
+
+      expect(response.body.error).toBe('Credential issuance failed');
+    } finally {
+      await misconfigured.stop();
+    }
+  }, 60000);
+});
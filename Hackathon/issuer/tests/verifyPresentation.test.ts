@@ -0,0 +1,544 @@
+/**
+ * Veramo Service Presentation Verification Tests
+ * Presentations signed by did:key holders (tests/helpers/holder.ts), verified by index.js POST /verify
+ * Every presentation is bound to a verifier session from POST /verify/challenge,
+ * or answers an OID4VP authorization request through POST /oid4vp/response
+ * SD-JWT credentials are presented on their own with a key binding JWT, BBS credentials
+ * as derived credentials whose proof carries the challenge
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { createRequire } from 'module';
+import request from 'supertest';
+import app from '../src/index.js';
+import { VeramoService, startVeramoService } from './helpers/veramoService.js';
+import {
+  Binding,
+  Holder,
+  createHolder,
+  createSdJwtPresentation,
+  deriveBbsPresentation,
+  listDisclosures,
+  signPresentation,
+  verifyBbsPresentation,
+} from './helpers/holder.js';
+
+const CLAIMS = { docType: 'passport', fileName: 'passport.pdf' };
+
+describe('Veramo service presentation verification', () => {
+  let statusServer: http.Server;
+  let veramo: VeramoService;
+  let holder: Holder;
+  let credential: any;
+
+  const requestChallenge = async (presentationDefinition?: object): Promise<Binding> => {
+    const response = await request(veramo.url)
+      .post('/verify/challenge')
+      .send(presentationDefinition ? { presentationDefinition } : {})
+      .expect(200);
+    return { challenge: response.body.challenge, domain: response.body.domain };
+  };
+
+  const issueCredential = async (subjectDid: string, claims: object = CLAIMS, proofFormat?: string) => {
+    const response = await request(veramo.url).post('/issue').send({ subjectDid, claims, proofFormat }).expect(200);
+    return response.body;
+  };
+
+  const verify = async (vp: unknown, status = 200) => {
+    const response = await request(veramo.url).post('/verify').send({ vp }).expect(status);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    // The app's StatusList2021 registry gives the credentials their status entries
+    statusServer = http.createServer(app);
+    await new Promise<void>((resolve) => statusServer.listen(0, '127.0.0.1', resolve));
+    process.env.STATUS_SERVICE_URL = `http://127.0.0.1:${(statusServer.address() as AddressInfo).port}`;
+
+    veramo = await startVeramoService();
+    holder = createHolder();
+    ({ vc: credential } = await issueCredential(holder.did));
+  }, 60000);
+
+  afterAll(async () => {
+    await veramo?.stop();
+    delete process.env.STATUS_SERVICE_URL;
+    await new Promise((resolve) => statusServer.close(resolve));
+  });
+
+  describe('JWT presentations', () => {
+    it('should verify a presentation signed by the holder', async () => {
+      const result = await verify(signPresentation(holder, [credential], await requestChallenge()));
+
+      expect(result.verified).toBe(true);
+      expect(result.holder).toBe(holder.did);
+      expect(result.credentialCount).toBe(1);
+    });
+
+    it('should verify the normalized form with a JwtProof2020 proof', async () => {
+      const binding = await requestChallenge();
+      const jwt = signPresentation(holder, [credential], binding);
+
+      const result = await verify({
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiablePresentation'],
+        holder: holder.did,
+        verifiableCredential: [credential],
+        proof: { type: 'JwtProof2020', ...binding, jwt },
+      });
+
+      expect(result.verified).toBe(true);
+    });
+
+    it('should reject a replayed presentation', async () => {
+      const vp = signPresentation(holder, [credential], await requestChallenge());
+
+      await verify(vp);
+      const result = await verify(vp);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Challenge expired, unknown or already used');
+    });
+
+    it('should reject a challenge the verifier never issued', async () => {
+      const { domain } = await requestChallenge();
+
+      const result = await verify(signPresentation(holder, [credential], { challenge: 'made-up-challenge', domain }));
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Challenge expired, unknown or already used');
+    });
+
+    it('should reject a presentation bound to another domain', async () => {
+      const { challenge } = await requestChallenge();
+
+      const result = await verify(signPresentation(holder, [credential], { challenge, domain: 'evil.example' }));
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Invalid signature or cryptographic proof');
+    });
+
+    it('should reject a presentation signed with another key', async () => {
+      const vp = signPresentation(holder, [credential], await requestChallenge(), { signingKey: createHolder().privateKey });
+
+      const result = await verify(vp);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Invalid signature or cryptographic proof');
+    });
+
+    it('should not let an unsigned presentation burn the challenge', async () => {
+      const vp = signPresentation(holder, [credential], await requestChallenge());
+      const [header, payload] = vp.split('.');
+
+      const unsigned = await verify(`${header}.${payload}.`);
+      expect(unsigned.verified).toBe(false);
+      expect(unsigned.reason).toBe('Invalid signature or cryptographic proof');
+
+      expect((await verify(vp)).verified).toBe(true);
+    });
+
+    it('should reject credentials issued to a different holder', async () => {
+      const { vc: foreignCredential } = await issueCredential(createHolder().did);
+
+      const result = await verify(signPresentation(holder, [foreignCredential], await requestChallenge()));
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Credential subject does not match presentation holder');
+    });
+
+    it('should reject credentials without an issuer proof', async () => {
+      const { proof, ...unsigned } = credential;
+
+      const result = await verify(signPresentation(holder, [unsigned], await requestChallenge()));
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Invalid credential signature');
+    });
+
+    it('should reject the legacy Ed25519Signature2020 proof', async () => {
+      const result = await verify({
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiablePresentation'],
+        holder: holder.did,
+        verifiableCredential: [credential],
+        proof: { type: 'Ed25519Signature2020', jws: 'eyJ9..c2ln' },
+      }, 400);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Unsupported presentation proof format');
+    });
+  });
+
+  describe('OID4VP direct_post', () => {
+    const startRequest = async () => {
+      const { body } = await request(veramo.url).post('/oid4vp/request').expect(200);
+      const params = new URL(body.requestUri).searchParams;
+      return {
+        transactionId: body.transactionId,
+        requestUri: body.requestUri,
+        nonce: params.get('nonce')!,
+        clientId: params.get('client_id')!,
+        state: params.get('state')!,
+        presentationDefinition: JSON.parse(params.get('presentation_definition')!),
+      };
+    };
+
+    type AuthorizationRequest = Awaited<ReturnType<typeof startRequest>>;
+
+    // What a wallet does with the request: one credential for every input descriptor
+    const respond = (authorizationRequest: AuthorizationRequest, binding?: Binding) => {
+      const presentationSubmission = {
+        id: 'submission',
+        definition_id: authorizationRequest.presentationDefinition.id,
+        descriptor_map: authorizationRequest.presentationDefinition.input_descriptors.map((descriptor: { id: string }) => ({
+          id: descriptor.id,
+          format: 'jwt_vp',
+          path: '$',
+          path_nested: { id: descriptor.id, format: 'jwt_vc', path: '$.vp.verifiableCredential[0]' },
+        })),
+      };
+      const vpToken = signPresentation(
+        holder,
+        [credential],
+        binding || { challenge: authorizationRequest.nonce, domain: authorizationRequest.clientId }
+      );
+
+      return request(veramo.url)
+        .post('/oid4vp/response')
+        .type('form')
+        .send({
+          vp_token: vpToken,
+          presentation_submission: JSON.stringify(presentationSubmission),
+          state: authorizationRequest.state,
+        });
+    };
+
+    const poll = async (transactionId: string) =>
+      (await request(veramo.url).get(`/oid4vp/transactions/${transactionId}`).expect(200)).body;
+
+    it('should deliver the verification result to the polling verifier', async () => {
+      const authorizationRequest = await startRequest();
+
+      expect(authorizationRequest.requestUri).toMatch(/^openid4vp:\/\//);
+      expect((await poll(authorizationRequest.transactionId)).status).toBe('pending');
+
+      expect((await respond(authorizationRequest)).status).toBe(200);
+
+      const transaction = await poll(authorizationRequest.transactionId);
+      expect(transaction.status).toBe('complete');
+      expect(transaction.result.verified).toBe(true);
+      expect(transaction.result.holder).toBe(holder.did);
+      expect(transaction.result.satisfiedDescriptors).toEqual(['document_credential']);
+    });
+
+    it('should only accept the first response to a request', async () => {
+      const authorizationRequest = await startRequest();
+
+      await respond(authorizationRequest);
+      const response = await respond(authorizationRequest);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('invalid_request');
+    });
+
+    it('should reject a presentation bound to another request and keep the request open', async () => {
+      const authorizationRequest = await startRequest();
+      const other = await startRequest();
+
+      const response = await respond(authorizationRequest, { challenge: other.nonce, domain: other.clientId });
+      expect(response.status).toBe(400);
+      expect(response.body.error_description).toBe('Presentation is not bound to this request');
+      expect((await poll(authorizationRequest.transactionId)).status).toBe('pending');
+
+      expect((await respond(authorizationRequest)).status).toBe(200);
+      expect((await poll(authorizationRequest.transactionId)).result.verified).toBe(true);
+    });
+
+    it('should not let an unverifiable vp_token use up the request', async () => {
+      const authorizationRequest = await startRequest();
+
+      const junk = await request(veramo.url)
+        .post('/oid4vp/response')
+        .type('form')
+        .send({ vp_token: 'not-a-jwt', presentation_submission: '{}', state: authorizationRequest.state });
+      expect(junk.status).toBe(400);
+      expect(junk.body.error).toBe('invalid_request');
+      expect((await poll(authorizationRequest.transactionId)).status).toBe('pending');
+
+      expect((await respond(authorizationRequest)).status).toBe(200);
+      const transaction = await poll(authorizationRequest.transactionId);
+      expect(transaction.status).toBe('complete');
+      expect(transaction.result.verified).toBe(true);
+    });
+
+    it('should return 404 for unknown transactions', async () => {
+      await request(veramo.url).get('/oid4vp/transactions/unknown').expect(404);
+    });
+  });
+
+  describe('Presentation Exchange', () => {
+    const definitionFor = (id: string, docType: string) => ({
+      id: `${id}-check`,
+      input_descriptors: [{
+        id,
+        constraints: {
+          fields: [{ path: ['$.vc.credentialSubject.docType'], filter: { type: 'string', const: docType } }],
+        },
+      }],
+    });
+
+    const submissionFor = (definition: { id: string; input_descriptors: Array<{ id: string }> }) => ({
+      presentation_submission: {
+        id: 'submission',
+        definition_id: definition.id,
+        descriptor_map: [{
+          id: definition.input_descriptors[0].id,
+          format: 'jwt_vp',
+          path: '$',
+          path_nested: { format: 'jwt_vc', path: '$.vp.verifiableCredential[0]' },
+        }],
+      },
+    });
+
+    it('should verify a presentation whose submission satisfies the definition', async () => {
+      const definition = definitionFor('passport', 'passport');
+      const vp = signPresentation(holder, [credential], await requestChallenge(definition), { vp: submissionFor(definition) });
+
+      const result = await verify(vp);
+
+      expect(result.verified).toBe(true);
+      expect(result.satisfiedDescriptors).toEqual(['passport']);
+    });
+
+    it('should reject a presentation without a submission', async () => {
+      const vp = signPresentation(holder, [credential], await requestChallenge(definitionFor('passport', 'passport')));
+
+      const result = await verify(vp);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Missing presentation submission');
+    });
+
+    it('should reject a submission that does not satisfy an input descriptor', async () => {
+      const definition = definitionFor('license', 'license');
+      const vp = signPresentation(holder, [credential], await requestChallenge(definition), { vp: submissionFor(definition) });
+
+      const result = await verify(vp);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Input descriptor not satisfied: license');
+    });
+
+    it('should only resolve descriptors to the presented credentials', async () => {
+      // Signed by the holder, but the descriptor points at JSON the holder wrote next to the credentials
+      const definition = definitionFor('license', 'license');
+      const vp = signPresentation(holder, [credential], await requestChallenge(definition), {
+        vp: {
+          fake: { vc: { credentialSubject: { docType: 'license' } } },
+          presentation_submission: {
+            id: 'submission',
+            definition_id: definition.id,
+            descriptor_map: [{ id: 'license', format: 'jwt_vp', path: '$', path_nested: { format: 'jwt_vc', path: '$.vp.fake' } }],
+          },
+        },
+      });
+
+      const result = await verify(vp);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Input descriptor not satisfied: license');
+    });
+
+    it('should refuse filter patterns that can backtrack catastrophically', async () => {
+      await request(veramo.url)
+        .post('/verify/challenge')
+        .send({
+          presentationDefinition: {
+            id: 'redos',
+            input_descriptors: [{
+              id: 'passport',
+              constraints: { fields: [{ path: ['$.vc.credentialSubject.docType'], filter: { type: 'string', pattern: '^(a+)+$' } }] },
+            }],
+          },
+        })
+        .expect(400);
+    });
+
+    it('should reject an invalid presentation definition', async () => {
+      await request(veramo.url)
+        .post('/verify/challenge')
+        .send({ presentationDefinition: { id: 'no-descriptors', input_descriptors: [] } })
+        .expect(400);
+    });
+  });
+
+  describe('SD-JWT presentations', () => {
+    let sdJwt: string;
+
+    beforeAll(async () => {
+      const { vc } = await issueCredential(holder.did, { ...CLAIMS, storageKey: 'uploads/passport.enc' }, 'sd-jwt');
+      sdJwt = vc.proof.sdJwt;
+    });
+
+    it('should issue every claim as a selective disclosure', () => {
+      expect(listDisclosures(sdJwt).map(({ name }) => name).sort()).toEqual(['docType', 'fileName', 'storageKey']);
+    });
+
+    it('should verify a presentation revealing only the chosen claims', async () => {
+      const result = await verify(createSdJwtPresentation(sdJwt, ['docType'], holder.privateKey, await requestChallenge()));
+
+      expect(result.verified).toBe(true);
+      expect(result.holder).toBe(holder.did);
+      expect(result.disclosedClaims).toEqual({ docType: 'passport' });
+    });
+
+    it('should reject a replayed presentation', async () => {
+      const presentation = createSdJwtPresentation(sdJwt, ['docType'], holder.privateKey, await requestChallenge());
+
+      await verify(presentation);
+
+      expect((await verify(presentation)).verified).toBe(false);
+    });
+
+    it('should reject a disclosure added after key binding', async () => {
+      const presentation = createSdJwtPresentation(sdJwt, ['docType'], holder.privateKey, await requestChallenge());
+      const fileName = listDisclosures(sdJwt).find(({ name }) => name === 'fileName')!;
+      const parts = presentation.split('~');
+      parts.splice(parts.length - 1, 0, fileName.disclosure);
+
+      const result = await verify(parts.join('~'));
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Key binding does not cover the presented disclosures');
+    });
+
+    it('should reject a key binding signed with another key', async () => {
+      const presentation = createSdJwtPresentation(sdJwt, ['docType'], createHolder().privateKey, await requestChallenge());
+
+      const result = await verify(presentation);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Invalid key binding signature');
+    });
+
+    it('should keep the challenge usable after a key binding signed with another key', async () => {
+      const binding = await requestChallenge();
+
+      expect((await verify(createSdJwtPresentation(sdJwt, ['docType'], createHolder().privateKey, binding))).verified).toBe(false);
+      expect((await verify(createSdJwtPresentation(sdJwt, ['docType'], holder.privateKey, binding))).verified).toBe(true);
+    });
+
+    it('should require a did:key subject', async () => {
+      await request(veramo.url)
+        .post('/issue')
+        .send({
+          subjectDid: 'did:pkh:eip155:1:0x0000000000000000000000000000000000000000',
+          claims: { docType: 'passport' },
+          proofFormat: 'sd-jwt',
+        })
+        .expect(400);
+    });
+  });
+
+  describe('BBS issuer key', () => {
+    it('should have no key to publish before the first BBS credential', async () => {
+      await request(veramo.url).get('/bbs/key').expect(404);
+    });
+
+    it('should not create a key to verify a presentation', async () => {
+      const result = await verify({
+        '@context': ['https://www.w3.org/ns/credentials/v2'],
+        type: ['VerifiableCredential'],
+        issuer: credential.issuer.id || credential.issuer,
+        credentialSubject: { docType: 'passport' },
+        proof: { type: 'DataIntegrityProof', cryptosuite: 'bbs-2023', proofValue: 'u2V0BhVhA' },
+      });
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Invalid credential proof');
+      expect(fs.existsSync(process.env.VERAMO_BBS_KEY_PATH!)).toBe(false);
+    });
+  });
+
+  describe('BBS derived presentations', () => {
+    let bbsCredential: any;
+
+    beforeAll(async () => {
+      const issued = await issueCredential(holder.did, { ...CLAIMS, storageKey: 'uploads/passport.enc' }, 'bbs');
+      expect(issued.credentialId).toBeDefined();
+      bbsCredential = issued.vc;
+    });
+
+    it('should not put correlatable identifiers in the credential', () => {
+      expect(bbsCredential.proof.cryptosuite).toBe('bbs-2023');
+      expect(bbsCredential.id).toBeUndefined();
+      expect(bbsCredential.credentialSubject.id).toBeUndefined();
+    });
+
+    it('should verify a derived presentation revealing only the chosen claims', async () => {
+      const presentation = await deriveBbsPresentation(bbsCredential, ['docType'], await requestChallenge());
+
+      const result = await verify(presentation);
+
+      expect(result.verified).toBe(true);
+      expect(result.disclosedClaims).toEqual({ docType: 'passport' });
+    });
+
+    it('should reject a replayed presentation', async () => {
+      const presentation = await deriveBbsPresentation(bbsCredential, ['docType'], await requestChallenge());
+
+      await verify(presentation);
+      const result = await verify(presentation);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Challenge expired, unknown or already used');
+    });
+
+    it('should reject a presentation bound to another domain', async () => {
+      const { challenge } = await requestChallenge();
+      const presentation = await deriveBbsPresentation(bbsCredential, ['docType'], { challenge, domain: 'evil.example' });
+
+      const result = await verify(presentation);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Presentation is not bound to this verifier session');
+    });
+
+    it('should publish the key that verifies derived presentations', async () => {
+      const { body: verificationMethod } = await request(veramo.url).get('/bbs/key').expect(200);
+
+      expect(verificationMethod).toMatchObject({
+        id: bbsCredential.proof.verificationMethod,
+        type: 'Multikey',
+        controller: bbsCredential.issuer,
+      });
+      expect(verificationMethod.secretKeyMultibase).toBeUndefined();
+
+      const presentation = await deriveBbsPresentation(bbsCredential, ['docType'], await requestChallenge());
+      expect((await verifyBbsPresentation(presentation, verificationMethod)).verified).toBe(true);
+      expect((await verifyBbsPresentation({ ...presentation, credentialSubject: { docType: 'license' } }, verificationMethod)).verified)
+        .toBe(false);
+    });
+
+    it('should refuse to replace the key of another issuer DID', async () => {
+      const issuerBbs = createRequire(import.meta.url)('../bbs.js');
+      const keyFile = fs.readFileSync(process.env.VERAMO_BBS_KEY_PATH!, 'utf8');
+
+      await expect(issuerBbs.issueBbsCredential({ ...bbsCredential, issuer: 'did:key:z6MkOtherIssuer' }))
+        .rejects.toThrow('not the issuer DID did:key:z6MkOtherIssuer');
+      expect(fs.readFileSync(process.env.VERAMO_BBS_KEY_PATH!, 'utf8')).toBe(keyFile);
+    });
+
+    it('should reject a tampered claim', async () => {
+      const presentation = await deriveBbsPresentation(bbsCredential, ['docType'], await requestChallenge());
+
+      const result = await verify({ ...presentation, credentialSubject: { docType: 'license' } });
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('Invalid credential proof');
+    });
+  });
+});
@@ -1,61 +1,137 @@
 const { createAgent } = require('@veramo/core');
-const { KeyManager, MemoryKeyStore, MemoryPrivateKeyStore } = require('@veramo/key-manager');
-const { DIDManager, MemoryDIDStore } = require('@veramo/did-manager');
+const { KeyManager } = require('@veramo/key-manager');
+const { DIDManager } = require('@veramo/did-manager');
 const { KeyDIDProvider } = require('@veramo/did-provider-key');
+const { EthrDIDProvider } = require('@veramo/did-provider-ethr');
 const { CredentialPlugin } = require('@veramo/credential-w3c');
-const { KeyManagementSystem } = require('@veramo/kms-local');
+const { KeyManagementSystem, SecretBox } = require('@veramo/kms-local');
+const { KeyStoreJson, PrivateKeyStoreJson, DIDStoreJson } = require('@veramo/data-store-json');
 const { DIDResolverPlugin } = require('@veramo/did-resolver');
 const { Resolver } = require('did-resolver');
 const { getResolver: getKeyResolver } = require('key-did-resolver');
+const { getResolver: getEthrResolver } = require('ethr-did-resolver');
+const { JsonRpcProvider } = require('@ethersproject/providers');
+const { createVerifiableCredentialJwt, normalizeCredential } = require('did-jwt-vc');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
 
-// TODO: Production improvement - Replace did:key with did:ethr for production deployments
-// did:key is ephemeral and not resolvable on-chain. For production, use did:ethr with
-// proper Ethereum network configuration (mainnet/testnet) to enable:
-// - On-chain DID resolution
-// - DID document updates and rotation
-// - Integration with existing Ethereum infrastructure
-// Example production setup:
-// const { EthrDIDProvider } = require('@veramo/did-provider-ethr');
-// providers: {
-//   'did:ethr': new EthrDIDProvider({
-//     defaultKms: 'local',
-//     network: 'mainnet',
-//     rpcUrl: process.env.ETHEREUM_RPC_URL,
-//     registry: '0x...' // ENS registry address
-//   })
-// }
-
-// Initialize in-memory stores for MVP
-// These stores only persist during process lifetime
-const memoryKeyStore = new MemoryKeyStore();
-const memoryPrivateKeyStore = new MemoryPrivateKeyStore();
-const memoryDIDStore = new MemoryDIDStore();
-
-// Configure DID resolver for did:key method
+// did:ethr configuration for the local Hardhat chain
+// The ERC-1056 registry is deployed by blockchain/scripts/deploy.js; its address comes from
+// ETHR_DID_REGISTRY or, failing that, from the saved localhost deployment file
+const ETHR_RPC_URL = process.env.HARDHAT_NETWORK_URL || 'http://localhost:8545';
+const ETHR_NETWORK = {
+  name: process.env.ETHR_NETWORK_NAME || 'hardhat',
+  chainId: parseInt(process.env.ETHR_CHAIN_ID || '31337', 10),
+  rpcUrl: ETHR_RPC_URL,
+  // The Veramo provider and resolver still expect an ethers v5 provider
+  provider: new JsonRpcProvider(ETHR_RPC_URL),
+  registry: process.env.ETHR_DID_REGISTRY || loadRegistryAddress()
+};
+
+// Validity of keys and services written to the registry (default: 1 year)
+// Rotated keys stay valid for this long, so credentials signed before a rotation keep verifying
+const ETHR_ATTRIBUTE_TTL = parseInt(process.env.ETHR_ATTRIBUTE_TTL || String(365 * 24 * 60 * 60), 10);
+
+// Provider used for the issuer DID: 'did:key' (default) or 'did:ethr'
+const ISSUER_DID_PROVIDER = process.env.ISSUER_DID_PROVIDER || 'did:key';
+
+function loadRegistryAddress() {
+  try {
+    const deploymentPath = path.join(__dirname, '..', 'blockchain', 'deployments', 'localhost', 'EthereumDIDRegistry.json');
+    const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    return deployment.address;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// File-backed JSON store so keys and DIDs survive restarts
+// Private keys are encrypted at rest with KMS_SECRET_KEY (32-byte hex)
+const STORE_PATH = process.env.VERAMO_STORE_PATH || path.join(__dirname, 'data', 'veramo-store.json');
+const KMS_SECRET_KEY = process.env.KMS_SECRET_KEY;
+const MISSING_SECRET_KEY_MESSAGE = 'KMS_SECRET_KEY not configured in .env. ' +
+  'Generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"';
+
+// Without KMS_SECRET_KEY the agent still loads but never reads or writes a private key;
+// initializeIssuerDid() reports the missing key and its caller decides whether to exit
+const lockedSecretBox = {
+  encrypt: async () => { throw new Error(MISSING_SECRET_KEY_MESSAGE); },
+  decrypt: async () => { throw new Error(MISSING_SECRET_KEY_MESSAGE); }
+};
+
+// Load the JSON store from disk and persist every update back to it
+function createFileStore(filePath) {
+  let cache = {};
+  try {
+    cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read Veramo store at ${filePath}: ${error.message}`);
+    }
+  }
+
+  // activeKeys maps each DID to the key that signs new credentials (see getIssuerKeyRef)
+  return {
+    dids: {},
+    keys: {},
+    privateKeys: {},
+    activeKeys: {},
+    ...cache,
+    notifyUpdate: async (oldState, newState) => {
+      const { dids, keys, privateKeys, activeKeys } = newState;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+      // Write to a temp file first so a crash never leaves a truncated store
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ dids, keys, privateKeys, activeKeys }, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpPath, filePath);
+    }
+  };
+}
+
+const jsonStore = createFileStore(STORE_PATH);
+const keyStore = new KeyStoreJson(jsonStore);
+const privateKeyStore = new PrivateKeyStoreJson(jsonStore, KMS_SECRET_KEY ? new SecretBox(KMS_SECRET_KEY) : lockedSecretBox);
+const didStore = new DIDStoreJson(jsonStore);
+
+// Configure DID resolver for did:key and, when a registry is available, did:ethr
 const didResolver = new Resolver({
-  ...getKeyResolver()
+  ...getKeyResolver(),
+  ...(ETHR_NETWORK.registry ? getEthrResolver({ networks: [ETHR_NETWORK] }) : {})
 });
 
+// did:ethr is only offered once the registry contract has been deployed
+const didProviders = {
+  'did:key': new KeyDIDProvider({
+    defaultKms: 'local'
+  })
+};
+
+if (ETHR_NETWORK.registry) {
+  didProviders[`did:ethr:${ETHR_NETWORK.name}`] = new EthrDIDProvider({
+    defaultKms: 'local',
+    ttl: ETHR_ATTRIBUTE_TTL,
+    networks: [ETHR_NETWORK]
+  });
+}
+
 // Create and configure Veramo agent
 const agent = createAgent({
   plugins: [
     // Key Manager - handles cryptographic key operations
     new KeyManager({
-      store: memoryKeyStore,
+      store: keyStore,
       kms: {
-        local: new KeyManagementSystem(memoryPrivateKeyStore)
+        local: new KeyManagementSystem(privateKeyStore)
       }
     }),
 
     // DID Manager - handles DID creation and management
     new DIDManager({
-      store: memoryDIDStore,
+      store: didStore,
       defaultProvider: 'did:key',
-      providers: {
-        'did:key': new KeyDIDProvider({
-          defaultKms: 'local'
-        })
-      }
+      providers: didProviders
     }),
 
     // DID Resolver - resolves DIDs to DID documents
@@ -69,22 +145,37 @@ const agent = createAgent({
 });
 
 // Initialize issuer DID on agent startup
+const ISSUER_ALIAS = 'issuer-did';
 let issuerDid = null;
 
 async function initializeIssuerDid() {
   try {
-    // Create issuer DID using did:key provider
-    const identifier = await agent.didManagerCreate({
-      provider: 'did:key',
+    if (!KMS_SECRET_KEY) {
+      throw new Error(MISSING_SECRET_KEY_MESSAGE);
+    }
+    if (ISSUER_DID_PROVIDER === 'did:ethr' && !ETHR_NETWORK.registry) {
+      throw new Error(
+        'ISSUER_DID_PROVIDER is did:ethr but no EthereumDIDRegistry address is configured. ' +
+        'Deploy it with: cd blockchain && npm run deploy, then set ETHR_DID_REGISTRY'
+      );
+    }
+
+    const provider = ISSUER_DID_PROVIDER === 'did:ethr'
+      ? `did:ethr:${ETHR_NETWORK.name}`
+      : ISSUER_DID_PROVIDER;
+
+    // Reuse the persisted issuer DID so previously issued credentials stay resolvable
+    const identifier = await agent.didManagerGetOrCreate({
+      provider,
       kms: 'local',
-      alias: 'issuer-did'
+      alias: ISSUER_ALIAS
     });
 
     issuerDid = identifier.did;
-    console.log('Issuer DID created:', issuerDid);
+    console.log('Issuer DID loaded:', issuerDid);
     return issuerDid;
   } catch (error) {
-    console.error('Failed to create issuer DID:', error);
+    console.error('Failed to initialize issuer DID:', error);
     throw error;
   }
 }
@@ -97,8 +188,127 @@ function getIssuerDid() {
   return issuerDid;
 }
 
+// Helper function to find the key that controls a DID
+// A did:ethr names its identity address, or the public key the address derives from; the controller
+// is the key with that address. Any other DID is controlled by its controllerKeyId
+function findControllerKey(identifier) {
+  if (!identifier.did.startsWith('did:ethr:')) {
+    return identifier.keys.find((key) => key.kid === identifier.controllerKeyId);
+  }
+
+  const identity = identifier.did.split(':').pop();
+  const address = ethers.getAddress(identity.length === 42 ? identity : ethers.computeAddress(identity));
+  const controllerKey = identifier.keys.find((key) =>
+    key.type === 'Secp256k1' && ethers.computeAddress(`0x${key.publicKeyHex}`) === address
+  );
+  if (!controllerKey) {
+    throw new Error(`No key of ${identifier.did} controls its address ${address}`);
+  }
+  return controllerKey;
+}
+
+// Record the key that signs new credentials for a DID
+async function setActiveKey(did, kid) {
+  jsonStore.activeKeys[did] = kid;
+  await jsonStore.notifyUpdate(jsonStore, jsonStore);
+}
+
+// Get the key used to sign new credentials: the one recorded by the last rotation,
+// or the controller key while the issuer DID has never been rotated
+async function getIssuerKeyRef() {
+  const identifier = await agent.didManagerGet({ did: getIssuerDid() });
+  if (!Object.prototype.hasOwnProperty.call(jsonStore.activeKeys, identifier.did)) {
+    return findControllerKey(identifier).kid;
+  }
+
+  const kid = jsonStore.activeKeys[identifier.did];
+  if (!identifier.keys.some((key) => key.kid === kid)) {
+    throw new Error(`Active signing key ${kid} is not a key of ${identifier.did}`);
+  }
+  return kid;
+}
+
+// Sign a credential as a JWT with the issuer's active key
+// Veramo's createVerifiableCredential ignores keyRef for JWTs and signs with whichever key the
+// store lists first, so the issuer signs through did-jwt-vc itself
+async function createIssuerCredential(credential) {
+  const keyRef = await getIssuerKeyRef();
+  const key = await agent.keyManagerGet({ kid: keyRef });
+  const alg = key.type === 'Ed25519' ? 'EdDSA' : 'ES256K';
+
+  const jwt = await createVerifiableCredentialJwt(credential, {
+    did: getIssuerDid(),
+    alg,
+    signer: (data) => agent.keyManagerSign({ keyRef, data, algorithm: alg })
+  });
+  return normalizeCredential(jwt);
+}
+
+// Registry updates are transactions sent by the did:ethr controller key
+// On the local Hardhat chain, top the controller up from the first node account
+async function ensureEthrControllerFunded(identifier) {
+  if (!identifier.did.startsWith('did:ethr:')) {
+    throw new Error('Key rotation and service endpoints require a did:ethr issuer');
+  }
+
+  const provider = new ethers.JsonRpcProvider(ETHR_RPC_URL);
+  const controller = ethers.computeAddress(`0x${findControllerKey(identifier).publicKeyHex}`);
+  const balance = await provider.getBalance(controller);
+
+  if (balance < ethers.parseEther('0.1') && ETHR_NETWORK.chainId === 31337) {
+    const funder = await provider.getSigner(0);
+    const tx = await funder.sendTransaction({ to: controller, value: ethers.parseEther('1') });
+    await tx.wait();
+  }
+}
+
+// Rotate the issuer signing key: publish a new secp256k1 key on the registry and sign new
+// credentials with it. Older keys remain on the DID document until their ETHR_ATTRIBUTE_TTL runs out
+async function rotateIssuerKey() {
+  const identifier = await agent.didManagerGet({ did: getIssuerDid() });
+  await ensureEthrControllerFunded(identifier);
+
+  const key = await agent.keyManagerCreate({ kms: 'local', type: 'Secp256k1' });
+  await agent.didManagerAddKey({ did: identifier.did, key });
+  await setActiveKey(identifier.did, key.kid);
+  return key;
+}
+
+// Revoke a previously published issuer key on the registry
+async function revokeIssuerKey(kid) {
+  const identifier = await agent.didManagerGet({ did: getIssuerDid() });
+  if (findControllerKey(identifier).kid === kid) {
+    throw new Error('Cannot revoke the controller key of the issuer DID');
+  }
+  if (kid === await getIssuerKeyRef()) {
+    throw new Error('Cannot revoke the key that signs new credentials; rotate to a new key first');
+  }
+  await ensureEthrControllerFunded(identifier);
+  return agent.didManagerRemoveKey({ did: identifier.did, kid });
+}
+
+// Publish a service endpoint (e.g. a status list or OID4VCI endpoint) on the issuer DID
+async function addIssuerService(service) {
+  const identifier = await agent.didManagerGet({ did: getIssuerDid() });
+  await ensureEthrControllerFunded(identifier);
+  return agent.didManagerAddService({ did: identifier.did, service });
+}
+
+// Remove a service endpoint from the issuer DID
+async function removeIssuerService(id) {
+  const identifier = await agent.didManagerGet({ did: getIssuerDid() });
+  await ensureEthrControllerFunded(identifier);
+  return agent.didManagerRemoveService({ did: identifier.did, id });
+}
+
 module.exports = {
   agent,
   initializeIssuerDid,
-  getIssuerDid
+  getIssuerDid,
+  getIssuerKeyRef,
+  createIssuerCredential,
+  rotateIssuerKey,
+  revokeIssuerKey,
+  addIssuerService,
+  removeIssuerService
 };
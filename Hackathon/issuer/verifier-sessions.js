@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { DOCUMENT_PRESENTATION_DEFINITION } = require('./presentation-exchange');
+
+// Verifier sessions for presentation requests (index.js POST /verify)
+// A verifier asks for a challenge + domain, the holder signs them into the VP
+// (JWT `nonce` and `aud`), and each challenge can be redeemed exactly once
+// OID4VP requests wrap the same challenges: the wallet posts its VP to the response URI
+// and the verifier polls for the result with a transaction ID
+
+// In-memory challenge storage (TTL: 5 minutes)
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const challenges = new Map();
+
+// Audience holders must bind their presentations to
+const VERIFIER_DOMAIN = process.env.VERIFIER_DOMAIN || `localhost:${process.env.PORT || 8080}`;
+
+// Public URL of this service; OID4VP wallets post their responses here
+const VERIFIER_BASE_URL = process.env.VERIFIER_BASE_URL || `http://localhost:${process.env.PORT || 8080}`;
+const OID4VP_RESPONSE_URI = `${VERIFIER_BASE_URL}/oid4vp/response`;
+
+// OID4VP authorization requests, keyed by `state` (what the wallet echoes back)
+// and by transaction ID (what the verifier polls with, never shown to the wallet)
+const authorizationRequests = new Map();
+const transactions = new Map();
+
+// Clean up expired challenges (runs periodically, without keeping the process alive)
+setInterval(() => {
+  const now = Date.now();
+  for (const [challenge, session] of challenges.entries()) {
+    if (session.expiresAt < now) {
+      challenges.delete(challenge);
+    }
+  }
+  for (const [state, request] of authorizationRequests.entries()) {
+    if (request.expiresAt < now) {
+      authorizationRequests.delete(state);
+      transactions.delete(request.transactionId);
+    }
+  }
+}, 60 * 1000).unref();
+
+// Start a verifier session and return the presentation request for the holder
+// With a presentation definition, the VP must carry a presentation_submission that satisfies it
+function createChallenge(domain = VERIFIER_DOMAIN, presentationDefinition = null) {
+  const now = Date.now();
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  challenges.set(challenge, {
+    domain,
+    presentationDefinition,
+    createdAt: now,
+    expiresAt: now + CHALLENGE_TTL
+  });
+
+  return {
+    challenge,
+    domain,
+    ...(presentationDefinition && { presentation_definition: presentationDefinition }),
+    expiresIn: CHALLENGE_TTL / 1000 // seconds
+  };
+}
+
+// Look up a challenge without redeeming it; returns its session, or null if it is unknown or expired
+// Presentations are checked against the session first, so one with a bad proof can't burn the challenge
+function getChallenge(challenge) {
+  const session = challenges.get(challenge);
+  if (!session || session.expiresAt < Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+// Redeem a challenge; returns its session, or null if it is unknown, expired or already used
+// The challenge is removed up front so two concurrent requests can never both redeem it
+function consumeChallenge(challenge) {
+  const session = challenges.get(challenge);
+  if (!session) {
+    return null;
+  }
+
+  challenges.delete(challenge);
+  return session.expiresAt < Date.now() ? null : session;
+}
+
+// Start an OID4VP verifier session (response_mode direct_post)
+// client_id is the response URI (client_id_scheme redirect_uri), so it is also the VP audience
+function createAuthorizationRequest() {
+  const { challenge: nonce, expiresIn } = createChallenge(OID4VP_RESPONSE_URI, DOCUMENT_PRESENTATION_DEFINITION);
+  const state = crypto.randomBytes(16).toString('base64url');
+  const transactionId = crypto.randomBytes(16).toString('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'vp_token',
+    response_mode: 'direct_post',
+    client_id: OID4VP_RESPONSE_URI,
+    client_id_scheme: 'redirect_uri',
+    response_uri: OID4VP_RESPONSE_URI,
+    nonce,
+    state,
+    presentation_definition: JSON.stringify(DOCUMENT_PRESENTATION_DEFINITION)
+  });
+
+  authorizationRequests.set(state, {
+    transactionId,
+    nonce,
+    status: 'pending',
+    result: null,
+    expiresAt: Date.now() + CHALLENGE_TTL
+  });
+  transactions.set(transactionId, state);
+
+  return {
+    transactionId,
+    requestUri: `openid4vp://?${params.toString()}`,
+    expiresIn
+  };
+}
+
+// Claim a pending authorization request for a wallet response; returns null if it is
+// unknown, expired, already answered or being answered (responses are processed one at a time)
+function claimAuthorizationRequest(state) {
+  const request = authorizationRequests.get(state);
+  if (!request || request.status !== 'pending' || request.expiresAt < Date.now()) {
+    return null;
+  }
+
+  request.status = 'processing';
+  return request;
+}
+
+// Put a claimed request back for the next response, when the one it was claimed for turned out
+// not to be the holder's (it never proved possession of the request nonce)
+function releaseAuthorizationRequest(state) {
+  const request = authorizationRequests.get(state);
+  if (request && request.status === 'processing') {
+    request.status = 'pending';
+  }
+}
+
+// Record the verification result of a wallet response for the verifier to pick up
+function completeAuthorizationRequest(state, result) {
+  const request = authorizationRequests.get(state);
+  if (request) {
+    request.status = 'complete';
+    request.result = result;
+  }
+}
+
+// Look up an authorization request by the verifier's transaction ID
+function getTransaction(transactionId) {
+  const state = transactions.get(transactionId);
+  const request = state && authorizationRequests.get(state);
+  if (!request) {
+    return null;
+  }
+
+  if (request.status === 'complete') {
+    return { status: 'complete', result: request.result };
+  }
+
+  return { status: request.expiresAt < Date.now() ? 'expired' : 'pending', result: null };
+}
+
+module.exports = {
+  CHALLENGE_TTL,
+  createChallenge,
+  getChallenge,
+  consumeChallenge,
+  createAuthorizationRequest,
+  claimAuthorizationRequest,
+  releaseAuthorizationRequest,
+  completeAuthorizationRequest,
+  getTransaction
+};